@@ -20,6 +20,8 @@ const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
 const CORE_PATH = process.env.CORE_PATH || path.join(BASE_PATH, 'core');
 const BOTS_PATH = process.env.BOTS_PATH || path.join(BASE_PATH, 'bots');
+// Custom new-bot templates (hidden from bot discovery by the leading dot)
+const BOT_TEMPLATES_PATH = process.env.BOT_TEMPLATES_PATH || path.join(BOTS_PATH, '.templates');
 const CHAPTERX_PATH = process.env.CHAPTERX_PATH || path.join(BASE_PATH, 'chapterx');
 
 // ChapterX deployment slots - dynamically scanned
@@ -90,11 +92,8 @@ const IRC_DB = path.join(AETHERA_DB_PATH, 'irc.sqlite');
 // DREAMS / RUNPOD
 // ============================================================================
 
-// API credentials
-const RUNPOD_API_KEY = process.env.RUNPOD_API_KEY || '';
-
-// Legacy serverless endpoint (for backwards compatibility)
-const RUNPOD_ENDPOINT_ID = process.env.RUNPOD_ENDPOINT_ID || '';
+// API credentials (RUNPOD_API_KEY) and the legacy serverless endpoint
+// (RUNPOD_ENDPOINT_ID) are secrets - see SECRETS below
 const RUNPOD_API_URL = 'https://api.runpod.ai/v2';
 
 // Two-pod architecture pod IDs
@@ -110,23 +109,44 @@ const DREAMGEN_COST_PER_HOUR = parseFloat(process.env.DREAMGEN_COST_PER_HOUR ||
 // ============================================================================
 // POD SECRETS (for automatic pod creation)
 // ============================================================================
-// These secrets are injected into pods when created via lifecycle management
-
-// ComfyUI authentication (nginx basic auth)
-const COMFYUI_AUTH_USER = process.env.COMFYUI_AUTH_USER || 'dreamgen';
-const COMFYUI_AUTH_PASS = process.env.COMFYUI_AUTH_PASS || '';
-
-// Shared auth token between DreamGen pods and VPS
-const DREAM_GEN_AUTH_TOKEN = process.env.DREAM_GEN_AUTH_TOKEN || '';
+// These secrets are injected into pods when created via lifecycle management.
+// ComfyUI basic auth (COMFYUI_AUTH_USER/PASS) and the DreamGen <-> VPS token
+// (DREAM_GEN_AUTH_TOKEN) are read through the vault - see SECRETS below
 
 // VPS URLs for pod configuration
 const VPS_BASE_URL = process.env.VPS_BASE_URL || 'https://aetherawi.red';
 const VPS_WEBSOCKET_URL = process.env.VPS_WEBSOCKET_URL || 'wss://aetherawi.red/ws/gpu';
 const VPS_REGISTER_URL = process.env.VPS_REGISTER_URL || `${VPS_BASE_URL}/api/dreams/comfyui/register`;
 
-// Pod secret bootstrap token (optional - for pods to retrieve secrets from admin)
-// If set, pods can call GET /api/dreams/secrets?token=<this> to get their secrets
+// Pod bootstrap tokens - each pod gets its own token when it is created, and
+// calls GET /api/dreams/secrets/:podType with it. Tokens expire so a leaked
+// pod env stops being useful; starting the pod from the panel renews it.
+const POD_BOOTSTRAP_TOKEN_TTL = parseInt(process.env.POD_BOOTSTRAP_TOKEN_TTL_HOURS || '168', 10) * 60 * 60 * 1000; // 7 days
+
+// Deprecated shared token from before per-pod tokens - still accepted from
+// pods created with it until the cutoff date, then ignored
 const POD_BOOTSTRAP_TOKEN = process.env.POD_BOOTSTRAP_TOKEN || '';
+const POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL = Date.parse(process.env.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL || '2027-01-31T00:00:00Z') || 0;
+
+// ============================================================================
+// SECRETS
+// ============================================================================
+// Secrets are read through the encrypted vault (lib/security/secrets.js) on
+// every access, so values set from Settings apply without a restart.
+// Anything not in the vault falls back to .env.
+
+// Master key for the vault - without it secrets can only come from .env
+const SECRETS_MASTER_KEY = process.env.SECRETS_MASTER_KEY || '';
+
+/**
+ * Read a secret through the vault
+ * Required lazily - the vault itself depends on this config.
+ * @param {string} name - Secret name
+ * @returns {string} Current value
+ */
+function getSecret(name) {
+  return require('./lib/security/secrets').getSecret(name);
+}
 
 // ============================================================================
 // SERVER
@@ -140,16 +160,65 @@ const HOST = process.env.HOST || '0.0.0.0';
 // ============================================================================
 
 const SESSION_MAX_AGE = parseInt(process.env.SESSION_MAX_AGE || String(7 * 24 * 60 * 60 * 1000), 10); // 7 days
+// Sessions unused for this long expire, even before SESSION_MAX_AGE
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT || String(24 * 60 * 60 * 1000), 10); // 24 hours
 const SESSION_COOKIE_NAME = 'aethera_session';
 const BCRYPT_ROUNDS = 12;
 
+// Two-factor authentication (TOTP)
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'aethera admin';
+const LOGIN_CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes to enter the second factor
+
+// Re-authentication ("sudo mode") - destructive actions need a password/TOTP
+// confirmation this recent, not just a valid session cookie
+const REAUTH_WINDOW = parseInt(process.env.REAUTH_WINDOW_MINUTES || '5', 10) * 60 * 1000;
+
+// Account lockout - failed passwords/codes per username within the window,
+// counted across all IPs
+const ACCOUNT_LOCKOUT_ATTEMPTS = parseInt(process.env.ACCOUNT_LOCKOUT_ATTEMPTS || '10', 10);
+const ACCOUNT_LOCKOUT_WINDOW = parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES || '15', 10) * 60 * 1000;
+
+// Passkeys (WebAuthn) - origin and RP ID default to the host the panel is
+// reached on; set them when that differs from the public URL
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || 'aethera admin';
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || '';
+const WEBAUTHN_ORIGIN = process.env.WEBAUTHN_ORIGIN || '';
+
+// ============================================================================
+// SINGLE SIGN-ON (OIDC)
+// ============================================================================
+// Authorization code flow with PKCE against an OpenID Connect provider.
+// Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set.
+
+const OIDC_ISSUER = process.env.OIDC_ISSUER || '';
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || ''; // empty = public client (PKCE only)
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || ''; // defaults to <host>/api/auth/oidc/callback
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'SSO';
+
+// Claims used to name local users and map them to roles
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+
+// IdP group -> role, e.g. "panel-admins=admin,panel-ops=operator"
+// The most privileged matching role wins and is re-applied on every sign-in
+const OIDC_ROLE_MAP = process.env.OIDC_ROLE_MAP || '';
+
+// Role for users in none of the mapped groups (empty = refuse sign-in)
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || '';
+
 // ============================================================================
 // FILE PATHS
 // ============================================================================
 
 const USERS_FILE = path.join(DATA_DIR, 'users.json');
-const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json'); // Legacy - imported into sessions.sqlite
 const SLOTS_FILE = path.join(DATA_DIR, 'slots.json');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const BOOTSTRAP_TOKENS_FILE = path.join(DATA_DIR, 'bootstrap-tokens.json');
+const SECRETS_FILE = path.join(DATA_DIR, 'secrets.json');
+const IP_POLICY_FILE = path.join(DATA_DIR, 'ip-policy.json');
 
 // ============================================================================
 // DOCKER (for aethera container)
@@ -157,6 +226,13 @@ const SLOTS_FILE = path.join(DATA_DIR, 'slots.json');
 
 const AETHERA_CONTAINER_NAME = process.env.AETHERA_CONTAINER_NAME || 'aethera';
 
+// ============================================================================
+// LOG EXPLORER
+// ============================================================================
+
+// systemd unit of the admin panel itself, searched alongside the bots and aethera
+const ADMIN_SERVICE_NAME = process.env.ADMIN_SERVICE_NAME || 'aethera-admin';
+
 // ============================================================================
 // RATE LIMITING
 // ============================================================================
@@ -165,6 +241,76 @@ const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const RATE_LIMIT_MAX = 100; // requests per window
 const LOGIN_RATE_LIMIT_MAX = 5; // stricter for login attempts
 
+// ============================================================================
+// NETWORK ACCESS POLICY
+// ============================================================================
+
+// Escape hatch - ignore the IP allow/deny policy (e.g. after an IP change
+// locked you out). Restart with IP_POLICY_DISABLED=1, then fix it in Settings.
+const IP_POLICY_DISABLED = process.env.IP_POLICY_DISABLED === '1';
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+// Days to keep audit events (0 = keep forever)
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10);
+
+// ============================================================================
+// LOGIN HISTORY
+// ============================================================================
+
+// Days to keep sign-in attempts (0 = keep forever)
+const LOGIN_HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS || '90', 10);
+
+// Alert when this many sign-ins fail for one account or from one IP within the window
+const LOGIN_ALERT_FAILURES = parseInt(process.env.LOGIN_ALERT_FAILURES || '5', 10);
+const LOGIN_ALERT_WINDOW = 15 * 60 * 1000; // 15 minutes
+
+// ============================================================================
+// BOT CONFIG HISTORY
+// ============================================================================
+
+// Config revisions kept per bot (0 = keep all)
+const BOT_CONFIG_HISTORY_LIMIT = parseInt(process.env.BOT_CONFIG_HISTORY_LIMIT || '100', 10);
+
+// ============================================================================
+// CRASH-LOOP DETECTION
+// ============================================================================
+
+// A bot is crash-looping after this many automatic restarts within the window
+const CRASH_LOOP_RESTARTS = parseInt(process.env.CRASH_LOOP_RESTARTS || '5', 10);
+const CRASH_LOOP_WINDOW = parseInt(process.env.CRASH_LOOP_WINDOW_MINUTES || '10', 10) * 60 * 1000;
+
+// Stop a crash-looping service instead of letting systemd keep restarting it
+const CRASH_LOOP_AUTO_STOP = process.env.CRASH_LOOP_AUTO_STOP === '1';
+
+// How often bot services are checked for restarts
+const BOT_MONITOR_INTERVAL = 30 * 1000; // 30 seconds
+
+// Days to keep restart history (0 = keep forever)
+const BOT_RESTART_RETENTION_DAYS = parseInt(process.env.BOT_RESTART_RETENTION_DAYS || '30', 10);
+
+// ============================================================================
+// BULK BOT OPERATIONS
+// ============================================================================
+
+// Bots started, stopped or restarted at the same time by a bulk operation
+const BOT_BULK_CONCURRENCY = Math.max(parseInt(process.env.BOT_BULK_CONCURRENCY || '3', 10) || 1, 1);
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+// How often due schedules are checked
+const SCHEDULER_INTERVAL = 20 * 1000; // 20 seconds
+
+// A run missed by more than this (panel down, server asleep) is skipped, not caught up
+const SCHEDULE_MISSED_GRACE = parseInt(process.env.SCHEDULE_MISSED_GRACE_MINUTES || '15', 10) * 60 * 1000;
+
+// Runs kept per schedule (0 = keep all)
+const SCHEDULE_RUN_HISTORY_LIMIT = parseInt(process.env.SCHEDULE_RUN_HISTORY_LIMIT || '50', 10);
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -177,6 +323,7 @@ module.exports = {
   // Sibling directories
   CORE_PATH,
   BOTS_PATH,
+  BOT_TEMPLATES_PATH,
   CHAPTERX_PATH,
   CHAPTERX_SLOTS,
   getChapterXSlots,  // Dynamic slot getter (recommended)
@@ -189,8 +336,8 @@ module.exports = {
   IRC_DB,
   
   // RunPod (legacy serverless)
-  RUNPOD_API_KEY,
-  RUNPOD_ENDPOINT_ID,
+  get RUNPOD_API_KEY() { return getSecret('RUNPOD_API_KEY'); },
+  get RUNPOD_ENDPOINT_ID() { return getSecret('RUNPOD_ENDPOINT_ID'); },
   RUNPOD_API_URL,
   
   // RunPod (two-pod architecture)
@@ -200,13 +347,18 @@ module.exports = {
   DREAMGEN_COST_PER_HOUR,
   
   // Pod secrets (for lifecycle management)
-  COMFYUI_AUTH_USER,
-  COMFYUI_AUTH_PASS,
-  DREAM_GEN_AUTH_TOKEN,
+  get COMFYUI_AUTH_USER() { return getSecret('COMFYUI_AUTH_USER'); },
+  get COMFYUI_AUTH_PASS() { return getSecret('COMFYUI_AUTH_PASS'); },
+  get DREAM_GEN_AUTH_TOKEN() { return getSecret('DREAM_GEN_AUTH_TOKEN'); },
   VPS_BASE_URL,
   VPS_WEBSOCKET_URL,
   VPS_REGISTER_URL,
+  POD_BOOTSTRAP_TOKEN_TTL,
   POD_BOOTSTRAP_TOKEN,
+  POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL,
+  
+  // Secrets vault
+  SECRETS_MASTER_KEY,
   
   // Server
   PORT,
@@ -214,20 +366,77 @@ module.exports = {
   
   // Auth
   SESSION_MAX_AGE,
+  SESSION_IDLE_TIMEOUT,
   SESSION_COOKIE_NAME,
   BCRYPT_ROUNDS,
+  TOTP_ISSUER,
+  LOGIN_CHALLENGE_TTL,
+  REAUTH_WINDOW,
+  ACCOUNT_LOCKOUT_ATTEMPTS,
+  ACCOUNT_LOCKOUT_WINDOW,
+  WEBAUTHN_RP_NAME,
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_ORIGIN,
+  
+  // Single sign-on (OIDC)
+  OIDC_ISSUER,
+  OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI,
+  OIDC_SCOPES,
+  OIDC_PROVIDER_NAME,
+  OIDC_USERNAME_CLAIM,
+  OIDC_GROUPS_CLAIM,
+  OIDC_ROLE_MAP,
+  OIDC_DEFAULT_ROLE,
   
   // Files
   USERS_FILE,
   SESSIONS_FILE,
   SLOTS_FILE,
+  API_TOKENS_FILE,
+  BOOTSTRAP_TOKENS_FILE,
+  SECRETS_FILE,
+  IP_POLICY_FILE,
   
   // Docker
   AETHERA_CONTAINER_NAME,
   
+  // Log explorer
+  ADMIN_SERVICE_NAME,
+  
   // Rate limiting
   RATE_LIMIT_WINDOW,
   RATE_LIMIT_MAX,
   LOGIN_RATE_LIMIT_MAX,
+  
+  // Network access policy
+  IP_POLICY_DISABLED,
+  
+  // Audit log
+  AUDIT_RETENTION_DAYS,
+  
+  // Login history
+  LOGIN_HISTORY_RETENTION_DAYS,
+  LOGIN_ALERT_FAILURES,
+  LOGIN_ALERT_WINDOW,
+  
+  // Bot config history
+  BOT_CONFIG_HISTORY_LIMIT,
+  
+  // Crash-loop detection
+  CRASH_LOOP_RESTARTS,
+  CRASH_LOOP_WINDOW,
+  CRASH_LOOP_AUTO_STOP,
+  BOT_MONITOR_INTERVAL,
+  BOT_RESTART_RETENTION_DAYS,
+  
+  // Bulk bot operations
+  BOT_BULK_CONCURRENCY,
+  
+  // Scheduler
+  SCHEDULER_INTERVAL,
+  SCHEDULE_MISSED_GRACE,
+  SCHEDULE_RUN_HISTORY_LIMIT,
 };
 
@@ -0,0 +1,236 @@
+// lib/auth/api-tokens.js - Personal API tokens
+// Long-lived, revocable Bearer tokens with scopes, for scripts and automation
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+const roles = require('./roles');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Prefix makes tokens easy to recognise (and to grep for in leaked configs)
+const TOKEN_PREFIX = 'aeth_';
+
+// Only write lastUsedAt at most this often per token
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Ensure data directory exists
+ */
+function ensureDataDir() {
+  const dir = path.dirname(config.API_TOKENS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Load all tokens from file
+ * @returns {Array} Array of stored token records
+ */
+function loadTokens() {
+  try {
+    if (fs.existsSync(config.API_TOKENS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(config.API_TOKENS_FILE, 'utf8'));
+      return Array.isArray(data) ? data : [];
+    }
+  } catch (e) {
+    console.error('Error loading API tokens:', e.message);
+  }
+  return [];
+}
+
+/**
+ * Save tokens to file
+ * @param {Array} tokens - Array of token records to save
+ */
+function saveTokens(tokens) {
+  ensureDataDir();
+  fs.writeFileSync(config.API_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+  // Set restrictive permissions
+  try {
+    fs.chmodSync(config.API_TOKENS_FILE, 0o600);
+  } catch (e) {
+    // Might fail on some systems, that's okay
+  }
+}
+
+/**
+ * Hash a raw token for storage/lookup
+ * Tokens are 256-bit random values, so a fast hash is sufficient.
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the hash from a stored record
+ * @param {Object} record - Stored token record
+ * @returns {Object} Public token info
+ */
+function toPublicInfo(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    username: record.username,
+    scopes: record.scopes,
+    prefix: record.prefix,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    lastUsedAt: record.lastUsedAt,
+  };
+}
+
+// ============================================================================
+// TOKEN MANAGEMENT
+// ============================================================================
+
+/**
+ * Create a new API token
+ * @param {string} username - Owner of the token
+ * @param {string} role - Owner's role (limits which scopes may be granted)
+ * @param {Object} options - Token options
+ * @param {string} options.name - Human-readable label
+ * @param {Array<string>} options.scopes - Permission names to grant
+ * @param {number} [options.expiresInDays] - Days until expiry (omit for no expiry)
+ * @returns {Object} { token, info } - the raw token is only returned here
+ */
+function createApiToken(username, role, { name, scopes, expiresInDays } = {}) {
+  const label = String(name || '').trim();
+  if (!label || label.length > 64) {
+    throw new Error('Token name must be 1-64 characters');
+  }
+  
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error('At least one scope is required');
+  }
+  
+  const allowed = roles.getTokenScopesForRole(role);
+  const invalid = scopes.filter(scope => !allowed.includes(scope));
+  if (invalid.length > 0) {
+    throw new Error(`Scopes not allowed for your role: ${invalid.join(', ')}`);
+  }
+  
+  let expiresAt = null;
+  if (expiresInDays) {
+    const days = parseInt(expiresInDays, 10);
+    if (!Number.isFinite(days) || days < 1 || days > 3650) {
+      throw new Error('Expiry must be between 1 and 3650 days');
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: label,
+    username,
+    scopes: [...new Set(scopes)],
+    hash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    lastUsedAt: null,
+  };
+  
+  const tokens = loadTokens();
+  tokens.push(record);
+  saveTokens(tokens);
+  
+  return { token, info: toPublicInfo(record) };
+}
+
+/**
+ * Validate a raw token from an Authorization header
+ * @param {string} token - Raw token
+ * @returns {Object|null} Public token info or null if invalid/expired
+ */
+function verifyApiToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+  
+  const hash = hashToken(token);
+  const tokens = loadTokens();
+  const record = tokens.find(t =>
+    t.hash.length === hash.length &&
+    crypto.timingSafeEqual(Buffer.from(t.hash), Buffer.from(hash))
+  );
+  
+  if (!record) return null;
+  
+  if (record.expiresAt && new Date(record.expiresAt).getTime() < Date.now()) {
+    return null;
+  }
+  
+  // Track usage without rewriting the file on every request
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_WRITE_INTERVAL) {
+    record.lastUsedAt = new Date().toISOString();
+    saveTokens(tokens);
+  }
+  
+  return toPublicInfo(record);
+}
+
+/**
+ * List a user's tokens (without hashes)
+ * @param {string} username - Owner
+ * @returns {Array} Public token info, newest first
+ */
+function listApiTokens(username) {
+  return loadTokens()
+    .filter(t => t.username === username)
+    .map(toPublicInfo)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Revoke (delete) one of a user's tokens
+ * @param {string} username - Owner
+ * @param {string} id - Token ID
+ * @returns {boolean} True if a token was revoked
+ */
+function revokeApiToken(username, id) {
+  const tokens = loadTokens();
+  const filtered = tokens.filter(t => !(t.id === id && t.username === username));
+  
+  if (filtered.length === tokens.length) {
+    return false;
+  }
+  
+  saveTokens(filtered);
+  return true;
+}
+
+/**
+ * Revoke all tokens belonging to a user
+ * @param {string} username - Owner
+ * @returns {number} Number of tokens revoked
+ */
+function deleteTokensForUser(username) {
+  const tokens = loadTokens();
+  const filtered = tokens.filter(t => t.username !== username);
+  const deleted = tokens.length - filtered.length;
+  
+  if (deleted > 0) {
+    saveTokens(filtered);
+  }
+  return deleted;
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  createApiToken,
+  verifyApiToken,
+  listApiTokens,
+  revokeApiToken,
+  deleteTokensForUser,
+};
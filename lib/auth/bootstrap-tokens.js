@@ -0,0 +1,313 @@
+// lib/auth/bootstrap-tokens.js - Per-pod bootstrap tokens
+// Expiring tokens injected into each RunPod pod so it can fetch its secrets
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Pod types that may fetch secrets
+const POD_TYPES = ['comfyui', 'dreamgen'];
+
+// Prefix makes tokens easy to recognise in pod env dumps
+const TOKEN_PREFIX = 'aethb_';
+
+// Only write lastUsedAt at most this often per token
+const LAST_USED_WRITE_INTERVAL = 60 * 1000;
+
+// Keys for tokens not (yet) bound to a pod ID
+const PENDING_KEY_PREFIX = 'pending:';
+const LEGACY_KEY_PREFIX = 'legacy:';
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Ensure data directory exists
+ */
+function ensureDataDir() {
+  const dir = path.dirname(config.BOOTSTRAP_TOKENS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Load tokens from file
+ * Tokens issued per pod type (before tokens were per pod) are kept under
+ * 'legacy:<podType>' until a pod of that type is started and adopts them.
+ * @returns {Object} Map of podId -> stored token record
+ */
+function loadTokens() {
+  try {
+    if (fs.existsSync(config.BOOTSTRAP_TOKENS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(config.BOOTSTRAP_TOKENS_FILE, 'utf8'));
+      if (!data || typeof data !== 'object') return {};
+      
+      for (const podType of POD_TYPES) {
+        if (data[podType] && !data[podType].podType) {
+          data[`${LEGACY_KEY_PREFIX}${podType}`] = { ...data[podType], podType, podId: null };
+          delete data[podType];
+        }
+      }
+      
+      return data;
+    }
+  } catch (e) {
+    console.error('Error loading bootstrap tokens:', e.message);
+  }
+  return {};
+}
+
+/**
+ * Save tokens to file
+ * @param {Object} tokens - Map of podId -> token record
+ */
+function saveTokens(tokens) {
+  ensureDataDir();
+  fs.writeFileSync(config.BOOTSTRAP_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+  // Set restrictive permissions
+  try {
+    fs.chmodSync(config.BOOTSTRAP_TOKENS_FILE, 0o600);
+  } catch (e) {
+    // Might fail on some systems, that's okay
+  }
+}
+
+/**
+ * Hash a raw token for storage/lookup
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Validate a pod type
+ * @param {string} podType - Pod type
+ */
+function assertPodType(podType) {
+  if (!POD_TYPES.includes(podType)) {
+    throw new Error(`Invalid pod type: ${podType}`);
+  }
+}
+
+// ============================================================================
+// TOKEN MANAGEMENT
+// ============================================================================
+
+/**
+ * Issue a new bootstrap token for a pod
+ * Replaces (and so revokes) any existing token for that pod. Pods being
+ * created don't have an ID yet - issue without one and bind it afterwards.
+ * @param {string} podType - 'comfyui' or 'dreamgen'
+ * @param {Object} [options] - Options
+ * @param {string} [options.podId] - RunPod pod ID (omit while creating the pod)
+ * @param {string} [options.issuedBy] - Username or 'system' (for the status view)
+ * @returns {Object} { token, key, info } - the raw token is only returned here;
+ *   key identifies the record until it is bound to a pod
+ */
+function issueBootstrapToken(podType, { podId = null, issuedBy = 'system' } = {}) {
+  assertPodType(podType);
+  
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+  const key = podId || `${PENDING_KEY_PREFIX}${crypto.randomBytes(8).toString('hex')}`;
+  const now = Date.now();
+  const record = {
+    podType,
+    podId,
+    hash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    issuedBy,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + config.POD_BOOTSTRAP_TOKEN_TTL).toISOString(),
+    lastUsedAt: null,
+  };
+  
+  const tokens = loadTokens();
+  tokens[key] = record;
+  saveTokens(tokens);
+  
+  return { token, key, info: toStatus(key, record) };
+}
+
+/**
+ * Bind a token issued during pod creation to the created pod
+ * @param {string} key - Key returned by issueBootstrapToken()
+ * @param {string} podId - RunPod pod ID
+ */
+function bindBootstrapToken(key, podId) {
+  const tokens = loadTokens();
+  if (!tokens[key]) return;
+  
+  tokens[podId] = { ...tokens[key], podId };
+  delete tokens[key];
+  saveTokens(tokens);
+}
+
+/**
+ * Extend a pod's token for another POD_BOOTSTRAP_TOKEN_TTL
+ * Called whenever the panel starts the pod, so a pod stopped for longer than
+ * the TTL can still fetch its secrets when it comes back. A pod without its
+ * own token adopts the one issued for its type before tokens were per pod.
+ * @param {string} podId - RunPod pod ID
+ * @param {string} [podType] - Pod type, if known
+ * @returns {boolean} True if the pod has a token (now renewed)
+ */
+function renewBootstrapToken(podId, podType = null) {
+  const tokens = loadTokens();
+  const legacyKey = `${LEGACY_KEY_PREFIX}${podType}`;
+  
+  if (!tokens[podId] && podType && tokens[legacyKey]) {
+    tokens[podId] = { ...tokens[legacyKey], podId };
+    delete tokens[legacyKey];
+    console.log(`[bootstrap-tokens] Pod ${podId} adopted the ${podType} token`);
+  }
+  
+  const record = tokens[podId];
+  if (!record) return false;
+  
+  record.renewedAt = new Date().toISOString();
+  record.expiresAt = new Date(Date.now() + config.POD_BOOTSTRAP_TOKEN_TTL).toISOString();
+  saveTokens(tokens);
+  return true;
+}
+
+/**
+ * Check the deprecated shared POD_BOOTSTRAP_TOKEN from the environment
+ * Pods created before per-pod tokens carry it; it is accepted for any pod
+ * type until POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL.
+ * @param {string} token - Raw token from the pod
+ * @returns {boolean} True if the shared token matches and is still accepted
+ */
+function verifyLegacyToken(token) {
+  const legacy = config.POD_BOOTSTRAP_TOKEN;
+  if (!legacy || Date.now() > config.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL) return false;
+  
+  const hash = Buffer.from(hashToken(token));
+  if (!crypto.timingSafeEqual(hash, Buffer.from(hashToken(legacy)))) return false;
+  
+  console.warn('[bootstrap-tokens] A pod used the deprecated shared POD_BOOTSTRAP_TOKEN - ' +
+    `recreate it to get its own token before ${new Date(config.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL).toISOString().slice(0, 10)}`);
+  return true;
+}
+
+/**
+ * Verify a bootstrap token for a pod type
+ * @param {string} podType - Pod type requesting secrets
+ * @param {string} token - Raw token from the pod
+ * @returns {boolean} True if the token was issued to a pod of this type and is unexpired
+ */
+function verifyBootstrapToken(podType, token) {
+  if (!POD_TYPES.includes(podType) || !token) {
+    return false;
+  }
+  
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return verifyLegacyToken(token);
+  }
+  
+  const tokens = loadTokens();
+  const hash = Buffer.from(hashToken(token));
+  const record = Object.values(tokens).find(r => crypto.timingSafeEqual(hash, Buffer.from(r.hash)));
+  
+  if (!record || record.podType !== podType) {
+    return false;
+  }
+  
+  if (new Date(record.expiresAt).getTime() < Date.now()) {
+    return false;
+  }
+  
+  const lastUsed = record.lastUsedAt ? new Date(record.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_WRITE_INTERVAL) {
+    record.lastUsedAt = new Date().toISOString();
+    saveTokens(tokens);
+  }
+  
+  return true;
+}
+
+/**
+ * Get the pod type of a pod's token
+ * @param {string} podId - RunPod pod ID (or 'legacy:<podType>')
+ * @returns {string|null} Pod type, or null if the pod has no token
+ */
+function getTokenPodType(podId) {
+  const tokens = loadTokens();
+  return Object.hasOwn(tokens, podId) ? tokens[podId].podType : null;
+}
+
+/**
+ * Revoke a pod's bootstrap token
+ * @param {string} podId - RunPod pod ID (or 'legacy:<podType>')
+ * @returns {boolean} True if a token was revoked
+ */
+function revokeBootstrapToken(podId) {
+  const tokens = loadTokens();
+  if (!Object.hasOwn(tokens, podId)) return false;
+  
+  delete tokens[podId];
+  saveTokens(tokens);
+  return true;
+}
+
+/**
+ * Build the public status for a stored token
+ * @param {string} key - Pod ID (or legacy/pending key)
+ * @param {Object} record - Stored record
+ * @returns {Object} Status without the hash
+ */
+function toStatus(key, record) {
+  return {
+    id: key,
+    podType: record.podType,
+    podId: record.podId,
+    legacy: key.startsWith(LEGACY_KEY_PREFIX),
+    prefix: record.prefix,
+    issuedBy: record.issuedBy,
+    createdAt: record.createdAt,
+    renewedAt: record.renewedAt || null,
+    expiresAt: record.expiresAt,
+    expired: new Date(record.expiresAt).getTime() < Date.now(),
+    lastUsedAt: record.lastUsedAt,
+  };
+}
+
+/**
+ * Get the status of every pod's token (no secrets)
+ * @returns {Object} { tokens: [status], shared: { configured, acceptedUntil, accepted } }
+ */
+function getBootstrapTokenStatus() {
+  const tokens = loadTokens();
+  
+  return {
+    tokens: Object.entries(tokens)
+      .filter(([key]) => !key.startsWith(PENDING_KEY_PREFIX))
+      .map(([key, record]) => toStatus(key, record))
+      .sort((a, b) => a.podType.localeCompare(b.podType) || b.createdAt.localeCompare(a.createdAt)),
+    shared: {
+      configured: !!config.POD_BOOTSTRAP_TOKEN,
+      acceptedUntil: new Date(config.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL).toISOString(),
+      accepted: !!config.POD_BOOTSTRAP_TOKEN && Date.now() <= config.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL,
+    },
+  };
+}
+
+module.exports = {
+  POD_TYPES,
+  TOKEN_PREFIX,
+  issueBootstrapToken,
+  bindBootstrapToken,
+  renewBootstrapToken,
+  verifyBootstrapToken,
+  getTokenPodType,
+  revokeBootstrapToken,
+  getBootstrapTokenStatus,
+};
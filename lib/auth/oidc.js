@@ -0,0 +1,240 @@
+// lib/auth/oidc.js - Single sign-on via OpenID Connect
+// Authorization code flow with PKCE, and IdP group -> role mapping
+
+const { Issuer, generators } = require('openid-client');
+const config = require('../../config');
+const roles = require('./roles');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Discovered client (cached; cleared if discovery fails so it is retried)
+let clientPromise = null;
+
+// Pending sign-ins keyed by state (in-memory, single use, expire with LOGIN_CHALLENGE_TTL)
+const pendingLogins = new Map();
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+/**
+ * Check whether single sign-on is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return !!(config.OIDC_ISSUER && config.OIDC_CLIENT_ID);
+}
+
+/**
+ * Get the OIDC client, discovering the provider on first use
+ * @returns {Promise<Object>} openid-client Client
+ */
+function getClient() {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(config.OIDC_ISSUER)
+      .then(issuer => {
+        console.log(`[oidc] Discovered ${issuer.issuer}`);
+        return new issuer.Client({
+          client_id: config.OIDC_CLIENT_ID,
+          client_secret: config.OIDC_CLIENT_SECRET || undefined,
+          token_endpoint_auth_method: config.OIDC_CLIENT_SECRET ? 'client_secret_basic' : 'none',
+          response_types: ['code'],
+        });
+      })
+      .catch(e => {
+        clientPromise = null;
+        throw new Error(`Identity provider unavailable: ${e.message}`);
+      });
+  }
+  return clientPromise;
+}
+
+/**
+ * Resolve the callback URL registered with the provider
+ * Uses OIDC_REDIRECT_URI when configured, otherwise the host the panel was
+ * reached on (trust proxy is enabled, so this is the public URL).
+ * @param {Object} req - Express request
+ * @returns {string} Redirect URI
+ */
+function getRedirectUri(req) {
+  return config.OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/auth/oidc/callback`;
+}
+
+// ============================================================================
+// ROLE MAPPING
+// ============================================================================
+
+/**
+ * Parse OIDC_ROLE_MAP ("group=role,group=role")
+ * @returns {Map<string, string>} Group -> role
+ */
+function parseRoleMap() {
+  const map = new Map();
+  
+  for (const entry of config.OIDC_ROLE_MAP.split(',')) {
+    const [group, role] = entry.split('=').map(part => part.trim());
+    if (!group || !role) continue;
+    
+    if (!roles.isValidRole(role)) {
+      console.error(`[oidc] Ignoring OIDC_ROLE_MAP entry '${entry.trim()}' - unknown role`);
+      continue;
+    }
+    map.set(group, role);
+  }
+  
+  return map;
+}
+
+/**
+ * Map IdP groups to a local role
+ * Roles are ranked in the order they are defined (viewer < operator < admin)
+ * and the highest matching one wins.
+ * @param {Array<string>} groups - Groups from the groups claim
+ * @returns {string|null} Role, OIDC_DEFAULT_ROLE, or null if neither applies
+ */
+function mapGroupsToRole(groups) {
+  const roleMap = parseRoleMap();
+  const ranking = Object.keys(roles.ROLES);
+  
+  const matched = groups
+    .filter(group => roleMap.has(group))
+    .map(group => roleMap.get(group))
+    .sort((a, b) => ranking.indexOf(b) - ranking.indexOf(a));
+  
+  if (matched.length > 0) return matched[0];
+  return roles.isValidRole(config.OIDC_DEFAULT_ROLE) ? config.OIDC_DEFAULT_ROLE : null;
+}
+
+// ============================================================================
+// SIGN-IN FLOW
+// ============================================================================
+
+/**
+ * Start a sign-in: build the provider's authorization URL
+ * @param {Object} req - Express request
+ * @param {Object} [options] - Options
+ * @param {string} [options.intent] - 'login', 'reauth' to confirm identity for sudo mode,
+ *   or 'link' to link the identity to a signed-in user
+ * @param {string} [options.username] - Signed-in user starting a 'link'
+ * @returns {Promise<Object>} { url, state } - state must be bound to the browser
+ */
+async function beginLogin(req, { intent = 'login', username = null } = {}) {
+  const client = await getClient();
+  const now = Date.now();
+  
+  // Drop expired sign-ins while we're here
+  for (const [key, pending] of pendingLogins) {
+    if (pending.expiresAt < now) {
+      pendingLogins.delete(key);
+    }
+  }
+  
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+  const redirectUri = getRedirectUri(req);
+  
+  pendingLogins.set(state, {
+    nonce,
+    codeVerifier,
+    redirectUri,
+    intent,
+    username,
+    expiresAt: now + config.LOGIN_CHALLENGE_TTL,
+  });
+  
+  const url = client.authorizationUrl({
+    scope: config.OIDC_SCOPES,
+    redirect_uri: redirectUri,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+    state,
+    nonce,
+    // Re-authentication must not be satisfied by the IdP's existing session
+    ...(intent === 'reauth' ? { prompt: 'login', max_age: 0 } : {}),
+  });
+  
+  return { url, state };
+}
+
+/**
+ * Finish a sign-in: exchange the code and verify the ID token
+ * @param {Object} req - Express request to the callback URL
+ * @param {string} state - State bound to the browser when the sign-in started
+ * @returns {Promise<Object>} { intent, startedBy, issuer, subject, username, email, groups, role }
+ * @throws {Error} If the sign-in expired, was tampered with or the IdP refused it
+ */
+async function finishLogin(req, state) {
+  const pending = state ? pendingLogins.get(state) : null;
+  if (state) pendingLogins.delete(state);
+  
+  if (!pending || pending.expiresAt < Date.now()) {
+    throw new Error('Single sign-on expired, please try again');
+  }
+  
+  const client = await getClient();
+  const params = client.callbackParams(req);
+  
+  if (params.error) {
+    throw new Error(params.error_description || params.error);
+  }
+  
+  const tokenSet = await client.callback(pending.redirectUri, params, {
+    state,
+    nonce: pending.nonce,
+    code_verifier: pending.codeVerifier,
+  });
+  
+  let claims = tokenSet.claims();
+  
+  // Some providers only put profile and group claims in userinfo
+  if (claims[config.OIDC_GROUPS_CLAIM] === undefined || claims[config.OIDC_USERNAME_CLAIM] === undefined) {
+    try {
+      const userinfo = await client.userinfo(tokenSet);
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims };
+      }
+    } catch (e) {
+      // No userinfo endpoint, or not allowed - the ID token is all we have
+    }
+  }
+  
+  const rawGroups = claims[config.OIDC_GROUPS_CLAIM];
+  const groups = Array.isArray(rawGroups) ? rawGroups.map(String) : (rawGroups ? [String(rawGroups)] : []);
+  
+  return {
+    intent: pending.intent,
+    startedBy: pending.username,
+    issuer: claims.iss,
+    subject: claims.sub,
+    username: claims[config.OIDC_USERNAME_CLAIM] || claims.email || null,
+    email: claims.email || null,
+    groups,
+    role: mapGroupsToRole(groups),
+  };
+}
+
+/**
+ * Public settings for the login screen
+ * @returns {Object} { enabled, name }
+ */
+function getPublicConfig() {
+  return {
+    enabled: isEnabled(),
+    name: config.OIDC_PROVIDER_NAME,
+  };
+}
+
+module.exports = {
+  isEnabled,
+  getPublicConfig,
+  
+  // Sign-in flow
+  beginLogin,
+  finishLogin,
+  
+  // Role mapping
+  mapGroupsToRole,
+};
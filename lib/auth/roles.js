@@ -0,0 +1,204 @@
+// lib/auth/roles.js - Role-based access control
+// Role definitions and permission checks for admin panel users
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+/**
+ * All known permissions, grouped by domain
+ * Routes declare one of these via requirePermission() and the SPA uses the
+ * same names to hide controls the current user cannot use.
+ */
+const PERMISSIONS = {
+  // Bots
+  'bots:read': 'View bots, status and logs',
+  'bots:control': 'Start, stop bots and switch slots',
+  'bots:restart': 'Restart running bots',
+  'bots:configure': 'Edit bot configuration files',
+  'bots:admin': 'Create bots and clean up systemd services',
+  
+  // Deployment slots
+  'slots:read': 'View slot git status and diffs',
+  'slots:deploy': 'Fetch, pull, checkout, build and restart bots on a slot',
+  'slots:discard': 'Discard local changes in a slot',
+  
+  // Services (aethera container)
+  'services:read': 'View service status and logs',
+  'services:control': 'Start, stop and restart services',
+  
+  // Dreams / RunPod
+  'dreams:read': 'View GPU and pod status',
+  'dreams:control': 'Start, stop, update and create pods',
+  'dreams:admin': 'Terminate pods and reset dreams state',
+  
+  // Blog
+  'blog:read': 'View blog posts',
+  'blog:write': 'Create, edit, publish and unpublish posts',
+  'blog:delete': 'Delete blog posts',
+  
+  // Server
+  'server:read': 'View server metrics',
+  'server:maintain': 'Trim logs, prune docker, run diagnostics',
+  
+  // Usage
+  'usage:read': 'View token usage and costs',
+  'usage:sync': 'Sync and backfill usage data',
+  
+  // Schedules
+  'schedules:read': 'View scheduled actions and their run history',
+  'schedules:manage': 'Create, edit, enable and run schedules (also needs the scheduled action\'s permission)',
+  
+  // Audit log
+  'audit:read': 'View the audit log of admin actions',
+  
+  // Secrets vault
+  'secrets:manage': 'View which secrets are set and set, rotate or clear them',
+  
+  // Network access
+  'network:manage': 'Edit the IP allow/deny policy',
+  
+  // Users
+  'users:manage': 'List, create and change roles of users',
+};
+
+// ============================================================================
+// ROLES
+// ============================================================================
+
+const VIEWER_PERMISSIONS = [
+  'bots:read',
+  'slots:read',
+  'services:read',
+  'dreams:read',
+  'blog:read',
+  'server:read',
+  'usage:read',
+  'schedules:read',
+];
+
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'bots:control',
+  'bots:restart',
+  'bots:configure',
+  'slots:deploy',
+  'services:control',
+  'dreams:control',
+  'blog:write',
+  'server:maintain',
+  'usage:sync',
+  'schedules:manage',
+];
+
+/**
+ * Role -> granted permissions
+ * '*' grants every permission
+ */
+const ROLES = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: ['*'],
+};
+
+// Users created before roles existed had full access - keep it that way
+const LEGACY_ROLE = 'admin';
+
+// Permissions that can never be granted to an API token - account, user,
+// secret and network policy management always requires an interactive session
+const SESSION_ONLY_PERMISSIONS = ['users:manage', 'secrets:manage', 'network:manage'];
+
+// Token scope that stands in for sudo mode - tokens can't re-enter a
+// password, so actions guarded by requireRecentAuth need it explicitly
+const SUDO_SCOPE = 'sudo';
+const SUDO_SCOPE_DESCRIPTION = 'Use destructive actions that need a password confirmation in the UI';
+
+// ============================================================================
+// CHECKS
+// ============================================================================
+
+/**
+ * Check if a role name is valid
+ * @param {string} role - Role name
+ * @returns {boolean} True if the role exists
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name (e.g. 'bots:control')
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(role, permission) {
+  const granted = ROLES[role];
+  if (!granted) return false;
+  
+  return granted.includes('*') || granted.includes(permission);
+}
+
+/**
+ * Get the full list of permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permission names
+ */
+function getPermissionsForRole(role) {
+  const granted = ROLES[role];
+  if (!granted) return [];
+  
+  return granted.includes('*') ? Object.keys(PERMISSIONS) : [...granted];
+}
+
+/**
+ * Check if a set of API token scopes allows a permission
+ * A write scope implies read access to the same domain, so a token scoped to
+ * 'bots:restart' can also see the bots it restarts.
+ * @param {Array<string>} scopes - Token scopes
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if allowed
+ */
+function scopeAllows(scopes, permission) {
+  if (!Array.isArray(scopes)) return false;
+  if (scopes.includes(permission)) return true;
+  
+  const [domain, action] = permission.split(':');
+  return action === 'read' && scopes.some(scope => scope.startsWith(`${domain}:`));
+}
+
+/**
+ * Get the scopes a role may grant to its API tokens
+ * @param {string} role - Role name
+ * @returns {Array<string>} Permission names usable as token scopes
+ */
+function getTokenScopesForRole(role) {
+  const scopes = getPermissionsForRole(role).filter(p => !SESSION_ONLY_PERMISSIONS.includes(p));
+  return scopes.length > 0 ? [...scopes, SUDO_SCOPE] : scopes;
+}
+
+/**
+ * List roles with their permissions (for the UI)
+ * @returns {Array} [{ name, permissions }]
+ */
+function listRoles() {
+  return Object.keys(ROLES).map(name => ({
+    name,
+    permissions: getPermissionsForRole(name),
+  }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  LEGACY_ROLE,
+  SESSION_ONLY_PERMISSIONS,
+  SUDO_SCOPE,
+  SUDO_SCOPE_DESCRIPTION,
+  isValidRole,
+  hasPermission,
+  getPermissionsForRole,
+  scopeAllows,
+  getTokenScopesForRole,
+  listRoles,
+};
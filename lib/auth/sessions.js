@@ -1,84 +1,218 @@
 // lib/auth/sessions.js - Session management
-// In-memory session store backed by file for persistence across restarts
+// SQLite session store with sliding expiry; tokens are only kept as hashes
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const Database = require('better-sqlite3');
 const config = require('../../config');
 
 // ============================================================================
-// SESSION STORE
+// DATABASE SETUP
 // ============================================================================
 
-let sessions = new Map();
+const DB_PATH = path.join(config.DATA_DIR, 'sessions.sqlite');
+
+// How often expired sessions are removed
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+// Only persist lastSeenAt (and slide the idle expiry) at most this often per session
+const LAST_SEEN_WRITE_INTERVAL = 60 * 1000;
+
+let db = null;
 
 /**
- * Ensure data directory exists
+ * Initialize the database and create tables
+ * Imports sessions from the old sessions.json on first start.
  */
-function ensureDataDir() {
-  const dir = path.dirname(config.SESSIONS_FILE);
+function initDB() {
+  if (db) return db;
+  
+  const dir = path.dirname(DB_PATH);
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  // token_hash is SHA-256 of the cookie value - the token itself is never stored
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      id TEXT NOT NULL,
+      username TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL,
+      idle_expires_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      csrf_token TEXT NOT NULL,
+      reauth_until INTEGER
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_sessions_username
+      ON sessions(username);
+    
+    CREATE INDEX IF NOT EXISTS idx_sessions_idle_expires
+      ON sessions(idle_expires_at);
+  `);
+  
+  importLegacySessions();
+  pruneExpiredSessions();
+  
+  // Don't keep the process alive just to prune
+  setInterval(pruneExpiredSessions, PRUNE_INTERVAL).unref();
+  
+  return db;
 }
 
 /**
- * Load sessions from file
+ * Move sessions from the old sessions.json into the database
+ * The file held raw tokens, so it is deleted once imported.
  */
-function loadSessions() {
+function importLegacySessions() {
+  if (!fs.existsSync(config.SESSIONS_FILE)) return;
+  
   try {
-    if (fs.existsSync(config.SESSIONS_FILE)) {
-      const data = JSON.parse(fs.readFileSync(config.SESSIONS_FILE, 'utf8'));
-      sessions = new Map(Object.entries(data));
-      
-      // Clean expired sessions
-      const now = Date.now();
-      let cleaned = 0;
-      for (const [token, session] of sessions) {
-        if (session.expiresAt < now) {
-          sessions.delete(token);
-          cleaned++;
-        }
+    const data = JSON.parse(fs.readFileSync(config.SESSIONS_FILE, 'utf8'));
+    const now = Date.now();
+    
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO sessions
+        (token_hash, id, username, created_at, last_seen_at, idle_expires_at, expires_at, ip, user_agent, csrf_token, reauth_until)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    
+    const imported = db.transaction((entries) => {
+      let count = 0;
+      for (const [token, session] of entries) {
+        if (!session.username || session.expiresAt < now) continue;
+        
+        const tokenHash = hashToken(token);
+        insert.run(
+          tokenHash,
+          tokenHash.slice(0, 16),
+          session.username,
+          session.createdAt || now,
+          session.lastSeenAt || session.createdAt || now,
+          Math.min(now + config.SESSION_IDLE_TIMEOUT, session.expiresAt),
+          session.expiresAt,
+          session.ip || null,
+          session.userAgent || null,
+          session.csrfToken || crypto.randomBytes(32).toString('hex'),
+          session.reauthUntil || null
+        );
+        count++;
       }
-      
-      if (cleaned > 0) {
-        saveSessions();
-        console.log(`Cleaned ${cleaned} expired session(s)`);
-      }
-    }
+      return count;
+    })(Object.entries(data));
+    
+    fs.unlinkSync(config.SESSIONS_FILE);
+    console.log(`Imported ${imported} session(s) from ${path.basename(config.SESSIONS_FILE)}`);
   } catch (e) {
-    console.error('Error loading sessions:', e.message);
-    sessions = new Map();
+    console.error('Error importing sessions.json:', e.message);
   }
 }
 
 /**
- * Save sessions to file
+ * Delete sessions past their idle or absolute expiry
+ * @returns {number} Number of sessions deleted
  */
-function saveSessions() {
+function pruneExpiredSessions() {
   try {
-    ensureDataDir();
-    const data = Object.fromEntries(sessions);
-    fs.writeFileSync(config.SESSIONS_FILE, JSON.stringify(data, null, 2));
+    const now = Date.now();
+    const result = initDB().prepare('DELETE FROM sessions WHERE idle_expires_at < ? OR expires_at < ?').run(now, now);
+    
+    if (result.changes > 0) {
+      console.log(`Cleaned ${result.changes} expired session(s)`);
+    }
+    return result.changes;
   } catch (e) {
-    console.error('Error saving sessions:', e.message);
+    console.error('Error pruning sessions:', e.message);
+    return 0;
   }
 }
 
+// ============================================================================
+// SESSION STORE
+// ============================================================================
+
+/**
+ * Hash a session token for storage and lookup
+ * @param {string} token - Session token (cookie value)
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Convert a database row to a session object
+ * @param {Object} row - sessions row
+ * @returns {Object} Session
+ */
+function rowToSession(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    idleExpiresAt: row.idle_expires_at,
+    expiresAt: row.expires_at,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    csrfToken: row.csrf_token,
+    reauthUntil: row.reauth_until,
+  };
+}
+
+/**
+ * Check whether a session has expired (idle or absolute)
+ * @param {Object} session - Session object
+ * @param {number} [now] - Current time
+ * @returns {boolean}
+ */
+function isExpired(session, now = Date.now()) {
+  return session.idleExpiresAt < now || session.expiresAt < now;
+}
+
 /**
  * Create a new session
+ * Expires after SESSION_IDLE_TIMEOUT without use, and SESSION_MAX_AGE after
+ * creation however active it is.
  * @param {string} username - Username for the session
+ * @param {Object} [meta] - Client details
+ * @param {string} [meta.ip] - Client IP address
+ * @param {string} [meta.userAgent] - Client User-Agent header
  * @returns {string} Session token
  */
-function createSession(username) {
+function createSession(username, meta = {}) {
   const token = crypto.randomBytes(32).toString('hex');
-  const session = {
+  const tokenHash = hashToken(token);
+  const now = Date.now();
+  const expiresAt = now + config.SESSION_MAX_AGE;
+  
+  initDB().prepare(`
+    INSERT INTO sessions
+      (token_hash, id, username, created_at, last_seen_at, idle_expires_at, expires_at, ip, user_agent, csrf_token)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    tokenHash,
+    tokenHash.slice(0, 16),
     username,
-    createdAt: Date.now(),
-    expiresAt: Date.now() + config.SESSION_MAX_AGE,
-  };
-  sessions.set(token, session);
-  saveSessions();
+    now,
+    now,
+    Math.min(now + config.SESSION_IDLE_TIMEOUT, expiresAt),
+    expiresAt,
+    meta.ip || null,
+    meta.userAgent ? String(meta.userAgent).slice(0, 512) : null,
+    crypto.randomBytes(32).toString('hex')
+  );
+  
   return token;
 }
 
@@ -90,12 +224,14 @@ function createSession(username) {
 function getSession(token) {
   if (!token) return null;
   
-  const session = sessions.get(token);
-  if (!session) return null;
+  const tokenHash = hashToken(token);
+  const row = initDB().prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash);
+  if (!row) return null;
+  
+  const session = rowToSession(row);
   
-  if (session.expiresAt < Date.now()) {
-    sessions.delete(token);
-    saveSessions();
+  if (isExpired(session)) {
+    db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
     return null;
   }
   
@@ -107,28 +243,129 @@ function getSession(token) {
  * @param {string} token - Session token to delete
  */
 function deleteSession(token) {
-  if (sessions.has(token)) {
-    sessions.delete(token);
-    saveSessions();
-  }
+  if (!token) return;
+  initDB().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
 }
 
 /**
  * Delete all sessions for a user
  * @param {string} username - Username whose sessions to delete
+ * @returns {number} Number of sessions deleted
  */
 function deleteSessionsForUser(username) {
-  let deleted = 0;
-  for (const [token, session] of sessions) {
-    if (session.username === username) {
-      sessions.delete(token);
-      deleted++;
-    }
-  }
-  if (deleted > 0) {
-    saveSessions();
+  return initDB().prepare('DELETE FROM sessions WHERE username = ?').run(username).changes;
+}
+
+/**
+ * Derive a stable public ID for a session
+ * The token itself is a credential and must never be sent back to clients.
+ * @param {string} token - Session token
+ * @returns {string} Session ID
+ */
+function getSessionId(token) {
+  return hashToken(token).slice(0, 16);
+}
+
+/**
+ * Get the CSRF token bound to a session
+ * @param {string} token - Session token
+ * @returns {string|null} CSRF token, or null if the session is invalid
+ */
+function getCsrfToken(token) {
+  const session = getSession(token);
+  return session ? session.csrfToken : null;
+}
+
+/**
+ * Record activity on a session (last-seen time and IP) and slide its idle expiry
+ * Writes are throttled so every request doesn't hit the database.
+ * @param {string} token - Session token
+ * @param {string} [ip] - Client IP address
+ */
+function touchSession(token, ip) {
+  const session = getSession(token);
+  if (!session) return;
+  
+  const now = Date.now();
+  const ipChanged = ip && session.ip !== ip;
+  
+  if (ipChanged || now - session.lastSeenAt > LAST_SEEN_WRITE_INTERVAL) {
+    db.prepare(`
+      UPDATE sessions SET last_seen_at = ?, idle_expires_at = ?, ip = ?
+      WHERE token_hash = ?
+    `).run(
+      now,
+      Math.min(now + config.SESSION_IDLE_TIMEOUT, session.expiresAt),
+      ip || session.ip,
+      hashToken(token)
+    );
   }
-  return deleted;
+}
+
+/**
+ * List active sessions for a user (without tokens)
+ * @param {string} username - Username
+ * @returns {Array} [{ id, createdAt, expiresAt, lastSeenAt, ip, userAgent }] most recent first
+ */
+function listSessionsForUser(username) {
+  const rows = initDB().prepare(`
+    SELECT * FROM sessions
+    WHERE username = ? AND idle_expires_at >= ? AND expires_at >= ?
+    ORDER BY last_seen_at DESC
+  `).all(username, Date.now(), Date.now());
+  
+  // expiresAt is when the session ends if left unused
+  return rows.map(row => ({
+    id: row.id,
+    createdAt: row.created_at,
+    expiresAt: Math.min(row.idle_expires_at, row.expires_at),
+    lastSeenAt: row.last_seen_at,
+    ip: row.ip,
+    userAgent: row.user_agent,
+  }));
+}
+
+/**
+ * Delete one of a user's sessions by its public ID
+ * @param {string} username - Username who owns the session
+ * @param {string} id - Session ID (from listSessionsForUser)
+ * @returns {boolean} True if a session was deleted
+ */
+function deleteSessionById(username, id) {
+  return initDB().prepare('DELETE FROM sessions WHERE username = ? AND id = ?').run(username, id).changes > 0;
+}
+
+/**
+ * Delete all of a user's sessions except one
+ * @param {string} username - Username whose sessions to delete
+ * @param {string} keepToken - Session token to keep (usually the current one)
+ * @returns {number} Number of sessions deleted
+ */
+function deleteOtherSessions(username, keepToken) {
+  return initDB().prepare('DELETE FROM sessions WHERE username = ? AND token_hash != ?')
+    .run(username, hashToken(keepToken)).changes;
+}
+
+/**
+ * Mark a session as recently re-authenticated ("sudo mode")
+ * @param {string} token - Session token
+ * @returns {number|null} Time the elevation expires, or null if the session is invalid
+ */
+function elevateSession(token) {
+  if (!getSession(token)) return null;
+  
+  const reauthUntil = Date.now() + config.REAUTH_WINDOW;
+  db.prepare('UPDATE sessions SET reauth_until = ? WHERE token_hash = ?').run(reauthUntil, hashToken(token));
+  return reauthUntil;
+}
+
+/**
+ * Check whether a session re-authenticated recently enough for destructive actions
+ * @param {Object} session - Session object
+ * @returns {boolean} True if still within the re-authentication window
+ */
+function isSessionElevated(session) {
+  return !!session?.reauthUntil && session.reauthUntil > Date.now();
 }
 
 /**
@@ -136,16 +373,99 @@ function deleteSessionsForUser(username) {
  * @returns {number} Number of active sessions
  */
 function getSessionCount() {
-  return sessions.size;
+  const now = Date.now();
+  return initDB().prepare('SELECT COUNT(*) AS count FROM sessions WHERE idle_expires_at >= ? AND expires_at >= ?')
+    .get(now, now).count;
+}
+
+// ============================================================================
+// LOGIN CHALLENGES
+// ============================================================================
+// Pending second-factor challenges issued after a correct password.
+// Kept in memory only - a restart simply means logging in again.
+
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const challenges = new Map();
+
+/**
+ * Create a pending login challenge for a user who passed the password step
+ * @param {string} username - Username awaiting second factor
+ * @returns {string} Challenge token
+ */
+function createLoginChallenge(username) {
+  const now = Date.now();
+  
+  // Drop expired challenges while we're here
+  for (const [token, challenge] of challenges) {
+    if (challenge.expiresAt < now) {
+      challenges.delete(token);
+    }
+  }
+  
+  const token = crypto.randomBytes(32).toString('hex');
+  challenges.set(token, {
+    username,
+    attempts: 0,
+    createdAt: now,
+    expiresAt: now + config.LOGIN_CHALLENGE_TTL,
+  });
+  return token;
+}
+
+/**
+ * Get a pending login challenge and count an attempt against it
+ * The challenge is discarded once it expires or runs out of attempts.
+ * @param {string} token - Challenge token
+ * @returns {Object|null} Challenge object or null if invalid/expired
+ */
+function useLoginChallenge(token) {
+  if (!token) return null;
+  
+  const challenge = challenges.get(token);
+  if (!challenge) return null;
+  
+  if (challenge.expiresAt < Date.now() || challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    challenges.delete(token);
+    return null;
+  }
+  
+  challenge.attempts++;
+  return challenge;
+}
+
+/**
+ * Delete a login challenge (after it has been completed)
+ * @param {string} token - Challenge token
+ */
+function deleteLoginChallenge(token) {
+  challenges.delete(token);
 }
 
 module.exports = {
-  loadSessions,
-  saveSessions,
+  initDB,
+  pruneExpiredSessions,
   createSession,
   getSession,
   deleteSession,
   deleteSessionsForUser,
   getSessionCount,
+  
+  // Session management
+  getSessionId,
+  getCsrfToken,
+  touchSession,
+  listSessionsForUser,
+  deleteSessionById,
+  deleteOtherSessions,
+  
+  // Re-authentication (sudo mode)
+  elevateSession,
+  isSessionElevated,
+  
+  // Login challenges (two-factor)
+  createLoginChallenge,
+  useLoginChallenge,
+  deleteLoginChallenge,
 };
 
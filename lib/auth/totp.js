@@ -0,0 +1,221 @@
+// lib/auth/totp.js - Time-based one-time passwords (RFC 6238)
+// Secret generation, code verification and otpauth:// URIs for authenticator apps
+
+const crypto = require('crypto');
+const config = require('../../config');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1;  // accept +/- 1 step for clock drift
+const SECRET_BYTES = 20; // 160 bits, as recommended by RFC 4226
+
+// ============================================================================
+// BASE32
+// ============================================================================
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding/spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | idx;
+    bits += 5;
+    
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Get the current time step
+ * @param {number} [now] - Timestamp in ms (defaults to Date.now())
+ * @returns {number} Time step counter
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Generate the HOTP code for a given counter (RFC 4226)
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} counter - Counter / time step
+ * @returns {string} Zero-padded numeric code
+ */
+function generateCode(secret, counter) {
+  const key = base32Decode(secret);
+  
+  const counterBuf = Buffer.alloc(8);
+  counterBuf.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto.createHmac('sha1', key).update(counterBuf).digest();
+  
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+                 (hmac[offset + 1] << 16) |
+                 (hmac[offset + 2] << 8) |
+                 hmac[offset + 3];
+  
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code against a secret
+ * Checks the current step and +/- TOTP_WINDOW steps to allow for clock drift.
+ *
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options
+ * @param {number} [options.lastUsedStep] - Last accepted step (codes at or before it are rejected to prevent replay)
+ * @returns {number|null} Matched time step, or null if invalid
+ */
+function verifyCode(secret, code, options = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  
+  const currentStep = getTimeStep();
+  
+  for (let i = -TOTP_WINDOW; i <= TOTP_WINDOW; i++) {
+    const step = currentStep + i;
+    
+    if (options.lastUsedStep !== undefined && step <= options.lastUsedStep) {
+      continue;
+    }
+    
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator app enrollment
+ * @param {string} username - Account name shown in the app
+ * @param {string} secret - Base32-encoded secret
+ * @returns {string} otpauth URI
+ */
+function getOtpauthUri(username, secret) {
+  const issuer = config.TOTP_ISSUER;
+  const label = encodeURIComponent(`${issuer}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// ============================================================================
+// RECOVERY CODES
+// ============================================================================
+
+/**
+ * Generate a set of single-use recovery codes
+ * @param {number} [count=10] - Number of codes to generate
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Hash a recovery code for storage
+ * Codes are high-entropy random values, so a fast hash is sufficient.
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  // Base32
+  base32Encode,
+  base32Decode,
+  
+  // TOTP
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  getOtpauthUri,
+  
+  // Recovery codes
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -3,9 +3,13 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const config = require('../../config');
 const { deleteSessionsForUser } = require('./sessions');
+const { deleteTokensForUser } = require('./api-tokens');
+const totp = require('./totp');
+const roles = require('./roles');
 
 // ============================================================================
 // USER MANAGEMENT
@@ -88,9 +92,10 @@ function usernameExists(username) {
  * Create a new user
  * @param {string} username - Username
  * @param {string} password - Password
+ * @param {string} [role='viewer'] - Role name (viewer, operator, admin)
  * @returns {Object} Created user (without password hash)
  */
-async function createUser(username, password) {
+async function createUser(username, password, role = 'viewer') {
   // Validate username
   if (!/^[a-zA-Z0-9_-]{3,32}$/.test(username)) {
     throw new Error('Username must be 3-32 characters, alphanumeric with _ or -');
@@ -106,10 +111,16 @@ async function createUser(username, password) {
     throw new Error('Password must be at least 8 characters');
   }
   
+  // Validate role
+  if (!roles.isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  
   const hash = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
   const newUser = {
     username,
     passwordHash: hash,
+    role,
     createdAt: new Date().toISOString(),
   };
   
@@ -117,7 +128,19 @@ async function createUser(username, password) {
   users.push(newUser);
   saveUsers(users);
   
-  return { username: newUser.username, createdAt: newUser.createdAt };
+  return { username: newUser.username, role: newUser.role, createdAt: newUser.createdAt };
+}
+
+/**
+ * Compare a password with a user's stored hash
+ * Users created through single sign-on have no password and never match.
+ * @param {Object} user - Stored user object
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if the password is correct
+ */
+async function checkPassword(user, password) {
+  if (!user.passwordHash) return false;
+  return bcrypt.compare(password || '', user.passwordHash);
 }
 
 /**
@@ -129,13 +152,13 @@ async function createUser(username, password) {
 async function verifyUser(username, password) {
   const user = findUser(username);
   
-  if (!user) {
+  if (!user || !user.passwordHash) {
     // Prevent timing attacks by still doing bcrypt work
     await bcrypt.hash(password, config.BCRYPT_ROUNDS);
     return null;
   }
   
-  const valid = await bcrypt.compare(password, user.passwordHash);
+  const valid = await checkPassword(user, password);
   if (!valid) return null;
   
   return { username: user.username };
@@ -159,7 +182,7 @@ async function changePassword(username, oldPassword, newPassword) {
   const user = users[userIndex];
   
   // Verify old password
-  const valid = await bcrypt.compare(oldPassword, user.passwordHash);
+  const valid = await checkPassword(user, oldPassword);
   if (!valid) {
     throw new Error('Current password is incorrect');
   }
@@ -191,10 +214,18 @@ function getUserInfo(username) {
   const user = findUser(username);
   if (!user) return null;
   
+  const role = resolveRole(user);
+  
   return {
     username: user.username,
+    role,
+    permissions: roles.getPermissionsForRole(role),
     createdAt: user.createdAt,
     passwordChangedAt: user.passwordChangedAt,
+    totpEnabled: !!user.totp?.enabled,
+    passkeyCount: (user.passkeys || []).length,
+    hasPassword: !!user.passwordHash,
+    sso: !!user.oidc,
   };
 }
 
@@ -205,8 +236,13 @@ function getUserInfo(username) {
 function listUsers() {
   return loadUsers().map(u => ({
     username: u.username,
+    role: resolveRole(u),
     createdAt: u.createdAt,
     passwordChangedAt: u.passwordChangedAt,
+    totpEnabled: !!u.totp?.enabled,
+    passkeyCount: (u.passkeys || []).length,
+    hasPassword: !!u.passwordHash,
+    sso: !!u.oidc,
   }));
 }
 
@@ -228,11 +264,569 @@ function deleteUser(username) {
     throw new Error('Cannot delete the last user');
   }
   
+  // Don't allow deleting the last admin
+  if (!filtered.some(u => resolveRole(u) === 'admin')) {
+    throw new Error('Cannot delete the last admin');
+  }
+  
   saveUsers(filtered);
   deleteSessionsForUser(username);
+  deleteTokensForUser(username);
+  return true;
+}
+
+// ============================================================================
+// ROLES
+// ============================================================================
+
+/**
+ * Resolve the effective role for a stored user record
+ * Users created before roles existed have no role field and keep full access.
+ * @param {Object} user - Stored user object
+ * @returns {string} Role name
+ */
+function resolveRole(user) {
+  return user.role && roles.isValidRole(user.role) ? user.role : roles.LEGACY_ROLE;
+}
+
+/**
+ * Get the role for a username
+ * @param {string} username - Username
+ * @returns {string|null} Role name or null if user not found
+ */
+function getUserRole(username) {
+  const user = findUser(username);
+  return user ? resolveRole(user) : null;
+}
+
+/**
+ * Change a user's role
+ * @param {string} username - Username to update
+ * @param {string} role - New role name
+ * @returns {Object} Updated user info
+ */
+function setUserRole(username, role) {
+  if (!roles.isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+  
+  const users = loadUsers();
+  const userIndex = users.findIndex(u => u.username === username);
+  
+  if (userIndex === -1) {
+    throw new Error('User not found');
+  }
+  
+  // Never leave the panel without an admin
+  const otherAdmins = users.filter((u, i) => i !== userIndex && resolveRole(u) === 'admin');
+  if (role !== 'admin' && otherAdmins.length === 0) {
+    throw new Error('Cannot remove the last admin');
+  }
+  
+  users[userIndex].role = role;
+  saveUsers(users);
+  
+  return { username, role };
+}
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================================================
+// Stored on the user record next to the bcrypt hash:
+//   totp: { enabled, secret, pendingSecret, enabledAt, lastUsedStep }
+//   recoveryCodes: [sha256 hashes of unused codes]
+
+/**
+ * Load users and locate one by username, throwing if missing
+ * @param {string} username - Username to find
+ * @returns {Object} { users, index, user }
+ */
+function loadUserForUpdate(username) {
+  const users = loadUsers();
+  const index = users.findIndex(u => u.username === username);
+  
+  if (index === -1) {
+    throw new Error('User not found');
+  }
+  
+  return { users, index, user: users[index] };
+}
+
+/**
+ * Check whether a user has TOTP enabled
+ * @param {string} username - Username to check
+ * @returns {boolean} True if a second factor is required at login
+ */
+function isTotpEnabled(username) {
+  const user = findUser(username);
+  return !!user?.totp?.enabled;
+}
+
+/**
+ * Get TOTP status for a user (without secrets)
+ * @param {string} username - Username
+ * @returns {Object} { enabled, enabledAt, pending, recoveryCodesRemaining, passwordSet }
+ */
+function getTotpStatus(username) {
+  const user = findUser(username);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  return {
+    enabled: !!user.totp?.enabled,
+    enabledAt: user.totp?.enabledAt || null,
+    pending: !!user.totp?.pendingSecret,
+    recoveryCodesRemaining: (user.recoveryCodes || []).length,
+    passwordSet: !!user.passwordHash,
+  };
+}
+
+/**
+ * Start TOTP enrollment - generates a pending secret
+ * The secret only becomes active once confirmed with enableTotp().
+ * @param {string} username - Username
+ * @param {string} password - Current password (re-authentication) - SSO-only users
+ *   have none, so the caller must have confirmed them with a recent re-authentication
+ * @returns {Object} { secret, otpauthUri }
+ */
+async function beginTotpSetup(username, password) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  if (user.passwordHash && !(await checkPassword(user, password))) {
+    throw new Error('Password is incorrect');
+  }
+  
+  if (user.totp?.enabled) {
+    throw new Error('Two-factor authentication is already enabled');
+  }
+  
+  const secret = totp.generateSecret();
+  user.totp = { ...(user.totp || {}), enabled: false, pendingSecret: secret };
+  
+  users[index] = user;
+  saveUsers(users);
+  
+  return {
+    secret,
+    otpauthUri: totp.getOtpauthUri(username, secret),
+  };
+}
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * @param {string} username - Username
+ * @param {string} code - Current TOTP code
+ * @returns {Array<string>} Plaintext recovery codes (shown once)
+ */
+function enableTotp(username, code) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  const pendingSecret = user.totp?.pendingSecret;
+  if (!pendingSecret) {
+    throw new Error('No two-factor setup in progress');
+  }
+  
+  const step = totp.verifyCode(pendingSecret, code);
+  if (step === null) {
+    throw new Error('Invalid authentication code');
+  }
+  
+  const recoveryCodes = totp.generateRecoveryCodes();
+  
+  user.totp = {
+    enabled: true,
+    secret: pendingSecret,
+    enabledAt: new Date().toISOString(),
+    lastUsedStep: step,
+  };
+  user.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+  
+  users[index] = user;
+  saveUsers(users);
+  
+  return recoveryCodes;
+}
+
+/**
+ * Verify a second factor (TOTP code or recovery code) for a user
+ * Recovery codes are consumed on use; TOTP codes cannot be replayed.
+ * @param {string} username - Username
+ * @param {string} code - TOTP code or recovery code
+ * @returns {Object|null} { method: 'totp'|'recovery', recoveryCodesRemaining } or null if invalid
+ */
+function verifySecondFactor(username, code) {
+  const users = loadUsers();
+  const index = users.findIndex(u => u.username === username);
+  if (index === -1) return null;
+  
+  const user = users[index];
+  if (!user.totp?.enabled || !code) return null;
+  
+  const step = totp.verifyCode(user.totp.secret, code, { lastUsedStep: user.totp.lastUsedStep });
+  if (step !== null) {
+    user.totp.lastUsedStep = step;
+    users[index] = user;
+    saveUsers(users);
+    return { method: 'totp', recoveryCodesRemaining: (user.recoveryCodes || []).length };
+  }
+  
+  // Fall back to recovery codes
+  const hash = totp.hashRecoveryCode(code);
+  const codes = user.recoveryCodes || [];
+  const codeIndex = codes.indexOf(hash);
+  if (codeIndex === -1) return null;
+  
+  codes.splice(codeIndex, 1);
+  user.recoveryCodes = codes;
+  users[index] = user;
+  saveUsers(users);
+  
+  console.log(`[auth] Recovery code used for '${username}' (${codes.length} remaining)`);
+  return { method: 'recovery', recoveryCodesRemaining: codes.length };
+}
+
+/**
+ * Disable TOTP for a user
+ * Requires both the password and a valid second factor.
+ * @param {string} username - Username
+ * @param {string} password - Current password (SSO-only users: see beginTotpSetup)
+ * @param {string} code - TOTP code or recovery code
+ * @returns {boolean} True if disabled
+ */
+async function disableTotp(username, password, code) {
+  const { user } = loadUserForUpdate(username);
+  
+  if (user.passwordHash && !(await checkPassword(user, password))) {
+    throw new Error('Password is incorrect');
+  }
+  
+  if (!user.totp?.enabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  
+  if (!verifySecondFactor(username, code)) {
+    throw new Error('Invalid authentication code');
+  }
+  
+  // Reload - verifySecondFactor may have updated the record
+  const fresh = loadUserForUpdate(username);
+  delete fresh.user.totp;
+  delete fresh.user.recoveryCodes;
+  fresh.users[fresh.index] = fresh.user;
+  saveUsers(fresh.users);
+  
   return true;
 }
 
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} username - Username
+ * @param {string} code - Current TOTP code
+ * @returns {Array<string>} New plaintext recovery codes (shown once)
+ */
+function regenerateRecoveryCodes(username, code) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  if (!user.totp?.enabled) {
+    throw new Error('Two-factor authentication is not enabled');
+  }
+  
+  const step = totp.verifyCode(user.totp.secret, code, { lastUsedStep: user.totp.lastUsedStep });
+  if (step === null) {
+    throw new Error('Invalid authentication code');
+  }
+  
+  const recoveryCodes = totp.generateRecoveryCodes();
+  user.totp.lastUsedStep = step;
+  user.recoveryCodes = recoveryCodes.map(totp.hashRecoveryCode);
+  
+  users[index] = user;
+  saveUsers(users);
+  
+  return recoveryCodes;
+}
+
+// ============================================================================
+// PASSKEYS (WEBAUTHN)
+// ============================================================================
+// Stored on the user record:
+//   webauthnUserId: random user handle given to authenticators
+//   passkeys: [{ id, publicKey, counter, transports, name, deviceType,
+//                backedUp, createdAt, lastUsedAt }]
+
+/**
+ * Get what's needed to start registering a passkey for a user
+ * Assigns the user a WebAuthn user handle on first use.
+ * @param {string} username - Username
+ * @returns {Object} { username, webauthnUserId, passkeys }
+ */
+function getPasskeyRegistrationInfo(username) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  if (!user.webauthnUserId) {
+    user.webauthnUserId = crypto.randomBytes(16).toString('base64url');
+    users[index] = user;
+    saveUsers(users);
+  }
+  
+  return {
+    username: user.username,
+    webauthnUserId: user.webauthnUserId,
+    passkeys: user.passkeys || [],
+  };
+}
+
+/**
+ * List a user's passkeys (without public keys)
+ * @param {string} username - Username
+ * @returns {Array} [{ id, name, deviceType, backedUp, createdAt, lastUsedAt }]
+ */
+function listPasskeys(username) {
+  const user = findUser(username);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  return (user.passkeys || []).map(passkey => ({
+    id: passkey.id,
+    name: passkey.name,
+    deviceType: passkey.deviceType,
+    backedUp: passkey.backedUp,
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt,
+  }));
+}
+
+/**
+ * Store a verified passkey on a user
+ * @param {string} username - Username
+ * @param {Object} passkey - Record from webauthn.finishRegistration()
+ * @param {string} [name] - Display name (e.g. "Work laptop")
+ * @returns {Object} Stored passkey info (without public key)
+ */
+function addPasskey(username, passkey, name) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  const passkeys = user.passkeys || [];
+  if (passkeys.some(p => p.id === passkey.id)) {
+    throw new Error('This passkey is already registered');
+  }
+  
+  const record = {
+    ...passkey,
+    name: (name || '').trim().slice(0, 64) || `Passkey ${passkeys.length + 1}`,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  
+  passkeys.push(record);
+  user.passkeys = passkeys;
+  users[index] = user;
+  saveUsers(users);
+  
+  return listPasskeys(username).find(p => p.id === record.id);
+}
+
+/**
+ * Find the user owning a passkey credential
+ * @param {string} credentialId - Credential ID (base64url)
+ * @returns {Object|null} { username, passkey } or null if unknown
+ */
+function findPasskey(credentialId) {
+  if (!credentialId) return null;
+  
+  for (const user of loadUsers()) {
+    const passkey = (user.passkeys || []).find(p => p.id === credentialId);
+    if (passkey) {
+      return { username: user.username, passkey };
+    }
+  }
+  return null;
+}
+
+/**
+ * Record a successful passkey sign-in
+ * @param {string} username - Username
+ * @param {string} credentialId - Credential ID
+ * @param {number} counter - New signature counter
+ */
+function recordPasskeyUse(username, credentialId, counter) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  const passkey = (user.passkeys || []).find(p => p.id === credentialId);
+  if (!passkey) return;
+  
+  passkey.counter = counter;
+  passkey.lastUsedAt = new Date().toISOString();
+  users[index] = user;
+  saveUsers(users);
+}
+
+/**
+ * Remove a passkey from a user
+ * @param {string} username - Username
+ * @param {string} credentialId - Credential ID
+ * @returns {boolean} True if removed
+ */
+function deletePasskey(username, credentialId) {
+  const { users, index, user } = loadUserForUpdate(username);
+  
+  const passkeys = user.passkeys || [];
+  const filtered = passkeys.filter(p => p.id !== credentialId);
+  if (filtered.length === passkeys.length) return false;
+  
+  user.passkeys = filtered;
+  users[index] = user;
+  saveUsers(users);
+  return true;
+}
+
+// ============================================================================
+// SINGLE SIGN-ON (OIDC)
+// ============================================================================
+// Users signed in through the identity provider are linked by issuer and
+// subject (stable, unlike usernames or emails):
+//   oidc: { issuer, subject, linkedAt, lastLoginAt }
+// Users created this way have no password.
+
+/**
+ * Turn an IdP username claim into a valid local username
+ * @param {string} value - Claim value (e.g. 'luxia' or 'luxia@example.com')
+ * @returns {string|null} Username, or null if nothing usable is left
+ */
+function toLocalUsername(value) {
+  const name = String(value || '').split('@')[0].replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 32);
+  return name.length >= 3 ? name : null;
+}
+
+/**
+ * Find the user linked to an IdP identity
+ * @param {string} issuer - Issuer URL
+ * @param {string} subject - Subject (sub claim)
+ * @returns {Object|null} User object or null
+ */
+function findUserByOidcSubject(issuer, subject) {
+  return loadUsers().find(u => u.oidc?.issuer === issuer && u.oidc?.subject === subject) || null;
+}
+
+/**
+ * Check whether a user is linked to the identity provider
+ * @param {string} username - Username
+ * @returns {boolean}
+ */
+function isOidcLinked(username) {
+  return !!findUser(username)?.oidc;
+}
+
+/**
+ * Check whether a user has a local password (single sign-on users may not)
+ * @param {string} username - Username
+ * @returns {boolean}
+ */
+function hasPassword(username) {
+  return !!findUser(username)?.passwordHash;
+}
+
+/**
+ * Link an IdP identity to an existing local user
+ * Only called for a signed-in user confirming the identity at the IdP -
+ * sign-in never links an existing account on the strength of a username claim.
+ * @param {string} username - Signed-in user
+ * @param {Object} identity - Verified identity { issuer, subject }
+ * @throws {Error} If the identity or the user is already linked
+ */
+function linkOidcUser(username, { issuer, subject }) {
+  const users = loadUsers();
+  const user = users.find(u => u.username === username);
+  
+  if (!user) {
+    throw new Error('User not found');
+  }
+  
+  const linked = users.find(u => u.oidc?.issuer === issuer && u.oidc?.subject === subject);
+  if (linked && linked !== user) {
+    throw new Error('This identity is already linked to a different user');
+  }
+  if (user.oidc && linked !== user) {
+    throw new Error('Your account is already linked to a different identity');
+  }
+  
+  user.oidc = { ...user.oidc, issuer, subject, linkedAt: user.oidc?.linkedAt || new Date().toISOString() };
+  saveUsers(users);
+}
+
+/**
+ * Resolve the local user for an IdP sign-in, creating it if needed
+ * Looks up the linked user first; otherwise creates one. An unlinked local
+ * user with the same username is refused rather than linked - the claim alone
+ * doesn't prove the account's owner signed in, so linking is done from
+ * Settings by a signed-in user (linkOidcUser). When the IdP grants a role it
+ * replaces the local one, so group changes apply at the next sign-in.
+ * @param {Object} identity - Verified identity
+ * @param {string} identity.issuer - Issuer URL
+ * @param {string} identity.subject - Subject (sub claim)
+ * @param {string} identity.username - Username claim
+ * @param {string|null} identity.role - Role granted by the IdP's groups (null if none)
+ * @returns {Object} { username, role, created }
+ * @throws {Error} If the identity may not sign in
+ */
+function signInOidcUser({ issuer, subject, username, role }) {
+  const users = loadUsers();
+  let user = users.find(u => u.oidc?.issuer === issuer && u.oidc?.subject === subject);
+  let created = false;
+  
+  if (!user) {
+    const localName = toLocalUsername(username);
+    if (!localName) {
+      throw new Error('Your identity provider did not supply a usable username');
+    }
+    
+    const existing = users.find(u => u.username === localName);
+    
+    if (existing?.oidc) {
+      throw new Error(`Username '${localName}' is already linked to a different identity`);
+    }
+    
+    if (existing) {
+      throw new Error(`An account named '${localName}' already exists - sign in to it and link single sign-on from Settings`);
+    }
+    
+    if (!role) {
+      throw new Error('Your account is not in a group allowed to use this panel');
+    }
+    
+    user = {
+      username: localName,
+      passwordHash: null,
+      role,
+      createdAt: new Date().toISOString(),
+      oidc: { issuer, subject, linkedAt: new Date().toISOString() },
+    };
+    users.push(user);
+    created = true;
+  }
+  
+  // With a role map configured the IdP is authoritative - no mapped group, no access
+  if (!role && config.OIDC_ROLE_MAP) {
+    throw new Error('Your account is not in a group allowed to use this panel');
+  }
+  
+  if (role && resolveRole(user) !== role) {
+    const otherAdmins = users.filter(u => u !== user && resolveRole(u) === 'admin');
+    if (role !== 'admin' && resolveRole(user) === 'admin' && otherAdmins.length === 0) {
+      console.warn(`[auth] Not demoting '${user.username}' to ${role} - they are the last admin`);
+    } else {
+      user.role = role;
+    }
+  }
+  
+  user.oidc.lastLoginAt = new Date().toISOString();
+  saveUsers(users);
+  
+  return { username: user.username, role: resolveRole(user), created };
+}
+
 module.exports = {
   loadUsers,
   findUser,
@@ -244,4 +838,32 @@ module.exports = {
   getUserInfo,
   listUsers,
   deleteUser,
+  
+  // Roles
+  getUserRole,
+  setUserRole,
+  
+  // Two-factor
+  isTotpEnabled,
+  getTotpStatus,
+  beginTotpSetup,
+  enableTotp,
+  verifySecondFactor,
+  disableTotp,
+  regenerateRecoveryCodes,
+  
+  // Passkeys
+  getPasskeyRegistrationInfo,
+  listPasskeys,
+  addPasskey,
+  findPasskey,
+  recordPasskeyUse,
+  deletePasskey,
+  
+  // Single sign-on (OIDC)
+  findUserByOidcSubject,
+  isOidcLinked,
+  linkOidcUser,
+  hasPassword,
+  signInOidcUser,
 };
@@ -0,0 +1,222 @@
+// lib/auth/webauthn.js - Passkey (WebAuthn) ceremonies
+// Registration and authentication options/verification for passwordless login
+
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const config = require('../../config');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Pending challenges (in-memory, single use, expire with LOGIN_CHALLENGE_TTL)
+// Registration challenges are keyed by username, login challenges by a random id
+const registrationChallenges = new Map();
+const authenticationChallenges = new Map();
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Resolve the relying party for a request
+ * Uses WEBAUTHN_ORIGIN / WEBAUTHN_RP_ID when configured, otherwise the host
+ * the panel was reached on (trust proxy is enabled, so this is the public URL).
+ * @param {Object} req - Express request
+ * @returns {Object} { rpID, rpName, origin }
+ */
+function getRelyingParty(req) {
+  const origin = config.WEBAUTHN_ORIGIN || `${req.protocol}://${req.get('host')}`;
+  const rpID = config.WEBAUTHN_RP_ID || new URL(origin).hostname;
+  
+  return { rpID, rpName: config.WEBAUTHN_RP_NAME, origin };
+}
+
+/**
+ * Store a challenge with an expiry, dropping expired ones
+ * @param {Map} store - Challenge store
+ * @param {string} key - Key to store under
+ * @param {string} challenge - Challenge from the generated options
+ */
+function storeChallenge(store, key, challenge) {
+  const now = Date.now();
+  
+  for (const [k, pending] of store) {
+    if (pending.expiresAt < now) {
+      store.delete(k);
+    }
+  }
+  
+  store.set(key, { challenge, expiresAt: now + config.LOGIN_CHALLENGE_TTL });
+}
+
+/**
+ * Take a challenge from a store (single use)
+ * @param {Map} store - Challenge store
+ * @param {string} key - Key it was stored under
+ * @returns {string|null} Challenge or null if missing/expired
+ */
+function takeChallenge(store, key) {
+  if (!key) return null;
+  
+  const pending = store.get(key);
+  store.delete(key);
+  
+  if (!pending || pending.expiresAt < Date.now()) return null;
+  return pending.challenge;
+}
+
+// ============================================================================
+// REGISTRATION
+// ============================================================================
+
+/**
+ * Generate options for registering a new passkey
+ * @param {Object} req - Express request
+ * @param {Object} user - { username, webauthnUserId, passkeys }
+ * @returns {Promise<Object>} PublicKeyCredentialCreationOptions (JSON)
+ */
+async function beginRegistration(req, { username, webauthnUserId, passkeys }) {
+  const { rpID, rpName } = getRelyingParty(req);
+  
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: username,
+    userID: Buffer.from(webauthnUserId, 'base64url'),
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: passkeys.map(passkey => ({
+      id: passkey.id,
+      transports: passkey.transports,
+    })),
+    // Discoverable credentials allow signing in without typing a username
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required',
+    },
+  });
+  
+  storeChallenge(registrationChallenges, username, options.challenge);
+  return options;
+}
+
+/**
+ * Verify a registration response from the browser
+ * @param {Object} req - Express request
+ * @param {string} username - User registering the passkey
+ * @param {Object} response - RegistrationResponseJSON from navigator.credentials.create()
+ * @returns {Promise<Object>} Passkey record to store on the user
+ * @throws {Error} If the challenge expired or verification failed
+ */
+async function finishRegistration(req, username, response) {
+  const expectedChallenge = takeChallenge(registrationChallenges, username);
+  if (!expectedChallenge) {
+    throw new Error('Passkey registration expired, please try again');
+  }
+  
+  const { rpID, origin } = getRelyingParty(req);
+  
+  const { verified, registrationInfo } = await verifyRegistrationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origin,
+    expectedRPID: rpID,
+    requireUserVerification: true,
+  });
+  
+  if (!verified || !registrationInfo) {
+    throw new Error('Passkey could not be verified');
+  }
+  
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+  
+  return {
+    id: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+  };
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+/**
+ * Generate options for signing in with a passkey
+ * No credentials are listed - the browser offers any discoverable passkey
+ * for this site, so no username is needed.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { challengeId, options }
+ */
+async function beginAuthentication(req) {
+  const { rpID } = getRelyingParty(req);
+  
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: 'required',
+  });
+  
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  storeChallenge(authenticationChallenges, challengeId, options.challenge);
+  
+  return { challengeId, options };
+}
+
+/**
+ * Verify an authentication response against a stored passkey
+ * @param {Object} req - Express request
+ * @param {string} challengeId - Id returned by beginAuthentication()
+ * @param {Object} response - AuthenticationResponseJSON from navigator.credentials.get()
+ * @param {Object} passkey - Stored passkey record for response.id
+ * @returns {Promise<number>} New signature counter to store
+ * @throws {Error} If the challenge expired or verification failed
+ */
+async function finishAuthentication(req, challengeId, response, passkey) {
+  const expectedChallenge = takeChallenge(authenticationChallenges, challengeId);
+  if (!expectedChallenge) {
+    throw new Error('Passkey sign-in expired, please try again');
+  }
+  
+  const { rpID, origin } = getRelyingParty(req);
+  
+  const { verified, authenticationInfo } = await verifyAuthenticationResponse({
+    response,
+    expectedChallenge,
+    expectedOrigin: origin,
+    expectedRPID: rpID,
+    credential: {
+      id: passkey.id,
+      publicKey: Buffer.from(passkey.publicKey, 'base64url'),
+      counter: passkey.counter,
+      transports: passkey.transports,
+    },
+    requireUserVerification: true,
+  });
+  
+  if (!verified) {
+    throw new Error('Passkey could not be verified');
+  }
+  
+  return authenticationInfo.newCounter;
+}
+
+module.exports = {
+  getRelyingParty,
+  
+  // Registration
+  beginRegistration,
+  finishRegistration,
+  
+  // Authentication
+  beginAuthentication,
+  finishAuthentication,
+};
@@ -0,0 +1,262 @@
+// lib/security/audit.js - Audit log of mutating admin actions
+// Records who did what, when, from where, with which parameters and outcome
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'audit.sqlite');
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      username TEXT,
+      auth_method TEXT,
+      ip TEXT,
+      action TEXT NOT NULL,
+      target TEXT,
+      params TEXT,
+      details TEXT,
+      success INTEGER NOT NULL,
+      status_code INTEGER,
+      error TEXT,
+      duration_ms INTEGER
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_audit_timestamp
+      ON audit_events(timestamp);
+    
+    CREATE INDEX IF NOT EXISTS idx_audit_user_time
+      ON audit_events(username, timestamp);
+    
+    CREATE INDEX IF NOT EXISTS idx_audit_action_time
+      ON audit_events(action, timestamp);
+  `);
+  
+  pruneEvents();
+  
+  console.log('[audit] Database initialized at', DB_PATH);
+  return db;
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Record an audit event
+ * Never throws - a failure to audit must not fail the action itself.
+ *
+ * @param {Object} event - Event to record
+ * @param {string} event.action - Action name (e.g. 'bots.restart')
+ * @param {string} [event.username] - User who performed the action
+ * @param {string} [event.authMethod] - 'session' or 'token'
+ * @param {string} [event.ip] - Client IP address
+ * @param {string} [event.target] - Primary object acted on (bot, slot, pod...)
+ * @param {Object} [event.params] - Request parameters (already sanitized)
+ * @param {Object} [event.details] - Extra outcome details (e.g. resulting branch)
+ * @param {boolean} event.success - Whether the action succeeded
+ * @param {number} [event.statusCode] - HTTP status code
+ * @param {string} [event.error] - Error message on failure
+ * @param {number} [event.durationMs] - How long the action took
+ */
+function recordEvent(event) {
+  try {
+    const database = initDB();
+    
+    database.prepare(`
+      INSERT INTO audit_events (
+        timestamp, username, auth_method, ip, action, target,
+        params, details, success, status_code, error, duration_ms
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      new Date().toISOString(),
+      event.username || null,
+      event.authMethod || null,
+      event.ip || null,
+      event.action,
+      event.target != null ? String(event.target) : null,
+      event.params && Object.keys(event.params).length > 0 ? JSON.stringify(event.params) : null,
+      event.details && Object.keys(event.details).length > 0 ? JSON.stringify(event.details) : null,
+      event.success ? 1 : 0,
+      event.statusCode || null,
+      event.error || null,
+      event.durationMs != null ? Math.round(event.durationMs) : null
+    );
+  } catch (e) {
+    console.error('[audit] Failed to record event:', e.message);
+  }
+}
+
+/**
+ * Delete events older than the retention period
+ * @returns {number} Number of events deleted
+ */
+function pruneEvents() {
+  if (!config.AUDIT_RETENTION_DAYS) return 0;
+  
+  const cutoff = new Date(Date.now() - config.AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const result = db.prepare('DELETE FROM audit_events WHERE timestamp < ?').run(cutoff);
+  
+  if (result.changes > 0) {
+    console.log(`[audit] Pruned ${result.changes} events older than ${config.AUDIT_RETENTION_DAYS} days`);
+  }
+  return result.changes;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Convert a database row to an event object
+ * @param {Object} row - Row from audit_events
+ * @returns {Object} Event
+ */
+function rowToEvent(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    username: row.username,
+    authMethod: row.auth_method,
+    ip: row.ip,
+    action: row.action,
+    target: row.target,
+    params: row.params ? JSON.parse(row.params) : null,
+    details: row.details ? JSON.parse(row.details) : null,
+    success: row.success === 1,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+  };
+}
+
+/**
+ * Query audit events
+ * @param {Object} [filters] - Filters (all optional)
+ * @param {string} [filters.username] - Exact username
+ * @param {string} [filters.action] - Exact action, or a domain prefix (e.g. 'slots')
+ * @param {string} [filters.target] - Exact target
+ * @param {boolean} [filters.success] - Only successes (true) or failures (false)
+ * @param {string} [filters.since] - ISO timestamp lower bound (inclusive)
+ * @param {string} [filters.until] - ISO timestamp upper bound (exclusive)
+ * @param {string} [filters.search] - Free text matched against target, params, details and error
+ * @param {number} [filters.limit=100] - Max events to return (max 500)
+ * @param {number} [filters.offset=0] - Events to skip
+ * @returns {Object} { events, total }
+ */
+function queryEvents(filters = {}) {
+  const database = initDB();
+  
+  const where = [];
+  const params = [];
+  
+  if (filters.username) {
+    where.push('username = ?');
+    params.push(filters.username);
+  }
+  
+  if (filters.action) {
+    if (filters.action.includes('.')) {
+      where.push('action = ?');
+      params.push(filters.action);
+    } else {
+      where.push('action LIKE ?');
+      params.push(`${filters.action}.%`);
+    }
+  }
+  
+  if (filters.target) {
+    where.push('target = ?');
+    params.push(filters.target);
+  }
+  
+  if (filters.success !== undefined) {
+    where.push('success = ?');
+    params.push(filters.success ? 1 : 0);
+  }
+  
+  if (filters.since) {
+    where.push('timestamp >= ?');
+    params.push(filters.since);
+  }
+  
+  if (filters.until) {
+    where.push('timestamp < ?');
+    params.push(filters.until);
+  }
+  
+  if (filters.search) {
+    const pattern = `%${filters.search}%`;
+    where.push('(target LIKE ? OR params LIKE ? OR details LIKE ? OR error LIKE ?)');
+    params.push(pattern, pattern, pattern, pattern);
+  }
+  
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+  
+  const total = database.prepare(`
+    SELECT COUNT(*) as count FROM audit_events ${whereClause}
+  `).get(...params).count;
+  
+  const rows = database.prepare(`
+    SELECT * FROM audit_events
+    ${whereClause}
+    ORDER BY timestamp DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+  
+  return {
+    events: rows.map(rowToEvent),
+    total,
+  };
+}
+
+/**
+ * Get distinct values for the filter dropdowns
+ * @returns {Object} { usernames, actions }
+ */
+function getFilterOptions() {
+  const database = initDB();
+  
+  const usernames = database.prepare(`
+    SELECT DISTINCT username FROM audit_events WHERE username IS NOT NULL ORDER BY username
+  `).all().map(r => r.username);
+  
+  const actions = database.prepare(`
+    SELECT DISTINCT action FROM audit_events ORDER BY action
+  `).all().map(r => r.action);
+  
+  return { usernames, actions };
+}
+
+module.exports = {
+  initDB,
+  
+  // Recording
+  recordEvent,
+  pruneEvents,
+  
+  // Queries
+  queryEvents,
+  getFilterOptions,
+};
@@ -0,0 +1,413 @@
+// lib/security/ip-policy.js - Network access policy
+// CIDR allow/deny rules, globally and per route group (e.g. /api/slots)
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const config = require('../../config');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Route groups suggested in the UI - any /api prefix can be used
+const SUGGESTED_GROUPS = [
+  '/api/auth',
+  '/api/bots',
+  '/api/slots',
+  '/api/services',
+  '/api/dreams',
+  '/api/dreams/lifecycle',
+  '/api/blog',
+  '/api/server',
+  '/api/usage',
+  '/api/audit',
+  '/api/logs',
+  '/api/schedules',
+  '/api/secrets',
+  '/api/ip-policy',
+];
+
+// Route group prefixes must look like an API path
+const GROUP_PATTERN = /^\/api(\/[a-z0-9_-]+)+$/i;
+
+// Maximum rules per list (keeps evaluation cheap and the file readable)
+const MAX_RULES = 100;
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Compiled policy, rebuilt whenever the policy is saved
+let compiled = null;
+
+// ============================================================================
+// CIDR PARSING
+// ============================================================================
+
+/**
+ * Normalize a client IP (strip IPv4-mapped IPv6 prefix)
+ * @param {string} ip - IP as reported by Express
+ * @returns {string} Normalized IP
+ */
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+}
+
+/**
+ * Parse a rule - a single address or a CIDR range
+ * @param {string} rule - e.g. '203.0.113.7', '10.0.0.0/8', '2001:db8::/32'
+ * @returns {Object} { address, prefix, type, rule } with the canonical rule text
+ * @throws {Error} If the rule is not a valid address or range
+ */
+function parseRule(rule) {
+  const text = String(rule).trim();
+  const [address, prefixText] = text.split('/');
+  const version = net.isIP(address);
+  
+  if (!version) {
+    throw new Error(`Invalid IP address or CIDR range: ${text}`);
+  }
+  
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix || (prefixText !== undefined && !/^\d+$/.test(prefixText))) {
+    throw new Error(`Invalid CIDR prefix: ${text}`);
+  }
+  
+  return {
+    address,
+    prefix,
+    type,
+    rule: prefix === maxPrefix ? address : `${address}/${prefix}`,
+  };
+}
+
+/**
+ * Build a BlockList from a list of rules
+ * @param {Array<string>} rules - Rules (already validated)
+ * @returns {net.BlockList|null} BlockList, or null if there are no rules
+ */
+function buildList(rules) {
+  if (!rules || rules.length === 0) return null;
+  
+  const list = new net.BlockList();
+  for (const rule of rules) {
+    const { address, prefix, type } = parseRule(rule);
+    list.addSubnet(address, prefix, type);
+  }
+  return list;
+}
+
+/**
+ * Check an IP against a BlockList
+ * @param {net.BlockList} list - Compiled rules
+ * @param {string} ip - Normalized IP
+ * @returns {boolean} True if the IP matches a rule
+ */
+function matches(list, ip) {
+  const version = net.isIP(ip);
+  if (!version) return false;
+  return list.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Empty policy - everything allowed
+ * @returns {Object} Policy
+ */
+function defaultPolicy() {
+  return {
+    enabled: false,
+    global: { allow: [], deny: [] },
+    groups: [],
+    updatedAt: null,
+    updatedBy: null,
+  };
+}
+
+/**
+ * Load the policy from file
+ * @returns {Object} Policy
+ */
+function loadPolicy() {
+  try {
+    if (fs.existsSync(config.IP_POLICY_FILE)) {
+      return { ...defaultPolicy(), ...JSON.parse(fs.readFileSync(config.IP_POLICY_FILE, 'utf8')) };
+    }
+  } catch (e) {
+    console.error('Error loading IP policy:', e.message);
+  }
+  return defaultPolicy();
+}
+
+/**
+ * Save the policy to file
+ * @param {Object} policy - Policy to save
+ */
+function writePolicy(policy) {
+  const dir = path.dirname(config.IP_POLICY_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(config.IP_POLICY_FILE, JSON.stringify(policy, null, 2));
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate and canonicalize a list of rules
+ * @param {Array<string>} rules - Rules from the request
+ * @param {string} label - Where the list is (for error messages)
+ * @returns {Array<string>} Canonical, de-duplicated rules
+ */
+function normalizeRules(rules, label) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error(`${label} must be a list`);
+  }
+  
+  const canonical = rules
+    .map(rule => String(rule).trim())
+    .filter(Boolean)
+    .map(rule => parseRule(rule).rule);
+  
+  if (canonical.length > MAX_RULES) {
+    throw new Error(`${label} has more than ${MAX_RULES} rules`);
+  }
+  
+  return [...new Set(canonical)];
+}
+
+/**
+ * Validate a policy submitted from the UI
+ * @param {Object} input - { enabled, global: { allow, deny }, groups: [{ prefix, allow, deny }] }
+ * @returns {Object} Normalized policy (without update metadata)
+ * @throws {Error} If any rule or group is invalid
+ */
+function validatePolicy(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Policy is required');
+  }
+  
+  const groups = (input.groups || []).map(group => {
+    const prefix = String(group.prefix || '').trim().replace(/\/+$/, '').toLowerCase();
+    if (!GROUP_PATTERN.test(prefix)) {
+      throw new Error(`Invalid route group: ${group.prefix || '(empty)'}`);
+    }
+    
+    return {
+      prefix,
+      allow: normalizeRules(group.allow, `${prefix} allow list`),
+      deny: normalizeRules(group.deny, `${prefix} deny list`),
+    };
+  });
+  
+  const prefixes = groups.map(group => group.prefix);
+  const duplicate = prefixes.find((prefix, i) => prefixes.indexOf(prefix) !== i);
+  if (duplicate) {
+    throw new Error(`Route group listed twice: ${duplicate}`);
+  }
+  
+  return {
+    enabled: !!input.enabled,
+    global: {
+      allow: normalizeRules(input.global?.allow, 'Global allow list'),
+      deny: normalizeRules(input.global?.deny, 'Global deny list'),
+    },
+    groups,
+  };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Compile a policy into BlockLists for fast checks
+ * @param {Object} policy - Validated policy
+ * @returns {Object} Compiled policy
+ */
+function compilePolicy(policy) {
+  const compileRules = (rules) => ({
+    allow: buildList(rules.allow),
+    deny: buildList(rules.deny),
+  });
+  
+  return {
+    enabled: policy.enabled,
+    global: compileRules(policy.global),
+    // Longest prefix first so lookups find the most specific group
+    groups: policy.groups
+      .map(group => ({ prefix: group.prefix, ...compileRules(group) }))
+      .sort((a, b) => b.prefix.length - a.prefix.length),
+  };
+}
+
+/**
+ * Check an IP against one allow/deny pair
+ * Deny wins; a non-empty allow list means only listed addresses pass.
+ * @param {Object} rules - { allow, deny } BlockLists
+ * @param {string} ip - Normalized IP
+ * @returns {string|null} 'deny' or 'allow' naming the list that blocked, or null if allowed
+ */
+function checkRules(rules, ip) {
+  if (rules.deny && matches(rules.deny, ip)) return 'deny';
+  if (rules.allow && !matches(rules.allow, ip)) return 'allow';
+  return null;
+}
+
+/**
+ * Evaluate a compiled policy for a request
+ * The global rules apply everywhere; the most specific route group whose
+ * prefix matches the path must also allow the request. Prefixes match
+ * case-insensitively, as Express routes do.
+ * @param {Object} policy - Compiled policy
+ * @param {string} ip - Client IP
+ * @param {string} requestPath - Request path (e.g. '/api/slots/main/pull')
+ * @returns {Object} { allowed, scope, list } - scope is 'global' or the group prefix
+ */
+function evaluate(policy, ip, requestPath) {
+  if (!policy.enabled) return { allowed: true };
+  
+  const clientIp = normalizeIp(ip);
+  
+  const globalBlock = checkRules(policy.global, clientIp);
+  if (globalBlock) {
+    return { allowed: false, scope: 'global', list: globalBlock };
+  }
+  
+  const path = requestPath.toLowerCase();
+  const group = policy.groups.find(g => {
+    const prefix = g.prefix.toLowerCase();
+    return path === prefix || path.startsWith(`${prefix}/`);
+  });
+  if (group) {
+    const groupBlock = checkRules(group, clientIp);
+    if (groupBlock) {
+      return { allowed: false, scope: group.prefix, list: groupBlock };
+    }
+  }
+  
+  return { allowed: true };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Check whether the policy is switched off from the environment
+ * IP_POLICY_DISABLED=1 is the escape hatch if you lock yourself out.
+ * @returns {boolean}
+ */
+function isDisabledByEnv() {
+  return config.IP_POLICY_DISABLED;
+}
+
+/**
+ * Get the current policy
+ * @returns {Object} Policy
+ */
+function getPolicy() {
+  return loadPolicy();
+}
+
+/**
+ * Check a request against the current policy
+ * @param {string} ip - Client IP
+ * @param {string} requestPath - Request path
+ * @returns {Object} { allowed, scope, list }
+ */
+function checkRequest(ip, requestPath) {
+  if (isDisabledByEnv()) return { allowed: true };
+  
+  if (!compiled) {
+    try {
+      compiled = compilePolicy(validatePolicy(loadPolicy()));
+    } catch (e) {
+      // A hand-edited file with a bad rule must not take the panel down
+      console.error('Invalid IP policy, ignoring it:', e.message);
+      compiled = compilePolicy(defaultPolicy());
+    }
+  }
+  
+  return evaluate(compiled, ip, requestPath);
+}
+
+/**
+ * Find the rules in a policy that would block an IP
+ * Used as a lockout check before saving.
+ * @param {Object} policy - Validated policy
+ * @param {string} ip - IP that must keep access
+ * @returns {Array<Object>} Blocking scopes [{ scope, list }], empty if the IP keeps full access
+ */
+function findBlocks(policy, ip) {
+  const compiledPolicy = compilePolicy(policy);
+  const paths = ['/', ...policy.groups.map(group => group.prefix)];
+  
+  const blocks = [];
+  for (const requestPath of paths) {
+    const result = evaluate(compiledPolicy, ip, requestPath);
+    if (!result.allowed && !blocks.some(b => b.scope === result.scope)) {
+      blocks.push({ scope: result.scope, list: result.list });
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Validate and save a new policy
+ * Refuses any policy that would block the IP making the change.
+ * @param {Object} input - Policy from the UI
+ * @param {Object} options - Options
+ * @param {string} options.ip - IP of the user saving the policy
+ * @param {string} [options.updatedBy] - Username saving the policy
+ * @returns {Object} Saved policy
+ * @throws {Error} If the policy is invalid or would lock the caller out
+ */
+function savePolicy(input, { ip, updatedBy = null }) {
+  const policy = validatePolicy(input);
+  
+  if (policy.enabled) {
+    const blocks = findBlocks(policy, ip);
+    if (blocks.length > 0) {
+      const where = blocks.map(b => b.scope === 'global' ? 'everywhere' : b.scope).join(', ');
+      const error = new Error(`This policy would block your current IP (${normalizeIp(ip)}) from: ${where}`);
+      error.lockout = true;
+      throw error;
+    }
+  }
+  
+  const saved = {
+    ...policy,
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+  
+  writePolicy(saved);
+  compiled = compilePolicy(policy);
+  
+  return saved;
+}
+
+module.exports = {
+  SUGGESTED_GROUPS,
+  normalizeIp,
+  parseRule,
+  isDisabledByEnv,
+  
+  // Policy
+  getPolicy,
+  savePolicy,
+  validatePolicy,
+  checkRequest,
+};
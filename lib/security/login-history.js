@@ -0,0 +1,325 @@
+// lib/security/login-history.js - Login history and suspicious-login alerts
+// Records every sign-in attempt and flags new IPs and bursts of failures
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'login-history.sqlite');
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      username TEXT,
+      ip TEXT,
+      user_agent TEXT,
+      method TEXT NOT NULL,
+      success INTEGER NOT NULL,
+      reason TEXT,
+      new_ip INTEGER NOT NULL DEFAULT 0
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_login_user_time
+      ON login_attempts(username, timestamp);
+    
+    CREATE INDEX IF NOT EXISTS idx_login_ip_time
+      ON login_attempts(ip, timestamp);
+    
+    CREATE TABLE IF NOT EXISTS login_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      type TEXT NOT NULL,
+      username TEXT,
+      ip TEXT,
+      message TEXT NOT NULL,
+      dismissed_at TEXT,
+      dismissed_by TEXT
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_login_alerts_open
+      ON login_alerts(dismissed_at, timestamp);
+  `);
+  
+  pruneAttempts();
+  
+  console.log('[login-history] Database initialized at', DB_PATH);
+  return db;
+}
+
+/**
+ * Delete attempts older than the retention period
+ * @returns {number} Number of attempts deleted
+ */
+function pruneAttempts() {
+  if (!config.LOGIN_HISTORY_RETENTION_DAYS) return 0;
+  
+  const cutoff = new Date(Date.now() - config.LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const result = db.prepare('DELETE FROM login_attempts WHERE timestamp < ?').run(cutoff);
+  
+  if (result.changes > 0) {
+    console.log(`[login-history] Pruned ${result.changes} attempts older than ${config.LOGIN_HISTORY_RETENTION_DAYS} days`);
+  }
+  return result.changes;
+}
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+/**
+ * Raise a suspicious-login alert
+ * @param {Object} alert - { type, username, ip, message }
+ * @returns {Object} Alert as stored
+ */
+function raiseAlert({ type, username = null, ip = null, message }) {
+  const timestamp = new Date().toISOString();
+  const result = initDB().prepare(`
+    INSERT INTO login_alerts (timestamp, type, username, ip, message)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(timestamp, type, username, ip, message);
+  
+  console.warn(`[login-history] Alert: ${message}`);
+  return { id: result.lastInsertRowid, timestamp, type, username, ip, message };
+}
+
+/**
+ * Check whether a successful sign-in comes from an IP never seen for the user
+ * A user's very first sign-in isn't flagged - there is nothing to compare with.
+ * @param {string} username - Username
+ * @param {string} ip - Client IP
+ * @returns {boolean} True if the IP is new for this user
+ */
+function isNewIp(username, ip) {
+  const database = initDB();
+  
+  const previous = database.prepare(`
+    SELECT COUNT(*) AS total, SUM(ip = ?) AS fromIp
+    FROM login_attempts
+    WHERE username = ? AND success = 1
+  `).get(ip, username);
+  
+  return previous.total > 0 && !previous.fromIp;
+}
+
+/**
+ * Raise an alert when failures for an account or from an IP reach the threshold
+ * Only the attempt that reaches it raises, so one burst gives one alert.
+ * @param {string} username - Username that was tried
+ * @param {string} ip - Client IP
+ * @returns {Object|null} Alert raised, if any
+ */
+function checkFailureBurst(username, ip) {
+  const database = initDB();
+  const since = new Date(Date.now() - config.LOGIN_ALERT_WINDOW).toISOString();
+  const threshold = config.LOGIN_ALERT_FAILURES;
+  
+  const userFailures = username ? database.prepare(`
+    SELECT COUNT(*) AS count FROM login_attempts
+    WHERE success = 0 AND timestamp >= ? AND username = ?
+  `).get(since, username).count : 0;
+  
+  const ipFailures = database.prepare(`
+    SELECT COUNT(*) AS count FROM login_attempts
+    WHERE success = 0 AND timestamp >= ? AND ip = ?
+  `).get(since, ip).count;
+  
+  const minutes = Math.round(config.LOGIN_ALERT_WINDOW / 60000);
+  
+  if (userFailures === threshold) {
+    return raiseAlert({
+      type: 'failed-burst',
+      username,
+      ip,
+      message: `${threshold} failed sign-ins for '${username}' in ${minutes} minutes (latest from ${ip})`,
+    });
+  }
+  
+  if (ipFailures === threshold) {
+    return raiseAlert({
+      type: 'failed-burst',
+      ip,
+      message: `${threshold} failed sign-ins from ${ip} in ${minutes} minutes`,
+    });
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Record a sign-in attempt and raise alerts for suspicious ones
+ * Never throws - a failure to record must not fail the login itself.
+ *
+ * @param {Object} attempt - Attempt to record
+ * @param {string} [attempt.username] - Username tried (may not exist)
+ * @param {string} [attempt.ip] - Client IP address
+ * @param {string} [attempt.userAgent] - Client User-Agent header
+ * @param {string} attempt.method - 'password', 'totp', 'passkey' or 'oidc'
+ * @param {boolean} attempt.success - Whether a session was issued
+ * @param {string} [attempt.reason] - Why it failed
+ * @returns {Object|null} Alert raised, if any
+ */
+function recordLoginAttempt(attempt) {
+  try {
+    const database = initDB();
+    const username = attempt.username != null ? String(attempt.username).slice(0, 64) : null;
+    const ip = attempt.ip || null;
+    
+    const newIp = attempt.success && username && ip ? isNewIp(username, ip) : false;
+    
+    database.prepare(`
+      INSERT INTO login_attempts (timestamp, username, ip, user_agent, method, success, reason, new_ip)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      new Date().toISOString(),
+      username,
+      ip,
+      attempt.userAgent ? String(attempt.userAgent).slice(0, 512) : null,
+      attempt.method,
+      attempt.success ? 1 : 0,
+      attempt.reason || null,
+      newIp ? 1 : 0
+    );
+    
+    if (newIp) {
+      return raiseAlert({
+        type: 'new-ip',
+        username,
+        ip,
+        message: `'${username}' signed in from a new IP address: ${ip}`,
+      });
+    }
+    
+    if (!attempt.success && ip) {
+      return checkFailureBurst(username, ip);
+    }
+    
+    return null;
+  } catch (e) {
+    console.error('[login-history] Failed to record attempt:', e.message);
+    return null;
+  }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Convert a database row to an API object
+ * @param {Object} row - login_attempts row
+ * @returns {Object} Attempt
+ */
+function rowToAttempt(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    username: row.username,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    method: row.method,
+    success: !!row.success,
+    reason: row.reason,
+    newIp: !!row.new_ip,
+  };
+}
+
+/**
+ * List recent sign-in attempts, newest first
+ * @param {Object} [options] - Options
+ * @param {string} [options.username] - Only attempts for this username (all if omitted)
+ * @param {number} [options.limit] - Max attempts (default 50, max 500)
+ * @returns {Array} Attempts
+ */
+function listLoginAttempts({ username, limit = 50 } = {}) {
+  const database = initDB();
+  const max = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  
+  const rows = username
+    ? database.prepare('SELECT * FROM login_attempts WHERE username = ? ORDER BY id DESC LIMIT ?').all(username, max)
+    : database.prepare('SELECT * FROM login_attempts ORDER BY id DESC LIMIT ?').all(max);
+  
+  return rows.map(rowToAttempt);
+}
+
+/**
+ * List alerts that haven't been dismissed, newest first
+ * @param {Object} [options] - Options
+ * @param {string} [options.username] - Only alerts about this user (all if omitted)
+ * @returns {Array} [{ id, timestamp, type, username, ip, message }]
+ */
+function listOpenAlerts({ username } = {}) {
+  const database = initDB();
+  
+  return username
+    ? database.prepare(`
+        SELECT id, timestamp, type, username, ip, message FROM login_alerts
+        WHERE dismissed_at IS NULL AND username = ? ORDER BY id DESC
+      `).all(username)
+    : database.prepare(`
+        SELECT id, timestamp, type, username, ip, message FROM login_alerts
+        WHERE dismissed_at IS NULL ORDER BY id DESC
+      `).all();
+}
+
+/**
+ * Dismiss alerts
+ * @param {Object} options - Options
+ * @param {number} [options.id] - Alert to dismiss (all open alerts if omitted)
+ * @param {string} [options.username] - Only alerts about this user (any if omitted)
+ * @param {string} options.dismissedBy - Username dismissing them
+ * @returns {number} Number of alerts dismissed
+ */
+function dismissAlerts({ id, username, dismissedBy }) {
+  const conditions = ['dismissed_at IS NULL'];
+  const params = [new Date().toISOString(), dismissedBy];
+  
+  if (id != null) {
+    conditions.push('id = ?');
+    params.push(id);
+  }
+  if (username) {
+    conditions.push('username = ?');
+    params.push(username);
+  }
+  
+  return initDB().prepare(`
+    UPDATE login_alerts SET dismissed_at = ?, dismissed_by = ?
+    WHERE ${conditions.join(' AND ')}
+  `).run(...params).changes;
+}
+
+module.exports = {
+  initDB,
+  
+  // Recording
+  recordLoginAttempt,
+  
+  // Queries
+  listLoginAttempts,
+  
+  // Alerts
+  listOpenAlerts,
+  dismissAlerts,
+};
@@ -1,136 +1,419 @@
+// lib/security/rate-limit.js - Rate limiting
+// Sliding-window limiters persisted to SQLite so counters survive restarts
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+const { getSession } = require('../auth/sessions');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'rate-limit.sqlite');
+
+// How often expired hits are removed
+const PRUNE_INTERVAL = 60 * 1000;
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  // One row per counted request - the window is whatever falls inside it
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limit_hits (
+      limiter TEXT NOT NULL,
+      key TEXT NOT NULL,
+      timestamp INTEGER NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_key_time
+      ON rate_limit_hits(limiter, key, timestamp);
+  `);
+  
+  pruneAll();
+  
+  // Don't keep the process alive just to prune
+  setInterval(pruneAll, PRUNE_INTERVAL).unref();
+  
+  return db;
+}
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+/**
+ * Key a request by client IP
+ * @param {Object} req - Express request
+ * @returns {string} Key (e.g. 'ip:203.0.113.7')
+ */
+function ipKey(req) {
+  return `ip:${req.ip || req.connection.remoteAddress}`;
+}
+
 /**
- * Simple in-memory rate limiter
- * Tracks requests per IP and blocks excessive attempts
+ * Key a request by signed-in user, falling back to the client IP
+ * Runs before the routers authenticate, so only a valid session cookie
+ * counts - API token requests are keyed by IP.
+ * @param {Object} req - Express request
+ * @returns {string} Key (e.g. 'user:luxia' or 'ip:203.0.113.7')
  */
+function clientKey(req) {
+  const session = getSession(req.cookies?.[config.SESSION_COOKIE_NAME]);
+  return session ? `user:${session.username}` : ipKey(req);
+}
+
+/**
+ * Key for account-level limits
+ * @param {string} username - Username
+ * @returns {string} Key (e.g. 'user:luxia')
+ */
+function usernameKey(username) {
+  return `user:${String(username).slice(0, 64)}`;
+}
+
+// ============================================================================
+// RATE LIMITER
+// ============================================================================
+
+// Every limiter by name, for the throttled keys view
+const limiters = new Map();
 
 class RateLimiter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.name - Unique name (stored with each hit)
+   * @param {number} [options.windowMs] - Sliding window length
+   * @param {number} [options.maxAttempts] - Requests allowed within the window
+   * @param {string} [options.message] - Error returned when limited
+   * @param {string} [options.description] - What is limited (shown on the Server page)
+   * @param {Function} [options.keyGenerator] - (req) => key; defaults to user, then IP
+   */
   constructor(options = {}) {
+    if (!options.name) {
+      throw new Error('Rate limiter name is required');
+    }
+    if (limiters.has(options.name)) {
+      throw new Error(`Rate limiter '${options.name}' already exists`);
+    }
+    
+    this.name = options.name;
     this.windowMs = options.windowMs || 15 * 60 * 1000; // 15 minutes default
     this.maxAttempts = options.maxAttempts || 5;
     this.message = options.message || 'Too many requests, please try again later';
-    this.keyGenerator = options.keyGenerator || ((req) => req.ip || req.connection.remoteAddress);
+    this.description = options.description || null;
+    this.keyGenerator = options.keyGenerator || clientKey;
     
-    // Map of key -> { count, resetTime }
-    this.attempts = new Map();
-    
-    // Clean up expired entries periodically
-    this.cleanupInterval = setInterval(() => this.cleanup(), this.windowMs);
+    limiters.set(this.name, this);
   }
-
-  cleanup() {
+  
+  /**
+   * Remove hits that have slid out of the window
+   * @param {number} [now] - Current time
+   */
+  prune(now = Date.now()) {
+    initDB().prepare('DELETE FROM rate_limit_hits WHERE limiter = ? AND timestamp <= ?')
+      .run(this.name, now - this.windowMs);
+  }
+  
+  /**
+   * Get the state of a key without counting a request
+   * @param {string} key - Key
+   * @returns {object} { allowed, hits, remaining, resetTime } - resetTime is when the oldest hit leaves the window
+   */
+  status(key) {
     const now = Date.now();
-    for (const [key, data] of this.attempts.entries()) {
-      if (now > data.resetTime) {
-        this.attempts.delete(key);
-      }
-    }
+    const row = initDB().prepare(`
+      SELECT COUNT(*) AS hits, MIN(timestamp) AS oldest
+      FROM rate_limit_hits
+      WHERE limiter = ? AND key = ? AND timestamp > ?
+    `).get(this.name, key, now - this.windowMs);
+    
+    return {
+      allowed: row.hits < this.maxAttempts,
+      hits: row.hits,
+      remaining: Math.max(0, this.maxAttempts - row.hits),
+      resetTime: (row.oldest || now) + this.windowMs,
+    };
   }
-
+  
+  /**
+   * Count a request against a key
+   * @param {string} key - Key
+   */
+  hit(key) {
+    initDB().prepare('INSERT INTO rate_limit_hits (limiter, key, timestamp) VALUES (?, ?, ?)')
+      .run(this.name, key, Date.now());
+  }
+  
   /**
-   * Check if request should be allowed
+   * Check if request should be allowed, counting it if so
    * @returns {object} { allowed: boolean, remaining: number, resetTime: number }
    */
   check(key) {
-    const now = Date.now();
-    const data = this.attempts.get(key);
-
-    if (!data || now > data.resetTime) {
-      // First attempt or window expired
-      this.attempts.set(key, {
-        count: 1,
-        resetTime: now + this.windowMs
-      });
-      return { allowed: true, remaining: this.maxAttempts - 1, resetTime: now + this.windowMs };
-    }
-
-    if (data.count >= this.maxAttempts) {
-      // Rate limited
-      return { allowed: false, remaining: 0, resetTime: data.resetTime };
+    const result = this.status(key);
+    
+    if (result.allowed) {
+      this.hit(key);
+      result.remaining--;
     }
-
-    // Increment counter
-    data.count++;
-    return { allowed: true, remaining: this.maxAttempts - data.count, resetTime: data.resetTime };
+    
+    return result;
   }
-
+  
   /**
    * Reset attempts for a key (e.g., after successful login)
+   * @returns {boolean} True if the key had any hits
    */
   reset(key) {
-    this.attempts.delete(key);
+    return initDB().prepare('DELETE FROM rate_limit_hits WHERE limiter = ? AND key = ?')
+      .run(this.name, key).changes > 0;
   }
-
+  
+  /**
+   * Reset attempts for the key a request maps to
+   * @param {Object} req - Express request
+   */
+  resetRequest(req) {
+    this.reset(this.keyGenerator(req));
+  }
+  
+  /**
+   * List keys that are currently at their limit
+   * @returns {Array} [{ limiter, key, hits, maxAttempts, resetTime }]
+   */
+  listThrottled() {
+    const now = Date.now();
+    const rows = initDB().prepare(`
+      SELECT key, COUNT(*) AS hits, MIN(timestamp) AS oldest
+      FROM rate_limit_hits
+      WHERE limiter = ? AND timestamp > ?
+      GROUP BY key
+      HAVING COUNT(*) >= ?
+    `).all(this.name, now - this.windowMs, this.maxAttempts);
+    
+    return rows.map(row => ({
+      limiter: this.name,
+      key: row.key,
+      hits: row.hits,
+      maxAttempts: this.maxAttempts,
+      resetTime: row.oldest + this.windowMs,
+    }));
+  }
+  
   /**
    * Express middleware
+   * Fails open - a storage error must not take the panel down.
    */
   middleware() {
     return (req, res, next) => {
-      const key = this.keyGenerator(req);
-      const result = this.check(key);
-
+      let result;
+      try {
+        result = this.check(this.keyGenerator(req));
+      } catch (e) {
+        console.error(`[rate-limit] ${this.name} check failed:`, e.message);
+        return next();
+      }
+      
       // Set rate limit headers
       res.set('X-RateLimit-Limit', this.maxAttempts);
       res.set('X-RateLimit-Remaining', result.remaining);
       res.set('X-RateLimit-Reset', Math.ceil(result.resetTime / 1000));
-
+      
       if (!result.allowed) {
         res.set('Retry-After', Math.ceil((result.resetTime - Date.now()) / 1000));
-        return res.status(429).json({ 
+        return res.status(429).json({
           error: this.message,
           retryAfter: Math.ceil((result.resetTime - Date.now()) / 1000)
         });
       }
-
+      
       next();
     };
   }
-
+  
   /**
-   * Destroy the limiter (cleanup interval)
+   * Destroy the limiter (forget it and its counters)
    */
   destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
+    limiters.delete(this.name);
+    initDB().prepare('DELETE FROM rate_limit_hits WHERE limiter = ?').run(this.name);
+  }
+}
+
+/**
+ * Remove expired hits for every limiter
+ */
+function pruneAll() {
+  const now = Date.now();
+  try {
+    for (const limiter of limiters.values()) {
+      limiter.prune(now);
     }
+  } catch (e) {
+    console.error('[rate-limit] Prune failed:', e.message);
   }
 }
 
-// Pre-configured limiters for common use cases
+// ============================================================================
+// PRE-CONFIGURED LIMITERS
+// ============================================================================
 
 /**
  * Strict limiter for login attempts
  * 5 attempts per 15 minutes per IP
  */
 const loginLimiter = new RateLimiter({
+  name: 'login',
   windowMs: 15 * 60 * 1000, // 15 minutes
   maxAttempts: 5,
-  message: 'Too many login attempts. Please try again in 15 minutes.'
+  message: 'Too many login attempts. Please try again in 15 minutes.',
+  description: 'Sign-in attempts per IP',
+  keyGenerator: ipKey,
+});
+
+/**
+ * Account lockout
+ * Failed password/code attempts per username, whatever IP they come from
+ */
+const accountLimiter = new RateLimiter({
+  name: 'account',
+  windowMs: config.ACCOUNT_LOCKOUT_WINDOW,
+  maxAttempts: config.ACCOUNT_LOCKOUT_ATTEMPTS,
+  message: 'Too many failed sign-in attempts for this account. Please try again later.',
+  description: 'Failed sign-ins per username',
 });
 
 /**
  * General API limiter
- * 100 requests per minute per IP
+ * 100 requests per minute per user (or IP before sign-in)
  */
 const apiLimiter = new RateLimiter({
+  name: 'api',
   windowMs: 60 * 1000, // 1 minute
   maxAttempts: 100,
-  message: 'Too many requests. Please slow down.'
+  message: 'Too many requests. Please slow down.',
+  description: 'All API requests',
 });
 
 /**
  * Sensitive action limiter (restart services, etc.)
- * 10 attempts per 5 minutes per IP
+ * 10 attempts per 5 minutes per user (or IP)
  */
 const actionLimiter = new RateLimiter({
+  name: 'action',
   windowMs: 5 * 60 * 1000, // 5 minutes
   maxAttempts: 10,
-  message: 'Too many actions. Please wait before trying again.'
+  message: 'Too many actions. Please wait before trying again.',
+  description: 'Account changes',
 });
 
+// ============================================================================
+// ACCOUNT LOCKOUT
+// ============================================================================
+
+/**
+ * Check whether an account is locked out after too many failures
+ * @param {string} username - Username being signed in to
+ * @returns {Object} { locked, retryAfter } - retryAfter in seconds
+ */
+function getAccountLockout(username) {
+  const result = accountLimiter.status(usernameKey(username));
+  
+  return {
+    locked: !result.allowed,
+    retryAfter: result.allowed ? 0 : Math.ceil((result.resetTime - Date.now()) / 1000),
+  };
+}
+
+/**
+ * Count a failed password or code against an account
+ * @param {string} username - Username
+ */
+function recordFailedLogin(username) {
+  accountLimiter.hit(usernameKey(username));
+}
+
+/**
+ * Clear an account's failures (after a successful sign-in)
+ * @param {string} username - Username
+ */
+function clearFailedLogins(username) {
+  accountLimiter.reset(usernameKey(username));
+}
+
+// ============================================================================
+// THROTTLED KEYS
+// ============================================================================
+
+/**
+ * List every limiter with its budget
+ * @returns {Array} [{ name, description, windowMs, maxAttempts }]
+ */
+function listLimiters() {
+  return [...limiters.values()].map(limiter => ({
+    name: limiter.name,
+    description: limiter.description,
+    windowMs: limiter.windowMs,
+    maxAttempts: limiter.maxAttempts,
+  }));
+}
+
+/**
+ * List keys currently at their limit across all limiters
+ * @returns {Array} [{ limiter, key, hits, maxAttempts, resetTime }] soonest reset last
+ */
+function listThrottled() {
+  return [...limiters.values()]
+    .flatMap(limiter => limiter.listThrottled())
+    .sort((a, b) => b.resetTime - a.resetTime);
+}
+
+/**
+ * Clear a throttled key (e.g. unlock an account)
+ * @param {string} name - Limiter name
+ * @param {string} key - Key
+ * @returns {boolean} True if the key had any hits
+ * @throws {Error} If the limiter doesn't exist
+ */
+function clearKey(name, key) {
+  const limiter = limiters.get(name);
+  if (!limiter) {
+    throw new Error(`Unknown rate limiter: ${name}`);
+  }
+  return limiter.reset(key);
+}
+
 module.exports = {
+  initDB,
   RateLimiter,
+  
+  // Keys
+  ipKey,
+  clientKey,
+  
+  // Limiters
   loginLimiter,
   apiLimiter,
-  actionLimiter
+  actionLimiter,
+  
+  // Account lockout
+  getAccountLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+  
+  // Throttled keys
+  listLimiters,
+  listThrottled,
+  clearKey,
 };
-
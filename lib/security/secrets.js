@@ -0,0 +1,298 @@
+// lib/security/secrets.js - Encrypted secrets vault
+// Secrets editable from the UI, encrypted at rest with a master key from env
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Secrets that can be managed from the UI
+ * Anything not set in the vault falls back to the environment (.env).
+ */
+const SECRET_DEFINITIONS = {
+  RUNPOD_API_KEY: {
+    label: 'RunPod API key',
+    description: 'GPU pod control and lifecycle management',
+  },
+  RUNPOD_ENDPOINT_ID: {
+    label: 'RunPod endpoint ID',
+    description: 'Legacy serverless endpoint',
+  },
+  COMFYUI_AUTH_USER: {
+    label: 'ComfyUI username',
+    description: 'nginx basic auth in front of ComfyUI pods',
+    default: 'dreamgen',
+  },
+  COMFYUI_AUTH_PASS: {
+    label: 'ComfyUI password',
+    description: 'nginx basic auth in front of ComfyUI pods',
+  },
+  DREAM_GEN_AUTH_TOKEN: {
+    label: 'DreamGen auth token',
+    description: 'Shared token between DreamGen pods and the VPS',
+  },
+};
+
+const ALGORITHM = 'aes-256-gcm';
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Decrypted values, loaded on first access and refreshed on every write
+let cache = null;
+
+// Derived encryption key (scrypt is slow, so only derive once per salt)
+let derivedKey = null;
+let derivedSalt = null;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Ensure data directory exists
+ */
+function ensureDataDir() {
+  const dir = path.dirname(config.SECRETS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Load the vault file
+ * @returns {Object} { salt, secrets } - secrets map name -> encrypted record
+ */
+function loadVault() {
+  try {
+    if (fs.existsSync(config.SECRETS_FILE)) {
+      const data = JSON.parse(fs.readFileSync(config.SECRETS_FILE, 'utf8'));
+      return { salt: data.salt || null, secrets: data.secrets || {} };
+    }
+  } catch (e) {
+    console.error('Error loading secrets vault:', e.message);
+  }
+  return { salt: null, secrets: {} };
+}
+
+/**
+ * Save the vault file
+ * @param {Object} vault - { salt, secrets }
+ */
+function saveVault(vault) {
+  ensureDataDir();
+  fs.writeFileSync(config.SECRETS_FILE, JSON.stringify(vault, null, 2));
+  // Set restrictive permissions
+  try {
+    fs.chmodSync(config.SECRETS_FILE, 0o600);
+  } catch (e) {
+    // Might fail on some systems, that's okay
+  }
+}
+
+// ============================================================================
+// ENCRYPTION
+// ============================================================================
+
+/**
+ * Check whether the vault can be used (master key configured)
+ * @returns {boolean} True if SECRETS_MASTER_KEY is set
+ */
+function isVaultEnabled() {
+  return !!config.SECRETS_MASTER_KEY;
+}
+
+/**
+ * Derive the encryption key from the master key
+ * @param {string} salt - Hex salt stored in the vault file
+ * @returns {Buffer} 32-byte key
+ */
+function getKey(salt) {
+  if (derivedKey && derivedSalt === salt) return derivedKey;
+  
+  derivedKey = crypto.scryptSync(config.SECRETS_MASTER_KEY, Buffer.from(salt, 'hex'), 32);
+  derivedSalt = salt;
+  return derivedKey;
+}
+
+/**
+ * Encrypt a value
+ * @param {string} value - Plaintext
+ * @param {string} salt - Vault salt
+ * @returns {Object} { iv, tag, data } as hex strings
+ */
+function encrypt(value, salt) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(salt), iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  
+  return {
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    data: data.toString('hex'),
+  };
+}
+
+/**
+ * Decrypt a stored value
+ * @param {Object} record - { iv, tag, data }
+ * @param {string} salt - Vault salt
+ * @returns {string} Plaintext
+ * @throws {Error} If the master key is wrong or the record was tampered with
+ */
+function decrypt(record, salt) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(salt), Buffer.from(record.iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(record.data, 'hex')),
+    decipher.final(),
+  ]).toString('utf8');
+}
+
+/**
+ * Decrypt every stored secret into the cache
+ * Records that fail to decrypt are left out (and reported in the status).
+ * @returns {Object} Map of name -> plaintext
+ */
+function loadCache() {
+  if (cache) return cache;
+  
+  cache = {};
+  if (!isVaultEnabled()) return cache;
+  
+  const vault = loadVault();
+  for (const [name, record] of Object.entries(vault.secrets)) {
+    try {
+      cache[name] = decrypt(record, vault.salt);
+    } catch (e) {
+      console.error(`Cannot decrypt secret ${name} - wrong SECRETS_MASTER_KEY?`);
+    }
+  }
+  return cache;
+}
+
+/**
+ * Validate a secret name
+ * @param {string} name - Secret name
+ */
+function assertSecretName(name) {
+  if (!Object.hasOwn(SECRET_DEFINITIONS, name)) {
+    throw new Error(`Unknown secret: ${name}`);
+  }
+}
+
+// ============================================================================
+// SECRET ACCESS
+// ============================================================================
+
+/**
+ * Get the current value of a secret
+ * Vault value wins, then the environment, then the definition's default.
+ * @param {string} name - Secret name (e.g. 'RUNPOD_API_KEY')
+ * @returns {string} Value, or '' if not set anywhere
+ */
+function getSecret(name) {
+  const values = loadCache();
+  if (Object.hasOwn(values, name) && values[name]) return values[name];
+  
+  return process.env[name] || (Object.hasOwn(SECRET_DEFINITIONS, name) && SECRET_DEFINITIONS[name].default) || '';
+}
+
+/**
+ * Set (or rotate) a secret in the vault
+ * @param {string} name - Secret name
+ * @param {string} value - New value
+ * @param {Object} [options] - Options
+ * @param {string} [options.updatedBy] - Username making the change
+ */
+function setSecret(name, value, { updatedBy = null } = {}) {
+  assertSecretName(name);
+  
+  if (!isVaultEnabled()) {
+    throw new Error('SECRETS_MASTER_KEY not configured');
+  }
+  
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error('Value is required');
+  }
+  
+  const vault = loadVault();
+  if (!vault.salt) {
+    vault.salt = crypto.randomBytes(16).toString('hex');
+  }
+  
+  vault.secrets[name] = {
+    ...encrypt(value, vault.salt),
+    updatedAt: new Date().toISOString(),
+    updatedBy,
+  };
+  
+  saveVault(vault);
+  cache = null;
+}
+
+/**
+ * Remove a secret from the vault (falls back to .env again)
+ * @param {string} name - Secret name
+ * @returns {boolean} True if the secret was in the vault
+ */
+function deleteSecret(name) {
+  assertSecretName(name);
+  
+  const vault = loadVault();
+  if (!vault.secrets[name]) return false;
+  
+  delete vault.secrets[name];
+  saveVault(vault);
+  cache = null;
+  return true;
+}
+
+/**
+ * Get the status of every managed secret (never includes values)
+ * @returns {Array} [{ name, label, description, isSet, source, updatedAt, updatedBy, error }]
+ */
+function getSecretsStatus() {
+  const vault = loadVault();
+  const values = loadCache();
+  
+  return Object.entries(SECRET_DEFINITIONS).map(([name, definition]) => {
+    const record = vault.secrets[name];
+    const inVault = !!values[name];
+    
+    let source = null;
+    if (inVault) source = 'vault';
+    else if (process.env[name]) source = 'env';
+    else if (definition.default) source = 'default';
+    
+    return {
+      name,
+      label: definition.label,
+      description: definition.description,
+      isSet: source !== null,
+      source,
+      updatedAt: record ? record.updatedAt : null,
+      updatedBy: record ? record.updatedBy : null,
+      error: record && !inVault
+        ? (isVaultEnabled() ? 'Cannot decrypt - check SECRETS_MASTER_KEY' : 'SECRETS_MASTER_KEY not configured')
+        : null,
+    };
+  });
+}
+
+module.exports = {
+  SECRET_DEFINITIONS,
+  isVaultEnabled,
+  
+  // Secret access
+  getSecret,
+  setSecret,
+  deleteSecret,
+  getSecretsStatus,
+};
@@ -173,6 +173,39 @@ async function getLogs(lines = 200, timestamps = true) {
   }
 }
 
+/**
+ * Get the container's log lines in a time range
+ * @param {Object} options - Options
+ * @param {number} options.since - Range start (ms since epoch)
+ * @param {number} options.until - Range end (ms since epoch)
+ * @param {number} [options.limit=1000] - Max lines (the newest are kept)
+ * @returns {Promise<Array<Object>>} [{ timestamp, message }], oldest first
+ * @throws {Error} If Docker is unavailable or the container doesn't exist
+ */
+async function getLogEntries({ since, until, limit = 1000 }) {
+  const containerName = config.AETHERA_CONTAINER_NAME;
+  
+  if (!await isDockerAvailable()) {
+    throw new Error('Docker not available');
+  }
+  
+  const result = await runCmdFull(
+    `docker logs ${containerName} --timestamps --since ${Math.floor(since / 1000)} --until ${Math.ceil(until / 1000)} --tail ${limit} 2>&1`
+  );
+  
+  if (result.code !== 0) {
+    throw new Error(`Failed to get logs: ${result.stdout.trim() || result.stderr.trim()}`);
+  }
+  
+  return result.stdout.split('\n')
+    .map(line => line.match(/^(\d{4}-\d{2}-\d{2}T\S+Z) ?(.*)$/))
+    .filter(Boolean)
+    .map(([, timestamp, message]) => ({
+      timestamp: new Date(timestamp).toISOString(),
+      message,
+    }));
+}
+
 // ============================================================================
 // CONTAINER CONTROL
 // ============================================================================
@@ -349,6 +382,7 @@ module.exports = {
   
   // Logs
   getLogs,
+  getLogEntries,
   
   // Control
   start,
@@ -0,0 +1,131 @@
+// lib/services/bot-config-schema.js - Bot config validation
+// Checks config.yaml against the ChapterX schema before it is saved
+
+const YAML = require('yaml');
+const { findModelPricing } = require('./usage');
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+// Top-level keys ChapterX reads. Keys not listed here are passed through
+// unchecked, so newer ChapterX options don't need a panel update.
+// knownModel only warns - new models work before the pricing table knows them.
+const CONFIG_SCHEMA = {
+  name: { type: 'string' },
+  discord_token: { type: 'string' },
+  model: { type: 'string', knownModel: true },
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  max_tokens: { type: 'integer', min: 1 },
+};
+
+/**
+ * Describe the type of a parsed YAML value
+ * @param {*} value - Value
+ * @returns {string} 'string', 'integer', 'number', 'boolean', 'array', 'object' or 'null'
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check one value against its schema entry
+ * @param {string} key - Key name
+ * @param {*} value - Parsed value
+ * @param {Object} rule - Schema entry
+ * @returns {string|null} Error message, or null if valid
+ */
+function checkValue(key, value, rule) {
+  const actual = typeOf(value);
+  const typeMatches = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+  
+  if (!typeMatches) {
+    return `'${key}' must be ${rule.type === 'integer' ? 'a whole number' : `a ${rule.type}`}, got ${actual}`;
+  }
+  
+  if (rule.min !== undefined && value < rule.min) {
+    return `'${key}' must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `'${key}' must be at most ${rule.max}`;
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a bot config
+ * @param {string} content - YAML content
+ * @returns {Object} { valid, errors, warnings } - each [{ line, column, key, message }],
+ *   line/column are 1-based; warnings don't make the config invalid
+ */
+function validateBotConfig(content) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter, prettyErrors: false });
+  const errors = [];
+  const warnings = [];
+  
+  /**
+   * Record a problem at a source offset
+   * @param {Array} list - errors or warnings
+   * @param {number} offset - Offset into content
+   * @param {string} key - Key the problem is about (null for syntax errors)
+   * @param {string} message - Message
+   */
+  const addProblem = (list, offset, key, message) => {
+    const { line, col } = lineCounter.linePos(offset);
+    list.push({ line, column: col, key, message });
+  };
+  const addError = (offset, key, message) => addProblem(errors, offset, key, message);
+  
+  // Syntax errors - the schema can't be checked until they are fixed
+  for (const error of doc.errors) {
+    addError(error.pos[0], null, error.message.split('\n')[0]);
+  }
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings };
+  }
+  
+  if (!YAML.isMap(doc.contents)) {
+    addError(doc.contents?.range?.[0] || 0, null, 'Config must be a mapping of keys to values');
+    return { valid: false, errors, warnings };
+  }
+  
+  for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const pair = doc.contents.items.find(item => YAML.isScalar(item.key) && item.key.value === key);
+    
+    if (!pair) {
+      if (rule.required) {
+        addError(0, key, `Missing required key '${key}'`);
+      }
+      continue;
+    }
+    
+    const value = YAML.isNode(pair.value) ? pair.value.toJSON() : pair.value;
+    const message = checkValue(key, value, rule);
+    
+    const offset = (pair.value?.range || pair.key.range)[0];
+    
+    if (message) {
+      addError(offset, key, message);
+    } else if (rule.knownModel && !findModelPricing(value)) {
+      addProblem(warnings, offset, key, `Unknown model '${value}' - usage costs will be estimated at default pricing`);
+    }
+  }
+  
+  errors.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+module.exports = {
+  validateBotConfig,
+  CONFIG_SCHEMA,
+};
@@ -0,0 +1,295 @@
+// lib/services/bot-monitor.js - Bot restart history and crash-loop detection
+// Polls systemd for automatic restarts and can stop bots that keep crashing
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+const systemd = require('../systemd');
+const botState = require('./bot-state');
+const audit = require('../security/audit');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'bot-restarts.sqlite');
+
+// Journal lines kept with each restart
+const LOG_TAIL_LINES = 20;
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS restart_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT NOT NULL,
+      bot TEXT NOT NULL,
+      slot TEXT NOT NULL,
+      type TEXT NOT NULL,
+      restarts INTEGER NOT NULL DEFAULT 0,
+      result TEXT,
+      exit_code INTEGER,
+      signal INTEGER,
+      log_tail TEXT
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_restart_events_bot
+      ON restart_events(bot, timestamp);
+  `);
+  
+  pruneEvents();
+  
+  console.log('[bot-monitor] Database initialized at', DB_PATH);
+  return db;
+}
+
+/**
+ * Delete events older than the retention period
+ * @returns {number} Number of events deleted
+ */
+function pruneEvents() {
+  if (!config.BOT_RESTART_RETENTION_DAYS) return 0;
+  
+  const cutoff = new Date(Date.now() - config.BOT_RESTART_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return db.prepare('DELETE FROM restart_events WHERE timestamp < ?').run(cutoff).changes;
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Record a restart history event
+ * @param {string} botName - Bot name
+ * @param {string} slot - Slot the service runs from
+ * @param {string} type - 'restart', 'crash-loop' or 'auto-stop'
+ * @param {Object} [fields] - { restarts, result, exitCode, signal, logTail }
+ */
+function recordEvent(botName, slot, type, fields = {}) {
+  initDB().prepare(`
+    INSERT INTO restart_events (timestamp, bot, slot, type, restarts, result, exit_code, signal, log_tail)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    new Date().toISOString(),
+    botName,
+    slot,
+    type,
+    fields.restarts || 0,
+    fields.result || null,
+    fields.exitCode ?? null,
+    fields.signal ?? null,
+    fields.logTail || null
+  );
+}
+
+/**
+ * List a bot's restart history, newest first
+ * @param {string} botName - Bot name
+ * @param {number} [limit=50] - Max events
+ * @returns {Array<Object>} [{ id, timestamp, slot, type, restarts, result, exitCode, signal, logTail }]
+ */
+function listEvents(botName, limit = 50) {
+  return initDB().prepare('SELECT * FROM restart_events WHERE bot = ? ORDER BY id DESC LIMIT ?')
+    .all(botName, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500))
+    .map(row => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      slot: row.slot,
+      type: row.type,
+      restarts: row.restarts,
+      result: row.result,
+      exitCode: row.exit_code,
+      signal: row.signal,
+      logTail: row.log_tail,
+    }));
+}
+
+/**
+ * Move a bot's restart history to a new key (archive, restore)
+ * @param {string} fromName - Current key
+ * @param {string} toName - New key
+ * @returns {number} Number of events moved
+ */
+function renameEvents(fromName, toName) {
+  return initDB().prepare('UPDATE restart_events SET bot = ? WHERE bot = ?').run(toName, fromName).changes;
+}
+
+/**
+ * Delete a bot's restart history
+ * @param {string} botName - Bot name
+ * @returns {number} Number of events deleted
+ */
+function deleteEvents(botName) {
+  return initDB().prepare('DELETE FROM restart_events WHERE bot = ?').run(botName).changes;
+}
+
+/**
+ * Check whether a bot is crash-looping
+ * @param {string} botName - Bot name
+ * @returns {Object} { crashLooping, restarts, threshold, windowMinutes, lastRestartAt, autoStoppedAt }
+ */
+function getCrashLoopStatus(botName) {
+  const since = new Date(Date.now() - config.CRASH_LOOP_WINDOW).toISOString();
+  const database = initDB();
+  
+  const { restarts, lastRestartAt } = database.prepare(`
+    SELECT COALESCE(SUM(restarts), 0) AS restarts, MAX(timestamp) AS lastRestartAt
+    FROM restart_events WHERE bot = ? AND type = 'restart' AND timestamp >= ?
+  `).get(botName, since);
+  
+  const autoStop = database.prepare(`
+    SELECT timestamp FROM restart_events
+    WHERE bot = ? AND type = 'auto-stop' AND timestamp >= ? ORDER BY id DESC LIMIT 1
+  `).get(botName, since);
+  
+  return {
+    crashLooping: config.CRASH_LOOP_RESTARTS > 0 && restarts >= config.CRASH_LOOP_RESTARTS,
+    restarts,
+    threshold: config.CRASH_LOOP_RESTARTS,
+    windowMinutes: Math.round(config.CRASH_LOOP_WINDOW / 60000),
+    lastRestartAt,
+    autoStoppedAt: autoStop ? autoStop.timestamp : null,
+  };
+}
+
+// ============================================================================
+// MONITORING
+// ============================================================================
+
+// Restart count last seen per service, so only new restarts are recorded
+const lastRestartCounts = new Map();
+
+let monitorInterval = null;
+let polling = false;
+
+/**
+ * Record new restarts of one service and act on a crash loop
+ * @param {Object} service - From systemd.listChapterXServices()
+ */
+async function checkService(service) {
+  const info = await systemd.getServiceRestartInfo(service.serviceName);
+  if (!info) return;
+  
+  const previous = lastRestartCounts.get(service.serviceName);
+  lastRestartCounts.set(service.serviceName, info.nRestarts);
+  
+  // First sighting, or the counter was reset by a manual start - nothing new
+  if (previous === undefined || info.nRestarts <= previous) return;
+  
+  recordEvent(service.botName, service.slot, 'restart', {
+    restarts: info.nRestarts - previous,
+    result: info.result,
+    exitCode: info.exitCode,
+    signal: info.signal,
+    logTail: await systemd.getServiceLogs(service.serviceName, LOG_TAIL_LINES),
+  });
+  
+  const status = getCrashLoopStatus(service.botName);
+  const alreadyFlagged = initDB().prepare(`
+    SELECT 1 FROM restart_events WHERE bot = ? AND type = 'crash-loop' AND timestamp >= ?
+  `).get(service.botName, new Date(Date.now() - config.CRASH_LOOP_WINDOW).toISOString());
+  
+  if (!status.crashLooping || alreadyFlagged) return;
+  
+  console.warn(`[bot-monitor] ${service.botName} is crash-looping: ${status.restarts} restarts in ${status.windowMinutes} minutes`);
+  recordEvent(service.botName, service.slot, 'crash-loop', { restarts: status.restarts });
+  
+  if (config.CRASH_LOOP_AUTO_STOP) {
+    await autoStop(service, status);
+  }
+}
+
+/**
+ * Stop a crash-looping service
+ * @param {Object} service - From systemd.listChapterXServices()
+ * @param {Object} status - From getCrashLoopStatus()
+ */
+async function autoStop(service, status) {
+  const success = await systemd.stopService(service.serviceName);
+  
+  if (success) {
+    botState.recordBotStop(service.botName, service.slot);
+    recordEvent(service.botName, service.slot, 'auto-stop', { restarts: status.restarts });
+    console.warn(`[bot-monitor] Stopped ${service.serviceName} after ${status.restarts} restarts`);
+  } else {
+    console.error(`[bot-monitor] Failed to stop crash-looping ${service.serviceName}`);
+  }
+  
+  audit.recordEvent({
+    action: 'bots.auto-stop',
+    target: service.botName,
+    details: { slot: service.slot, restarts: status.restarts, windowMinutes: status.windowMinutes },
+    success,
+    error: success ? null : 'systemctl stop failed',
+  });
+}
+
+/**
+ * Check every ChapterX service once
+ */
+async function pollServices() {
+  if (polling) return;
+  polling = true;
+  
+  try {
+    if (!await systemd.isSystemdAvailable()) return;
+    
+    const services = await systemd.listChapterXServices();
+    const names = new Set(services.map(service => service.serviceName));
+    
+    // Forget services that were removed
+    for (const name of lastRestartCounts.keys()) {
+      if (!names.has(name)) lastRestartCounts.delete(name);
+    }
+    
+    for (const service of services) {
+      try {
+        await checkService(service);
+      } catch (e) {
+        console.error(`[bot-monitor] Error checking ${service.serviceName}:`, e.message);
+      }
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling bot services in the background
+ */
+function startMonitor() {
+  if (monitorInterval) return;
+  
+  initDB();
+  pollServices().catch(e => console.error('[bot-monitor] Poll failed:', e.message));
+  
+  // Don't keep the process alive just to poll
+  monitorInterval = setInterval(() => {
+    pollServices().catch(e => console.error('[bot-monitor] Poll failed:', e.message));
+  }, config.BOT_MONITOR_INTERVAL);
+  monitorInterval.unref();
+}
+
+module.exports = {
+  initDB,
+  startMonitor,
+  
+  // Queries
+  listEvents,
+  getCrashLoopStatus,
+  
+  // Bot lifecycle
+  renameEvents,
+  deleteEvents,
+};
@@ -0,0 +1,231 @@
+// lib/services/bot-secrets.js - Credentials in bot configs
+// Finds secret values in config.yaml to blank, redact or merge back
+
+const YAML = require('yaml');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Keys whose values are credentials - whole key segments only, so settings
+// like max_tokens don't count (matches token, discord_token, api_key, ...)
+const SECRET_KEY_PATTERN = /(^|[_-])(token|secret|passw(or)?d|api[_-]?key|private[_-]?key|credentials?|webhook([_-]?url)?)$/i;
+
+// Values that are credentials whatever their key (Anthropic/OpenAI/Slack/GitHub style)
+const SECRET_VALUE_PATTERN = /^(sk-|sk_|xox[abp]-|ghp_|gho_|aeth_)/;
+
+// Shown in place of a secret; saving it back keeps the stored value
+const REDACTED_PLACEHOLDER = '<redacted>';
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * Parse a config, throwing on invalid YAML
+ * @param {string} content - YAML content
+ * @returns {Object} YAML document
+ */
+function parseConfig(content) {
+  const doc = YAML.parseDocument(content);
+  if (doc.errors.length > 0) {
+    throw new Error(`Config is not valid YAML: ${doc.errors[0].message}`);
+  }
+  return doc;
+}
+
+/**
+ * Call fn for every scalar value in a document, including list items
+ * @param {Object} doc - YAML document
+ * @param {Function} fn - (key, scalar, keyPath) => void; key is the nearest mapping key
+ *   and keyPath is dotted with list indices (e.g. 'providers[1].api_key', 'fallback_keys[0]')
+ */
+function visitValues(doc, fn) {
+  YAML.visit(doc, {
+    Scalar(role, scalar, ancestors) {
+      // Mapping keys aren't values
+      if (role === 'key') return;
+      
+      const nodes = [...ancestors, scalar];
+      let key = '';
+      let keyPath = '';
+      
+      nodes.forEach((node, i) => {
+        const child = nodes[i + 1];
+        if (YAML.isPair(node) && child === node.value && YAML.isScalar(node.key)) {
+          key = String(node.key.value);
+          keyPath += keyPath ? `.${key}` : key;
+        } else if (YAML.isSeq(node) && child) {
+          keyPath += `[${node.items.indexOf(child)}]`;
+        }
+      });
+      
+      fn(key, scalar, keyPath);
+    },
+  });
+}
+
+/**
+ * Replace scalars in the text they were parsed from, by source range
+ * Editing the text instead of re-serializing the document keeps everything
+ * else (long lines, quoting, comments) byte for byte.
+ * @param {string} content - YAML content the scalars were parsed from
+ * @param {Array<Object>} edits - [{ scalar, source }] - source is the YAML text to put in its place
+ * @returns {string} Edited content
+ */
+function spliceScalars(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.scalar.range[0] - a.scalar.range[0])
+    .reduce((text, { scalar, source }) => {
+      const [start, end] = scalar.range;
+      // Block scalars end with their line break - keep it
+      const trailing = text.slice(start, end).match(/\s*$/)[0];
+      return text.slice(0, start) + source.replace(/\s+$/, '') + trailing + text.slice(end);
+    }, content);
+}
+
+/**
+ * Call fn for every non-empty secret value in a document
+ * @param {Object} doc - YAML document
+ * @param {Function} fn - (scalar, keyPath) => void
+ */
+function visitSecrets(doc, fn) {
+  visitValues(doc, (key, scalar, keyPath) => {
+    const value = scalar.value;
+    const secret = SECRET_KEY_PATTERN.test(key) ||
+      (typeof value === 'string' && SECRET_VALUE_PATTERN.test(value));
+    
+    if (secret && value !== '' && value !== null) {
+      fn(scalar, keyPath);
+    }
+  });
+}
+
+// ============================================================================
+// BLANKING & REDACTION
+// ============================================================================
+
+/**
+ * Blank every credential in a YAML config, keeping keys and comments
+ * @param {string} content - YAML content
+ * @returns {Object} { doc, stripped } - stripped lists the dotted key paths blanked
+ * @throws {Error} If the YAML can't be parsed
+ */
+function stripSecrets(content) {
+  const doc = parseConfig(content);
+  const stripped = [];
+  
+  visitSecrets(doc, (scalar, keyPath) => {
+    stripped.push(keyPath);
+    // Replace the value in place so any trailing comment survives
+    scalar.value = '';
+  });
+  
+  return { doc, stripped };
+}
+
+/**
+ * Replace every credential with the placeholder, for sending to the browser
+ * Configs that don't parse are redacted line by line instead, so a broken
+ * file never leaks its secrets.
+ * @param {string} content - YAML content
+ * @returns {Object} { content, redacted } - redacted lists the dotted key paths hidden
+ */
+function redactSecrets(content) {
+  let doc;
+  try {
+    doc = parseConfig(content);
+  } catch (e) {
+    return redactLines(content);
+  }
+  
+  const redacted = [];
+  const edits = [];
+  visitSecrets(doc, (scalar, keyPath) => {
+    if (scalar.value === REDACTED_PLACEHOLDER) return;
+    redacted.push(keyPath);
+    edits.push({ scalar, source: REDACTED_PLACEHOLDER });
+  });
+  
+  return { content: spliceScalars(content, edits), redacted };
+}
+
+/**
+ * Fallback redaction for unparseable YAML - masks "key: value" lines with secret
+ * keys, and "- value" list items that look like credentials
+ * @param {string} content - Content
+ * @returns {Object} { content, redacted }
+ */
+function redactLines(content) {
+  const redacted = [];
+  
+  const lines = content.split('\n').map(line => {
+    const item = line.match(/^(\s*-\s*)(["']?)(\S[^:]*)$/);
+    if (item && SECRET_VALUE_PATTERN.test(item[3])) {
+      redacted.push('list item');
+      return `${item[1]}"${REDACTED_PLACEHOLDER}"`;
+    }
+    
+    const match = line.match(/^(\s*-?\s*)([\w.-]+)(\s*:\s*)(\S.*)$/);
+    if (!match) return line;
+    
+    const [, indent, key, separator, value] = match;
+    if (!SECRET_KEY_PATTERN.test(key) && !SECRET_VALUE_PATTERN.test(value.replace(/^["']/, ''))) {
+      return line;
+    }
+    
+    redacted.push(key);
+    return `${indent}${key}${separator}"${REDACTED_PLACEHOLDER}"`;
+  });
+  
+  return { content: lines.join('\n'), redacted };
+}
+
+/**
+ * Put stored secrets back where a saved config still has the placeholder
+ * Placeholders are matched by key path, so moving a key elsewhere means
+ * entering its value again.
+ * @param {string} content - Config as submitted (may contain placeholders)
+ * @param {string} storedContent - Config currently on disk
+ * @returns {string} Config with the real values restored
+ * @throws {Error} If a placeholder has no stored value to restore
+ */
+function mergeSecrets(content, storedContent) {
+  if (!content.includes(REDACTED_PLACEHOLDER)) return content;
+  
+  const doc = YAML.parseDocument(content);
+  // Leave syntax errors for validation to report
+  if (doc.errors.length > 0) return content;
+  
+  // Stored values are kept as their YAML source, so quoting survives the merge
+  const stored = new Map();
+  try {
+    visitSecrets(parseConfig(storedContent), (scalar, keyPath) => {
+      stored.set(keyPath, storedContent.slice(scalar.range[0], scalar.range[1]));
+    });
+  } catch (e) {
+    // Stored config is broken - nothing to restore from
+  }
+  
+  // Any placeholder counts - values matched by their prefix no longer look secret
+  const edits = [];
+  visitValues(doc, (key, scalar, keyPath) => {
+    if (scalar.value !== REDACTED_PLACEHOLDER) return;
+    
+    if (!stored.has(keyPath)) {
+      throw new Error(`'${keyPath}' has no stored value to keep - enter it again or reveal secrets first`);
+    }
+    edits.push({ scalar, source: stored.get(keyPath) });
+  });
+  
+  return spliceScalars(content, edits);
+}
+
+module.exports = {
+  REDACTED_PLACEHOLDER,
+  
+  // Blanking & redaction
+  stripSecrets,
+  redactSecrets,
+  mergeSecrets,
+};
@@ -147,6 +147,54 @@ function recordBotStop(botName, slot) {
   saveState();
 }
 
+/**
+ * Get the groups a bot is tagged with
+ * @param {string} botName - Bot name
+ * @returns {Array<string>} Group names
+ */
+function getBotGroups(botName) {
+  const botState = getBotState(botName);
+  return botState?.groups || [];
+}
+
+/**
+ * Set the groups a bot is tagged with
+ * @param {string} botName - Bot name
+ * @param {Array<string>} groups - Group names (already validated)
+ */
+function setBotGroups(botName, groups) {
+  const state = loadState();
+  
+  if (!state.bots[botName]) {
+    state.bots[botName] = {};
+  }
+  
+  state.bots[botName].groups = groups;
+  state.bots[botName].lastUpdated = new Date().toISOString();
+  
+  saveState();
+}
+
+/**
+ * List every group in use with its bots
+ * @returns {Array<Object>} [{ name, bots }] sorted by name
+ */
+function listGroups() {
+  const state = loadState();
+  const groups = new Map();
+  
+  for (const [botName, botState] of Object.entries(state.bots)) {
+    for (const group of botState.groups || []) {
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(botName);
+    }
+  }
+  
+  return [...groups.entries()]
+    .map(([name, bots]) => ({ name, bots: bots.sort() }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
 /**
  * Get all bot states
  * @returns {Object} Map of botName to state
@@ -228,6 +276,91 @@ function clearBotState(botName) {
   saveState();
 }
 
+/**
+ * Copy a bot's state to a new bot (e.g. when cloning)
+ * Only the slot preference carries over - start/stop history belongs to the original.
+ * @param {string} fromName - Existing bot name
+ * @param {string} toName - New bot name
+ */
+function copyBotState(fromName, toName) {
+  const state = loadState();
+  const source = state.bots[fromName];
+  if (!source) return;
+  
+  state.bots[toName] = {
+    preferredSlot: source.preferredSlot,
+    createdAt: new Date().toISOString(),
+    lastUpdated: new Date().toISOString(),
+  };
+  
+  saveState();
+}
+
+/**
+ * Move a bot's state into the archive
+ * Archived state is kept apart from state.bots, which is synced with the
+ * bots directory and would otherwise drop it.
+ * @param {string} botName - Bot name
+ * @param {string} archiveId - Archive entry ID
+ * @param {Object} info - Extra details to keep (e.g. { archivedBy })
+ */
+function archiveBotState(botName, archiveId, info = {}) {
+  const state = loadState();
+  
+  if (!state.archived) {
+    state.archived = {};
+  }
+  
+  state.archived[archiveId] = {
+    ...(state.bots[botName] || {}),
+    ...info,
+    name: botName,
+    archivedAt: new Date().toISOString(),
+  };
+  delete state.bots[botName];
+  
+  saveState();
+}
+
+/**
+ * Get stored state for an archived bot
+ * @param {string} archiveId - Archive entry ID
+ * @returns {Object|null} Archived state or null if not found
+ */
+function getArchivedBotState(archiveId) {
+  const state = loadState();
+  return state.archived?.[archiveId] || null;
+}
+
+/**
+ * Move an archived bot's state back, possibly under a new name
+ * @param {string} archiveId - Archive entry ID
+ * @param {string} botName - Name the bot is restored as
+ */
+function restoreBotState(archiveId, botName) {
+  const state = loadState();
+  const archived = state.archived?.[archiveId];
+  
+  if (archived) {
+    const { name, archivedAt, archivedBy, ...botFields } = archived;
+    state.bots[botName] = { ...botFields, lastUpdated: new Date().toISOString() };
+    delete state.archived[archiveId];
+    saveState();
+  }
+}
+
+/**
+ * Clear state for an archived bot (e.g. when it is deleted)
+ * @param {string} archiveId - Archive entry ID
+ */
+function clearArchivedBotState(archiveId) {
+  const state = loadState();
+  if (state.archived?.[archiveId]) {
+    delete state.archived[archiveId];
+    saveState();
+  }
+}
+
 /**
  * Force reload state from disk (useful after external changes)
  */
@@ -246,7 +379,19 @@ module.exports = {
   ensureBotState,
   syncWithDiscoveredBots,
   clearBotState,
+  copyBotState,
   reloadState,
   STATE_FILE,
+  
+  // Groups
+  getBotGroups,
+  setBotGroups,
+  listGroups,
+  
+  // Archived bots
+  archiveBotState,
+  getArchivedBotState,
+  restoreBotState,
+  clearArchivedBotState,
 };
 
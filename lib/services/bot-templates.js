@@ -0,0 +1,163 @@
+// lib/services/bot-templates.js - Bot config templates
+// Starting configs for new bots, and secret stripping for cloned configs
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const config = require('../../config');
+const { stripSecrets } = require('./bot-secrets');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Placeholder replaced with the new bot's name in every template
+const NAME_PLACEHOLDER = /\{\{\s*name\s*\}\}/g;
+
+// Templates shipped with the panel; more can be dropped into BOT_TEMPLATES_PATH
+const BUILTIN_TEMPLATES = {
+  blank: {
+    description: 'Minimal config - fill in the Discord token and model',
+    content: `# {{name}} - ChapterX bot configuration
+# Created from the blank template. Fill in the Discord token and review the
+# model before starting the bot.
+
+name: {{name}}
+discord_token: ""
+model: claude-sonnet-4-5-20250929
+temperature: 1
+max_tokens: 1024
+`,
+  },
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Read the custom templates directory
+ * @returns {Array<Object>} [{ id, file }] for each .yaml/.yml file
+ */
+function scanCustomTemplates() {
+  const dir = config.BOT_TEMPLATES_PATH;
+  if (!fs.existsSync(dir)) return [];
+  
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && /\.ya?ml$/.test(entry.name))
+    .map(entry => ({
+      id: entry.name.replace(/\.ya?ml$/, ''),
+      file: path.join(dir, entry.name),
+    }));
+}
+
+/**
+ * Describe a template from its first comment line
+ * @param {string} content - Template content
+ * @returns {string|null} Description
+ */
+function describeTemplate(content) {
+  const match = content.match(/^#\s*(.+)$/m);
+  return match ? match[1].replace(NAME_PLACEHOLDER, '<name>').trim() : null;
+}
+
+/**
+ * List available templates
+ * Custom templates override built-in ones with the same ID.
+ * @returns {Array<Object>} [{ id, description, source }]
+ */
+function listTemplates() {
+  const templates = new Map();
+  
+  for (const [id, template] of Object.entries(BUILTIN_TEMPLATES)) {
+    templates.set(id, { id, description: template.description, source: 'builtin' });
+  }
+  
+  for (const { id, file } of scanCustomTemplates()) {
+    try {
+      templates.set(id, { id, description: describeTemplate(fs.readFileSync(file, 'utf8')), source: 'custom' });
+    } catch (e) {
+      console.error(`Error reading bot template ${file}:`, e.message);
+    }
+  }
+  
+  return [...templates.values()].sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Render a template for a new bot
+ * @param {string} id - Template ID
+ * @param {string} botName - New bot's name
+ * @returns {string} Config content
+ * @throws {Error} If the template doesn't exist
+ */
+function renderTemplate(id, botName) {
+  const custom = scanCustomTemplates().find(t => t.id === id);
+  const content = custom
+    ? fs.readFileSync(custom.file, 'utf8')
+    : BUILTIN_TEMPLATES[id]?.content;
+  
+  if (content === undefined) {
+    throw new Error(`Unknown template: ${id}`);
+  }
+  
+  return content.replace(NAME_PLACEHOLDER, botName);
+}
+
+// ============================================================================
+// CLONING
+// ============================================================================
+
+/**
+ * Copy another bot's config for a new bot
+ * Credentials are blanked and a top-level name key is set to the new name.
+ * @param {string} content - Source bot's YAML config
+ * @param {string} botName - New bot's name
+ * @returns {Object} { content, stripped } - stripped lists the dotted key paths blanked
+ * @throws {Error} If the YAML can't be parsed
+ */
+function cloneConfig(content, botName) {
+  const { doc, stripped } = stripSecrets(content);
+  setConfigName(doc, botName);
+  
+  // lineWidth 0 keeps long strings (e.g. system prompts) on one line
+  return { content: doc.toString({ lineWidth: 0 }), stripped };
+}
+
+/**
+ * Point a config at a renamed bot
+ * Only a top-level name key is changed; configs without one are returned as-is.
+ * @param {string} content - YAML content
+ * @param {string} botName - Bot's new name
+ * @returns {string} Config content
+ */
+function renameConfig(content, botName) {
+  const doc = YAML.parseDocument(content);
+  if (doc.errors.length > 0 || !setConfigName(doc, botName)) {
+    return content;
+  }
+  
+  return doc.toString({ lineWidth: 0 });
+}
+
+/**
+ * Set a document's top-level name key, if it has one
+ * @param {Object} doc - YAML document
+ * @param {string} botName - Bot name
+ * @returns {boolean} True if the document was changed
+ */
+function setConfigName(doc, botName) {
+  if (!YAML.isMap(doc.contents) || !doc.has('name')) return false;
+  
+  doc.set('name', botName);
+  return true;
+}
+
+module.exports = {
+  listTemplates,
+  renderTemplate,
+  
+  // Cloning
+  cloneConfig,
+  renameConfig,
+};
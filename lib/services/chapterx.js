@@ -6,6 +6,11 @@ const path = require('path');
 const config = require('../../config');
 const systemd = require('../systemd');
 const botState = require('./bot-state');
+const botTemplates = require('./bot-templates');
+const botSecrets = require('./bot-secrets');
+const { validateBotConfig } = require('./bot-config-schema');
+const configHistory = require('./config-history');
+const botMonitor = require('./bot-monitor');
 
 // ============================================================================
 // BOT CONFIG DISCOVERY
@@ -99,6 +104,7 @@ async function getBotStatus(botName) {
     startedAt: activeStartedAt,
     needsStop, // True if there's a service in a problematic state that should be stopped
     needsStopSlot, // Which slot has the problematic service
+    crashLoop: botMonitor.getCrashLoopStatus(botName), // Recent automatic restarts
   };
 }
 
@@ -154,6 +160,8 @@ async function listBots() {
       pid,
       state,
       needsStop,
+      crashLoop: botMonitor.getCrashLoopStatus(bot.name),
+      groups: botState.getBotGroups(bot.name),
       systemdAvailable,
     });
   }
@@ -164,6 +172,288 @@ async function listBots() {
   return bots;
 }
 
+// ============================================================================
+// BOT CREATION
+// ============================================================================
+
+// Bot names become directory and systemd service names
+const BOT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+
+// Fixed path segments in routes/bots.js - a bot with one of these names would
+// be shadowed by (or shadow) the /api/bots/<segment> routes
+const RESERVED_BOT_NAMES = ['archive', 'bulk', 'cleanup', 'groups', 'rescan', 'slots', 'templates'];
+
+/**
+ * Refuse a config that fails schema validation, before it is written
+ * @param {string} content - YAML content
+ * @param {string} outcome - What happens instead (e.g. 'not saved'), for the message
+ * @returns {Array<Object>} Warnings that don't block writing it
+ * @throws {Error} If the config is invalid (validationErrors holds the line/column errors)
+ */
+function assertValidConfig(content, outcome) {
+  const { valid, errors, warnings } = validateBotConfig(content);
+  if (!valid) {
+    const first = errors[0];
+    const error = new Error(`Config has ${errors.length} error${errors.length === 1 ? '' : 's'} - ${outcome} (line ${first.line}: ${first.message})`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return warnings;
+}
+
+/**
+ * Check a new bot's name and slot before anything is written
+ * @param {string} botName - New bot name
+ * @param {string} [slot] - Slot to preselect
+ * @returns {string} Path for the new bot directory
+ * @throws {Error} If the name is invalid or taken, or the slot doesn't exist
+ */
+function validateNewBot(botName, slot) {
+  if (!BOT_NAME_PATTERN.test(botName || '')) {
+    throw new Error('Bot name must be 2-32 characters: lowercase letters, digits, _ or -, starting with a letter or digit');
+  }
+  
+  if (RESERVED_BOT_NAMES.includes(botName)) {
+    throw new Error(`'${botName}' is reserved - choose another bot name`);
+  }
+  
+  if (slot && !config.getChapterXSlots()[slot]) {
+    const validSlots = Object.keys(config.getChapterXSlots());
+    throw new Error(`Invalid slot: ${slot}. Available: ${validSlots.join(', ') || 'none'}`);
+  }
+  
+  const botPath = path.join(config.BOTS_PATH, botName);
+  if (fs.existsSync(botPath)) {
+    throw new Error(`Bot '${botName}' already exists`);
+  }
+  
+  return botPath;
+}
+
+/**
+ * Create a new bot directory with a config.yaml
+ * The config comes from a template, or the bot is cloned from an existing one.
+ * @param {string} botName - New bot name (lowercase letters, digits, _ and -)
+ * @param {Object} source - Where the config comes from (exactly one)
+ * @param {string} [source.template] - Template ID (see bot-templates.listTemplates)
+ * @param {string} [source.cloneFrom] - Existing bot to clone (see cloneBot)
+ * @param {string} [source.slot] - Slot to preselect for starting the bot
+ * @returns {Promise<Object>} { name, path, configPath, preferredSlot, strippedKeys }
+ */
+async function createBot(botName, { template, cloneFrom, slot } = {}) {
+  if (!template === !cloneFrom) {
+    throw new Error('Choose either a template or a bot to clone');
+  }
+  
+  if (cloneFrom) {
+    return cloneBot(cloneFrom, botName, { slot });
+  }
+  
+  const botPath = validateNewBot(botName, slot);
+  const content = botTemplates.renderTemplate(template, botName);
+  assertValidConfig(content, 'bot not created');
+  
+  const configPath = path.join(botPath, 'config.yaml');
+  fs.mkdirSync(botPath, { recursive: true });
+  fs.writeFileSync(configPath, content);
+  
+  if (slot) {
+    botState.setPreferredSlot(botName, slot);
+  }
+  
+  return { name: botName, path: botPath, configPath, preferredSlot: slot || null, strippedKeys: [] };
+}
+
+/**
+ * Clone a bot under a new name
+ * Copies the bot directory except hidden files and config backups, blanks
+ * credentials in the config and carries over the preferred slot.
+ * @param {string} sourceName - Existing bot name
+ * @param {string} botName - New bot name
+ * @param {Object} [options] - Options
+ * @param {string} [options.slot] - Slot to preselect (defaults to the source bot's)
+ * @returns {Promise<Object>} { name, path, configPath, preferredSlot, strippedKeys }
+ */
+async function cloneBot(sourceName, botName, { slot } = {}) {
+  const botPath = validateNewBot(botName, slot);
+  const source = (await scanBots()).find(b => b.name === sourceName);
+  
+  if (!source) {
+    throw new Error(`Bot '${sourceName}' not found`);
+  }
+  
+  const { content, stripped } = botTemplates.cloneConfig(fs.readFileSync(source.configPath, 'utf8'), botName);
+  assertValidConfig(content, 'bot not created');
+  const configPath = path.join(botPath, path.basename(source.configPath));
+  
+  fs.cpSync(source.path, botPath, {
+    recursive: true,
+    filter: (src) => {
+      const name = path.basename(src);
+      return src === source.path || (!name.startsWith('.') && !name.endsWith('.backup'));
+    },
+  });
+  fs.writeFileSync(configPath, content);
+  
+  botState.copyBotState(sourceName, botName);
+  if (slot) {
+    botState.setPreferredSlot(botName, slot);
+  }
+  
+  return {
+    name: botName,
+    path: botPath,
+    configPath,
+    preferredSlot: botState.getBotState(botName)?.preferredSlot || null,
+    strippedKeys: stripped,
+  };
+}
+
+// ============================================================================
+// BOT ARCHIVE
+// ============================================================================
+
+/**
+ * Get the archive directory (hidden, so scanBots skips it)
+ * @returns {string} Path
+ */
+function getArchivePath() {
+  return path.join(config.BOTS_PATH, '.archive');
+}
+
+/**
+ * Resolve an archive entry ID to its directory
+ * @param {string} archiveId - Archive entry ID
+ * @returns {string} Path
+ * @throws {Error} If the entry doesn't exist
+ */
+function getArchivedBotPath(archiveId) {
+  const archivePath = getArchivePath();
+  const entryPath = path.join(archivePath, archiveId || '');
+  
+  if (path.dirname(entryPath) !== archivePath || !fs.existsSync(entryPath) || !fs.statSync(entryPath).isDirectory()) {
+    throw new Error(`Archived bot '${archiveId}' not found`);
+  }
+  
+  return entryPath;
+}
+
+/**
+ * Archive a bot: stop it, remove its service files and move it out of the grid
+ * @param {string} botName - Bot name
+ * @param {Object} [options] - Options
+ * @param {string} [options.archivedBy] - Username archiving it
+ * @returns {Promise<Object>} { id, name, stopped, cleaned }
+ */
+async function archiveBot(botName, { archivedBy } = {}) {
+  const bot = (await scanBots()).find(b => b.name === botName);
+  if (!bot) {
+    throw new Error(`Bot '${botName}' not found`);
+  }
+  
+  const stopResult = await stopBot(botName);
+  if (stopResult.success === false) {
+    throw new Error(`Failed to stop '${botName}' - not archived`);
+  }
+  
+  const cleanup = await cleanupBotServices(botName, { all: true });
+  
+  const id = `${botName}-${Date.now()}`;
+  fs.mkdirSync(getArchivePath(), { recursive: true });
+  fs.renameSync(bot.path, path.join(getArchivePath(), id));
+  
+  botState.archiveBotState(botName, id, { archivedBy });
+  configHistory.renameHistory(botName, `.archive/${id}`);
+  botMonitor.renameEvents(botName, `.archive/${id}`);
+  console.log(`[chapterx] Archived bot '${botName}' as ${id}`);
+  
+  return {
+    id,
+    name: botName,
+    stopped: !!stopResult.wasRunning || !!stopResult.wasInRestartLoop,
+    cleaned: cleanup.cleaned,
+  };
+}
+
+/**
+ * List archived bots, newest first
+ * @returns {Promise<Array<Object>>} [{ id, name, archivedAt, archivedBy, preferredSlot }]
+ */
+async function listArchivedBots() {
+  const archivePath = getArchivePath();
+  if (!fs.existsSync(archivePath)) return [];
+  
+  return fs.readdirSync(archivePath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const state = botState.getArchivedBotState(entry.name) || {};
+      return {
+        id: entry.name,
+        // Entries moved here by hand have no state - fall back to the directory
+        name: state.name || entry.name.replace(/-\d+$/, ''),
+        archivedAt: state.archivedAt || fs.statSync(path.join(archivePath, entry.name)).mtime.toISOString(),
+        archivedBy: state.archivedBy || null,
+        preferredSlot: state.preferredSlot || null,
+      };
+    })
+    .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt));
+}
+
+/**
+ * Restore an archived bot, optionally under a new name
+ * @param {string} archiveId - Archive entry ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.name] - Name to restore as (defaults to the original)
+ * @returns {Promise<Object>} { name, path, preferredSlot }
+ */
+async function restoreBot(archiveId, { name } = {}) {
+  const entryPath = getArchivedBotPath(archiveId);
+  const archived = (await listArchivedBots()).find(entry => entry.id === archiveId);
+  const botName = name || archived.name;
+  const botPath = validateNewBot(botName);
+  
+  fs.renameSync(entryPath, botPath);
+  
+  botState.restoreBotState(archiveId, botName);
+  configHistory.renameHistory(`.archive/${archiveId}`, botName);
+  botMonitor.renameEvents(`.archive/${archiveId}`, botName);
+  
+  if (botName !== archived.name) {
+    const bot = (await scanBots()).find(b => b.name === botName);
+    if (bot) {
+      const content = botTemplates.renameConfig(fs.readFileSync(bot.configPath, 'utf8'), botName);
+      fs.writeFileSync(bot.configPath, content);
+      configHistory.recordRevision(botName, content, { message: `Restored as '${botName}'` });
+    }
+  }
+  console.log(`[chapterx] Restored archived bot ${archiveId} as '${botName}'`);
+  
+  return {
+    name: botName,
+    path: botPath,
+    preferredSlot: botState.getBotState(botName)?.preferredSlot || null,
+  };
+}
+
+/**
+ * Permanently delete an archived bot
+ * Only archived bots can be deleted, so a bot is always stopped and
+ * cleaned up first.
+ * @param {string} archiveId - Archive entry ID
+ * @returns {Promise<Object>} { id }
+ */
+async function deleteArchivedBot(archiveId) {
+  const entryPath = getArchivedBotPath(archiveId);
+  
+  fs.rmSync(entryPath, { recursive: true, force: true });
+  botState.clearArchivedBotState(archiveId);
+  configHistory.deleteHistory(`.archive/${archiveId}`);
+  botMonitor.deleteEvents(`.archive/${archiveId}`);
+  console.log(`[chapterx] Deleted archived bot ${archiveId}`);
+  
+  return { id: archiveId };
+}
+
 // ============================================================================
 // BOT LIFECYCLE
 // ============================================================================
@@ -349,11 +639,20 @@ async function getBotConfig(botName) {
 
 /**
  * Write bot configuration file
+ * The config is validated first - a broken config would put the bot into a
+ * systemd restart loop on its next start.
+ * Every save is kept in the config history.
+ * Redacted secrets in the content are replaced with the values on disk.
  * @param {string} botName - Bot name
- * @param {string} content - New config content
- * @returns {Promise<void>}
+ * @param {string} content - New config content (may contain redaction placeholders)
+ * @param {Object} [options] - Options
+ * @param {string} [options.username] - Who is saving it
+ * @param {string} [options.message] - Why (optional, shown in the history)
+ * @returns {Promise<Object>} { revision, warnings } - revision is null if the content
+ *   didn't change; warnings are line/column notes that didn't block the save
+ * @throws {Error} If the config is invalid (validationErrors holds the line/column errors)
  */
-async function setBotConfig(botName, content) {
+async function setBotConfig(botName, content, { username, message } = {}) {
   const bots = await scanBots();
   const bot = bots.find(b => b.name === botName);
   
@@ -361,13 +660,47 @@ async function setBotConfig(botName, content) {
     throw new Error(`Bot '${botName}' not found`);
   }
   
-  // Create backup
-  const backupPath = bot.configPath + '.backup';
-  if (fs.existsSync(bot.configPath)) {
-    fs.copyFileSync(bot.configPath, backupPath);
-  }
+  const current = fs.readFileSync(bot.configPath, 'utf8');
+  content = botSecrets.mergeSecrets(content, current);
+  
+  const warnings = assertValidConfig(content, 'not saved');
+  
+  // Keep the hand-edited version from before the first tracked save
+  configHistory.ensureBaseline(botName, current);
   
   fs.writeFileSync(bot.configPath, content);
+  
+  return { revision: configHistory.recordRevision(botName, content, { username, message }), warnings };
+}
+
+/**
+ * Roll a bot's config back to an earlier revision
+ * The rollback is saved as a new revision, so it can be undone the same way.
+ * @param {string} botName - Bot name
+ * @param {number} revisionId - Revision to restore
+ * @param {Object} [options] - Options
+ * @param {string} [options.username] - Who is rolling back
+ * @param {boolean} [options.restart] - Restart the bot afterwards if it is running
+ * @returns {Promise<Object>} { revision, restarted }
+ */
+async function rollbackBotConfig(botName, revisionId, { username, restart = false } = {}) {
+  const target = configHistory.getRevision(botName, revisionId);
+  
+  const { revision } = await setBotConfig(botName, target.content, {
+    username,
+    message: `Rolled back to revision ${target.id}`,
+  });
+  
+  let restarted = false;
+  if (restart) {
+    const status = await getBotStatus(botName);
+    if (status.running) {
+      const result = await restartBot(botName);
+      restarted = !!result.success;
+    }
+  }
+  
+  return { revision, restarted };
 }
 
 /**
@@ -391,11 +724,36 @@ async function getBotLogs(botName, lines = 200) {
   };
 }
 
+/**
+ * Follow a bot's logs as they are written
+ * Follows the active slot's service, or the preferred slot's if stopped.
+ * @param {string} botName - Bot name
+ * @param {Object} handlers - { lines, onLine, onEnd } - see systemd.followServiceLogs
+ * @returns {Promise<Object>} { slot, serviceName, stop }
+ * @throws {Error} If the bot doesn't exist
+ */
+async function followBotLogs(botName, handlers) {
+  const bots = await scanBots();
+  if (!bots.some(b => b.name === botName)) {
+    throw new Error(`Bot '${botName}' not found`);
+  }
+  
+  const status = await getBotStatus(botName);
+  const slot = status.slot || status.preferredSlot || 'main';
+  const serviceName = systemd.getServiceName(botName, slot);
+  
+  return {
+    slot,
+    serviceName,
+    stop: systemd.followServiceLogs(serviceName, handlers),
+  };
+}
+
 // ============================================================================
 // DEPLOY SLOTS
 // ============================================================================
 
-const { runCmd, runCmdFull } = require('../utils');
+const { runCmd, runCmdFull, mapWithConcurrency } = require('../utils');
 
 // ============================================================================
 // GIT DEPENDENCIES MANAGEMENT
@@ -1172,6 +1530,190 @@ async function setPreferredSlot(botName, slot) {
   botState.setPreferredSlot(botName, slot);
 }
 
+// ============================================================================
+// BOT GROUPS & BULK OPERATIONS
+// ============================================================================
+
+const GROUP_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_GROUPS_PER_BOT = 10;
+
+const BULK_ACTIONS = ['start', 'stop', 'restart', 'switch-slot'];
+
+/**
+ * Set the groups a bot is tagged with
+ * @param {string} botName - Bot name
+ * @param {Array<string>} groups - Group names (lowercased, duplicates dropped)
+ * @returns {Promise<Array<string>>} Saved groups
+ * @throws {Error} If the bot doesn't exist or a group name is invalid
+ */
+async function setBotGroups(botName, groups) {
+  if (!Array.isArray(groups)) {
+    throw new Error('Groups must be a list of names');
+  }
+  
+  const names = [...new Set(groups.map(group => String(group).trim().toLowerCase()).filter(Boolean))].sort();
+  const invalid = names.filter(name => !GROUP_NAME_PATTERN.test(name));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid group name: ${invalid.join(', ')} (letters, digits, _ and -, up to 32 characters)`);
+  }
+  if (names.length > MAX_GROUPS_PER_BOT) {
+    throw new Error(`A bot can be in at most ${MAX_GROUPS_PER_BOT} groups`);
+  }
+  
+  const bots = await scanBots();
+  if (!bots.some(b => b.name === botName)) {
+    throw new Error(`Bot '${botName}' not found`);
+  }
+  
+  botState.setBotGroups(botName, names);
+  return names;
+}
+
+/**
+ * List every group in use with its bots
+ * @returns {Array<Object>} [{ name, bots }]
+ */
+function listGroups() {
+  return botState.listGroups();
+}
+
+/**
+ * Resolve the bots a bulk operation targets
+ * @param {Object} target - { bots, group } - either or both; the union is used
+ * @returns {Promise<Array<string>>} Bot names, sorted
+ * @throws {Error} If nothing is targeted or a bot/group doesn't exist
+ */
+async function resolveBulkTargets({ bots = [], group = null } = {}) {
+  if (!Array.isArray(bots)) {
+    throw new Error('Bots must be a list of names');
+  }
+  
+  const known = new Set((await scanBots()).map(b => b.name));
+  const unknown = bots.filter(name => !known.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Bot not found: ${unknown.join(', ')}`);
+  }
+  
+  const names = new Set(bots);
+  if (group) {
+    const match = listGroups().find(g => g.name === group);
+    if (!match) {
+      throw new Error(`Group '${group}' not found`);
+    }
+    match.bots.filter(name => known.has(name)).forEach(name => names.add(name));
+  }
+  
+  if (names.size === 0) {
+    throw new Error('Select at least one bot or a group');
+  }
+  
+  return [...names].sort();
+}
+
+/**
+ * Run one bot's part of a bulk operation
+ * Bots already in the requested state are skipped rather than failed.
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {string} botName - Bot name
+ * @param {string} [slot] - Slot to start in / switch to
+ * @param {boolean} [canRestart=true] - Whether running bots may be restarted to switch slots
+ * @returns {Promise<Object>} { name, success, skipped, message, slot }
+ */
+async function runBulkActionOnBot(action, botName, slot, canRestart = true) {
+  const status = await getBotStatus(botName);
+  
+  switch (action) {
+    case 'start': {
+      if (status.running) {
+        return { name: botName, success: true, skipped: true, message: `Already running in '${status.slot}'` };
+      }
+      const result = await startBot(botName, slot || botState.getPreferredSlot(botName) || 'main');
+      return { name: botName, success: result.success, slot: result.slot };
+    }
+    
+    case 'stop': {
+      const result = await stopBot(botName);
+      if (!result.wasRunning && !result.wasInRestartLoop) {
+        return { name: botName, success: true, skipped: true, message: 'Not running' };
+      }
+      return { name: botName, success: result.success, slot: result.slot };
+    }
+    
+    case 'restart': {
+      // Restarting would start a stopped bot - leave those alone
+      if (!status.running) {
+        return { name: botName, success: true, skipped: true, message: 'Not running' };
+      }
+      const result = await restartBot(botName);
+      return { name: botName, success: result.success, slot: result.slot };
+    }
+    
+    case 'switch-slot': {
+      // Running bots move now; stopped bots start there next time
+      if (!status.running) {
+        await setPreferredSlot(botName, slot);
+        return { name: botName, success: true, slot, message: 'Will start in this slot' };
+      }
+      if (status.slot === slot) {
+        return { name: botName, success: true, skipped: true, slot, message: `Already running in '${slot}'` };
+      }
+      if (!canRestart) {
+        return { name: botName, success: false, error: "Moving a running bot restarts it - requires the 'bots:restart' permission" };
+      }
+      const result = await restartBot(botName, slot);
+      return { name: botName, success: result.success, slot: result.slot };
+    }
+  }
+}
+
+/**
+ * Start, stop, restart or switch the slot of many bots at once
+ * Runs at most BOT_BULK_CONCURRENCY bots at a time; one bot failing
+ * doesn't stop the others.
+ * @param {string} action - 'start', 'stop', 'restart' or 'switch-slot'
+ * @param {Array<string>} botNames - Bots to act on (from resolveBulkTargets)
+ * @param {Object} [options] - Options
+ * @param {string} [options.slot] - Slot to start in (start) or move to (switch-slot, required)
+ * @param {boolean} [options.canRestart=true] - switch-slot: whether running bots may be
+ *   restarted into the new slot (otherwise they fail and only stopped bots are moved)
+ * @returns {Promise<Object>} { action, results: [{ name, success, skipped, message, error }], succeeded, failed, skipped }
+ * @throws {Error} If the action or slot is invalid
+ */
+async function runBulkAction(action, botNames, { slot = null, canRestart = true } = {}) {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new Error(`Action must be one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+  
+  if (action === 'switch-slot' && !slot) {
+    throw new Error('Slot is required to switch slots');
+  }
+  
+  const availableSlots = config.getChapterXSlots();
+  if (slot && !availableSlots[slot]) {
+    throw new Error(`Invalid slot: ${slot}. Available: ${Object.keys(availableSlots).join(', ') || 'none'}`);
+  }
+  
+  if (!await systemd.isSystemdAvailable() && action !== 'switch-slot') {
+    throw new Error('systemd not available. Bot management requires systemd.');
+  }
+  
+  const results = await mapWithConcurrency(botNames, config.BOT_BULK_CONCURRENCY, async (botName) => {
+    try {
+      return await runBulkActionOnBot(action, botName, slot, canRestart);
+    } catch (error) {
+      return { name: botName, success: false, error: error.message };
+    }
+  });
+  
+  return {
+    action,
+    results,
+    succeeded: results.filter(r => r.success && !r.skipped).length,
+    failed: results.filter(r => !r.success).length,
+    skipped: results.filter(r => r.skipped).length,
+  };
+}
+
 // ============================================================================
 // SYSTEMD INFO
 // ============================================================================
@@ -1205,9 +1747,11 @@ function getSystemdInfo() {
  * Clean up orphaned service files for a bot
  * Removes service files for slots the bot is not currently using
  * @param {string} botName - Bot name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.all] - Also remove the preferred slot's service (bot is going away)
  * @returns {Promise<Object>} Cleanup result
  */
-async function cleanupBotServices(botName) {
+async function cleanupBotServices(botName, { all = false } = {}) {
   const availableSlots = config.getChapterXSlots();
   const slotNames = Object.keys(availableSlots);
   const status = await getBotStatus(botName);
@@ -1221,7 +1765,7 @@ async function cleanupBotServices(botName) {
     
     // Skip the preferred slot (keep service file for quick restarts)
     const preferredSlot = botState.getPreferredSlot(botName);
-    if (slot === preferredSlot) {
+    if (!all && slot === preferredSlot) {
       continue;
     }
     
@@ -1273,6 +1817,15 @@ module.exports = {
   listBots,
   getBotStatus,
   
+  // Creation
+  createBot,
+  
+  // Archive
+  archiveBot,
+  listArchivedBots,
+  restoreBot,
+  deleteArchivedBot,
+  
   // Lifecycle
   startBot,
   stopBot,
@@ -1281,11 +1834,19 @@ module.exports = {
   // Configuration
   getBotConfig,
   setBotConfig,
+  rollbackBotConfig,
   getBotLogs,
+  followBotLogs,
   
   // Bot slot preference
   setPreferredSlot,
   
+  // Groups & bulk operations
+  setBotGroups,
+  listGroups,
+  resolveBulkTargets,
+  runBulkAction,
+  
   // Slots (basic info)
   getSlotInfo,
   
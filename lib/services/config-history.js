@@ -0,0 +1,228 @@
+// lib/services/config-history.js - Bot config revision history
+// Every saved config.yaml is kept, with who saved it, when and why
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createTwoFilesPatch, FILE_HEADERS_ONLY } = require('diff');
+const config = require('../../config');
+const { redactSecrets } = require('./bot-secrets');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'config-history.sqlite');
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS config_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bot TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      username TEXT,
+      message TEXT,
+      content TEXT NOT NULL
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_config_revisions_bot
+      ON config_revisions(bot, id);
+  `);
+  
+  console.log('[config-history] Database initialized at', DB_PATH);
+  return db;
+}
+
+/**
+ * Delete a bot's oldest revisions beyond the history limit
+ * @param {string} botName - Bot name
+ * @returns {number} Number of revisions deleted
+ */
+function pruneRevisions(botName) {
+  if (!config.BOT_CONFIG_HISTORY_LIMIT) return 0;
+  
+  return initDB().prepare(`
+    DELETE FROM config_revisions
+    WHERE bot = ? AND id NOT IN (
+      SELECT id FROM config_revisions WHERE bot = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(botName, botName, config.BOT_CONFIG_HISTORY_LIMIT).changes;
+}
+
+// ============================================================================
+// RECORDING
+// ============================================================================
+
+/**
+ * Convert a database row to an API object
+ * @param {Object} row - config_revisions row
+ * @param {boolean} [withContent] - Include the config content
+ * @returns {Object} Revision
+ */
+function rowToRevision(row, withContent = false) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    username: row.username,
+    message: row.message,
+    size: Buffer.byteLength(row.content),
+    ...(withContent ? { content: row.content } : {}),
+  };
+}
+
+/**
+ * Get a bot's latest revision
+ * @param {string} botName - Bot name
+ * @returns {Object|null} Revision with content
+ */
+function getLatestRevision(botName) {
+  const row = initDB().prepare('SELECT * FROM config_revisions WHERE bot = ? ORDER BY id DESC LIMIT 1').get(botName);
+  return row ? rowToRevision(row, true) : null;
+}
+
+/**
+ * Record a saved config
+ * Saving the same content as the latest revision records nothing.
+ * @param {string} botName - Bot name
+ * @param {string} content - Config content as saved
+ * @param {Object} [options] - Options
+ * @param {string} [options.username] - Who saved it
+ * @param {string} [options.message] - Why (optional)
+ * @returns {Object|null} Revision recorded, or null if unchanged
+ */
+function recordRevision(botName, content, { username = null, message = null } = {}) {
+  const latest = getLatestRevision(botName);
+  if (latest && latest.content === content) return null;
+  
+  const timestamp = new Date().toISOString();
+  const trimmedMessage = message ? String(message).trim().slice(0, 200) || null : null;
+  
+  const result = initDB().prepare(`
+    INSERT INTO config_revisions (bot, timestamp, username, message, content)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(botName, timestamp, username, trimmedMessage, content);
+  
+  pruneRevisions(botName);
+  
+  return rowToRevision({ id: result.lastInsertRowid, timestamp, username, message: trimmedMessage, content });
+}
+
+/**
+ * Record the config as found on disk if the bot has no history yet
+ * Keeps the version from before the first tracked save, so it can be rolled back to.
+ * @param {string} botName - Bot name
+ * @param {string} content - Current config content
+ */
+function ensureBaseline(botName, content) {
+  if (!getLatestRevision(botName)) {
+    recordRevision(botName, content, { message: 'Before first tracked change' });
+  }
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * List a bot's revisions, newest first (without content)
+ * @param {string} botName - Bot name
+ * @returns {Array} [{ id, timestamp, username, message, size }]
+ */
+function listRevisions(botName) {
+  return initDB().prepare('SELECT * FROM config_revisions WHERE bot = ? ORDER BY id DESC')
+    .all(botName)
+    .map(row => rowToRevision(row));
+}
+
+/**
+ * Get one revision with its content
+ * @param {string} botName - Bot name
+ * @param {number} id - Revision ID
+ * @returns {Object} Revision
+ * @throws {Error} If the revision doesn't exist for this bot
+ */
+function getRevision(botName, id) {
+  const row = initDB().prepare('SELECT * FROM config_revisions WHERE bot = ? AND id = ?').get(botName, id);
+  if (!row) {
+    throw new Error(`Revision ${id} not found for '${botName}'`);
+  }
+  return rowToRevision(row, true);
+}
+
+/**
+ * Unified diff between two revisions
+ * Both sides are redacted first, so a change to a secret alone shows no difference.
+ * @param {string} botName - Bot name
+ * @param {number} fromId - Older revision ID
+ * @param {number} toId - Newer revision ID
+ * @returns {string} Unified diff (empty if identical)
+ */
+function diffRevisions(botName, fromId, toId) {
+  const from = getRevision(botName, fromId);
+  const to = getRevision(botName, toId);
+  const fromContent = redactSecrets(from.content).content;
+  const toContent = redactSecrets(to.content).content;
+  
+  if (fromContent === toContent) return '';
+  
+  return createTwoFilesPatch(
+    'config.yaml',
+    'config.yaml',
+    fromContent,
+    toContent,
+    `revision ${from.id}`,
+    `revision ${to.id}`,
+    { headerOptions: FILE_HEADERS_ONLY }
+  );
+}
+
+// ============================================================================
+// BOT LIFECYCLE
+// ============================================================================
+
+/**
+ * Move a bot's history to a new key (rename, archive, restore)
+ * @param {string} fromName - Current key
+ * @param {string} toName - New key
+ * @returns {number} Number of revisions moved
+ */
+function renameHistory(fromName, toName) {
+  return initDB().prepare('UPDATE config_revisions SET bot = ? WHERE bot = ?').run(toName, fromName).changes;
+}
+
+/**
+ * Delete a bot's history
+ * @param {string} botName - Bot name
+ * @returns {number} Number of revisions deleted
+ */
+function deleteHistory(botName) {
+  return initDB().prepare('DELETE FROM config_revisions WHERE bot = ?').run(botName).changes;
+}
+
+module.exports = {
+  initDB,
+  
+  // Recording
+  recordRevision,
+  ensureBaseline,
+  
+  // Queries
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  
+  // Bot lifecycle
+  renameHistory,
+  deleteHistory,
+};
@@ -24,6 +24,8 @@
 // Note: The Python SDK is for serverless endpoints. Pods use REST API.
 
 const config = require('../../config');
+const bootstrapTokens = require('../auth/bootstrap-tokens');
+const secretsVault = require('../security/secrets');
 
 // ============================================================================
 // CACHING (to reduce HTTP requests to aethera)
@@ -461,7 +463,7 @@ function getPodTemplates() {
         VPS_REGISTER_URL: config.VPS_REGISTER_URL || 'https://aetherawi.red/api/dreams/comfyui/register',
         // Bootstrap mode (fetches secrets from admin panel)
         ADMIN_PANEL_URL: adminUrl,
-        // POD_BOOTSTRAP_TOKEN: injected at runtime if using bootstrap mode
+        // POD_BOOTSTRAP_TOKEN: per-pod token issued at creation (bootstrap mode)
       },
       // Cost tracking
       estimatedCostPerHour: config.COMFYUI_COST_PER_HOUR || 0.44, // ~$0.44/hr for 4090
@@ -496,7 +498,7 @@ function getPodTemplates() {
         LOG_LEVEL: process.env.DREAMGEN_LOG_LEVEL || 'INFO',
         // Bootstrap mode (fetches secrets from admin panel)
         ADMIN_PANEL_URL: adminUrl,
-        // POD_BOOTSTRAP_TOKEN: injected at runtime if using bootstrap mode
+        // POD_BOOTSTRAP_TOKEN: per-pod token issued at creation (bootstrap mode)
         // DREAM_GEN_AUTH_TOKEN: injected at runtime (direct mode)
       },
       estimatedCostPerHour: config.DREAMGEN_COST_PER_HOUR || 0.20, // ~$0.20/hr for A4000
@@ -537,12 +539,12 @@ const POD_TEMPLATES = new Proxy({}, {
  * Used by the /api/dreams/secrets endpoint to provide secrets to pods
  * 
  * @param {string} podType - 'comfyui' or 'dreamgen'
- * @param {string} bootstrapToken - Token to verify the request is legitimate
+ * @param {string} bootstrapToken - Per-pod token to verify the request is legitimate
  * @returns {Object|null} Secrets object or null if unauthorized
  */
 function getPodSecrets(podType, bootstrapToken) {
-  // Verify bootstrap token if configured
-  if (config.POD_BOOTSTRAP_TOKEN && bootstrapToken !== config.POD_BOOTSTRAP_TOKEN) {
+  // Token must have been issued for this pod type and not be expired/rotated
+  if (!bootstrapTokens.verifyBootstrapToken(podType, bootstrapToken)) {
     console.warn(`Invalid bootstrap token for ${podType} secrets request`);
     return null;
   }
@@ -573,7 +575,9 @@ function getSecretConfigStatus() {
     hasApiKey: !!config.RUNPOD_API_KEY,
     hasDreamGenAuthToken: !!config.DREAM_GEN_AUTH_TOKEN,
     hasComfyuiAuthPass: !!config.COMFYUI_AUTH_PASS,
-    hasBootstrapToken: !!config.POD_BOOTSTRAP_TOKEN,
+    bootstrapTokens: bootstrapTokens.getBootstrapTokenStatus(),
+    vaultEnabled: secretsVault.isVaultEnabled(),
+    secrets: secretsVault.getSecretsStatus(),
     vpsBaseUrl: config.VPS_BASE_URL || 'https://aetherawi.red',
     secretsConfigured: !!(config.DREAM_GEN_AUTH_TOKEN && config.COMFYUI_AUTH_PASS),
   };
@@ -916,11 +920,12 @@ async function createPod(podConfig) {
  * Supports two modes:
  * 1. Direct mode: Pass all secrets via env vars at creation time
  * 2. Bootstrap mode: Pass only ADMIN_PANEL_URL and POD_BOOTSTRAP_TOKEN,
- *    pod fetches full secrets from admin panel on startup
+ *    pod fetches full secrets from admin panel on startup. The pod gets its
+ *    own token, bound to its ID once RunPod has created it.
  * 
  * @param {string} templateName - 'comfyui' or 'dreamgen'
  * @param {Object} secretOverrides - Additional env vars to inject
- * @param {boolean} secretOverrides.useBootstrap - Use bootstrap mode (default: true if token available)
+ * @param {boolean} secretOverrides.useBootstrap - Use bootstrap mode (default: true)
  * @returns {Promise<Object>} Created pod info
  */
 async function createPodFromTemplate(templateName, secretOverrides = {}) {
@@ -932,15 +937,16 @@ async function createPodFromTemplate(templateName, secretOverrides = {}) {
   // Build environment variables with secrets
   const env = { ...template.env };
   
-  // Determine if we should use bootstrap mode
-  // Use bootstrap if we have a token configured, unless explicitly disabled
-  const bootstrapToken = config.POD_BOOTSTRAP_TOKEN || '';
-  const useBootstrap = secretOverrides.useBootstrap !== false && !!bootstrapToken;
+  // Use bootstrap mode unless explicitly disabled
+  const useBootstrap = secretOverrides.useBootstrap !== false;
+  let bootstrapKey = null;
   
   if (useBootstrap) {
     // Bootstrap mode: Minimal secrets, pod fetches rest from admin
     console.log(`[createPodFromTemplate] Using bootstrap mode for ${templateName}`);
-    env.POD_BOOTSTRAP_TOKEN = bootstrapToken;
+    const { token, key } = bootstrapTokens.issueBootstrapToken(templateName, { issuedBy: 'pod-create' });
+    env.POD_BOOTSTRAP_TOKEN = token;
+    bootstrapKey = key;
     // ADMIN_PANEL_URL is already in template.env
     
     // Still provide some fallback values in case bootstrap fails
@@ -952,7 +958,7 @@ async function createPodFromTemplate(templateName, secretOverrides = {}) {
     }
   } else {
     // Direct mode: Provide all secrets via env vars
-    console.log(`[createPodFromTemplate] Using direct mode for ${templateName} (no bootstrap token)`);
+    console.log(`[createPodFromTemplate] Using direct mode for ${templateName} (bootstrap disabled)`);
     
     if (templateName === 'comfyui') {
       // ComfyUI needs auth credentials and VPS token
@@ -1011,7 +1017,19 @@ async function createPodFromTemplate(templateName, secretOverrides = {}) {
   }
   console.log(`Creating ${templateName} pod with config:`, { ...podConfig, env: redactedEnv });
   
-  return await createPod(podConfig);
+  let pod;
+  try {
+    pod = await createPod(podConfig);
+  } catch (error) {
+    if (bootstrapKey) bootstrapTokens.revokeBootstrapToken(bootstrapKey);
+    throw error;
+  }
+  
+  if (bootstrapKey) {
+    bootstrapTokens.bindBootstrapToken(bootstrapKey, pod.id);
+  }
+  
+  return pod;
 }
 
 /**
@@ -1102,6 +1120,7 @@ async function ensurePod(templateName, options = {}) {
     
     // If already running
     if (existingPod.desiredStatus === 'RUNNING') {
+      bootstrapTokens.renewBootstrapToken(existingPod.id, templateName);
       result.success = true;
       result.podId = existingPod.id;
       result.pod = existingPod;
@@ -1128,7 +1147,7 @@ async function ensurePod(templateName, options = {}) {
       
       try {
         console.log(`[ensurePod] Attempting to start pod ${existingPod.id} (attempt ${attempt})...`);
-        await startPod(existingPod.id);
+        await startPod(existingPod.id, templateName);
         
         result.success = true;
         result.podId = existingPod.id;
@@ -1154,7 +1173,7 @@ async function ensurePod(templateName, options = {}) {
         }
         
         return result;
-        
+      
       } catch (error) {
         console.error(`[ensurePod] Start failed: ${error.message}`);
         recordError(templateName, `Start failed: ${error.message}`, { attempt });
@@ -1241,7 +1260,7 @@ async function ensurePod(templateName, options = {}) {
     
     clearError(templateName);
     return result;
-    
+  
   } catch (createError) {
     console.error(`[ensurePod] Failed to create pod: ${createError.message}`);
     recordError(templateName, `Creation failed: ${createError.message}`, { error: createError });
@@ -1352,10 +1371,14 @@ async function getPodStatus(podId, forceRefresh = false) {
  * Uses RunPod REST API: POST /pods/{podId}/start
  * Reference: https://docs.runpod.io/api-reference/pods/POST/pods/podId/start
  * 
+ * Renews the pod's bootstrap token first, so it can fetch its secrets
+ * however long it was stopped.
+ * 
  * @param {string} podId - Pod ID
+ * @param {string} [podType] - 'comfyui' or 'dreamgen', if known
  * @returns {Promise<Object>} Result
  */
-async function startPod(podId) {
+async function startPod(podId, podType = null) {
   if (!podId) {
     throw new Error('Pod ID required');
   }
@@ -1368,6 +1391,8 @@ async function startPod(podId) {
   const podKey = podId === config.RUNPOD_COMFYUI_POD_ID ? 'comfyui' : 
                  podId === config.RUNPOD_DREAMGEN_POD_ID ? 'dreamgen' : null;
   
+  bootstrapTokens.renewBootstrapToken(podId, podType || podKey);
+  
   const url = `https://rest.runpod.io/v1/pods/${podId}/start`;
   
   const response = await fetch(url, {
@@ -1586,6 +1611,9 @@ async function terminatePod(podId) {
   
   console.log(`Pod ${podId} TERMINATED:`, data);
   
+  // The pod's token dies with it
+  bootstrapTokens.revokeBootstrapToken(podId);
+  
   // Clear cache
   const cacheKey = podId === config.RUNPOD_COMFYUI_POD_ID ? 'comfyui' : 
                    podId === config.RUNPOD_DREAMGEN_POD_ID ? 'dreamgen' : null;
@@ -1751,7 +1779,7 @@ async function getComfyUIRegistryStatus() {
 async function unregisterComfyUI() {
   try {
     // Need auth token for this endpoint
-    const authToken = process.env.DREAM_GEN_AUTH_TOKEN;
+    const authToken = config.DREAM_GEN_AUTH_TOKEN;
     if (!authToken) {
       console.warn('DREAM_GEN_AUTH_TOKEN not set, cannot unregister ComfyUI');
       return { success: false, error: 'Auth token not configured' };
@@ -1796,7 +1824,7 @@ async function getStateInfo() {
  */
 async function clearState() {
   try {
-    const authToken = process.env.DREAM_GEN_AUTH_TOKEN;
+    const authToken = config.DREAM_GEN_AUTH_TOKEN;
     if (!authToken) {
       return { success: false, error: 'Auth token not configured' };
     }
@@ -1879,11 +1907,11 @@ async function startDreams(options = {}) {
       console.log('============================================================');
       
       const comfyuiSecrets = {
-        comfyuiAuthPass: secretOverrides.comfyuiAuthPass || process.env.COMFYUI_AUTH_PASS,
-        vpsAuthToken: secretOverrides.vpsAuthToken || process.env.DREAM_GEN_AUTH_TOKEN,
+        comfyuiAuthPass: secretOverrides.comfyuiAuthPass || config.COMFYUI_AUTH_PASS,
+        vpsAuthToken: secretOverrides.vpsAuthToken || config.DREAM_GEN_AUTH_TOKEN,
       };
       const dreamgenSecrets = {
-        dreamGenAuthToken: secretOverrides.dreamGenAuthToken || process.env.DREAM_GEN_AUTH_TOKEN,
+        dreamGenAuthToken: secretOverrides.dreamGenAuthToken || config.DREAM_GEN_AUTH_TOKEN,
       };
       
       // ==================== PHASE 0: Clear stale registration ====================
@@ -1913,7 +1941,7 @@ async function startDreams(options = {}) {
           // Pod exists but not running - try to start it
           console.log(`  Starting existing pod ${comfyuiPod.id}...`);
           try {
-            await startPod(comfyuiPod.id);
+            await startPod(comfyuiPod.id, 'comfyui');
             comfyuiPod = await getPodStatus(comfyuiPod.id, true);
             comfyuiAction = 'started';
             console.log('  ✓ ComfyUI pod started');
@@ -2038,7 +2066,7 @@ async function startDreams(options = {}) {
       // Register immediately with VPS
       const registrationResult = await registerComfyUIFromAdmin(comfyuiPod.id, {
         authUser: comfyuiSecrets.comfyuiAuthUser || config.COMFYUI_AUTH_USER,
-        authPass: comfyuiSecrets.comfyuiAuthPass || process.env.COMFYUI_AUTH_PASS,
+        authPass: comfyuiSecrets.comfyuiAuthPass || config.COMFYUI_AUTH_PASS,
       });
       
       if (registrationResult.success) {
@@ -2087,7 +2115,7 @@ async function startDreams(options = {}) {
         console.log(`  Attempt ${startAttempt}/${maxStartAttempts}...`);
         
         try {
-          await startPod(dreamgenPod.id);
+          await startPod(dreamgenPod.id, 'dreamgen');
           dreamgenPod = await getPodStatus(dreamgenPod.id, true);
           dreamgenStarted = true;
           console.log('  ✓ DreamGen started successfully');
@@ -2147,7 +2175,7 @@ async function startDreams(options = {}) {
       
       results.message = 'Dreams system startup complete';
       results.lifecycleUsed = true;
-      
+    
     } else {
       // ============= LEGACY APPROACH (hardcoded IDs) =============
       // Uses the same proactive registration as lifecycle approach
@@ -2160,7 +2188,7 @@ async function startDreams(options = {}) {
       console.log('Starting ComfyUI pod...');
       results.steps.push({ step: 'start_comfyui', status: 'starting' });
       
-      const comfyuiResult = await startPod(comfyuiPodId);
+      const comfyuiResult = await startPod(comfyuiPodId, 'comfyui');
       results.steps[0].status = 'started';
       results.steps[0].pod = comfyuiResult.pod;
       results.steps[0].podId = comfyuiPodId;
@@ -2199,7 +2227,7 @@ async function startDreams(options = {}) {
       console.log('Starting DreamGen pod...');
       results.steps.push({ step: 'start_dreamgen', status: 'starting' });
       
-      const dreamgenResult = await startPod(dreamgenPodId);
+      const dreamgenResult = await startPod(dreamgenPodId, 'dreamgen');
       results.steps[3].status = 'started';
       results.steps[3].pod = dreamgenResult.pod;
       results.steps[3].podId = dreamgenPodId;
@@ -2209,7 +2237,7 @@ async function startDreams(options = {}) {
     }
     
     return results;
-    
+  
   } catch (error) {
     console.error('Failed to start Dreams:', error);
     results.success = false;
@@ -2303,7 +2331,7 @@ async function stopDreams() {
     
     results.message = 'Dreams system stopped';
     return results;
-    
+  
   } catch (error) {
     console.error('Failed to stop Dreams:', error);
     results.success = false;
@@ -2727,7 +2755,7 @@ async function forceStopGpu() {
     
     results.message = message.trim();
     return results;
-    
+  
   } catch (error) {
     console.error('Force stop error:', error);
     results.success = false;
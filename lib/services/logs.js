@@ -0,0 +1,179 @@
+// lib/services/logs.js - Cross-service log explorer
+// Searches bot, aethera and admin panel logs together by time, priority and text
+
+const config = require('../../config');
+const systemd = require('../systemd');
+const aethera = require('./aethera');
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// journald priority names, indexed by level
+const PRIORITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const DEFAULT_RANGE = 60 * 60 * 1000; // 1 hour
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 5000;
+
+// Entries read per source when searching text - the search runs on what was read
+const SEARCH_SCAN_LIMIT = 10000;
+
+// ============================================================================
+// SOURCES
+// ============================================================================
+
+/**
+ * List every log source
+ * Each source names the permission needed to read it.
+ * @returns {Promise<Array<Object>>} [{ id, type, label, group, permission }]
+ */
+async function listSources() {
+  const services = await systemd.listChapterXServices();
+  
+  return [
+    ...services
+      .map(service => ({
+        id: service.serviceName,
+        type: 'journal',
+        label: `${service.botName} (${service.slot})`,
+        group: 'bots',
+        permission: 'bots:read',
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+    {
+      id: config.AETHERA_CONTAINER_NAME,
+      type: 'docker',
+      label: `æthera (${config.AETHERA_CONTAINER_NAME})`,
+      group: 'services',
+      permission: 'services:read',
+    },
+    {
+      id: config.ADMIN_SERVICE_NAME,
+      type: 'journal',
+      label: `Admin panel (${config.ADMIN_SERVICE_NAME})`,
+      group: 'server',
+      permission: 'server:read',
+    },
+  ];
+}
+
+/**
+ * Guess the priority of a line that has none (container output)
+ * @param {string} message - Log line
+ * @returns {number} Priority level
+ */
+function inferPriority(message) {
+  if (/\b(error|exception|fatal|critical|traceback)\b/i.test(message)) return 3;
+  if (/\bwarn(ing)?\b/i.test(message)) return 4;
+  if (/\bdebug\b/i.test(message)) return 7;
+  return 6;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Query logs across sources
+ * A source that can't be read (e.g. Docker not installed) is reported in
+ * errors instead of failing the whole query.
+ * @param {Array<Object>} sources - Sources to search (from listSources)
+ * @param {Object} [options] - Options
+ * @param {number} [options.since] - Range start (ms since epoch, default an hour ago)
+ * @param {number} [options.until] - Range end (ms since epoch, default now)
+ * @param {number} [options.priority=7] - Lowest priority to include (0 emerg ... 7 debug)
+ * @param {string} [options.search] - Case-insensitive text the message must contain
+ * @param {number} [options.limit] - Max entries (the newest are kept)
+ * @returns {Promise<Object>} { since, until, entries: [{ timestamp, source, priority, message }], truncated, errors }
+ *   truncated is also set when a source hit its scan limit, since older matches may be missing
+ * @throws {Error} With status 400 set if the time range is invalid
+ */
+async function queryLogs(sources, { since, until, priority = 7, search = '', limit = DEFAULT_LIMIT } = {}) {
+  const end = until || Date.now();
+  const start = since || end - DEFAULT_RANGE;
+  
+  if (start >= end) {
+    const error = new Error('The start of the time range must be before its end');
+    error.status = 400;
+    throw error;
+  }
+  
+  const maxEntries = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const needle = search.trim().toLowerCase();
+  const scanLimit = needle ? SEARCH_SCAN_LIMIT : maxEntries;
+  const range = { since: start, until: end, limit: scanLimit };
+  
+  let entries = [];
+  const errors = [];
+  let scanLimitHit = false;
+  
+  const units = sources.filter(source => source.type === 'journal').map(source => source.id);
+  if (units.length > 0) {
+    try {
+      const journal = await systemd.queryJournal(units, {
+        ...range,
+        priority,
+        maxEntries,
+        match: needle ? (entry) => entry.message.toLowerCase().includes(needle) : null,
+      });
+      scanLimitHit = scanLimitHit || journal.truncated;
+      entries.push(...journal.entries.map(entry => ({
+        timestamp: entry.timestamp,
+        source: entry.unit,
+        priority: entry.priority,
+        message: entry.message,
+      })));
+    } catch (e) {
+      errors.push({ source: 'journal', error: e.message });
+    }
+  }
+  
+  for (const source of sources.filter(s => s.type === 'docker')) {
+    try {
+      const lines = await aethera.getLogEntries(range);
+      scanLimitHit = scanLimitHit || lines.length >= scanLimit;
+      entries.push(...lines
+        .map(line => ({ ...line, source: source.id, priority: inferPriority(line.message) }))
+        .filter(entry => entry.priority <= priority));
+    } catch (e) {
+      errors.push({ source: source.id, error: e.message });
+    }
+  }
+  
+  if (needle) {
+    entries = entries.filter(entry => entry.message.toLowerCase().includes(needle));
+  }
+  
+  entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  
+  return {
+    since: new Date(start).toISOString(),
+    until: new Date(end).toISOString(),
+    entries: entries.slice(-maxEntries),
+    truncated: scanLimitHit || entries.length > maxEntries,
+    errors,
+  };
+}
+
+/**
+ * Format entries as plain text for download
+ * @param {Array<Object>} entries - Entries from queryLogs
+ * @returns {string} One line per entry
+ */
+function formatLogText(entries) {
+  return entries
+    .map(entry => `${entry.timestamp} ${entry.source} ${PRIORITIES[entry.priority] || entry.priority}: ${entry.message}`)
+    .join('\n') + '\n';
+}
+
+module.exports = {
+  PRIORITIES,
+  
+  // Sources
+  listSources,
+  
+  // Queries
+  queryLogs,
+  formatLogText,
+};
@@ -0,0 +1,1000 @@
+// lib/services/scheduler.js - Scheduled actions
+// Runs bot, slot, dreams and maintenance actions on cron schedules, intervals or once
+
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../../config');
+const chapterx = require('./chapterx');
+const botState = require('./bot-state');
+const dreams = require('./dreams');
+const server = require('./server');
+const audit = require('../security/audit');
+const users = require('../auth/users');
+const roles = require('../auth/roles');
+
+// ============================================================================
+// DATABASE SETUP
+// ============================================================================
+
+const DB_PATH = path.join(config.DATA_DIR, 'schedules.sqlite');
+
+let db = null;
+
+/**
+ * Initialize the database and create tables
+ */
+function initDB() {
+  if (db) return db;
+  
+  db = new Database(DB_PATH);
+  
+  // Enable WAL mode for better concurrency
+  db.pragma('journal_mode = WAL');
+  
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      action TEXT NOT NULL,
+      params TEXT NOT NULL DEFAULT '{}',
+      kind TEXT NOT NULL,
+      expression TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      next_run_at TEXT,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    
+    CREATE TABLE IF NOT EXISTS schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id INTEGER NOT NULL,
+      triggered_by TEXT NOT NULL,
+      username TEXT,
+      status TEXT NOT NULL,
+      scheduled_for TEXT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      result TEXT,
+      error TEXT
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_schedules_due
+      ON schedules(enabled, next_run_at);
+    CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule
+      ON schedule_runs(schedule_id, id);
+  `);
+  
+  // Runs cut short by a panel restart never finished
+  db.prepare(`
+    UPDATE schedule_runs SET status = 'failed', finished_at = ?, error = 'Interrupted - the panel restarted during the run'
+    WHERE status = 'running'
+  `).run(new Date().toISOString());
+  
+  console.log('[scheduler] Database initialized at', DB_PATH);
+  return db;
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Build an error carrying the HTTP status to answer with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error} Error with status set
+ */
+function scheduleError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+const SIZE_PATTERN = /^\d+[KMGT]?$/i;
+const TIME_PATTERN = /^\d+[smhdw]$/i;
+
+/**
+ * Check that a bot exists
+ * @param {string} botName - Bot name
+ * @returns {Promise<string>} Bot name
+ */
+async function checkBot(botName) {
+  const bots = await chapterx.scanBots();
+  if (!botName || !bots.some(bot => bot.name === botName)) {
+    throw scheduleError(400, botName ? `Bot '${botName}' not found` : 'A bot is required');
+  }
+  return botName;
+}
+
+/**
+ * Check that a slot exists
+ * @param {string} slot - Slot name
+ * @returns {string} Slot name
+ */
+function checkSlot(slot) {
+  const slots = Object.keys(config.getChapterXSlots());
+  if (!slots.includes(slot)) {
+    throw scheduleError(400, `Invalid slot: ${slot}. Available slots: ${slots.join(', ') || 'none'}`);
+  }
+  return slot;
+}
+
+/**
+ * Actions a schedule can run
+ * Each names the permission needed to schedule it, validates its params and runs it.
+ * recentAuth marks actions whose manual route requires a recent password
+ * confirmation - scheduling them does too.
+ * run() resolves with the same result the matching API route returns.
+ */
+const ACTIONS = {
+  'bots.start': {
+    label: 'Start bot',
+    permission: 'bots:control',
+    params: ['bot', 'slot'],
+    async validate({ bot, slot }) {
+      return { bot: await checkBot(bot), slot: slot ? checkSlot(slot) : null };
+    },
+    async run({ bot, slot }) {
+      const status = await chapterx.getBotStatus(bot);
+      if (status.running) {
+        return { success: true, skipped: true, message: `Already running in slot '${status.slot}'` };
+      }
+      // Without a slot the bot starts where it last ran
+      return chapterx.startBot(bot, slot || botState.getPreferredSlot(bot) || 'main');
+    },
+  },
+  'bots.stop': {
+    label: 'Stop bot',
+    permission: 'bots:control',
+    params: ['bot'],
+    async validate({ bot }) {
+      return { bot: await checkBot(bot) };
+    },
+    run: ({ bot }) => chapterx.stopBot(bot),
+  },
+  'bots.restart': {
+    label: 'Restart bot',
+    permission: 'bots:restart',
+    params: ['bot'],
+    async validate({ bot }) {
+      return { bot: await checkBot(bot) };
+    },
+    run: ({ bot }) => chapterx.restartBot(bot),
+  },
+  'slots.update': {
+    label: 'Pull & rebuild slot',
+    permission: 'slots:deploy',
+    params: ['slot', 'restartBots'],
+    async validate({ slot, restartBots }) {
+      return { slot: checkSlot(slot), restartBots: Boolean(restartBots) };
+    },
+    async run({ slot, restartBots }) {
+      // gitPull installs and builds when the pull brings new code
+      const result = await chapterx.gitPull(slot);
+      
+      let restartResults = null;
+      if (result.codeChanged && restartBots) {
+        restartResults = await chapterx.restartBotsOnSlot(slot);
+      }
+      
+      return {
+        ...result,
+        success: result.success && result.npmInstall?.success !== false && result.npmInstall?.build?.success !== false,
+        restartResults,
+      };
+    },
+  },
+  'dreams.start': {
+    label: 'Start Dreams pods',
+    permission: 'dreams:control',
+    params: [],
+    validate: async () => ({}),
+    async run() {
+      const status = await dreams.getDreamsStatus();
+      if (status.state === 'running') {
+        return { success: true, skipped: true, message: 'Dreams system is already running' };
+      }
+      return dreams.startDreams();
+    },
+  },
+  'dreams.stop': {
+    label: 'Stop Dreams pods',
+    permission: 'dreams:control',
+    params: [],
+    validate: async () => ({}),
+    run: () => dreams.stopDreams(),
+  },
+  'server.journal-vacuum': {
+    label: 'Vacuum journal logs',
+    permission: 'server:maintain',
+    recentAuth: true,
+    params: ['size', 'time'],
+    async validate({ size = '500M', time }) {
+      if (!SIZE_PATTERN.test(size)) {
+        throw scheduleError(400, 'Invalid size format (e.g., 500M, 1G)');
+      }
+      if (time && !TIME_PATTERN.test(time)) {
+        throw scheduleError(400, 'Invalid time format (e.g., 7d, 2w)');
+      }
+      return time ? { size, time } : { size };
+    },
+    run: ({ size, time }) => server.vacuumJournalLogs({ size, time }),
+  },
+};
+
+/**
+ * List the actions a schedule can run
+ * @returns {Array<Object>} [{ id, label, permission, recentAuth, params }]
+ */
+function listActions() {
+  return Object.entries(ACTIONS).map(([id, action]) => ({
+    id,
+    label: action.label,
+    permission: action.permission,
+    recentAuth: Boolean(action.recentAuth),
+    params: action.params,
+  }));
+}
+
+/**
+ * Get the permission needed to schedule an action
+ * @param {string} actionId - Action ID
+ * @returns {string|null} Permission, or null for an unknown action
+ */
+function getActionPermission(actionId) {
+  return ACTIONS[actionId]?.permission || null;
+}
+
+/**
+ * Check whether scheduling an action needs a recent password confirmation
+ * @param {string} actionId - Action ID
+ * @returns {boolean} True if the action's manual route requires recent auth
+ */
+function actionRequiresRecentAuth(actionId) {
+  return Boolean(ACTIONS[actionId]?.recentAuth);
+}
+
+// ============================================================================
+// CRON EXPRESSIONS
+// ============================================================================
+
+// Standard five fields: minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+  { key: 'minute', label: 'minute', min: 0, max: 59 },
+  { key: 'hour', label: 'hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'day of month', min: 1, max: 31 },
+  { key: 'month', label: 'month', min: 1, max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { key: 'dayOfWeek', label: 'day of week', min: 0, max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// How far ahead to look for a matching time before giving up (e.g. '0 0 31 2 *')
+const CRON_SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one value of a cron field (number or name)
+ * @param {string} text - Value
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {number} Value
+ */
+function parseCronValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.min : /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+  
+  if (isNaN(value) || value < field.min || value > field.max) {
+    throw scheduleError(400, `Invalid ${field.label} in cron expression: '${text}'`);
+  }
+  return value;
+}
+
+/**
+ * Parse one cron field: *, values, ranges and steps, comma-separated
+ * @param {string} text - Field text (e.g. '*\/15', '1-5', 'mon,wed,fri')
+ * @param {Object} field - Entry of CRON_FIELDS
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+  
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\w+(?:-\w+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw scheduleError(400, `Invalid ${field.label} in cron expression: '${part}'`);
+    }
+    
+    const [, range, step] = match;
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      [start, end] = range.split('-').map(value => parseCronValue(value, field));
+      // '5/15' runs from 5 to the end of the range
+      if (end === undefined) end = step ? field.max : start;
+    }
+    
+    const increment = step ? parseInt(step, 10) : 1;
+    if (start > end || increment < 1) {
+      throw scheduleError(400, `Invalid ${field.label} in cron expression: '${part}'`);
+    }
+    
+    for (let value = start; value <= end; value += increment) {
+      // Both 0 and 7 mean Sunday
+      values.add(field.key === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or an alias (@hourly, @daily, @weekly, @monthly, @yearly)
+ * @returns {Object} { minute, hour, dayOfMonth, month, dayOfWeek } sets plus which day fields are restricted
+ * @throws {Error} With status 400 if the expression is invalid
+ */
+function parseCron(expression) {
+  const text = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  
+  if (parts.length !== CRON_FIELDS.length) {
+    throw scheduleError(400, 'Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  }
+  
+  const cron = {};
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.key] = parseCronField(parts[i], field);
+  });
+  
+  // Like cron, a restricted day of month and day of week match either
+  cron.dayOfMonthRestricted = parts[2] !== '*';
+  cron.dayOfWeekRestricted = parts[4] !== '*';
+  
+  return cron;
+}
+
+/**
+ * Check whether a date's day matches a parsed cron expression
+ * @param {Object} cron - From parseCron()
+ * @param {Date} date - Date (server local time)
+ * @returns {boolean}
+ */
+function cronDayMatches(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+  
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the next time a cron expression matches, in server local time
+ * @param {Object} cron - From parseCron()
+ * @param {number} after - Time to search from (ms since epoch, exclusive)
+ * @returns {number|null} Next match (ms since epoch), or null if it never matches
+ */
+function nextCronRun(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  
+  while (date.getTime() - after <= CRON_SEARCH_LIMIT) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  
+  return null;
+}
+
+// ============================================================================
+// TIMING
+// ============================================================================
+
+const KINDS = ['cron', 'interval', 'once'];
+
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_INTERVAL = 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an interval (minutes, or a number with an m/h/d unit)
+ * @param {string} expression - e.g. '30', '90m', '6h', '1d'
+ * @returns {number} Interval in ms
+ * @throws {Error} With status 400 if the interval is invalid
+ */
+function parseInterval(expression) {
+  const match = String(expression).trim().toLowerCase().match(/^(\d+)\s*([mhd]?)$/);
+  const interval = match ? parseInt(match[1], 10) * INTERVAL_UNITS[match[2] || 'm'] : 0;
+  
+  if (interval < INTERVAL_UNITS.m || interval > MAX_INTERVAL) {
+    throw scheduleError(400, 'Interval must be between 1 minute and 366 days (e.g. 30, 90m, 6h, 1d)');
+  }
+  return interval;
+}
+
+/**
+ * Validate a schedule's timing
+ * @param {string} kind - 'cron', 'interval' or 'once'
+ * @param {string} expression - Cron expression, interval, or ISO timestamp
+ * @returns {string} Trimmed expression
+ * @throws {Error} With status 400 if the timing is invalid
+ */
+function validateTiming(kind, expression) {
+  if (!KINDS.includes(kind)) {
+    throw scheduleError(400, `Schedule type must be one of: ${KINDS.join(', ')}`);
+  }
+  
+  const text = String(expression || '').trim();
+  if (!text) {
+    throw scheduleError(400, 'A schedule time is required');
+  }
+  
+  if (kind === 'cron') {
+    if (nextCronRun(parseCron(text), Date.now()) === null) {
+      throw scheduleError(400, 'Cron expression never matches');
+    }
+  } else if (kind === 'interval') {
+    parseInterval(text);
+  } else if (isNaN(Date.parse(text))) {
+    throw scheduleError(400, 'Run time must be a valid date and time');
+  }
+  
+  return text;
+}
+
+/**
+ * Work out when a schedule runs next
+ * Intervals keep their cadence from the previous run time, skipping any
+ * runs that would already be in the past.
+ * @param {string} kind - 'cron', 'interval' or 'once'
+ * @param {string} expression - Validated expression
+ * @param {number} now - Current time (ms since epoch)
+ * @param {number} [previous] - Time the schedule last ran (or was due)
+ * @returns {number|null} Next run (ms since epoch), or null if it won't run again
+ */
+function computeNextRun(kind, expression, now, previous = null) {
+  if (kind === 'cron') {
+    return nextCronRun(parseCron(expression), now);
+  }
+  
+  if (kind === 'interval') {
+    const interval = parseInterval(expression);
+    if (previous === null) return now + interval;
+    return previous + interval * (Math.floor(Math.max(now - previous, 0) / interval) + 1);
+  }
+  
+  // Once: only while it's still ahead and hasn't run
+  const at = Date.parse(expression);
+  return previous === null && at > now ? at : null;
+}
+
+/**
+ * Preview the next run times of a timing
+ * @param {string} kind - 'cron', 'interval' or 'once'
+ * @param {string} expression - Expression to preview
+ * @param {number} [count=5] - Runs to list
+ * @returns {Array<string>} ISO timestamps
+ * @throws {Error} With status 400 if the timing is invalid
+ */
+function previewRuns(kind, expression, count = 5) {
+  const text = validateTiming(kind, expression);
+  const limit = Math.min(Math.max(parseInt(count, 10) || 5, 1), 20);
+  const runs = [];
+  
+  let next = computeNextRun(kind, text, Date.now());
+  while (next !== null && runs.length < limit) {
+    runs.push(new Date(next).toISOString());
+    next = kind === 'once' ? null : computeNextRun(kind, text, next, next);
+  }
+  
+  return runs;
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Convert a database row to the API shape
+ * @param {Object} row - schedules row, optionally joined with its last run
+ * @returns {Object} Schedule
+ */
+function toSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    action: row.action,
+    actionLabel: ACTIONS[row.action]?.label || row.action,
+    params: JSON.parse(row.params),
+    kind: row.kind,
+    expression: row.expression,
+    enabled: row.enabled === 1,
+    nextRunAt: row.next_run_at,
+    running: runningSchedules.has(row.id),
+    lastRun: row.last_status ? {
+      status: row.last_status,
+      startedAt: row.last_started_at,
+      finishedAt: row.last_finished_at,
+      error: row.last_error,
+    } : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+const SCHEDULE_SELECT = `
+  SELECT s.*, r.status AS last_status, r.started_at AS last_started_at,
+         r.finished_at AS last_finished_at, r.error AS last_error
+  FROM schedules s
+  LEFT JOIN schedule_runs r ON r.id = (
+    SELECT MAX(id) FROM schedule_runs WHERE schedule_id = s.id
+  )
+`;
+
+/**
+ * List all schedules, soonest first (disabled ones last)
+ * @returns {Array<Object>} Schedules
+ */
+function listSchedules() {
+  return initDB().prepare(`${SCHEDULE_SELECT} ORDER BY s.enabled DESC, s.next_run_at IS NULL, s.next_run_at, s.name`)
+    .all()
+    .map(toSchedule);
+}
+
+/**
+ * Get a schedule
+ * @param {number} id - Schedule ID
+ * @returns {Object} Schedule
+ * @throws {Error} With status 404 if it doesn't exist
+ */
+function getSchedule(id) {
+  const row = initDB().prepare(`${SCHEDULE_SELECT} WHERE s.id = ?`).get(parseInt(id, 10) || 0);
+  if (!row) {
+    throw scheduleError(404, 'Schedule not found');
+  }
+  return toSchedule(row);
+}
+
+/**
+ * Validate schedule fields, filling gaps from the existing schedule
+ * @param {Object} input - { name, action, params, kind, expression, enabled }
+ * @param {Object} [existing] - Schedule being updated
+ * @returns {Promise<Object>} Validated fields
+ * @throws {Error} With status 400 if a field is invalid
+ */
+async function normalizeSchedule(input, existing = null) {
+  const name = String(input.name ?? existing?.name ?? '').trim();
+  if (!name || name.length > 100) {
+    throw scheduleError(400, 'Name is required (up to 100 characters)');
+  }
+  
+  const action = input.action ?? existing?.action;
+  if (!ACTIONS[action]) {
+    throw scheduleError(400, `Unknown action: ${action}`);
+  }
+  
+  const params = await ACTIONS[action].validate(input.params ?? existing?.params ?? {});
+  const kind = input.kind ?? existing?.kind;
+  const expression = validateTiming(kind, input.expression ?? existing?.expression);
+  const enabled = input.enabled !== undefined ? Boolean(input.enabled) : (existing ? existing.enabled : true);
+  
+  return { name, action, params, kind, expression, enabled };
+}
+
+/**
+ * Create a schedule
+ * @param {Object} input - { name, action, params, kind, expression, enabled }
+ * @param {string} username - User creating it
+ * @returns {Promise<Object>} Created schedule
+ * @throws {Error} With status 400 if a field is invalid
+ */
+async function createSchedule(input, username) {
+  const fields = await normalizeSchedule(input);
+  const now = Date.now();
+  const nextRun = fields.enabled ? computeNextRun(fields.kind, fields.expression, now) : null;
+  
+  if (fields.kind === 'once' && fields.enabled && nextRun === null) {
+    throw scheduleError(400, 'Run time must be in the future');
+  }
+  
+  const timestamp = new Date(now).toISOString();
+  const { lastInsertRowid } = initDB().prepare(`
+    INSERT INTO schedules (name, action, params, kind, expression, enabled, next_run_at, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    fields.name,
+    fields.action,
+    JSON.stringify(fields.params),
+    fields.kind,
+    fields.expression,
+    fields.enabled ? 1 : 0,
+    nextRun !== null ? new Date(nextRun).toISOString() : null,
+    username || null,
+    timestamp,
+    timestamp
+  );
+  
+  return getSchedule(lastInsertRowid);
+}
+
+/**
+ * Update a schedule
+ * Only the given fields change. The next run is recalculated when the timing
+ * changes or the schedule is re-enabled.
+ * @param {number} id - Schedule ID
+ * @param {Object} changes - Any of { name, action, params, kind, expression, enabled }
+ * @returns {Promise<Object>} Updated schedule
+ * @throws {Error} With status 404 if it doesn't exist, 400 if a field is invalid
+ */
+async function updateSchedule(id, changes) {
+  const existing = getSchedule(id);
+  const fields = await normalizeSchedule(changes, existing);
+  const now = Date.now();
+  
+  const timingChanged = fields.kind !== existing.kind || fields.expression !== existing.expression;
+  let nextRun = existing.nextRunAt ? Date.parse(existing.nextRunAt) : null;
+  if (!fields.enabled) {
+    nextRun = null;
+  } else if (timingChanged || !existing.enabled || nextRun === null) {
+    nextRun = computeNextRun(fields.kind, fields.expression, now);
+    if (fields.kind === 'once' && nextRun === null) {
+      throw scheduleError(400, 'Run time must be in the future');
+    }
+  }
+  
+  initDB().prepare(`
+    UPDATE schedules
+    SET name = ?, action = ?, params = ?, kind = ?, expression = ?, enabled = ?, next_run_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(
+    fields.name,
+    fields.action,
+    JSON.stringify(fields.params),
+    fields.kind,
+    fields.expression,
+    fields.enabled ? 1 : 0,
+    nextRun !== null ? new Date(nextRun).toISOString() : null,
+    new Date(now).toISOString(),
+    existing.id
+  );
+  
+  return getSchedule(existing.id);
+}
+
+/**
+ * Delete a schedule and its run history
+ * @param {number} id - Schedule ID
+ * @returns {Object} Deleted schedule
+ * @throws {Error} With status 404 if it doesn't exist
+ */
+function deleteSchedule(id) {
+  const schedule = getSchedule(id);
+  const database = initDB();
+  
+  database.transaction(() => {
+    database.prepare('DELETE FROM schedule_runs WHERE schedule_id = ?').run(schedule.id);
+    database.prepare('DELETE FROM schedules WHERE id = ?').run(schedule.id);
+  })();
+  
+  return schedule;
+}
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+// Strings longer than this (command output) are cut in stored results
+const MAX_RESULT_STRING = 2000;
+
+// IDs of schedules with a run in progress
+const runningSchedules = new Set();
+
+/**
+ * Shorten long strings in an action result before storing it
+ * @param {*} value - Result
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Trimmed copy
+ */
+function trimResult(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_RESULT_STRING ? `${value.slice(0, MAX_RESULT_STRING)}… [${value.length} chars]` : value;
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 4) return '[…]';
+  if (Array.isArray(value)) return value.map(item => trimResult(item, depth + 1));
+  
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = trimResult(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Delete runs beyond the per-schedule history limit
+ * @param {number} scheduleId - Schedule ID
+ */
+function pruneRuns(scheduleId) {
+  if (!config.SCHEDULE_RUN_HISTORY_LIMIT) return;
+  
+  initDB().prepare(`
+    DELETE FROM schedule_runs WHERE schedule_id = ? AND id NOT IN (
+      SELECT id FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `).run(scheduleId, scheduleId, config.SCHEDULE_RUN_HISTORY_LIMIT);
+}
+
+/**
+ * Record a run that was skipped
+ * @param {Object} schedule - Schedule
+ * @param {number} scheduledFor - When it was due (ms since epoch)
+ * @param {string} reason - Why it was skipped
+ */
+function recordSkippedRun(schedule, scheduledFor, reason) {
+  const timestamp = new Date().toISOString();
+  initDB().prepare(`
+    INSERT INTO schedule_runs (schedule_id, triggered_by, status, scheduled_for, started_at, finished_at, error)
+    VALUES (?, 'schedule', 'skipped', ?, ?, ?, ?)
+  `).run(schedule.id, new Date(scheduledFor).toISOString(), timestamp, timestamp, reason);
+  
+  pruneRuns(schedule.id);
+  console.warn(`[scheduler] Skipped '${schedule.name}': ${reason}`);
+}
+
+/**
+ * Check that a schedule's creator may still run its action
+ * Scheduled runs act for the user who created the schedule, so they stop
+ * once that user is deleted or loses the action's permission.
+ * @param {Object} schedule - Schedule
+ * @returns {string|null} Why the run must be skipped, or null if allowed
+ */
+function checkCreatorPermission(schedule) {
+  const role = schedule.createdBy ? users.getUserRole(schedule.createdBy) : null;
+  if (!role) {
+    return `Its creator '${schedule.createdBy || 'unknown'}' no longer exists`;
+  }
+  
+  const permission = getActionPermission(schedule.action);
+  if (!roles.hasPermission(role, permission)) {
+    return `Its creator '${schedule.createdBy}' no longer has the '${permission}' permission`;
+  }
+  
+  return null;
+}
+
+/**
+ * Run a schedule's action in the background
+ * The outcome is stored in the run history and the audit log.
+ * @param {Object} schedule - Schedule
+ * @param {Object} [options] - Options
+ * @param {string} [options.triggeredBy='schedule'] - 'schedule' or 'manual'
+ * @param {string} [options.username] - User who ran it by hand
+ * @param {number} [options.scheduledFor] - When it was due (ms since epoch)
+ * @returns {Object} { runId, done } - done resolves once the action finishes
+ * @throws {Error} With status 409 if the schedule is already running
+ */
+function startRun(schedule, { triggeredBy = 'schedule', username = null, scheduledFor = null } = {}) {
+  if (runningSchedules.has(schedule.id)) {
+    throw scheduleError(409, `'${schedule.name}' is already running`);
+  }
+  
+  const database = initDB();
+  const startTime = Date.now();
+  const { lastInsertRowid: runId } = database.prepare(`
+    INSERT INTO schedule_runs (schedule_id, triggered_by, username, status, scheduled_for, started_at)
+    VALUES (?, ?, ?, 'running', ?, ?)
+  `).run(
+    schedule.id,
+    triggeredBy,
+    username,
+    scheduledFor !== null ? new Date(scheduledFor).toISOString() : null,
+    new Date(startTime).toISOString()
+  );
+  
+  runningSchedules.add(schedule.id);
+  console.log(`[scheduler] Running '${schedule.name}' (${schedule.action})...`);
+  
+  const done = (async () => {
+    let result = null;
+    let error = null;
+    
+    try {
+      result = await ACTIONS[schedule.action].run(schedule.params);
+      if (result && result.success === false) {
+        error = result.error || 'Action reported failure';
+      }
+    } catch (e) {
+      error = e.message;
+    } finally {
+      runningSchedules.delete(schedule.id);
+    }
+    
+    database.prepare(`
+      UPDATE schedule_runs SET status = ?, finished_at = ?, result = ?, error = ? WHERE id = ?
+    `).run(
+      error ? 'failed' : 'success',
+      new Date().toISOString(),
+      result ? JSON.stringify(trimResult(result)) : null,
+      error,
+      runId
+    );
+    pruneRuns(schedule.id);
+    
+    audit.recordEvent({
+      action: 'schedules.run',
+      username,
+      target: schedule.name,
+      params: { action: schedule.action, ...schedule.params },
+      details: { scheduleId: schedule.id, runId, triggeredBy },
+      success: !error,
+      error,
+      durationMs: Date.now() - startTime,
+    });
+    
+    if (error) {
+      console.error(`[scheduler] '${schedule.name}' failed:`, error);
+    } else {
+      console.log(`[scheduler] '${schedule.name}' finished`);
+    }
+  })();
+  
+  return { runId, done };
+}
+
+/**
+ * Run a schedule now, outside its timing
+ * @param {number} id - Schedule ID
+ * @param {string} username - User running it
+ * @returns {Object} { schedule, runId }
+ * @throws {Error} With status 404 if it doesn't exist, 409 if it's already running
+ */
+function runNow(id, username) {
+  const schedule = getSchedule(id);
+  const { runId, done } = startRun(schedule, { triggeredBy: 'manual', username });
+  done.catch(e => console.error(`[scheduler] Error recording run of '${schedule.name}':`, e.message));
+  
+  return { schedule: getSchedule(schedule.id), runId };
+}
+
+/**
+ * List a schedule's runs, newest first
+ * @param {number} id - Schedule ID
+ * @param {number} [limit=50] - Max runs
+ * @returns {Array<Object>} [{ id, triggeredBy, username, status, scheduledFor, startedAt, finishedAt, result, error }]
+ * @throws {Error} With status 404 if the schedule doesn't exist
+ */
+function listRuns(id, limit = 50) {
+  const schedule = getSchedule(id);
+  
+  return initDB().prepare('SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY id DESC LIMIT ?')
+    .all(schedule.id, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500))
+    .map(row => ({
+      id: row.id,
+      triggeredBy: row.triggered_by,
+      username: row.username,
+      status: row.status,
+      scheduledFor: row.scheduled_for,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      result: row.result ? JSON.parse(row.result) : null,
+      error: row.error,
+    }));
+}
+
+// ============================================================================
+// SCHEDULER LOOP
+// ============================================================================
+
+let schedulerInterval = null;
+
+/**
+ * Start every schedule that is due and move it to its next run
+ */
+function runDueSchedules() {
+  const database = initDB();
+  const now = Date.now();
+  
+  const due = database.prepare(`
+    SELECT * FROM schedules WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+  `).all(new Date(now).toISOString());
+  
+  for (const row of due) {
+    const schedule = toSchedule(row);
+    const scheduledFor = Date.parse(row.next_run_at);
+    
+    // Move on first, so a slow or failing action is never started twice
+    const nextRun = computeNextRun(schedule.kind, schedule.expression, now, scheduledFor);
+    database.prepare('UPDATE schedules SET next_run_at = ?, enabled = ? WHERE id = ?').run(
+      nextRun !== null ? new Date(nextRun).toISOString() : null,
+      schedule.kind === 'once' ? 0 : 1,
+      schedule.id
+    );
+    
+    if (now - scheduledFor > config.SCHEDULE_MISSED_GRACE) {
+      recordSkippedRun(schedule, scheduledFor, `Missed - was due ${new Date(scheduledFor).toISOString()} while the panel was not running`);
+      continue;
+    }
+    
+    if (runningSchedules.has(schedule.id)) {
+      recordSkippedRun(schedule, scheduledFor, 'The previous run was still in progress');
+      continue;
+    }
+    
+    const denied = checkCreatorPermission(schedule);
+    if (denied) {
+      recordSkippedRun(schedule, scheduledFor, denied);
+      continue;
+    }
+    
+    startRun(schedule, { scheduledFor }).done
+      .catch(e => console.error(`[scheduler] Error recording run of '${schedule.name}':`, e.message));
+  }
+}
+
+/**
+ * Start checking for due schedules in the background
+ */
+function startScheduler() {
+  if (schedulerInterval) return;
+  
+  initDB();
+  
+  const tick = () => {
+    try {
+      runDueSchedules();
+    } catch (e) {
+      console.error('[scheduler] Tick failed:', e.message);
+    }
+  };
+  
+  tick();
+  schedulerInterval = setInterval(tick, config.SCHEDULER_INTERVAL);
+  schedulerInterval.unref();
+}
+
+module.exports = {
+  initDB,
+  startScheduler,
+  
+  // Actions & timing
+  listActions,
+  getActionPermission,
+  actionRequiresRecentAuth,
+  parseCron,
+  nextCronRun,
+  previewRuns,
+  
+  // Schedules
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  
+  // Runs
+  runNow,
+  listRuns,
+};
@@ -108,6 +108,29 @@ const MODEL_PRICING = {
   'deepseek/deepseek-chat': { input: 0.00014, output: 0.00028, cacheWriteMult: 0, cacheReadMult: 0 },
 };
 
+// Unknown models are costed at Sonnet pricing
+const DEFAULT_PRICING = { input: 0.003, output: 0.015, cacheWriteMult: 1.25, cacheReadMult: 0.1 };
+
+/**
+ * Look up pricing for a model
+ * Tries an exact match, then a prefix match on the model family.
+ * @param {string} model - Model name
+ * @returns {Object|null} Pricing, or null if unknown (costed at DEFAULT_PRICING)
+ */
+function findModelPricing(model) {
+  if (Object.hasOwn(MODEL_PRICING, model)) {
+    return MODEL_PRICING[model];
+  }
+  
+  for (const [prefix, pricing] of Object.entries(MODEL_PRICING)) {
+    if (model && model.startsWith(prefix.split('-')[0])) {
+      return pricing;
+    }
+  }
+  
+  return null;
+}
+
 /**
  * Calculate estimated cost for a usage record
  * 
@@ -124,23 +147,7 @@ const MODEL_PRICING = {
  * - Uncached = inputTokens - cacheReadTokens
  */
 function calculateCost(model, inputTokens, outputTokens, cacheReadTokens = 0, cacheWriteTokens = 0) {
-  // Try exact match, then prefix match
-  let pricing = MODEL_PRICING[model];
-  
-  if (!pricing) {
-    // Try prefix matching
-    for (const [prefix, p] of Object.entries(MODEL_PRICING)) {
-      if (model && model.startsWith(prefix.split('-')[0])) {
-        pricing = p;
-        break;
-      }
-    }
-  }
-  
-  // Default to Sonnet pricing if unknown
-  if (!pricing) {
-    pricing = { input: 0.003, output: 0.015, cacheWriteMult: 1.25, cacheReadMult: 0.1 };
-  }
+  const pricing = findModelPricing(model) || DEFAULT_PRICING;
   
   // Determine if this is an Anthropic model (different token semantics)
   const isAnthropic = model && (
@@ -645,6 +652,7 @@ module.exports = {
   
   // Utilities
   calculateCost,
+  findModelPricing,
   parseTraceFile,
   
   // Constants
@@ -4,7 +4,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { runCmd, runCmdFull } = require('./utils');
+const { runCmd, runCmdFull, spawnCmd } = require('./utils');
 const config = require('../config');
 
 // ============================================================================
@@ -213,6 +213,43 @@ async function getServiceStatus(serviceName) {
   }
 }
 
+/**
+ * Get a service's automatic restart count and how its main process last exited
+ * NRestarts counts restarts done by Restart= since the unit was last started by hand.
+ * @param {string} serviceName - Service name
+ * @returns {Promise<Object|null>} { state, nRestarts, result, exitCode, signal, exitedAt, startedAt }, or null if unavailable
+ */
+async function getServiceRestartInfo(serviceName) {
+  const result = await runCmdFull(
+    `systemctl ${SYSTEMD_FLAG} show ${serviceName}.service ` +
+    '--property=ActiveState,NRestarts,Result,ExecMainCode,ExecMainStatus,ExecMainExitTimestamp,ExecMainStartTimestamp'
+  );
+  if (result.code !== 0) return null;
+  
+  const props = {};
+  for (const line of result.stdout.split('\n')) {
+    const index = line.indexOf('=');
+    if (index > 0) {
+      props[line.slice(0, index)] = line.slice(index + 1);
+    }
+  }
+  if (props.NRestarts === undefined) return null;
+  
+  // ExecMainCode is CLD_EXITED (1) for a normal exit, otherwise ExecMainStatus is a signal
+  const exited = props.ExecMainCode === '1';
+  const status = props.ExecMainStatus !== undefined && props.ExecMainStatus !== '' ? parseInt(props.ExecMainStatus, 10) : null;
+  
+  return {
+    state: props.ActiveState || 'unknown',
+    nRestarts: parseInt(props.NRestarts, 10) || 0,
+    result: props.Result || null,
+    exitCode: exited ? status : null,
+    signal: !exited && status ? status : null,
+    exitedAt: props.ExecMainExitTimestamp || null,
+    startedAt: props.ExecMainStartTimestamp || null,
+  };
+}
+
 /**
  * Start a service
  * @param {string} serviceName - Service name
@@ -282,6 +319,175 @@ async function getServiceLogs(serviceName, lines = 200) {
   }
 }
 
+/**
+ * Follow service logs as they are written (journalctl --follow)
+ * @param {string} serviceName - Service name
+ * @param {Object} handlers - Handlers
+ * @param {number} [handlers.lines=200] - Recent lines to send first
+ * @param {Function} handlers.onLine - (line) => void, called for every log line
+ * @param {Function} [handlers.onEnd] - (error) => void, called once when journalctl exits
+ * @returns {Function} Stop following
+ */
+function followServiceLogs(serviceName, { lines = 200, onLine, onEnd = () => {} }) {
+  const args = [
+    ...(SYSTEMD_FLAG ? [SYSTEMD_FLAG] : []),
+    '-u', `${serviceName}.service`,
+    '-n', String(lines),
+    '--follow', '--no-pager', '--output=short-iso',
+  ];
+  
+  const child = spawnCmd('journalctl', args);
+  let ended = false;
+  let partial = '';
+  let stderr = '';
+  
+  /**
+   * Report the end of the stream once
+   * @param {Error|null} error - Why it ended
+   */
+  const end = (error) => {
+    if (ended) return;
+    ended = true;
+    onEnd(error);
+  };
+  
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (chunk) => {
+    // Chunks don't respect line boundaries - hold the unfinished tail back
+    const parts = (partial + chunk).split('\n');
+    partial = parts.pop();
+    parts.forEach(line => onLine(line));
+  });
+  
+  child.stderr.setEncoding('utf8');
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-1000);
+  });
+  
+  child.on('error', (e) => end(new Error(`Error following logs: ${e.message}`)));
+  child.on('close', (code) => {
+    if (partial) onLine(partial);
+    end(code && !child.killed ? new Error(stderr.trim() || `journalctl exited with code ${code}`) : null);
+  });
+  
+  return () => {
+    ended = true;
+    child.kill();
+  };
+}
+
+/**
+ * Parse one line of journalctl --output=json
+ * @param {string} line - JSON line
+ * @returns {Object|null} { timestamp, unit, priority, message }, or null if it isn't an entry
+ */
+function parseJournalEntry(line) {
+  let fields;
+  try {
+    fields = JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+  
+  // systemd's own messages about a unit carry UNIT; the unit's output carries _SYSTEMD_UNIT
+  const unit = fields.USER_UNIT || fields._SYSTEMD_USER_UNIT || fields.UNIT || fields._SYSTEMD_UNIT || '';
+  // Messages that aren't valid UTF-8 are exported as byte arrays
+  const message = Array.isArray(fields.MESSAGE)
+    ? Buffer.from(fields.MESSAGE).toString('utf8')
+    : String(fields.MESSAGE ?? '');
+  
+  return {
+    timestamp: new Date(Number(fields.__REALTIME_TIMESTAMP) / 1000).toISOString(),
+    unit: unit.replace(/\.service$/, ''),
+    priority: fields.PRIORITY !== undefined ? parseInt(fields.PRIORITY, 10) : 6,
+    message,
+  };
+}
+
+/**
+ * Query the journal of several services at once
+ * Entries are streamed newest first and parsed as they arrive, so a verbose
+ * unit can't overflow an output buffer; reading stops once maxEntries match.
+ * @param {Array<string>} serviceNames - Service names
+ * @param {Object} options - Options
+ * @param {number} options.since - Range start (ms since epoch)
+ * @param {number} options.until - Range end (ms since epoch)
+ * @param {number} [options.priority=7] - Lowest priority to include (0 emerg ... 7 debug)
+ * @param {number} [options.limit=1000] - Max entries to read (the newest)
+ * @param {Function} [options.match] - (entry) => boolean - only matching entries are kept
+ * @param {number} [options.maxEntries] - Stop after keeping this many (default limit)
+ * @returns {Promise<Object>} { entries: [{ timestamp, unit, priority, message }] oldest first,
+ *   truncated } - truncated if older entries may have been left unread
+ * @throws {Error} If journalctl fails
+ */
+function queryJournal(serviceNames, { since, until, priority = 7, limit = 1000, match = null, maxEntries = limit }) {
+  const args = [
+    ...(SYSTEMD_FLAG ? [SYSTEMD_FLAG] : []),
+    ...serviceNames.flatMap(name => ['-u', `${name}.service`]),
+    `--since=@${Math.floor(since / 1000)}`,
+    `--until=@${Math.ceil(until / 1000)}`,
+    '-p', String(priority),
+    '-n', String(limit),
+    '--reverse', '--no-pager', '--output=json',
+    '--output-fields=PRIORITY,MESSAGE,UNIT,USER_UNIT,_SYSTEMD_UNIT,_SYSTEMD_USER_UNIT',
+  ];
+  
+  return new Promise((resolve, reject) => {
+    const child = spawnCmd('journalctl', args);
+    const entries = [];
+    let scanned = 0;
+    let partial = '';
+    let stderr = '';
+    let done = false;
+    
+    /**
+     * Settle once, with the entries put back in time order
+     * @param {Error|null} error - Why journalctl failed
+     */
+    const finish = (error) => {
+      if (done) return;
+      done = true;
+      if (error) return reject(error);
+      resolve({ entries: entries.reverse(), truncated: scanned >= limit || entries.length >= maxEntries });
+    };
+    
+    const readLine = (line) => {
+      if (done || !line.trim()) return;
+      
+      const entry = parseJournalEntry(line);
+      if (!entry) return;
+      
+      scanned++;
+      if (match && !match(entry)) return;
+      
+      entries.push(entry);
+      if (entries.length >= maxEntries) {
+        child.kill();
+        finish(null);
+      }
+    };
+    
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      // Chunks don't respect line boundaries - hold the unfinished tail back
+      const parts = (partial + chunk).split('\n');
+      partial = parts.pop();
+      parts.forEach(readLine);
+    });
+    
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr = (stderr + chunk).slice(-1000);
+    });
+    
+    child.on('error', (e) => finish(new Error(`Error reading the journal: ${e.message}`)));
+    child.on('close', (code) => {
+      if (partial) readLine(partial);
+      finish(code ? new Error(stderr.trim() || `journalctl exited with code ${code}`) : null);
+    });
+  });
+}
+
 /**
  * List all ChapterX services
  * @returns {Promise<Array<Object>>} List of services with status
@@ -345,10 +551,13 @@ module.exports = {
   // Service control
   isSystemdAvailable,
   getServiceStatus,
+  getServiceRestartInfo,
   startService,
   stopService,
   restartService,
   getServiceLogs,
+  followServiceLogs,
+  queryJournal,
   listChapterXServices,
 };
 
@@ -186,6 +186,28 @@ function runCmdFull(cmd) {
   });
 }
 
+/**
+ * Start a long-running command without a shell (e.g. journalctl --follow)
+ * The caller reads its output streams and must kill it when done.
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @returns {ChildProcess} Tracked child process
+ */
+function spawnCmd(command, args) {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  activeProcesses.add(child);
+  
+  child.on('error', () => {
+    activeProcesses.delete(child);
+  });
+  
+  child.on('exit', () => {
+    activeProcesses.delete(child);
+  });
+  
+  return child;
+}
+
 /**
  * Get count of active child processes being tracked
  * @returns {number}
@@ -259,6 +281,32 @@ function relativeTime(timestamp) {
   return 'just now';
 }
 
+// ============================================================================
+// ASYNC UTILITIES
+// ============================================================================
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Max concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -267,6 +315,7 @@ module.exports = {
   // Command execution
   runCmd,
   runCmdFull,
+  spawnCmd,
   
   // Zombie/process management
   getZombieCount,
@@ -275,6 +324,9 @@ module.exports = {
   startZombieReaper,
   stopZombieReaper,
   
+  // Async utilities
+  mapWithConcurrency,
+  
   // String utilities
   truncate,
   escapeHtml,
@@ -0,0 +1,109 @@
+// middleware/audit.js - Audit logging middleware
+// Records mutating requests to the audit log once the response is sent
+
+const { recordEvent } = require('../lib/security/audit');
+
+// Body fields that must never be written to the audit log
+const REDACTED_FIELDS = /pass|secret|token|code|credential|private|apikey|api_key/i;
+
+// Longer strings (post content, config files) are recorded by size only
+const MAX_PARAM_LENGTH = 200;
+
+/**
+ * Make request parameters safe to store
+ * Redacts sensitive fields and replaces long strings with their length.
+ * @param {*} value - Value to sanitize
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Sanitized copy
+ */
+function sanitizeParams(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  
+  if (typeof value === 'string') {
+    return value.length > MAX_PARAM_LENGTH ? `[${value.length} chars]` : value;
+  }
+  
+  if (typeof value !== 'object') return value;
+  
+  if (depth >= 3) return '[…]';
+  
+  if (Array.isArray(value)) {
+    return value.slice(0, 20).map(item => sanitizeParams(item, depth + 1));
+  }
+  
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : sanitizeParams(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Middleware factory that records the request in the audit log
+ * Must be used after requireAuth so the acting user is known.
+ *
+ * Usage:
+ *   router.post('/:slot/checkout', requirePermission('slots:deploy'), audit('slots.checkout', {
+ *     details: (body) => ({ branch: body.status?.branch }),
+ *   }), handler);
+ *
+ * @param {string} action - Action name, '<domain>.<verb>' (e.g. 'bots.restart')
+ * @param {Object} [options] - Options
+ * @param {Function} [options.target] - (req) => target; defaults to the first route param
+ * @param {Function} [options.params] - (req) => params to record; defaults to the sanitized query and body
+ * @param {Function} [options.details] - (responseBody, req) => extra details to record on success
+ * @returns {Function} Express middleware
+ */
+function audit(action, options = {}) {
+  return (req, res, next) => {
+    const startTime = Date.now();
+    const target = options.target ? options.target(req) : Object.values(req.params)[0];
+    
+    // Capture the JSON response so outcome details and errors can be recorded
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+    
+    res.on('finish', () => {
+      // Some handlers report failure in the body with a 200 status
+      const success = res.statusCode < 400 && !(responseBody && responseBody.success === false);
+      
+      let details = null;
+      if (success && options.details && responseBody) {
+        try {
+          details = options.details(responseBody, req);
+        } catch (e) {
+          // Details are best-effort
+        }
+      }
+      
+      const params = options.params
+        ? options.params(req)
+        : sanitizeParams({ ...req.query, ...req.body });
+      
+      recordEvent({
+        action,
+        username: req.username,
+        authMethod: req.apiToken ? 'token' : 'session',
+        ip: req.ip,
+        target,
+        params,
+        details,
+        success,
+        statusCode: res.statusCode,
+        error: success ? null : (responseBody && responseBody.error) || null,
+        durationMs: Date.now() - startTime,
+      });
+    });
+    
+    next();
+  };
+}
+
+module.exports = {
+  audit,
+  sanitizeParams,
+};
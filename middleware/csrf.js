@@ -0,0 +1,49 @@
+// middleware/csrf.js - CSRF protection
+// Synchronizer tokens bound to the session for cookie-authenticated writes
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getCsrfToken } = require('../lib/auth/sessions');
+const { getBearerToken } = require('./require-auth');
+
+// Header the SPA sends the token in (see public/js/api.js)
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Methods that must not change state, so never need a token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routes that run before a session exists
+const EXEMPT_PATHS = ['/auth/login', '/auth/login/totp', '/auth/login/passkey/options', '/auth/login/passkey'];
+
+/**
+ * Middleware that requires a valid CSRF token on state-changing requests
+ * made with the session cookie. Mount on /api before the routers.
+ *
+ * Requests authenticated with an API token are exempt - the Authorization
+ * header is never attached by the browser automatically, so it can't be
+ * forged cross-site. Requests without a valid session are passed through
+ * for requireAuth to reject.
+ */
+function requireCsrf(req, res, next) {
+  if (SAFE_METHODS.includes(req.method)) return next();
+  if (EXEMPT_PATHS.includes(req.path)) return next();
+  if (getBearerToken(req)) return next();
+  
+  const sessionToken = req.cookies[config.SESSION_COOKIE_NAME];
+  const expected = sessionToken ? getCsrfToken(sessionToken) : null;
+  if (!expected) return next();
+  
+  const provided = Buffer.from(req.get(CSRF_HEADER) || '');
+  
+  if (provided.length !== expected.length ||
+      !crypto.timingSafeEqual(provided, Buffer.from(expected))) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token', csrf: true });
+  }
+  
+  next();
+}
+
+module.exports = {
+  CSRF_HEADER,
+  requireCsrf,
+};
@@ -0,0 +1,26 @@
+// middleware/ip-policy.js - Network access policy enforcement
+// Rejects requests from IPs the allow/deny policy doesn't permit
+
+const { checkRequest, normalizeIp } = require('../lib/security/ip-policy');
+
+/**
+ * Middleware that enforces the IP policy (see lib/security/ip-policy.js)
+ * Mount before static files and routes. Relies on 'trust proxy' so req.ip
+ * is the client address forwarded by the reverse proxy.
+ */
+function enforceIpPolicy(req, res, next) {
+  const result = checkRequest(req.ip, req.path);
+  
+  if (result.allowed) return next();
+  
+  console.warn(`[ip-policy] Blocked ${normalizeIp(req.ip)} ${req.method} ${req.path} (${result.scope} ${result.list} list)`);
+  
+  if (req.path.toLowerCase().startsWith('/api/')) {
+    return res.status(403).json({ error: 'Access denied from your network', ipBlocked: true });
+  }
+  res.status(403).send('Access denied from your network');
+}
+
+module.exports = {
+  enforceIpPolicy,
+};
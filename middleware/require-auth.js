@@ -1,13 +1,59 @@
 // middleware/require-auth.js - Authentication middleware
 
 const config = require('../config');
-const { getSession } = require('../lib/auth/sessions');
+const { getSession, getSessionId, touchSession, isSessionElevated } = require('../lib/auth/sessions');
+const { getUserRole, isTotpEnabled, isOidcLinked, hasPassword } = require('../lib/auth/users');
+const { hasPermission, scopeAllows, SUDO_SCOPE } = require('../lib/auth/roles');
+const { verifyApiToken } = require('../lib/auth/api-tokens');
+const oidc = require('../lib/auth/oidc');
 
 /**
- * Middleware that requires a valid session
- * Checks for session cookie and validates it
+ * Extract a Bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token or null if not present
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+  
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Authenticate a request with an API token
+ * @param {Object} req - Express request
+ * @param {string} bearer - Raw token from the Authorization header
+ * @returns {boolean} True if the token is valid and attached to the request
+ */
+function attachApiToken(req, bearer) {
+  const token = verifyApiToken(bearer);
+  if (!token) return false;
+  
+  // Owner may have been deleted since the token was issued
+  const role = getUserRole(token.username);
+  if (!role) return false;
+  
+  req.apiToken = token;
+  req.username = token.username;
+  req.role = role;
+  return true;
+}
+
+/**
+ * Middleware that requires a valid session or API token
+ * Checks for a Bearer token first, then the session cookie
  */
 function requireAuth(req, res, next) {
+  const bearer = getBearerToken(req);
+  
+  if (bearer) {
+    if (!attachApiToken(req, bearer)) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    return next();
+  }
+  
   const token = req.cookies[config.SESSION_COOKIE_NAME];
   
   if (!token) {
@@ -22,10 +68,17 @@ function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Session expired' });
   }
   
+  // Track activity for the sessions list in Settings
+  touchSession(token, req.ip);
+  
   // Attach session to request for use in routes
   req.session = session;
+  req.sessionId = getSessionId(token);
   req.username = session.username;
   
+  // Role is looked up per request so changes apply immediately
+  req.role = getUserRole(session.username);
+  
   next();
 }
 
@@ -34,6 +87,13 @@ function requireAuth(req, res, next) {
  * Doesn't block the request if no session
  */
 function optionalAuth(req, res, next) {
+  const bearer = getBearerToken(req);
+  
+  if (bearer) {
+    attachApiToken(req, bearer);
+    return next();
+  }
+  
   const token = req.cookies[config.SESSION_COOKIE_NAME];
   
   if (token) {
@@ -41,14 +101,110 @@ function optionalAuth(req, res, next) {
     if (session) {
       req.session = session;
       req.username = session.username;
+      req.role = getUserRole(session.username);
     }
   }
   
   next();
 }
 
+/**
+ * Middleware that rejects API token authentication
+ * For account management routes that must only be used interactively.
+ * Must be used after requireAuth.
+ */
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'This endpoint cannot be used with an API token' });
+  }
+  next();
+}
+
+/**
+ * Middleware that requires a recent password (and TOTP) confirmation
+ * Guards high-blast-radius actions so a stolen session cookie alone can't
+ * wipe anything. The client confirms via POST /api/auth/reauth (or, for
+ * single sign-on users, a fresh IdP login via /api/auth/oidc/reauth) and retries.
+ * API tokens can't re-authenticate, so they need the dedicated 'sudo' scope
+ * on top of the action's own permission.
+ * Must be used after requireAuth.
+ */
+function requireRecentAuth(req, res, next) {
+  if (req.apiToken) {
+    if (req.apiToken.scopes?.includes(SUDO_SCOPE)) {
+      return next();
+    }
+    return res.status(403).json({ error: `This action needs an API token with the '${SUDO_SCOPE}' scope` });
+  }
+  
+  if (isSessionElevated(req.session)) {
+    return next();
+  }
+  
+  res.status(403).json({
+    error: 'Please confirm your password to continue',
+    reauthRequired: true,
+    totpRequired: isTotpEnabled(req.username),
+    passwordSet: hasPassword(req.username),
+    sso: oidc.isEnabled() && isOidcLinked(req.username),
+  });
+}
+
+/**
+ * Check whether an authenticated request is allowed a permission
+ * Considers both the user's role and, for API tokens, the token's scopes.
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if allowed
+ */
+function hasRequestPermission(req, permission) {
+  if (!hasPermission(req.role, permission)) return false;
+  if (req.apiToken && !scopeAllows(req.apiToken.scopes, permission)) return false;
+  return true;
+}
+
+/**
+ * Middleware factory that requires the authenticated user's role to grant
+ * a permission. Must be used after requireAuth.
+ * Requests made with an API token must also have the permission in the
+ * token's scopes - a token can never exceed its owner's role.
+ *
+ * Usage:
+ *   router.post('/:slot/discard', requirePermission('slots:discard'), handler);
+ *
+ * @param {string} permission - Permission name (see lib/auth/roles.js)
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.username) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    
+    if (!hasPermission(req.role, permission)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        required: permission,
+      });
+    }
+    
+    if (req.apiToken && !scopeAllows(req.apiToken.scopes, permission)) {
+      return res.status(403).json({
+        error: 'API token is missing the required scope',
+        required: permission,
+      });
+    }
+    
+    next();
+  };
+}
+
 module.exports = {
+  getBearerToken,
   requireAuth,
   optionalAuth,
+  requireSession,
+  requireRecentAuth,
+  requirePermission,
+  hasRequestPermission,
 };
-
@@ -1,21 +1,32 @@
 // api.js - API client for aethera-admin
 
 const api = {
+  // CSRF token for the current session (set on login / auth check)
+  csrfToken: null,
+  
+  // Called when an action needs re-authentication ("sudo mode") - set by
+  // main.js to prompt for the password; resolves true once confirmed
+  onReauthRequired: null,
+  
   /**
    * Make an API request
+   * State-changing requests carry the session's CSRF token.
    * @param {string} endpoint - API endpoint (without /api prefix)
    * @param {Object} options - Fetch options
    * @returns {Promise<Object>} Response data
    */
   async request(endpoint, options = {}) {
     const url = `/api${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
+    const needsCsrf = !['GET', 'HEAD', 'OPTIONS'].includes(method);
     
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
+        ...(needsCsrf && api.csrfToken ? { 'X-CSRF-Token': api.csrfToken } : {}),
         ...options.headers,
       },
-      ...options,
     };
     
     if (options.body && typeof options.body === 'object') {
@@ -26,8 +37,24 @@ const api = {
       const response = await fetch(url, config);
       const data = await response.json();
       
+      // Token missing or stale (e.g. signed in again in another tab) -
+      // refresh it from the session and retry once
+      if (response.status === 403 && data.csrf && !options.csrfRetried) {
+        await api.auth.check();
+        return api.request(endpoint, { ...options, csrfRetried: true });
+      }
+      
+      // Destructive action needs a fresh password confirmation - prompt
+      // and retry once if the user confirms
+      if (response.status === 403 && data.reauthRequired && !options.reauthRetried && api.onReauthRequired) {
+        if (await api.onReauthRequired(data)) {
+          return api.request(endpoint, { ...options, reauthRetried: true });
+        }
+      }
+      
       if (!response.ok) {
-        throw new Error(data.error || `HTTP ${response.status}`);
+        // Keep the response so callers can show details (e.g. validation errors)
+        throw Object.assign(new Error(data.error || `HTTP ${response.status}`), { data });
       }
       
       return data;
@@ -43,20 +70,26 @@ const api = {
   
   auth: {
     async login(username, password) {
-      return api.request('/auth/login', {
+      const result = await api.request('/auth/login', {
         method: 'POST',
         body: { username, password },
       });
+      api.csrfToken = result.csrfToken || null;
+      return result;
     },
     
     async logout() {
-      return api.request('/auth/logout', {
+      const result = await api.request('/auth/logout', {
         method: 'POST',
       });
+      api.csrfToken = null;
+      return result;
     },
     
     async check() {
-      return api.request('/auth/check');
+      const result = await api.request('/auth/check');
+      api.csrfToken = result.csrfToken || null;
+      return result;
     },
     
     async changePassword(oldPassword, newPassword) {
@@ -69,6 +102,283 @@ const api = {
     async getUser() {
       return api.request('/auth/user');
     },
+    
+    /**
+     * Confirm identity to enter sudo mode for destructive actions
+     * @param {string} password - Current password
+     * @param {string} [code] - TOTP or recovery code (if two-factor is enabled)
+     */
+    async reauth(password, code) {
+      return api.request('/auth/reauth', {
+        method: 'POST',
+        body: { password, code },
+      });
+    },
+    
+    /**
+     * List users (requires users:manage)
+     */
+    async listUsers() {
+      return api.request('/auth/users');
+    },
+    
+    /**
+     * Create a user (requires users:manage)
+     * @param {string} username - Username
+     * @param {string} password - Initial password
+     * @param {string} role - viewer, operator or admin
+     */
+    async createUser(username, password, role) {
+      return api.request('/auth/users', {
+        method: 'POST',
+        body: { username, password, role },
+      });
+    },
+    
+    /**
+     * Change a user's role (requires users:manage)
+     * @param {string} username - Username
+     * @param {string} role - New role
+     */
+    async setUserRole(username, role) {
+      return api.request(`/auth/users/${encodeURIComponent(username)}/role`, {
+        method: 'PUT',
+        body: { role },
+      });
+    },
+    
+    /**
+     * Delete a user (requires users:manage)
+     * @param {string} username - Username
+     */
+    async deleteUser(username) {
+      return api.request(`/auth/users/${encodeURIComponent(username)}`, {
+        method: 'DELETE',
+      });
+    },
+    
+    /**
+     * List the current user's active sessions
+     */
+    async listSessions() {
+      return api.request('/auth/sessions');
+    },
+    
+    /**
+     * Revoke one of the current user's sessions
+     * @param {string} id - Session ID
+     */
+    async revokeSession(id) {
+      return api.request(`/auth/sessions/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+    },
+    
+    /**
+     * Revoke all sessions except the current one
+     */
+    async revokeOtherSessions() {
+      return api.request('/auth/sessions', {
+        method: 'DELETE',
+      });
+    },
+    
+    /**
+     * List recent sign-in attempts
+     * @param {boolean} [all] - Every user's attempts (requires users:manage)
+     */
+    async loginHistory(all = false) {
+      return api.request(`/auth/login-history${all ? '?all=1' : ''}`);
+    },
+    
+    /**
+     * List open suspicious-login alerts
+     */
+    async alerts() {
+      return api.request('/auth/alerts');
+    },
+    
+    /**
+     * Dismiss an alert, or all open alerts
+     * @param {number} [id] - Alert ID (omit to dismiss all)
+     */
+    async dismissAlerts(id) {
+      return api.request('/auth/alerts/dismiss', {
+        method: 'POST',
+        body: { id },
+      });
+    },
+    
+    /**
+     * List the current user's API tokens
+     */
+    async listTokens() {
+      return api.request('/auth/tokens');
+    },
+    
+    /**
+     * List scopes the current user may grant to a token
+     */
+    async tokenScopes() {
+      return api.request('/auth/tokens/scopes');
+    },
+    
+    /**
+     * Create an API token
+     * @param {string} name - Token label
+     * @param {Array<string>} scopes - Permission names to grant
+     * @param {number|null} expiresInDays - Days until expiry (null for none)
+     */
+    async createToken(name, scopes, expiresInDays) {
+      return api.request('/auth/tokens', {
+        method: 'POST',
+        body: { name, scopes, expiresInDays },
+      });
+    },
+    
+    /**
+     * Revoke an API token
+     * @param {string} id - Token ID
+     */
+    async revokeToken(id) {
+      return api.request(`/auth/tokens/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+    },
+    
+    /**
+     * Complete a two-factor login
+     * @param {string} challenge - Challenge token returned by login()
+     * @param {string} code - TOTP code or recovery code
+     */
+    async loginTotp(challenge, code) {
+      const result = await api.request('/auth/login/totp', {
+        method: 'POST',
+        body: { challenge, code },
+      });
+      api.csrfToken = result.csrfToken || null;
+      return result;
+    },
+    
+    /**
+     * Get two-factor status for the current user
+     */
+    async totpStatus() {
+      return api.request('/auth/totp');
+    },
+    
+    /**
+     * Begin two-factor enrollment
+     * @param {string} password - Current password
+     */
+    async totpSetup(password) {
+      return api.request('/auth/totp/setup', {
+        method: 'POST',
+        body: { password },
+      });
+    },
+    
+    /**
+     * Confirm two-factor enrollment
+     * @param {string} code - Code from the authenticator app
+     */
+    async totpEnable(code) {
+      return api.request('/auth/totp/enable', {
+        method: 'POST',
+        body: { code },
+      });
+    },
+    
+    /**
+     * Disable two-factor authentication
+     * @param {string} password - Current password
+     * @param {string} code - TOTP code or recovery code
+     */
+    async totpDisable(password, code) {
+      return api.request('/auth/totp/disable', {
+        method: 'POST',
+        body: { password, code },
+      });
+    },
+    
+    /**
+     * Regenerate recovery codes
+     * @param {string} code - Current TOTP code
+     */
+    async regenerateRecoveryCodes(code) {
+      return api.request('/auth/totp/recovery-codes', {
+        method: 'POST',
+        body: { code },
+      });
+    },
+    
+    /**
+     * Get single sign-on settings for the login screen
+     * @returns {Promise<Object>} { enabled, name }
+     */
+    async oidcConfig() {
+      return api.request('/auth/oidc/config');
+    },
+    
+    /**
+     * Start linking this account to single sign-on
+     * @returns {Promise<Object>} { url } - open it to confirm the identity at the provider
+     */
+    async linkOidc() {
+      return api.request('/auth/oidc/link', { method: 'POST' });
+    },
+    
+    /**
+     * Sign in with a passkey (prompts the browser/authenticator)
+     */
+    async loginPasskey() {
+      const { challengeId, options } = await api.request('/auth/login/passkey/options', {
+        method: 'POST',
+      });
+      const response = await webauthn.authenticate(options);
+      
+      const result = await api.request('/auth/login/passkey', {
+        method: 'POST',
+        body: { challengeId, response },
+      });
+      api.csrfToken = result.csrfToken || null;
+      return result;
+    },
+    
+    /**
+     * List the current user's passkeys
+     */
+    async listPasskeys() {
+      return api.request('/auth/passkeys');
+    },
+    
+    /**
+     * Register a new passkey (prompts the browser/authenticator)
+     * @param {string} name - Display name for the passkey
+     * @param {string} password - Current password
+     */
+    async addPasskey(name, password) {
+      const options = await api.request('/auth/passkeys/options', {
+        method: 'POST',
+        body: { password },
+      });
+      const response = await webauthn.register(options);
+      
+      return api.request('/auth/passkeys', {
+        method: 'POST',
+        body: { name, response },
+      });
+    },
+    
+    /**
+     * Remove a passkey
+     * @param {string} id - Credential ID
+     */
+    async deletePasskey(id) {
+      return api.request(`/auth/passkeys/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+      });
+    },
   },
   
   // ============================================================================
@@ -117,14 +427,61 @@ const api = {
       return api.request(`/bots/${name}/logs?lines=${lines}`);
     },
     
+    /**
+     * Get a bot's restart history and crash-loop status
+     * @param {string} name - Bot name
+     */
+    async restarts(name) {
+      return api.request(`/bots/${name}/restarts`);
+    },
+    
     async getConfig(name) {
       return api.request(`/bots/${name}/config`);
     },
     
-    async saveConfig(name, config) {
+    /**
+     * Get a bot's config with its secrets (may prompt for re-authentication)
+     * @param {string} name - Bot name
+     */
+    async revealConfig(name) {
+      return api.request(`/bots/${name}/config/reveal`);
+    },
+    
+    async saveConfig(name, config, message = '') {
       return api.request(`/bots/${name}/config`, {
         method: 'POST',
-        body: { config },
+        body: { config, message },
+      });
+    },
+    
+    /**
+     * List config revisions, newest first
+     * @param {string} name - Bot name
+     */
+    async configHistory(name) {
+      return api.request(`/bots/${name}/config/history`);
+    },
+    
+    /**
+     * Diff two config revisions
+     * @param {string} name - Bot name
+     * @param {number} from - Older revision ID
+     * @param {number} to - Newer revision ID
+     */
+    async configDiff(name, from, to) {
+      return api.request(`/bots/${name}/config/diff?from=${from}&to=${to}`);
+    },
+    
+    /**
+     * Roll the config back to an earlier revision
+     * @param {string} name - Bot name
+     * @param {number} revisionId - Revision to restore
+     * @param {boolean} restart - Restart the bot afterwards if it is running
+     */
+    async rollbackConfig(name, revisionId, restart = false) {
+      return api.request(`/bots/${name}/config/rollback`, {
+        method: 'POST',
+        body: { revisionId, restart },
       });
     },
     
@@ -136,6 +493,59 @@ const api = {
       return api.request('/bots/slots/info');
     },
     
+    /**
+     * List templates for new bots
+     */
+    async templates() {
+      return api.request('/bots/templates');
+    },
+    
+    /**
+     * Create a bot from a template or by cloning another bot
+     * @param {Object} options - { name, template } or { name, cloneFrom }, plus optional slot
+     */
+    async create({ name, template, cloneFrom, slot }) {
+      return api.request('/bots', {
+        method: 'POST',
+        body: { name, template, cloneFrom, slot },
+      });
+    },
+    
+    /**
+     * Stop a bot, remove its service files and move it to the archive
+     * @param {string} name - Bot name
+     */
+    async archive(name) {
+      return api.request(`/bots/${name}/archive`, { method: 'POST' });
+    },
+    
+    /**
+     * List archived bots
+     */
+    async archived() {
+      return api.request('/bots/archive');
+    },
+    
+    /**
+     * Restore an archived bot
+     * @param {string} id - Archive entry ID
+     * @param {string} [name] - Restore under a different name
+     */
+    async restore(id, name) {
+      return api.request(`/bots/archive/${encodeURIComponent(id)}/restore`, {
+        method: 'POST',
+        body: { name },
+      });
+    },
+    
+    /**
+     * Permanently delete an archived bot
+     * @param {string} id - Archive entry ID
+     */
+    async deleteArchived(id) {
+      return api.request(`/bots/archive/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    },
+    
     /**
      * Set preferred slot for a bot (persists selection)
      * @param {string} name - Bot name
@@ -147,6 +557,36 @@ const api = {
         body: { slot },
       });
     },
+    
+    /**
+     * List bot groups with their bots
+     */
+    async groups() {
+      return api.request('/bots/groups');
+    },
+    
+    /**
+     * Replace the groups a bot is tagged with
+     * @param {string} name - Bot name
+     * @param {Array<string>} groups - Group names
+     */
+    async setGroups(name, groups) {
+      return api.request(`/bots/${name}/groups`, {
+        method: 'PUT',
+        body: { groups },
+      });
+    },
+    
+    /**
+     * Start, stop, restart or switch the slot of several bots
+     * @param {Object} options - { action, bots, group, slot } - bots and/or group select the bots
+     */
+    async bulk({ action, bots, group, slot }) {
+      return api.request('/bots/bulk', {
+        method: 'POST',
+        body: { action, bots, group, slot },
+      });
+    },
   },
   
   // ============================================================================
@@ -501,6 +941,26 @@ const api = {
     async secretsStatus() {
       return api.request('/dreams/secrets-status');
     },
+    
+    /**
+     * Rotate a pod's bootstrap token (returns the new token once)
+     * @param {string} podId - RunPod pod ID
+     */
+    async rotateBootstrapToken(podId) {
+      return api.request(`/dreams/bootstrap-tokens/${encodeURIComponent(podId)}/rotate`, {
+        method: 'POST',
+      });
+    },
+    
+    /**
+     * Revoke a pod's bootstrap token
+     * @param {string} podId - RunPod pod ID
+     */
+    async revokeBootstrapToken(podId) {
+      return api.request(`/dreams/bootstrap-tokens/${encodeURIComponent(podId)}`, {
+        method: 'DELETE',
+      });
+    },
   },
   
   // ============================================================================
@@ -782,6 +1242,239 @@ const api = {
         method: 'POST',
       });
     },
+    
+    /**
+     * Get rate limiter budgets and currently throttled keys
+     */
+    async rateLimits() {
+      return api.request('/server/rate-limits');
+    },
+    
+    /**
+     * Clear a throttled key (e.g. unlock an account)
+     * @param {string} limiter - Limiter name
+     * @param {string} key - Throttled key (e.g. 'user:luxia', 'ip:203.0.113.7')
+     */
+    async clearRateLimit(limiter, key) {
+      return api.request(`/server/rate-limits/${encodeURIComponent(limiter)}/${encodeURIComponent(key)}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+  
+  // ============================================================================
+  // AUDIT LOG
+  // ============================================================================
+  
+  audit: {
+    /**
+     * Query audit events (newest first)
+     * @param {Object} filters - Query filters (empty values are ignored)
+     * @param {string} filters.user - Username
+     * @param {string} filters.action - Action name or domain (e.g. 'slots')
+     * @param {string} filters.outcome - 'success' or 'failure'
+     * @param {string} filters.since - ISO timestamp lower bound
+     * @param {string} filters.until - ISO timestamp upper bound
+     * @param {string} filters.q - Free text search
+     * @param {number} filters.limit - Max events
+     * @param {number} filters.offset - Events to skip
+     */
+    async list(filters = {}) {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== null && value !== '') {
+          params.set(key, value.toString());
+        }
+      }
+      return api.request(`/audit?${params}`);
+    },
+    
+    /**
+     * Get distinct users and actions for filter dropdowns
+     */
+    async filters() {
+      return api.request('/audit/filters');
+    },
+  },
+  
+  // ============================================================================
+  // LOGS
+  // ============================================================================
+  
+  logs: {
+    /**
+     * List the log sources the current user may read
+     */
+    async sources() {
+      return api.request('/logs/sources');
+    },
+    
+    /**
+     * Query logs across sources (oldest first)
+     * @param {Object} filters - Query filters (empty values are ignored)
+     * @param {string} filters.sources - Comma-separated source IDs
+     * @param {string} filters.since - ISO timestamp lower bound
+     * @param {string} filters.until - ISO timestamp upper bound
+     * @param {number} filters.priority - Lowest priority to include (0-7)
+     * @param {string} filters.q - Free text search
+     * @param {number} filters.limit - Max entries
+     */
+    async query(filters = {}) {
+      return api.request(`/logs?${api.logs.buildParams(filters)}`);
+    },
+    
+    /**
+     * URL that downloads the same query as a text file
+     * @param {Object} filters - Same as query()
+     * @returns {string} URL
+     */
+    downloadUrl(filters = {}) {
+      return `/api/logs/download?${api.logs.buildParams(filters)}`;
+    },
+    
+    /**
+     * Build query params, skipping empty values
+     * @param {Object} filters - Filters
+     * @returns {URLSearchParams}
+     */
+    buildParams(filters) {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== null && value !== '') {
+          params.set(key, value.toString());
+        }
+      }
+      return params;
+    },
+  },
+  
+  // ============================================================================
+  // SCHEDULES
+  // ============================================================================
+  
+  schedules: {
+    async list() {
+      return api.request('/schedules');
+    },
+    
+    /**
+     * List the actions a schedule can run, with whether the current user may schedule each
+     */
+    async actions() {
+      return api.request('/schedules/actions');
+    },
+    
+    /**
+     * Preview the next run times of a timing
+     * @param {string} kind - 'cron', 'interval' or 'once'
+     * @param {string} expression - Cron expression, interval (e.g. '6h') or ISO timestamp
+     */
+    async preview(kind, expression) {
+      const params = new URLSearchParams({ kind, expression });
+      return api.request(`/schedules/preview?${params}`);
+    },
+    
+    /**
+     * Create a schedule
+     * @param {Object} schedule - { name, action, params, kind, expression, enabled }
+     */
+    async create(schedule) {
+      return api.request('/schedules', {
+        method: 'POST',
+        body: schedule,
+      });
+    },
+    
+    /**
+     * Update a schedule - only the given fields change
+     * @param {number} id - Schedule ID
+     * @param {Object} changes - e.g. { enabled: false }
+     */
+    async update(id, changes) {
+      return api.request(`/schedules/${id}`, {
+        method: 'PUT',
+        body: changes,
+      });
+    },
+    
+    async delete(id) {
+      return api.request(`/schedules/${id}`, {
+        method: 'DELETE',
+      });
+    },
+    
+    /**
+     * Run a schedule now (returns once the run has started)
+     * @param {number} id - Schedule ID
+     */
+    async run(id) {
+      return api.request(`/schedules/${id}/run`, {
+        method: 'POST',
+      });
+    },
+    
+    async runs(id) {
+      return api.request(`/schedules/${id}/runs`);
+    },
+  },
+  
+  // ============================================================================
+  // SECRETS
+  // ============================================================================
+  
+  secrets: {
+    /**
+     * Get the status of every managed secret (never the values)
+     */
+    async list() {
+      return api.request('/secrets');
+    },
+    
+    /**
+     * Set or rotate a secret in the vault
+     * @param {string} name - Secret name (e.g. 'RUNPOD_API_KEY')
+     * @param {string} value - New value
+     */
+    async set(name, value) {
+      return api.request(`/secrets/${encodeURIComponent(name)}`, {
+        method: 'PUT',
+        body: { value },
+      });
+    },
+    
+    /**
+     * Remove a secret from the vault (falls back to .env)
+     * @param {string} name - Secret name
+     */
+    async clear(name) {
+      return api.request(`/secrets/${encodeURIComponent(name)}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+  
+  // ============================================================================
+  // NETWORK ACCESS POLICY
+  // ============================================================================
+  
+  ipPolicy: {
+    /**
+     * Get the IP policy, your current IP and suggested route groups
+     */
+    async get() {
+      return api.request('/ip-policy');
+    },
+    
+    /**
+     * Replace the IP policy (refused if it would block your current IP)
+     * @param {Object} policy - { enabled, global: { allow, deny }, groups: [{ prefix, allow, deny }] }
+     */
+    async save(policy) {
+      return api.request('/ip-policy', {
+        method: 'PUT',
+        body: policy,
+      });
+    },
   },
 };
 
@@ -7,7 +7,11 @@
 const state = {
   authenticated: false,
   username: null,
+  role: null,
+  permissions: [],
   currentPage: 'dashboard',
+  loginChallenge: null,
+  sso: { enabled: false, name: 'SSO' },
 };
 
 // ============================================================================
@@ -15,14 +19,23 @@ const state = {
 // ============================================================================
 
 document.addEventListener('DOMContentLoaded', async () => {
+  // Single sign-on settings (the login screen and sudo prompt need them)
+  await loadSsoConfig();
+  
   // Check auth status
   await checkAuth();
   
+  // Report the outcome of a single sign-on redirect
+  handleSsoReturn();
+  
   // Setup event listeners
   setupEventListeners();
   
   // Setup live status indicator
   setupLiveStatusIndicator();
+  
+  // Hide controls the current user cannot use (including re-rendered ones)
+  setupPermissionObserver();
 });
 
 // ============================================================================
@@ -76,6 +89,7 @@ async function checkAuth() {
     if (result.authenticated) {
       state.authenticated = true;
       state.username = result.username;
+      setPermissions(result.role, result.permissions);
       showApp();
     } else {
       showLogin();
@@ -95,6 +109,11 @@ function showLogin() {
   document.getElementById('mainApp').style.display = 'none';
   state.authenticated = false;
   
+  // Always start from the password step
+  showPasswordStep();
+  document.getElementById('passkeyLoginSection').style.display = webauthn.isSupported() ? 'block' : 'none';
+  document.getElementById('ssoLoginSection').style.display = state.sso.enabled ? 'block' : 'none';
+  
   // Focus username field
   setTimeout(() => {
     document.getElementById('username').focus();
@@ -107,9 +126,13 @@ function showApp() {
   
   // Update username display
   document.getElementById('currentUser').textContent = state.username;
+  document.getElementById('currentRole').textContent = state.role || '';
+  
+  applyPermissions();
   
   // Load initial data
   loadDashboard();
+  loadNotifications();
 }
 
 // ============================================================================
@@ -119,6 +142,12 @@ function showApp() {
 function setupEventListeners() {
   // Login form
   document.getElementById('loginForm').addEventListener('submit', handleLogin);
+  document.getElementById('totpLoginForm').addEventListener('submit', handleTotpLogin);
+  document.getElementById('addPasskeyForm').addEventListener('submit', handleAddPasskey);
+  
+  // Re-authentication prompt (destructive actions)
+  document.getElementById('reauthForm').addEventListener('submit', handleReauth);
+  api.onReauthRequired = requestReauth;
   
   // Navigation tabs
   document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -128,8 +157,32 @@ function setupEventListeners() {
     });
   });
   
+  // New bot wizard
+  document.getElementById('newBotForm').addEventListener('submit', handleCreateBot);
+  
+  // Log explorer filters
+  document.getElementById('logSearchForm').addEventListener('submit', handleLogSearch);
+  
+  // Schedule editor
+  document.getElementById('scheduleForm').addEventListener('submit', handleScheduleSubmit);
+  
+  // Audit log filters
+  document.getElementById('auditFilterForm').addEventListener('submit', handleAuditFilter);
+  
   // Change password form
   document.getElementById('changePasswordForm').addEventListener('submit', handleChangePassword);
+  
+  // API token form
+  document.getElementById('createApiTokenForm').addEventListener('submit', handleCreateApiToken);
+  
+  // User management form
+  document.getElementById('createUserForm').addEventListener('submit', handleCreateUser);
+  document.getElementById('setSecretForm').addEventListener('submit', handleSetSecret);
+  document.getElementById('ipPolicyForm').addEventListener('submit', handleSaveIpPolicy);
+  
+  // Two-factor forms
+  document.getElementById('totpSetupForm').addEventListener('submit', handleTotpSetup);
+  document.getElementById('totpEnableForm').addEventListener('submit', handleTotpEnable);
 }
 
 // ============================================================================
@@ -153,8 +206,16 @@ async function handleLogin(e) {
   try {
     const result = await api.auth.login(username, password);
     
+    // Password accepted but a second factor is required
+    if (result.requiresTotp) {
+      state.loginChallenge = result.challenge;
+      showTotpStep();
+      return;
+    }
+    
     state.authenticated = true;
     state.username = result.username;
+    setPermissions(result.role, result.permissions);
     
     showApp();
     showToast('Welcome back!', 'success');
@@ -171,6 +232,106 @@ async function handleLogin(e) {
   }
 }
 
+async function handlePasskeyLogin() {
+  const errorDiv = document.getElementById('loginError');
+  errorDiv.style.display = 'none';
+  
+  try {
+    const result = await api.auth.loginPasskey();
+    
+    state.authenticated = true;
+    state.username = result.username;
+    setPermissions(result.role, result.permissions);
+    
+    showApp();
+    showToast('Welcome back!', 'success');
+  } catch (error) {
+    // User dismissed the browser prompt - nothing to report
+    if (error.name === 'NotAllowedError' || error.name === 'AbortError') return;
+    
+    errorDiv.textContent = error.message || 'Passkey sign-in failed';
+    errorDiv.style.display = 'block';
+  }
+}
+
+/**
+ * Show the password step of the login screen
+ */
+function showPasswordStep() {
+  state.loginChallenge = null;
+  document.getElementById('loginForm').style.display = 'flex';
+  document.getElementById('totpLoginForm').style.display = 'none';
+  document.getElementById('totpCode').value = '';
+}
+
+/**
+ * Show the two-factor step of the login screen
+ */
+function showTotpStep() {
+  document.getElementById('loginForm').style.display = 'none';
+  document.getElementById('totpLoginForm').style.display = 'flex';
+  document.getElementById('password').value = '';
+  
+  setTimeout(() => {
+    document.getElementById('totpCode').focus();
+  }, 100);
+}
+
+/**
+ * Go back from the two-factor step to the password step
+ */
+function cancelTotpLogin() {
+  document.getElementById('loginError').style.display = 'none';
+  showPasswordStep();
+  document.getElementById('password').focus();
+}
+
+async function handleTotpLogin(e) {
+  e.preventDefault();
+  
+  const code = document.getElementById('totpCode').value.trim();
+  const errorDiv = document.getElementById('loginError');
+  const btnText = document.getElementById('totpBtnText');
+  const spinner = document.getElementById('totpSpinner');
+  
+  btnText.style.display = 'none';
+  spinner.style.display = 'inline-block';
+  errorDiv.style.display = 'none';
+  
+  try {
+    const result = await api.auth.loginTotp(state.loginChallenge, code);
+    
+    state.loginChallenge = null;
+    state.authenticated = true;
+    state.username = result.username;
+    setPermissions(result.role, result.permissions);
+    
+    showApp();
+    
+    if (result.method === 'recovery') {
+      showToast(`Recovery code used - ${result.recoveryCodesRemaining} remaining`, 'warning');
+    } else {
+      showToast('Welcome back!', 'success');
+    }
+  } catch (error) {
+    errorDiv.textContent = error.message || 'Verification failed';
+    errorDiv.style.display = 'block';
+    
+    // Challenge expired or used up - start over from the password
+    if (/expired/i.test(error.message || '')) {
+      showPasswordStep();
+      document.getElementById('password').focus();
+      return;
+    }
+    
+    document.getElementById('totpCode').value = '';
+    document.getElementById('totpCode').focus();
+  } finally {
+    btnText.style.display = 'inline';
+    spinner.style.display = 'none';
+  }
+}
+
 async function logout() {
   try {
     await api.auth.logout();
@@ -180,6 +341,7 @@ async function logout() {
   
   state.authenticated = false;
   state.username = null;
+  setPermissions(null, []);
   
   showLogin();
   showToast('Logged out', 'info');
@@ -206,6 +368,303 @@ async function handleChangePassword(e) {
   }
 }
 
+// Resolves the pending requestReauth() promise (null when no prompt is open)
+let reauthResolve = null;
+
+/**
+ * Ask the user to confirm their password before a destructive action
+ * Called by api.request when the server answers with reauthRequired.
+ * @param {Object} details - Server response ({ totpRequired })
+ * @returns {Promise<boolean>} True once confirmed, false if cancelled
+ */
+function requestReauth(details) {
+  // A newer prompt replaces any pending one (which counts as cancelled)
+  if (reauthResolve) {
+    closeReauthModal();
+  }
+  
+  // Single sign-on users without a local password confirm at the IdP instead
+  const passwordSet = details.passwordSet !== false;
+  
+  document.getElementById('reauthPassword').value = '';
+  document.getElementById('reauthCode').value = '';
+  document.getElementById('reauthSsoSection').style.display = details.sso ? 'block' : 'none';
+  document.getElementById('reauthPasswordGroup').style.display = passwordSet ? 'block' : 'none';
+  document.getElementById('reauthPassword').required = passwordSet;
+  document.getElementById('reauthSubmitBtn').style.display = passwordSet ? '' : 'none';
+  document.getElementById('reauthCodeGroup').style.display = passwordSet && details.totpRequired ? 'block' : 'none';
+  document.getElementById('reauthCode').required = passwordSet && !!details.totpRequired;
+  document.getElementById('reauthModal').classList.add('active');
+  if (passwordSet) document.getElementById('reauthPassword').focus();
+  
+  return new Promise(resolve => {
+    reauthResolve = resolve;
+  });
+}
+
+async function handleReauth(e) {
+  e.preventDefault();
+  
+  const password = document.getElementById('reauthPassword').value;
+  const codeInput = document.getElementById('reauthCode');
+  
+  try {
+    await api.auth.reauth(password, codeInput.value.trim() || undefined);
+    
+    const resolve = reauthResolve;
+    reauthResolve = null;
+    document.getElementById('reauthModal').classList.remove('active');
+    if (resolve) resolve(true);
+  } catch (error) {
+    showToast(error.message || 'Confirmation failed', 'error');
+    codeInput.value = '';
+  }
+}
+
+function closeReauthModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('reauthModal').classList.remove('active');
+  
+  const resolve = reauthResolve;
+  reauthResolve = null;
+  if (resolve) resolve(false);
+}
+
+// ============================================================================
+// SINGLE SIGN-ON
+// ============================================================================
+
+/**
+ * Load single sign-on settings and label the SSO buttons
+ */
+async function loadSsoConfig() {
+  try {
+    state.sso = await api.auth.oidcConfig();
+  } catch (e) {
+    console.error('SSO config failed:', e);
+  }
+  
+  document.getElementById('ssoProviderName').textContent = state.sso.name;
+  document.querySelectorAll('.sso-provider-name').forEach(el => {
+    el.textContent = state.sso.name;
+  });
+}
+
+/**
+ * Sign in through the identity provider (full-page redirect)
+ */
+function handleSsoLogin() {
+  window.location.href = '/api/auth/oidc/login';
+}
+
+/**
+ * Confirm identity through the identity provider for sudo mode
+ * The pending action is dropped - the page reloads on return.
+ */
+function handleSsoReauth() {
+  window.location.href = '/api/auth/oidc/reauth';
+}
+
+/**
+ * Link the signed-in account to single sign-on (full-page redirect)
+ * The server asks for re-authentication first; the page reloads on return.
+ */
+async function linkSsoAccount() {
+  try {
+    const { url } = await api.auth.linkOidc();
+    window.location.href = url;
+  } catch (error) {
+    showToast(error.message || 'Failed to link single sign-on', 'error');
+  }
+}
+
+/**
+ * Show whether the account is linked to single sign-on (Settings)
+ */
+async function loadSsoLink() {
+  const card = document.getElementById('ssoLinkCard');
+  card.style.display = state.sso.enabled ? '' : 'none';
+  if (!state.sso.enabled) return;
+  
+  try {
+    const { ssoLinked } = await api.auth.check();
+    const badge = document.getElementById('ssoLinkBadge');
+    badge.textContent = ssoLinked ? 'Linked' : 'Not linked';
+    badge.className = `settings-badge ${ssoLinked ? 'enabled' : 'disabled'}`;
+    document.getElementById('ssoLinkBtn').style.display = ssoLinked ? 'none' : '';
+  } catch (error) {
+    console.error('Error loading single sign-on status:', error);
+  }
+}
+
+/**
+ * Show the result of returning from the identity provider, then tidy the URL
+ */
+function handleSsoReturn() {
+  const params = new URLSearchParams(window.location.search);
+  const error = params.get('sso_error');
+  const reauth = params.get('reauth');
+  const linked = params.get('sso_linked');
+  
+  if (!error && !reauth && !linked) return;
+  
+  history.replaceState(null, '', window.location.pathname);
+  
+  if (error && !state.authenticated) {
+    const errorDiv = document.getElementById('loginError');
+    errorDiv.textContent = error;
+    errorDiv.style.display = 'block';
+  } else if (error) {
+    showToast(error, 'error');
+  } else if (reauth === 'sso') {
+    showToast('Identity confirmed - you can repeat the action now', 'success');
+  } else if (linked) {
+    showToast('Single sign-on linked - you can now sign in with it', 'success');
+  }
+}
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+/**
+ * Store the current user's role and permissions
+ * @param {string|null} role - Role name
+ * @param {Array<string>} permissions - Granted permission names
+ */
+function setPermissions(role, permissions) {
+  state.role = role;
+  state.permissions = permissions || [];
+  applyPermissions();
+}
+
+/**
+ * Check if the current user has a permission
+ * @param {string} permission - Permission name (e.g. 'bots:control')
+ * @returns {boolean}
+ */
+function can(permission) {
+  return state.permissions.includes(permission);
+}
+
+/**
+ * Hide every element whose data-permission the user lacks
+ * The server enforces permissions regardless - this just avoids offering
+ * controls that would only return 403.
+ * @param {Element|Document} [root=document] - Subtree to process
+ */
+function applyPermissions(root = document) {
+  root.querySelectorAll('[data-permission]').forEach(el => {
+    el.classList.toggle('permission-hidden', !can(el.dataset.permission));
+  });
+}
+
+/**
+ * Re-apply permissions whenever page content is re-rendered
+ * Most lists are rebuilt via innerHTML on every live update.
+ */
+function setupPermissionObserver() {
+  const app = document.getElementById('mainApp');
+  if (!app) return;
+  
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType !== Node.ELEMENT_NODE) continue;
+        if (node.dataset.permission) {
+          node.classList.toggle('permission-hidden', !can(node.dataset.permission));
+        }
+        applyPermissions(node);
+      }
+    }
+  });
+  
+  observer.observe(app, { childList: true, subtree: true });
+}
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+// Alerts already shown as a toast this page load
+const announcedAlertIds = new Set();
+
+/**
+ * Load open security alerts into the header bell
+ * New alerts are also announced with a toast.
+ */
+async function loadNotifications() {
+  try {
+    const alerts = await api.auth.alerts();
+    
+    const unseen = alerts.filter(alert => !announcedAlertIds.has(alert.id));
+    unseen.forEach(alert => announcedAlertIds.add(alert.id));
+    if (unseen.length === 1) {
+      showToast(unseen[0].message, 'warning');
+    } else if (unseen.length > 1) {
+      showToast(`${unseen.length} new security alerts`, 'warning');
+    }
+    
+    renderNotifications(alerts);
+  } catch (error) {
+    console.error('Error loading notifications:', error);
+  }
+}
+
+function renderNotifications(alerts) {
+  const wrapper = document.getElementById('notifications');
+  const list = document.getElementById('notificationsList');
+  
+  wrapper.style.display = alerts.length > 0 ? '' : 'none';
+  document.getElementById('notificationsCount').textContent = alerts.length;
+  
+  if (alerts.length === 0) {
+    document.getElementById('notificationsPanel').classList.remove('show');
+    list.innerHTML = '';
+    return;
+  }
+  
+  list.innerHTML = alerts.map(alert => `
+    <div class="notification-item">
+      <div class="notification-message">
+        ${alert.type === 'new-ip' ? '🌐' : '⚠️'} ${escapeHtml(alert.message)}
+      </div>
+      <div class="notification-meta">
+        <span title="${formatDate(alert.timestamp)}">${formatRelativeTime(alert.timestamp) || formatDate(alert.timestamp)}</span>
+        <button class="btn-link btn-xs" onclick="dismissNotification(${alert.id})">Dismiss</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+function toggleNotifications() {
+  document.getElementById('notificationsPanel').classList.toggle('show');
+}
+
+async function dismissNotification(id) {
+  try {
+    await api.auth.dismissAlerts(id);
+    await loadNotifications();
+  } catch (error) {
+    showToast(error.message || 'Failed to dismiss alert', 'error');
+  }
+}
+
+async function dismissAllNotifications() {
+  try {
+    const result = await api.auth.dismissAlerts();
+    showToast(`Dismissed ${result.dismissed} alert${result.dismissed === 1 ? '' : 's'}`, 'success');
+    await loadNotifications();
+  } catch (error) {
+    showToast(error.message || 'Failed to dismiss alerts', 'error');
+  }
+}
+
+// Make notification functions global
+window.toggleNotifications = toggleNotifications;
+window.dismissNotification = dismissNotification;
+window.dismissAllNotifications = dismissAllNotifications;
+
 // ============================================================================
 // NAVIGATION
 // ============================================================================
@@ -231,6 +690,9 @@ function navigateTo(page) {
   
   state.currentPage = page;
   
+  // Pick up any alerts raised since the last page change
+  loadNotifications();
+  
   // Load page-specific data
   switch (page) {
     case 'dashboard':
@@ -254,6 +716,18 @@ function navigateTo(page) {
     case 'server':
       loadServer();
       break;
+    case 'logs':
+      loadLogs();
+      break;
+    case 'schedules':
+      loadSchedules();
+      break;
+    case 'audit':
+      loadAudit();
+      break;
+    case 'settings':
+      loadSettings();
+      break;
   }
 }
 
@@ -415,6 +889,13 @@ let currentBots = [];
 let currentSlots = {};
 let currentSystemd = { available: false };
 let currentLogsBotName = null;
+let logsStream = null;
+let logLines = [];
+let logsPaused = false;
+let logsUnseen = 0;
+
+// Lines kept in the logs modal; older ones are dropped as new ones arrive
+const MAX_LOG_LINES = 5000;
 let currentConfigBotName = null;
 
 async function loadBots() {
@@ -423,6 +904,7 @@ async function loadBots() {
     loadUsageLive();
   } else {
     loadBotsLive();
+    loadArchivedBots();
   }
 }
 
@@ -442,6 +924,7 @@ function loadBotsLive() {
     // Render UI
     renderSlotsInfo();
     renderBotsGrid();
+    renderBulkBar();
   });
 }
 
@@ -461,6 +944,7 @@ async function forceRefreshBots() {
     
     renderSlotsInfo();
     renderBotsGrid();
+    renderBulkBar();
     showToast('Bots refreshed', 'success');
   } catch (error) {
     console.error('Error loading bots:', error);
@@ -512,23 +996,46 @@ function renderBotsGrid() {
   }
   
   const canControl = currentSystemd.available;
+  const visibleBots = getVisibleBots();
   
-  const html = currentBots.map(bot => `
-    <div class="bot-card ${bot.running ? 'running' : 'stopped'}">
+  if (visibleBots.length === 0) {
+    container.innerHTML = systemdWarning + `
+      <div class="bots-empty" style="grid-column: 1 / -1;">
+        <p class="bots-empty-title">No bots in group '${escapeHtml(botsGroupFilter)}'</p>
+      </div>
+    `;
+    return;
+  }
+  
+  const html = visibleBots.map(bot => `
+    <div class="bot-card ${bot.running ? 'running' : 'stopped'} ${selectedBots.has(bot.name) ? 'selected' : ''}">
       <div class="bot-card-header">
         <div class="bot-name-area">
           <div class="bot-name">
+            <input type="checkbox" class="bot-select" data-permission="bots:control" title="Select for bulk actions"
+                   ${selectedBots.has(bot.name) ? 'checked' : ''} onchange="toggleBotSelection('${bot.name}', this.checked)">
             <span class="status-dot ${bot.running ? 'running' : 'stopped'}"></span>
             ${escapeHtml(bot.name)}
           </div>
           <div class="bot-status-badge ${bot.running ? 'running' : 'stopped'}">
             ${bot.running ? 'Running' : 'Stopped'}
           </div>
+          ${bot.crashLoop?.crashLooping ? `
+            <button class="bot-status-badge crash-loop" onclick="viewBotRestarts('${bot.name}')"
+                    title="${bot.crashLoop.restarts} restarts in the last ${bot.crashLoop.windowMinutes} minutes">
+              ⚠️ Crash loop${bot.crashLoop.autoStoppedAt ? ' · auto-stopped' : ''}
+            </button>
+          ` : ''}
           ${bot.slot ? `
             <div class="bot-slot">
               Slot: <span class="slot-name">${bot.slot}</span>
             </div>
           ` : ''}
+          ${bot.groups?.length ? `
+            <div class="bot-groups">
+              ${bot.groups.map(group => `<button class="bot-group-tag" onclick="setBotsGroupFilter('${group}')" title="Show this group">${escapeHtml(group)}</button>`).join('')}
+            </div>
+          ` : ''}
         </div>
         
         <div class="bot-menu">
@@ -540,9 +1047,22 @@ function renderBotsGrid() {
             <button class="bot-menu-item" onclick="editBotConfig('${bot.name}')">
               ⚙️ Edit Config
             </button>
+            <button class="bot-menu-item" onclick="viewBotRestarts('${bot.name}')">
+              🧯 Restart History
+            </button>
+            <button class="bot-menu-item" data-permission="bots:configure" onclick="editBotGroups('${bot.name}')">
+              🏷️ Groups
+            </button>
+            <button class="bot-menu-item" data-permission="bots:admin" onclick="openNewBotModal('${bot.name}')">
+              📄 Clone
+            </button>
+            <div class="bot-menu-divider" data-permission="bots:admin"></div>
+            <button class="bot-menu-item danger" data-permission="bots:admin" onclick="archiveBot('${bot.name}')">
+              📦 Archive
+            </button>
             ${canControl && bot.running ? `
               <div class="bot-menu-divider"></div>
-              <button class="bot-menu-item danger" onclick="forceStopBot('${bot.name}')">
+              <button class="bot-menu-item danger" data-permission="bots:control" onclick="forceStopBot('${bot.name}')">
                 ☠️ Force Kill
               </button>
             ` : ''}
@@ -551,7 +1071,7 @@ function renderBotsGrid() {
       </div>
       
       ${!bot.running && canControl && Object.keys(currentSlots).length > 0 ? `
-        <div class="slot-selector">
+        <div class="slot-selector" data-permission="bots:control">
           ${Object.keys(currentSlots).map((slotName) => `
             <button class="slot-btn ${slotName === getDefaultSlotForBot(bot) ? 'active' : ''}" data-slot="${slotName}" 
                     onclick="selectSlot('${bot.name}', '${slotName}', this)">${slotName}</button>
@@ -561,10 +1081,10 @@ function renderBotsGrid() {
       
       <div class="bot-card-actions">
         ${bot.running ? `
-          <button class="btn-secondary" onclick="stopBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>⏹️ Stop</button>
-          <button class="btn-primary" onclick="restartBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>🔄 Restart</button>
+          <button class="btn-secondary" data-permission="bots:control" onclick="stopBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>⏹️ Stop</button>
+          <button class="btn-primary" data-permission="bots:restart" onclick="restartBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>🔄 Restart</button>
         ` : `
-          <button class="btn-primary" onclick="startBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>▶️ Start</button>
+          <button class="btn-primary" data-permission="bots:control" onclick="startBot('${bot.name}')" ${!canControl ? 'disabled' : ''}>▶️ Start</button>
         `}
       </div>
     </div>
@@ -643,6 +1163,9 @@ document.addEventListener('click', (e) => {
   if (!e.target.closest('.bot-menu')) {
     document.querySelectorAll('.bot-menu-dropdown').forEach(m => m.classList.remove('show'));
   }
+  if (!e.target.closest('.notifications')) {
+    document.getElementById('notificationsPanel').classList.remove('show');
+  }
 });
 
 // Bot actions
@@ -720,83 +1243,749 @@ async function refreshBots() {
   await forceRefreshBots();
 }
 
-// Logs modal
-async function viewBotLogs(botName) {
+// Logs modal - live tail over SSE
+function viewBotLogs(botName) {
   currentLogsBotName = botName;
+  logLines = [];
+  logsPaused = false;
+  logsUnseen = 0;
   document.getElementById('logsModalTitle').textContent = `Logs: ${botName}`;
   document.getElementById('logsOutput').textContent = '[Loading...]';
+  document.getElementById('logsFilter').value = '';
+  updateLogsStatus('connecting');
   document.getElementById('logsModal').classList.add('active');
   
-  await refreshLogs();
+  if (logsStream) logsStream.disconnect();
+  logsStream = new LiveData(`bots/${encodeURIComponent(botName)}/logs?lines=500`, handleLogsMessage, {
+    onConnect: () => updateLogsStatus('live'),
+    onDisconnect: () => updateLogsStatus('reconnecting'),
+    onError: (error) => updateLogsStatus(error.message),
+  });
+  logsStream.connect();
+}
+
+/**
+ * Handle a message from the log tail stream
+ * @param {Object} data - { type: 'start' | 'lines' | 'end', ... }
+ */
+function handleLogsMessage(data) {
+  if (data.type === 'start') {
+    // Sent again after a reconnect, with the recent lines replayed
+    document.getElementById('logsModalTitle').textContent = `Logs: ${currentLogsBotName} (${data.slot})`;
+    logLines = [];
+    logsUnseen = 0;
+    renderLogs();
+  } else if (data.type === 'lines') {
+    appendLogLines(data.lines);
+  } else if (data.type === 'end') {
+    logsStream.disconnect();
+    updateLogsStatus(data.error ? `stopped: ${data.error}` : 'stopped');
+  }
 }
 
-async function refreshLogs() {
-  if (!currentLogsBotName) return;
+/**
+ * Add new lines, rendering them unless paused
+ * @param {Array<string>} lines - Log lines
+ */
+function appendLogLines(lines) {
+  logLines.push(...lines);
+  const dropped = Math.max(logLines.length - MAX_LOG_LINES, 0);
+  if (dropped > 0) logLines.splice(0, dropped);
+  
+  if (logsPaused) {
+    logsUnseen += lines.length;
+    updateLogsPauseButton();
+    return;
+  }
   
-  try {
-    const data = await api.bots.logs(currentLogsBotName);
-    // Update title to show which slot's logs we're viewing
-    const slotInfo = data.slot ? ` (${data.slot})` : '';
-    document.getElementById('logsModalTitle').textContent = `Logs: ${currentLogsBotName}${slotInfo}`;
-    document.getElementById('logsOutput').textContent = data.logs || '[No logs available]';
+  const output = document.getElementById('logsOutput');
+  if (dropped > 0 || output.dataset.empty === 'true') {
+    renderLogs();
+    return;
+  }
+  
+  const filter = getLogsFilter();
+  const html = lines.filter(line => filter(line)).map(formatLogLine).join('');
+  if (html) {
+    output.insertAdjacentHTML('beforeend', html);
     scrollLogsToBottom();
-  } catch (error) {
-    document.getElementById('logsOutput').textContent = `[Error: ${error.message}]`;
   }
 }
 
-function scrollLogsToBottom() {
+/**
+ * Re-render every kept line that matches the filter
+ */
+function renderLogs() {
   const output = document.getElementById('logsOutput');
-  output.scrollTop = output.scrollHeight;
+  const filter = getLogsFilter();
+  const html = logLines.filter(line => filter(line)).map(formatLogLine).join('');
+  
+  output.dataset.empty = html ? 'false' : 'true';
+  output.innerHTML = html || `<span class="log-line log-debug">${logLines.length > 0 ? '[No matching lines]' : '[No logs yet]'}</span>`;
+  scrollLogsToBottom();
 }
 
-function closeLogsModal(event) {
-  if (event && event.target !== event.currentTarget) return;
-  document.getElementById('logsModal').classList.remove('active');
-  currentLogsBotName = null;
+/**
+ * Build a predicate from the filter box
+ * The filter is a case-insensitive regex; one that doesn't compile matches as plain text.
+ * @returns {Function} (line) => boolean
+ */
+function getLogsFilter() {
+  const input = document.getElementById('logsFilter');
+  const value = input.value.trim();
+  input.classList.remove('invalid');
+  if (!value) return () => true;
+  
+  try {
+    const regex = new RegExp(value, 'i');
+    return (line) => regex.test(line);
+  } catch (e) {
+    input.classList.add('invalid');
+    const text = value.toLowerCase();
+    return (line) => line.toLowerCase().includes(text);
+  }
 }
 
-// Config modal
-async function editBotConfig(botName) {
+/**
+ * Render one log line, coloured by severity
+ * @param {string} line - Log line
+ * @returns {string} HTML
+ */
+function formatLogLine(line) {
+  let severity = '';
+  if (/\b(error|fatal|exception|uncaught|panic)\b|\[ERR/i.test(line)) severity = ' log-error';
+  else if (/\bwarn(ing)?\b|\[WRN/i.test(line)) severity = ' log-warn';
+  else if (/\b(debug|trace)\b|\[DBG/i.test(line)) severity = ' log-debug';
+  
+  return `<span class="log-line${severity}">${escapeHtml(line)}\n</span>`;
+}
+
+function toggleLogsPaused() {
+  logsPaused = !logsPaused;
+  
+  if (!logsPaused) {
+    logsUnseen = 0;
+    renderLogs();
+  }
+  updateLogsPauseButton();
+}
+
+function updateLogsPauseButton() {
+  document.getElementById('logsPauseBtn').textContent = logsPaused
+    ? `▶ Resume${logsUnseen > 0 ? ` (${logsUnseen} new)` : ''}`
+    : '⏸ Pause';
+}
+
+/**
+ * Show the tail's connection state next to the controls
+ * @param {string} status - Status text
+ */
+function updateLogsStatus(status) {
+  document.getElementById('logsStatus').textContent = status === 'live' ? '● live' : status;
+  updateLogsPauseButton();
+}
+
+/**
+ * Scroll the logs to the newest line
+ * @param {boolean} [force] - Scroll even if auto-scroll is off
+ */
+function scrollLogsToBottom(force = false) {
+  if (!force && !document.getElementById('logsAutoScroll').checked) return;
+  
+  const output = document.getElementById('logsOutput');
+  output.scrollTop = output.scrollHeight;
+}
+
+function closeLogsModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('logsModal').classList.remove('active');
+  currentLogsBotName = null;
+  
+  if (logsStream) {
+    logsStream.disconnect();
+    logsStream = null;
+  }
+}
+
+// Restart history modal
+async function viewBotRestarts(botName) {
+  document.getElementById('restartsModalTitle').textContent = `Restart History: ${botName}`;
+  document.getElementById('restartsSummary').textContent = '';
+  document.getElementById('restartsTimeline').innerHTML = '<p class="settings-hint">Loading...</p>';
+  document.getElementById('restartsModal').classList.add('active');
+  
+  try {
+    const data = await api.bots.restarts(botName);
+    const { crashLoop } = data;
+    
+    document.getElementById('restartsSummary').textContent = crashLoop.crashLooping
+      ? `Crash loop: ${crashLoop.restarts} restarts in the last ${crashLoop.windowMinutes} minutes${crashLoop.autoStoppedAt ? ` - stopped automatically ${formatRelativeTime(crashLoop.autoStoppedAt)}` : ''}`
+      : `${crashLoop.restarts} restart${crashLoop.restarts === 1 ? '' : 's'} in the last ${crashLoop.windowMinutes} minutes (crash loop at ${crashLoop.threshold})`;
+    
+    document.getElementById('restartsTimeline').innerHTML = data.events.length === 0
+      ? '<p class="settings-hint">No automatic restarts recorded</p>'
+      : data.events.map(renderRestartEvent).join('');
+  } catch (error) {
+    document.getElementById('restartsTimeline').innerHTML = `<p class="settings-hint">Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render one restart history event
+ * @param {Object} event - { timestamp, slot, type, restarts, result, exitCode, signal, logTail }
+ * @returns {string} HTML
+ */
+function renderRestartEvent(event) {
+  const titles = {
+    'restart': `Restarted${event.restarts > 1 ? ` ${event.restarts}×` : ''}`,
+    'crash-loop': `Crash loop detected (${event.restarts} restarts)`,
+    'auto-stop': 'Stopped automatically',
+  };
+  const exit = event.exitCode !== null ? `exit code ${event.exitCode}`
+    : event.signal !== null ? `signal ${event.signal}` : '';
+  
+  return `
+    <div class="restart-event ${event.type}">
+      <div class="restart-event-header">
+        <strong>${titles[event.type] || escapeHtml(event.type)}</strong>
+        <span class="settings-hint">${event.slot} · ${[event.result, exit].filter(Boolean).map(escapeHtml).join(' · ')}</span>
+        <span class="settings-hint" title="${formatDate(event.timestamp)}">${new Date(event.timestamp).toLocaleString()}</span>
+      </div>
+      ${event.logTail ? `
+        <details>
+          <summary>Last log lines</summary>
+          <pre class="logs-output restart-event-logs">${escapeHtml(event.logTail)}</pre>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+function closeRestartsModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('restartsModal').classList.remove('active');
+}
+
+// Config modal
+async function editBotConfig(botName) {
   currentConfigBotName = botName;
   document.getElementById('configModalTitle').textContent = `Config: ${botName}`;
   document.getElementById('configEditor').value = '[Loading...]';
+  document.getElementById('configMessage').value = '';
+  document.getElementById('configHistory').style.display = 'none';
+  renderConfigErrors([]);
+  renderConfigRedacted([]);
   document.getElementById('configModal').classList.add('active');
   
   try {
     const data = await api.bots.getConfig(botName);
     document.getElementById('configEditor').value = data.config || '';
+    renderConfigRedacted(data.redacted || []);
   } catch (error) {
     document.getElementById('configEditor').value = `# Error: ${error.message}`;
   }
 }
 
+/**
+ * Explain hidden secrets above the editor and offer to reveal them
+ * @param {Array<string>} redacted - Key paths replaced with the placeholder
+ */
+function renderConfigRedacted(redacted) {
+  const hint = document.getElementById('configRedactedHint');
+  const show = redacted.length > 0;
+  
+  hint.style.display = show ? '' : 'none';
+  hint.textContent = show
+    ? `${redacted.length} secret${redacted.length === 1 ? ' is' : 's are'} hidden (${redacted.join(', ')}). Leave <redacted> in place to keep the saved value.`
+    : '';
+  document.getElementById('configRevealBtn').style.display = show ? '' : 'none';
+}
+
+async function revealConfigSecrets() {
+  if (!currentConfigBotName) return;
+  
+  if (!confirm('Show this config with its secrets?\n\nUnsaved edits in the editor are replaced.')) {
+    return;
+  }
+  
+  try {
+    const data = await api.bots.revealConfig(currentConfigBotName);
+    document.getElementById('configEditor').value = data.config || '';
+    renderConfigRedacted([]);
+  } catch (error) {
+    showToast(error.message || 'Failed to reveal secrets', 'error');
+  }
+}
+
 async function saveConfig() {
   if (!currentConfigBotName) return;
   
   const config = document.getElementById('configEditor').value;
+  const message = document.getElementById('configMessage').value.trim();
   
   try {
-    await api.bots.saveConfig(currentConfigBotName, config);
-    showToast('Config saved successfully', 'success');
+    const result = await api.bots.saveConfig(currentConfigBotName, config, message);
+    if (result.warnings?.length > 0) {
+      showToast(`Config saved - ${result.warnings.map(warning => `line ${warning.line}: ${warning.message}`).join('; ')}`, 'warning');
+    } else {
+      showToast('Config saved successfully', 'success');
+    }
     closeConfigModal();
   } catch (error) {
+    renderConfigErrors(error.data?.validationErrors || []);
     showToast(error.message || 'Failed to save config', 'error');
   }
 }
 
+// Config history
+function toggleConfigHistory() {
+  const panel = document.getElementById('configHistory');
+  const show = panel.style.display === 'none';
+  panel.style.display = show ? '' : 'none';
+  
+  if (show) {
+    document.getElementById('configDiffOutput').style.display = 'none';
+    loadConfigHistory();
+  }
+}
+
+async function loadConfigHistory() {
+  if (!currentConfigBotName) return;
+  
+  const tbody = document.getElementById('configHistoryTableBody');
+  
+  try {
+    const revisions = await api.bots.configHistory(currentConfigBotName);
+    
+    if (revisions.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="settings-table-empty">No saved revisions yet</td></tr>';
+    } else {
+      tbody.innerHTML = revisions.map((revision, index) => `
+        <tr>
+          <td>#${revision.id}</td>
+          <td title="${formatDate(revision.timestamp)}">
+            ${formatRelativeTime(revision.timestamp) || formatDate(revision.timestamp)}${revision.username ? ` by ${escapeHtml(revision.username)}` : ''}
+          </td>
+          <td>${revision.message ? escapeHtml(revision.message) : '—'}</td>
+          <td>
+            ${index < revisions.length - 1
+              ? `<button class="btn-link btn-xs" onclick="compareConfigRevisions(${revisions[index + 1].id}, ${revision.id})">Changes</button>`
+              : ''}
+            ${index > 0
+              ? `<button class="btn-link btn-xs" data-permission="bots:configure" onclick="rollbackConfig(${revision.id})">Rollback</button>`
+              : '<span class="settings-badge enabled">Current</span>'}
+          </td>
+        </tr>
+      `).join('');
+    }
+    
+    const options = revisions.map(revision => 
+      `<option value="${revision.id}">#${revision.id}${revision.message ? ` - ${escapeHtml(revision.message)}` : ''}</option>`
+    ).join('');
+    document.getElementById('configDiffFrom').innerHTML = options;
+    document.getElementById('configDiffTo').innerHTML = options;
+    
+    // Default to comparing the two newest revisions
+    if (revisions.length > 1) {
+      document.getElementById('configDiffFrom').value = revisions[1].id;
+    }
+  } catch (error) {
+    tbody.innerHTML = `<tr><td colspan="4" class="settings-table-empty">Error: ${escapeHtml(error.message)}</td></tr>`;
+  }
+}
+
+async function compareConfigRevisions(from, to) {
+  if (!currentConfigBotName) return;
+  
+  from = from || document.getElementById('configDiffFrom').value;
+  to = to || document.getElementById('configDiffTo').value;
+  if (!from || !to) return;
+  
+  document.getElementById('configDiffFrom').value = from;
+  document.getElementById('configDiffTo').value = to;
+  
+  const output = document.getElementById('configDiffOutput');
+  output.style.display = '';
+  output.textContent = '[Loading...]';
+  
+  try {
+    const { diff } = await api.bots.configDiff(currentConfigBotName, from, to);
+    output.innerHTML = diff ? formatDiffOutput(diff) : '[No differences]';
+  } catch (error) {
+    output.textContent = `[Error: ${error.message}]`;
+  }
+}
+
+async function rollbackConfig(revisionId) {
+  if (!currentConfigBotName) return;
+  
+  const restart = document.getElementById('configRollbackRestart').checked;
+  const action = restart ? ' and restart the bot if it is running' : '';
+  if (!confirm(`Roll ${currentConfigBotName}'s config back to revision #${revisionId}${action}?\n\nThe rollback is saved as a new revision.`)) {
+    return;
+  }
+  
+  try {
+    const result = await api.bots.rollbackConfig(currentConfigBotName, revisionId, restart);
+    showToast(`Config rolled back to #${revisionId}${result.restarted ? ' - bot restarted' : ''}`, 'success');
+    
+    const data = await api.bots.getConfig(currentConfigBotName);
+    document.getElementById('configEditor').value = data.config || '';
+    renderConfigErrors([]);
+    renderConfigRedacted(data.redacted || []);
+    await loadConfigHistory();
+  } catch (error) {
+    renderConfigErrors(error.data?.validationErrors || []);
+    showToast(error.message || 'Failed to roll back config', 'error');
+  }
+}
+
+/**
+ * Show config validation errors under the editor
+ * @param {Array} errors - [{ line, column, message }]
+ */
+function renderConfigErrors(errors) {
+  const list = document.getElementById('configErrors');
+  list.style.display = errors.length > 0 ? '' : 'none';
+  list.innerHTML = errors.map(error => `
+    <li onclick="jumpToConfigLine(${error.line}, ${error.column})">
+      Line ${error.line}, column ${error.column}: ${escapeHtml(error.message)}
+    </li>
+  `).join('');
+  
+  if (errors.length > 0) {
+    jumpToConfigLine(errors[0].line, errors[0].column);
+  }
+}
+
+/**
+ * Move the editor cursor to a line/column (1-based) and select that line
+ */
+function jumpToConfigLine(line, column) {
+  const editor = document.getElementById('configEditor');
+  const lines = editor.value.split('\n');
+  const lineStart = lines.slice(0, line - 1).reduce((offset, text) => offset + text.length + 1, 0);
+  const lineEnd = lineStart + (lines[line - 1] || '').length;
+  
+  editor.focus();
+  editor.setSelectionRange(Math.min(lineStart + column - 1, lineEnd), lineEnd);
+  
+  // Scroll the line into view
+  const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+  editor.scrollTop = Math.max(0, (line - 3) * lineHeight);
+}
+
 function closeConfigModal(event) {
   if (event && event.target !== event.currentTarget) return;
   document.getElementById('configModal').classList.remove('active');
   currentConfigBotName = null;
 }
 
+// New bot modal (cloneFrom preselects a bot to copy)
+async function openNewBotModal(cloneFrom = null) {
+  document.getElementById('newBotForm').reset();
+  
+  const slotNames = Object.keys(currentSlots);
+  const defaultSlot = slotNames.includes('main') ? 'main' : slotNames[0];
+  document.getElementById('newBotSlot').innerHTML = slotNames.map(name => `
+    <option value="${escapeHtml(name)}" ${name === defaultSlot ? 'selected' : ''}>${escapeHtml(name)}</option>
+  `).join('');
+  
+  document.getElementById('newBotCloneFrom').innerHTML = currentBots.map(bot => `
+    <option value="${escapeHtml(bot.name)}" ${bot.name === cloneFrom ? 'selected' : ''}>${escapeHtml(bot.name)}</option>
+  `).join('');
+  
+  if (cloneFrom) {
+    document.getElementById('newBotSource').value = 'clone';
+    const source = currentBots.find(bot => bot.name === cloneFrom);
+    if (source?.preferredSlot && currentSlots[source.preferredSlot]) {
+      document.getElementById('newBotSlot').value = source.preferredSlot;
+    }
+  }
+  
+  updateNewBotSource();
+  document.getElementById('newBotModal').classList.add('active');
+  document.getElementById('newBotName').focus();
+  
+  try {
+    const templates = await api.bots.templates();
+    document.getElementById('newBotTemplate').innerHTML = templates.map(template => `
+      <option value="${escapeHtml(template.id)}">
+        ${escapeHtml(template.id)}${template.description ? ` - ${escapeHtml(template.description)}` : ''}
+      </option>
+    `).join('');
+  } catch (error) {
+    showToast(error.message || 'Failed to load templates', 'error');
+  }
+}
+
+function updateNewBotSource() {
+  const clone = document.getElementById('newBotSource').value === 'clone';
+  document.getElementById('newBotTemplateGroup').style.display = clone ? 'none' : '';
+  document.getElementById('newBotCloneGroup').style.display = clone ? '' : 'none';
+}
+
+async function handleCreateBot(e) {
+  e.preventDefault();
+  
+  const clone = document.getElementById('newBotSource').value === 'clone';
+  const options = {
+    name: document.getElementById('newBotName').value.trim(),
+    slot: document.getElementById('newBotSlot').value || undefined,
+  };
+  
+  if (clone) {
+    options.cloneFrom = document.getElementById('newBotCloneFrom').value;
+  } else {
+    options.template = document.getElementById('newBotTemplate').value;
+  }
+  
+  try {
+    const { bot } = await api.bots.create(options);
+    closeNewBotModal();
+    
+    if (bot.strippedKeys.length > 0) {
+      showToast(`Bot '${bot.name}' created - fill in the blanked credentials: ${bot.strippedKeys.join(', ')}`, 'warning');
+    } else {
+      showToast(`Bot '${bot.name}' created`, 'success');
+    }
+    
+    await forceRefreshBots();
+    editBotConfig(bot.name);
+  } catch (error) {
+    showToast(error.message || 'Failed to create bot', 'error');
+  }
+}
+
+function closeNewBotModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('newBotModal').classList.remove('active');
+}
+
+// Archive
+async function archiveBot(botName) {
+  const bot = currentBots.find(b => b.name === botName);
+  const warning = bot?.running ? ' It is running and will be stopped.' : '';
+  if (!confirm(`Archive ${botName}?${warning}\n\nIts service files are removed and it can be restored later.`)) {
+    return;
+  }
+  
+  try {
+    await api.bots.archive(botName);
+    showToast(`${botName} archived`, 'success');
+    await forceRefreshBots();
+    await loadArchivedBots();
+  } catch (error) {
+    showToast(error.message || 'Failed to archive bot', 'error');
+  }
+}
+
+async function loadArchivedBots() {
+  if (!can('bots:admin')) return;
+  
+  try {
+    renderArchivedBots(await api.bots.archived());
+  } catch (error) {
+    console.error('Error loading archived bots:', error);
+  }
+}
+
+function renderArchivedBots(archived) {
+  const card = document.getElementById('archivedBotsCard');
+  card.style.display = archived.length > 0 ? '' : 'none';
+  
+  document.getElementById('archivedBotsTableBody').innerHTML = archived.map(entry => `
+    <tr>
+      <td>
+        ${escapeHtml(entry.name)}
+        <div class="settings-hint"><code>${escapeHtml(entry.id)}</code></div>
+      </td>
+      <td title="${formatDate(entry.archivedAt)}">
+        ${formatRelativeTime(entry.archivedAt) || formatDate(entry.archivedAt)}${entry.archivedBy ? ` by ${escapeHtml(entry.archivedBy)}` : ''}
+      </td>
+      <td>${entry.preferredSlot ? escapeHtml(entry.preferredSlot) : '—'}</td>
+      <td>
+        <button class="btn-link btn-xs" onclick="restoreArchivedBot('${escapeHtml(entry.id)}', '${escapeHtml(entry.name)}')">Restore</button>
+        <button class="btn-link btn-xs" onclick="deleteArchivedBot('${escapeHtml(entry.id)}', '${escapeHtml(entry.name)}')">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function restoreArchivedBot(id, name) {
+  // Offer a new name if the original has been reused since
+  let restoreAs = name;
+  if (currentBots.some(bot => bot.name === name)) {
+    restoreAs = prompt(`A bot named ${name} already exists. Restore it as:`, `${name}-restored`);
+    if (!restoreAs) return;
+  }
+  
+  try {
+    const { bot } = await api.bots.restore(id, restoreAs);
+    showToast(`${bot.name} restored`, 'success');
+    await forceRefreshBots();
+    await loadArchivedBots();
+  } catch (error) {
+    showToast(error.message || 'Failed to restore bot', 'error');
+  }
+}
+
+async function deleteArchivedBot(id, name) {
+  if (!confirm(`⚠️ Permanently delete ${name}?\n\nIts directory, config and any data in it are removed. This action cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    await api.bots.deleteArchived(id);
+    showToast(`${name} deleted`, 'success');
+    await loadArchivedBots();
+  } catch (error) {
+    showToast(error.message || 'Failed to delete bot', 'error');
+  }
+}
+
+// Groups & bulk actions
+let botsGroupFilter = '';
+
+// Bots ticked for bulk actions - kept across live re-renders
+const selectedBots = new Set();
+
+/**
+ * Bots shown in the grid under the current group filter
+ * @returns {Array<Object>} Bots
+ */
+function getVisibleBots() {
+  if (!botsGroupFilter) return currentBots;
+  return currentBots.filter(bot => (bot.groups || []).includes(botsGroupFilter));
+}
+
+function setBotsGroupFilter(group) {
+  botsGroupFilter = group;
+  renderBotsGrid();
+  renderBulkBar();
+}
+
+function toggleBotSelection(botName, selected) {
+  if (selected) {
+    selectedBots.add(botName);
+  } else {
+    selectedBots.delete(botName);
+  }
+  renderBotsGrid();
+  renderBulkBar();
+}
+
+function selectVisibleBots() {
+  getVisibleBots().forEach(bot => selectedBots.add(bot.name));
+  renderBotsGrid();
+  renderBulkBar();
+}
+
+function clearBotSelection() {
+  selectedBots.clear();
+  renderBotsGrid();
+  renderBulkBar();
+}
+
+/**
+ * Refresh the group filter and bulk action bar
+ * Selected bots that no longer exist are dropped.
+ */
+function renderBulkBar() {
+  const names = new Set(currentBots.map(bot => bot.name));
+  [...selectedBots].filter(name => !names.has(name)).forEach(name => selectedBots.delete(name));
+  
+  const groups = [...new Set(currentBots.flatMap(bot => bot.groups || []))].sort();
+  if (botsGroupFilter && !groups.includes(botsGroupFilter)) {
+    groups.push(botsGroupFilter);
+  }
+  
+  const filter = document.getElementById('botsGroupFilter');
+  filter.innerHTML = '<option value="">All groups</option>' + groups.map(group => `
+    <option value="${escapeHtml(group)}" ${group === botsGroupFilter ? 'selected' : ''}>🏷️ ${escapeHtml(group)}</option>
+  `).join('');
+  filter.style.display = groups.length > 0 ? '' : 'none';
+  
+  const slotSelect = document.getElementById('botsBulkSlot');
+  const slot = slotSelect.value;
+  slotSelect.innerHTML = Object.keys(currentSlots).map(name => `
+    <option value="${name}" ${name === slot ? 'selected' : ''}>${name}</option>
+  `).join('');
+  
+  const target = getBulkTarget();
+  document.getElementById('botsBulkTarget').textContent = target ? target.label : 'No bots selected';
+  document.querySelectorAll('#botsBulkBar .bots-bulk-actions button').forEach(btn => {
+    btn.disabled = !target || !currentSystemd.available;
+  });
+}
+
+/**
+ * What a bulk action applies to: the ticked bots, or else the filtered group
+ * @returns {Object|null} { bots, group, label }
+ */
+function getBulkTarget() {
+  if (selectedBots.size > 0) {
+    const bots = [...selectedBots].sort();
+    return { bots, label: `${bots.length} bot${bots.length === 1 ? '' : 's'} selected` };
+  }
+  if (botsGroupFilter) {
+    return { group: botsGroupFilter, label: `All of group '${botsGroupFilter}'` };
+  }
+  return null;
+}
+
+async function runBulkBotAction(action) {
+  const target = getBulkTarget();
+  if (!target) return;
+  
+  const slot = action === 'switch-slot' ? document.getElementById('botsBulkSlot').value : undefined;
+  const verb = action === 'switch-slot' ? `Switch to slot '${slot}'` : action[0].toUpperCase() + action.slice(1);
+  const who = target.bots ? target.bots.join(', ') : `every bot in group '${target.group}'`;
+  if (!confirm(`${verb}: ${who}?`)) {
+    return;
+  }
+  
+  try {
+    showToast(`${verb} in progress...`, 'info');
+    const result = await api.bots.bulk({ action, bots: target.bots, group: target.group, slot });
+    const summary = `${verb}: ${result.succeeded} done, ${result.skipped} skipped, ${result.failed} failed`;
+    
+    if (result.failed > 0) {
+      const failures = result.results.filter(r => !r.success).map(r => `${r.name}: ${r.error}`);
+      showToast(`${summary} - ${failures.join('; ')}`, 'error');
+    } else {
+      showToast(summary, 'success');
+    }
+    
+    await forceRefreshBots();
+  } catch (error) {
+    showToast(error.message || 'Bulk action failed', 'error');
+  }
+}
+
+async function editBotGroups(botName) {
+  const bot = currentBots.find(b => b.name === botName);
+  const input = prompt(`Groups for ${botName} (comma-separated, blank for none):`, (bot?.groups || []).join(', '));
+  if (input === null) return;
+  
+  try {
+    const groups = input.split(',').map(group => group.trim()).filter(Boolean);
+    const result = await api.bots.setGroups(botName, groups);
+    showToast(result.groups.length ? `${botName} is in ${result.groups.join(', ')}` : `${botName} removed from all groups`, 'success');
+    await forceRefreshBots();
+  } catch (error) {
+    showToast(error.message || 'Failed to save groups', 'error');
+  }
+}
+
 // Escape key closes modals
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     closeLogsModal();
     closeConfigModal();
+    closeNewBotModal();
     closeAetheraLogsModal();
+    closeReauthModal();
     // Blog modals
     if (typeof closePostEditor === 'function') closePostEditor();
     if (typeof closeDeleteModal === 'function') closeDeleteModal();
@@ -825,12 +2014,32 @@ window.toggleBotMenu = toggleBotMenu;
 window.selectSlot = selectSlot;
 window.getDefaultSlotForBot = getDefaultSlotForBot;
 window.viewBotLogs = viewBotLogs;
-window.refreshLogs = refreshLogs;
+window.toggleLogsPaused = toggleLogsPaused;
+window.renderLogs = renderLogs;
 window.scrollLogsToBottom = scrollLogsToBottom;
 window.closeLogsModal = closeLogsModal;
+window.viewBotRestarts = viewBotRestarts;
+window.closeRestartsModal = closeRestartsModal;
 window.editBotConfig = editBotConfig;
 window.saveConfig = saveConfig;
 window.closeConfigModal = closeConfigModal;
+window.jumpToConfigLine = jumpToConfigLine;
+window.toggleConfigHistory = toggleConfigHistory;
+window.compareConfigRevisions = compareConfigRevisions;
+window.rollbackConfig = rollbackConfig;
+window.revealConfigSecrets = revealConfigSecrets;
+window.openNewBotModal = openNewBotModal;
+window.updateNewBotSource = updateNewBotSource;
+window.closeNewBotModal = closeNewBotModal;
+window.archiveBot = archiveBot;
+window.restoreArchivedBot = restoreArchivedBot;
+window.deleteArchivedBot = deleteArchivedBot;
+window.setBotsGroupFilter = setBotsGroupFilter;
+window.toggleBotSelection = toggleBotSelection;
+window.selectVisibleBots = selectVisibleBots;
+window.clearBotSelection = clearBotSelection;
+window.runBulkBotAction = runBulkBotAction;
+window.editBotGroups = editBotGroups;
 
 // ============================================================================
 // BOTS SUB-TAB SWITCHING
@@ -1408,7 +2617,7 @@ function updateSlotDepsUI(slot, forceLoading = false) {
         ${depsHtml}
       </div>
       ${needsUpdate ? `
-        <button class="btn-secondary btn-sm" onclick="updateSlotDeps('${slot}')">
+        <button class="btn-secondary btn-sm" data-permission="slots:deploy" onclick="updateSlotDeps('${slot}')">
           ⬆️ Update Dependencies
         </button>
       ` : ''}
@@ -1574,7 +2783,7 @@ function renderSlots() {
             `}
           </div>
           
-          <div class="slot-actions">
+          <div class="slot-actions" data-permission="slots:deploy">
             <button class="btn-secondary" onclick="fetchSlot('${name}')">📥 Fetch</button>
             <button class="btn-primary" onclick="pullSlot('${name}')">⬇️ Pull</button>
             ${branchOptions ? `
@@ -2576,11 +3785,106 @@ async function loadSecretsStatus() {
       if (!status.hasComfyuiAuthPass) missing.push('COMFYUI_PASS');
       el.innerHTML = `<span style="color: var(--warning);">⚠</span> Missing: ${missing.join(', ')}`;
     }
+    
+    // Where each secret comes from (vault or .env), on hover
+    el.title = (status.secrets || [])
+      .map(secret => `${secret.name}: ${secret.isSet ? SECRET_SOURCES[secret.source] : 'not set'}`)
+      .join('\n');
+    
+    renderBootstrapTokens(status.bootstrapTokens || {});
   } catch (error) {
     document.getElementById('discoverySecretsStatus').innerHTML = `<span style="color: var(--error);">✗</span> Error`;
   }
 }
 
+/**
+ * Render per-pod bootstrap token status
+ * @param {Object} status - { tokens: [per-pod status], shared: { configured, acceptedUntil, accepted } }
+ */
+function renderBootstrapTokens(status) {
+  const labels = { comfyui: 'ComfyUI', dreamgen: 'DreamGen' };
+  const tokens = status.tokens || [];
+  const shared = status.shared || {};
+  
+  let html = tokens.map(token => {
+    let state;
+    if (token.expired) {
+      state = `<span style="color: var(--warning);">⚠</span> Expired ${formatDate(token.expiresAt)}`;
+    } else {
+      state = `<span style="color: var(--success);">✓</span> <code>${escapeHtml(token.prefix)}…</code> expires ${formatDate(token.expiresAt)}`;
+    }
+    
+    const pod = token.legacy
+      ? 'Issued before per-pod tokens - adopted by the next pod started'
+      : `Pod <code>${escapeHtml(token.podId)}</code>`;
+    const id = escapeHtml(token.id);
+    
+    return `
+      <div>
+        <div style="font-weight: 600; margin-bottom: var(--space-xs);">${labels[token.podType] || escapeHtml(token.podType)}</div>
+        <div style="color: var(--text-muted);">${pod}</div>
+        <div>${state}</div>
+        ${token.renewedAt ? `<div style="color: var(--text-muted);">Renewed: ${formatRelativeTime(token.renewedAt) || formatDate(token.renewedAt)}</div>` : ''}
+        <div style="color: var(--text-muted);">Last used: ${token.lastUsedAt ? (formatRelativeTime(token.lastUsedAt) || formatDate(token.lastUsedAt)) : 'never'}</div>
+        <div style="margin-top: var(--space-xs);">
+          ${token.legacy ? '' : `<button class="btn-link btn-xs" data-permission="dreams:admin" onclick="rotateBootstrapToken('${id}')">Rotate</button>`}
+          <button class="btn-link btn-xs" data-permission="dreams:admin" onclick="revokeBootstrapToken('${id}')">Revoke</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  if (!tokens.length) {
+    html = `<div><span style="color: var(--text-muted);">○</span> None issued - pods get one when they are created</div>`;
+  }
+  
+  if (shared.configured) {
+    html += `
+      <div style="grid-column: 1 / -1; color: var(--warning);">
+        ⚠ The shared <code>POD_BOOTSTRAP_TOKEN</code> is deprecated${shared.accepted
+          ? ` and accepted only until ${formatDate(shared.acceptedUntil)}. Recreate pods that still use it.`
+          : ' and no longer accepted. Remove it from the environment.'}
+      </div>
+    `;
+  }
+  
+  document.getElementById('bootstrapTokensStatus').innerHTML = html;
+}
+
+/**
+ * Issue a new bootstrap token for a pod, invalidating its old one
+ * @param {string} podId - RunPod pod ID
+ */
+async function rotateBootstrapToken(podId) {
+  if (!confirm(`Rotate the bootstrap token for pod ${podId}? Until you set the new token on the pod, it will no longer be able to fetch its secrets.`)) return;
+  
+  try {
+    const result = await api.dreams.rotateBootstrapToken(podId);
+    document.getElementById('newBootstrapTokenValue').textContent = result.token;
+    document.getElementById('newBootstrapTokenSection').style.display = 'block';
+    showToast('Bootstrap token rotated', 'success');
+    await loadSecretsStatus();
+  } catch (error) {
+    showToast(error.message || 'Failed to rotate token', 'error');
+  }
+}
+
+/**
+ * Revoke a pod's bootstrap token
+ * @param {string} podId - RunPod pod ID (or legacy token key)
+ */
+async function revokeBootstrapToken(podId) {
+  if (!confirm(`Revoke this bootstrap token? The pod will no longer be able to fetch its secrets.`)) return;
+  
+  try {
+    await api.dreams.revokeBootstrapToken(podId);
+    showToast('Bootstrap token revoked', 'success');
+    await loadSecretsStatus();
+  } catch (error) {
+    showToast(error.message || 'Failed to revoke token', 'error');
+  }
+}
+
 /**
  * Ensure ComfyUI pod exists and is running
  */
@@ -2690,6 +3994,8 @@ async function loadLifecycleManagement() {
 // Make lifecycle functions global
 window.discoverPods = discoverPods;
 window.ensureComfyUI = ensureComfyUI;
+window.rotateBootstrapToken = rotateBootstrapToken;
+window.revokeBootstrapToken = revokeBootstrapToken;
 window.ensureDreamGen = ensureDreamGen;
 window.terminateComfyUIWithConfirm = terminateComfyUIWithConfirm;
 window.terminateDreamGenWithConfirm = terminateDreamGenWithConfirm;
@@ -2823,7 +4129,7 @@ async function loadBlogPosts() {
     document.getElementById('prevPageBtn').disabled = currentBlogPage <= 1;
     document.getElementById('nextPageBtn').disabled = !result.hasNext;
     pagination.style.display = result.total > 20 ? 'flex' : 'none';
-    
+  
   } catch (error) {
     console.error('Error loading posts:', error);
     loading.style.display = 'none';
@@ -2868,13 +4174,13 @@ function renderPostsTable() {
       <td>
         <div class="post-actions">
           <button class="btn-icon" onclick="editPost(${post.id})" title="Edit">✏️</button>
-          <button class="btn-icon" onclick="${post.published ? 'unpublishPost' : 'publishPost'}(${post.id})" 
+          <button class="btn-icon" data-permission="blog:write" onclick="${post.published ? 'unpublishPost' : 'publishPost'}(${post.id})" 
                   title="${post.published ? 'Unpublish' : 'Publish'}">
             ${post.published ? '📤' : '📥'}
           </button>
           <button class="btn-icon" onclick="viewPostOnSite(${post.id}, '${escapeHtml(post.slug)}')" 
                   title="View on site" ${!post.published ? 'disabled' : ''}>🔗</button>
-          <button class="btn-icon delete" onclick="confirmDeletePost(${post.id}, '${escapeHtml(post.title)}')" 
+          <button class="btn-icon delete" data-permission="blog:delete" onclick="confirmDeletePost(${post.id}, '${escapeHtml(post.title)}')" 
                   title="Delete">🗑️</button>
         </div>
       </td>
@@ -3156,6 +4462,10 @@ function loadServerLive() {
   refreshLogSizes();
   refreshServiceHealth();
   refreshProcessInfo();
+  
+  if (can('server:maintain')) {
+    refreshRateLimits();
+  }
 }
 
 async function refreshServerMetrics() {
@@ -3459,6 +4769,52 @@ async function cleanupZombies() {
   }
 }
 
+async function refreshRateLimits() {
+  try {
+    const data = await api.server.rateLimits();
+    renderRateLimits(data);
+  } catch (error) {
+    console.error('Error loading rate limits:', error);
+  }
+}
+
+function renderRateLimits({ limiters, throttled }) {
+  const tbody = document.getElementById('rateLimitTableBody');
+  
+  if (throttled.length === 0) {
+    tbody.innerHTML = `
+      <tr>
+        <td colspan="5" style="color: var(--text-muted); text-align: center;">Nothing is being throttled</td>
+      </tr>
+    `;
+    return;
+  }
+  
+  const descriptions = Object.fromEntries(limiters.map(l => [l.name, l.description]));
+  
+  tbody.innerHTML = throttled.map(entry => `
+    <tr>
+      <td title="${escapeHtml(descriptions[entry.limiter] || '')}">${escapeHtml(entry.limiter)}</td>
+      <td class="rate-limit-key">${escapeHtml(entry.key)}</td>
+      <td class="rate-limit-count">${entry.hits} / ${entry.maxAttempts}</td>
+      <td>${formatDuration(entry.resetTime - Date.now())}</td>
+      <td>
+        <button class="btn-link btn-xs" onclick="clearRateLimit('${escapeHtml(entry.limiter)}', '${escapeHtml(entry.key)}')">Clear</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function clearRateLimit(limiter, key) {
+  try {
+    await api.server.clearRateLimit(limiter, key);
+    showToast(`Cleared ${key}`, 'success');
+    await refreshRateLimits();
+  } catch (error) {
+    showToast(`Clear failed: ${error.message}`, 'error');
+  }
+}
+
 function renderServiceHealth(services) {
   const grid = document.getElementById('servicesHealthGrid');
   const items = [];
@@ -3540,6 +4896,1524 @@ window.pruneDockerSystem = pruneDockerSystem;
 window.refreshServiceHealth = refreshServiceHealth;
 window.refreshProcessInfo = refreshProcessInfo;
 window.cleanupZombies = cleanupZombies;
+window.refreshRateLimits = refreshRateLimits;
+window.clearRateLimit = clearRateLimit;
+
+// ============================================================================
+// LOG EXPLORER
+// ============================================================================
+
+let logSources = [];
+let logPriorities = [];
+
+async function loadLogs() {
+  await loadLogSources();
+  await loadLogEntries();
+}
+
+/**
+ * Render a checkbox per readable source, keeping the current selection
+ */
+async function loadLogSources() {
+  const container = document.getElementById('logSearchSources');
+  const unchecked = new Set([...container.querySelectorAll('input:not(:checked)')].map(input => input.value));
+  
+  try {
+    const data = await api.logs.sources();
+    logSources = data.sources;
+    logPriorities = data.priorities;
+    
+    container.innerHTML = logSources.map(source => `
+      <label class="token-scope-option">
+        <input type="checkbox" value="${escapeHtml(source.id)}" ${unchecked.has(source.id) ? '' : 'checked'}>
+        ${escapeHtml(source.label)}
+      </label>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading log sources:', error);
+    container.innerHTML = '';
+  }
+}
+
+function updateLogSearchRange() {
+  const custom = document.getElementById('logSearchRange').value === 'custom';
+  document.getElementById('logSearchSince').style.display = custom ? '' : 'none';
+  document.getElementById('logSearchUntil').style.display = custom ? '' : 'none';
+}
+
+/**
+ * Read the filter form into API query params
+ * @returns {Object} Filters for api.logs.query()
+ */
+function getLogSearchFilters() {
+  const range = document.getElementById('logSearchRange').value;
+  let since = '';
+  let until = '';
+  
+  if (range === 'custom') {
+    const sinceValue = document.getElementById('logSearchSince').value;
+    const untilValue = document.getElementById('logSearchUntil').value;
+    since = sinceValue ? new Date(sinceValue).toISOString() : '';
+    until = untilValue ? new Date(untilValue).toISOString() : '';
+  } else {
+    since = new Date(Date.now() - parseInt(range, 10) * 60 * 1000).toISOString();
+  }
+  
+  const checked = [...document.querySelectorAll('#logSearchSources input:checked')].map(input => input.value);
+  
+  return {
+    sources: checked.join(','),
+    since,
+    until,
+    priority: document.getElementById('logSearchPriority').value,
+    q: document.getElementById('logSearchText').value.trim(),
+  };
+}
+
+async function loadLogEntries() {
+  const tbody = document.getElementById('logSearchTableBody');
+  const info = document.getElementById('logSearchInfo');
+  const filters = getLogSearchFilters();
+  
+  if (!filters.sources) {
+    tbody.innerHTML = '<tr><td colspan="4" class="audit-empty">Select at least one source</td></tr>';
+    info.textContent = '';
+    return;
+  }
+  
+  tbody.innerHTML = '<tr><td colspan="4" class="audit-empty">Loading...</td></tr>';
+  
+  try {
+    const result = await api.logs.query(filters);
+    
+    if (result.entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" class="audit-empty">No matching log entries</td></tr>';
+    } else {
+      // Newest first, like the audit log
+      tbody.innerHTML = result.entries.slice().reverse().map(renderLogRow).join('');
+    }
+    
+    const notes = [`${result.entries.length} entries from ${new Date(result.since).toLocaleString()} to ${new Date(result.until).toLocaleString()}`];
+    if (result.truncated) notes.push('older entries cut off - narrow the range or filters');
+    for (const problem of result.errors) notes.push(`${problem.source}: ${problem.error}`);
+    info.textContent = notes.join(' · ');
+  } catch (error) {
+    console.error('Error loading logs:', error);
+    tbody.innerHTML = `<tr><td colspan="4" class="audit-empty">${escapeHtml(error.message || 'Failed to load logs')}</td></tr>`;
+    info.textContent = '';
+  }
+}
+
+function renderLogRow(entry) {
+  const source = logSources.find(s => s.id === entry.source);
+  const priorityName = logPriorities[entry.priority] || entry.priority;
+  const severity = entry.priority <= 3 ? 'log-error' : entry.priority === 4 ? 'log-warn' : entry.priority === 7 ? 'log-debug' : '';
+  
+  return `
+    <tr>
+      <td><div class="audit-time">${new Date(entry.timestamp).toLocaleString()}</div></td>
+      <td>${escapeHtml(source ? source.label : entry.source)}</td>
+      <td><code class="audit-action">${escapeHtml(String(priorityName))}</code></td>
+      <td class="log-message log-line ${severity}">${escapeHtml(entry.message)}</td>
+    </tr>
+  `;
+}
+
+function handleLogSearch(e) {
+  e.preventDefault();
+  loadLogEntries();
+}
+
+function downloadLogs() {
+  const filters = getLogSearchFilters();
+  if (!filters.sources) {
+    showToast('Select at least one source', 'warning');
+    return;
+  }
+  window.location.href = api.logs.downloadUrl(filters);
+}
+
+// Make log explorer functions global
+window.loadLogs = loadLogs;
+window.updateLogSearchRange = updateLogSearchRange;
+window.downloadLogs = downloadLogs;
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+let currentSchedules = [];
+let scheduleActions = [];
+let editingScheduleId = null;
+let schedulePreviewTimer = null;
+
+const SCHEDULE_KIND_HINTS = {
+  cron: 'minute hour day-of-month month day-of-week, e.g. "0 18 * * fri" (Fridays 18:00) or @daily',
+  interval: 'Minutes, or a number with m/h/d, e.g. 30, 6h, 1d',
+  once: 'Runs once, then disables itself',
+};
+
+async function loadSchedules() {
+  const tbody = document.getElementById('schedulesTableBody');
+  
+  try {
+    const data = await api.schedules.list();
+    currentSchedules = data.schedules;
+    
+    tbody.innerHTML = currentSchedules.length === 0
+      ? '<tr><td colspan="7" class="audit-empty">No schedules yet</td></tr>'
+      : currentSchedules.map(renderScheduleRow).join('');
+  } catch (error) {
+    console.error('Error loading schedules:', error);
+    tbody.innerHTML = `<tr><td colspan="7" class="audit-empty">${escapeHtml(error.message || 'Failed to load schedules')}</td></tr>`;
+  }
+}
+
+/**
+ * Describe a schedule's timing for display
+ * @param {string} kind - 'cron', 'interval' or 'once'
+ * @param {string} expression - Expression
+ * @returns {string} HTML
+ */
+function describeScheduleTiming(kind, expression) {
+  if (kind === 'cron') return `<code class="audit-action">${escapeHtml(expression)}</code>`;
+  if (kind === 'interval') return `Every ${escapeHtml(/^\d+$/.test(expression) ? `${expression}m` : expression)}`;
+  return `Once at ${new Date(expression).toLocaleString()}`;
+}
+
+/**
+ * Describe a schedule's action params for display
+ * @param {Object} params - Action params
+ * @returns {string} Plain text
+ */
+function describeScheduleParams(params) {
+  const parts = [];
+  if (params.bot) parts.push(params.bot);
+  if (params.slot) parts.push(`slot ${params.slot}`);
+  if (params.restartBots) parts.push('restart bots');
+  if (params.time) parts.push(`keep ${params.time}`);
+  else if (params.size) parts.push(`keep ${params.size}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Outcome badge for a run status
+ * @param {string} status - 'running', 'success', 'failed' or 'skipped'
+ * @returns {string} HTML
+ */
+function renderScheduleStatus(status) {
+  const classes = { success: 'success', failed: 'failure', skipped: 'skipped', running: 'running' };
+  return `<span class="audit-outcome ${classes[status] || ''}">${escapeHtml(status)}</span>`;
+}
+
+function renderScheduleRow(schedule) {
+  const details = describeScheduleParams(schedule.params);
+  const lastRun = schedule.running
+    ? renderScheduleStatus('running')
+    : schedule.lastRun
+      ? `${renderScheduleStatus(schedule.lastRun.status)}
+         <div class="audit-meta">${new Date(schedule.lastRun.startedAt).toLocaleString()}</div>
+         ${schedule.lastRun.error ? `<div class="audit-error">${escapeHtml(schedule.lastRun.error)}</div>` : ''}`
+      : '<span class="audit-meta">Never</span>';
+  
+  return `
+    <tr class="${schedule.enabled ? '' : 'schedule-disabled'}">
+      <td>${escapeHtml(schedule.name)}</td>
+      <td>
+        ${escapeHtml(schedule.actionLabel)}
+        ${details ? `<div class="audit-meta">${escapeHtml(details)}</div>` : ''}
+      </td>
+      <td>${describeScheduleTiming(schedule.kind, schedule.expression)}</td>
+      <td><div class="audit-time">${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '—'}</div></td>
+      <td>${lastRun}</td>
+      <td>
+        <input type="checkbox" ${schedule.enabled ? 'checked' : ''} ${can('schedules:manage') ? '' : 'disabled'}
+               onchange="toggleSchedule(${schedule.id}, this.checked)" title="Enable or disable">
+      </td>
+      <td class="schedule-actions">
+        <button class="btn-secondary btn-xs" data-permission="schedules:manage" onclick="runScheduleNow(${schedule.id})" ${schedule.running ? 'disabled' : ''}>▶ Run</button>
+        <button class="btn-secondary btn-xs" data-permission="schedules:manage" onclick="openScheduleModal(${schedule.id})">Edit</button>
+        <button class="btn-secondary btn-xs" onclick="viewScheduleRuns(${schedule.id})">History</button>
+        <button class="btn-danger btn-xs" data-permission="schedules:manage" onclick="deleteSchedule(${schedule.id})">Delete</button>
+      </td>
+    </tr>
+  `;
+}
+
+async function openScheduleModal(scheduleId = null) {
+  const schedule = scheduleId ? currentSchedules.find(s => s.id === scheduleId) : null;
+  editingScheduleId = schedule ? schedule.id : null;
+  
+  document.getElementById('scheduleForm').reset();
+  document.getElementById('scheduleModalTitle').textContent = schedule ? `Edit Schedule: ${schedule.name}` : 'New Schedule';
+  
+  try {
+    const [actionData, botData] = await Promise.all([api.schedules.actions(), api.bots.list()]);
+    scheduleActions = actionData.actions;
+    
+    // Actions the user can't run are listed but can't be picked
+    document.getElementById('scheduleAction').innerHTML = scheduleActions.map(action => `
+      <option value="${escapeHtml(action.id)}" ${action.allowed || action.id === schedule?.action ? '' : 'disabled'}>
+        ${escapeHtml(action.label)}${action.allowed ? '' : ` (needs ${escapeHtml(action.permission)})`}
+      </option>
+    `).join('');
+    
+    document.getElementById('scheduleBot').innerHTML = botData.bots.map(bot => `
+      <option value="${escapeHtml(bot.name)}">${escapeHtml(bot.name)}</option>
+    `).join('');
+    
+    document.getElementById('scheduleSlot').innerHTML = Object.keys(botData.slots || {}).map(name => `
+      <option value="${escapeHtml(name)}">${escapeHtml(name)}</option>
+    `).join('');
+  } catch (error) {
+    showToast(error.message || 'Failed to load schedule options', 'error');
+    return;
+  }
+  
+  if (schedule) {
+    document.getElementById('scheduleName').value = schedule.name;
+    document.getElementById('scheduleAction').value = schedule.action;
+    document.getElementById('scheduleKind').value = schedule.kind;
+    document.getElementById('scheduleEnabled').checked = schedule.enabled;
+    document.getElementById('scheduleRestartBots').checked = Boolean(schedule.params.restartBots);
+    document.getElementById('scheduleVacuumSize').value = schedule.params.size || '';
+    document.getElementById('scheduleVacuumTime').value = schedule.params.time || '';
+  } else {
+    const firstAllowed = scheduleActions.find(action => action.allowed);
+    if (firstAllowed) document.getElementById('scheduleAction').value = firstAllowed.id;
+  }
+  
+  updateScheduleParams();
+  
+  if (schedule) {
+    if (schedule.params.bot) document.getElementById('scheduleBot').value = schedule.params.bot;
+    document.getElementById('scheduleSlot').value = schedule.params.slot || '';
+    if (schedule.kind === 'once') {
+      document.getElementById('scheduleAt').value = toDatetimeLocal(schedule.expression);
+    } else {
+      document.getElementById('scheduleExpression').value = schedule.expression;
+    }
+  }
+  
+  updateScheduleKind();
+  document.getElementById('scheduleModal').classList.add('active');
+  document.getElementById('scheduleName').focus();
+}
+
+/**
+ * Format a timestamp for a datetime-local input (local time, minute precision)
+ * @param {string} iso - ISO timestamp
+ * @returns {string} e.g. '2026-10-19T18:00'
+ */
+function toDatetimeLocal(iso) {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Show the param fields the selected action uses
+ */
+function updateScheduleParams() {
+  const action = scheduleActions.find(a => a.id === document.getElementById('scheduleAction').value);
+  const params = action ? action.params : [];
+  
+  document.getElementById('scheduleBotGroup').style.display = params.includes('bot') ? '' : 'none';
+  document.getElementById('scheduleSlotGroup').style.display = params.includes('slot') ? '' : 'none';
+  document.getElementById('scheduleRestartBotsGroup').style.display = params.includes('restartBots') ? '' : 'none';
+  document.getElementById('scheduleVacuumGroup').style.display = params.includes('size') ? '' : 'none';
+  
+  // Starting a bot may leave the slot to where it last ran
+  const slotSelect = document.getElementById('scheduleSlot');
+  const lastUsed = slotSelect.querySelector('option[value=""]');
+  if (action?.id === 'bots.start' && !lastUsed) {
+    slotSelect.insertAdjacentHTML('afterbegin', '<option value="">Last used slot</option>');
+    slotSelect.value = '';
+  } else if (action?.id !== 'bots.start' && lastUsed) {
+    lastUsed.remove();
+  }
+}
+
+function updateScheduleKind() {
+  const kind = document.getElementById('scheduleKind').value;
+  const expression = document.getElementById('scheduleExpression');
+  
+  expression.style.display = kind === 'once' ? 'none' : '';
+  expression.placeholder = kind === 'cron' ? '0 18 * * fri' : '6h';
+  document.getElementById('scheduleAt').style.display = kind === 'once' ? '' : 'none';
+  document.getElementById('scheduleKindHint').textContent = SCHEDULE_KIND_HINTS[kind];
+  
+  previewSchedule();
+}
+
+/**
+ * Read the timing fields
+ * @returns {Object} { kind, expression }
+ */
+function getScheduleTiming() {
+  const kind = document.getElementById('scheduleKind').value;
+  
+  if (kind === 'once') {
+    const at = document.getElementById('scheduleAt').value;
+    return { kind, expression: at ? new Date(at).toISOString() : '' };
+  }
+  return { kind, expression: document.getElementById('scheduleExpression').value.trim() };
+}
+
+/**
+ * Show the next run times for the timing being edited (debounced)
+ */
+function previewSchedule() {
+  clearTimeout(schedulePreviewTimer);
+  
+  schedulePreviewTimer = setTimeout(async () => {
+    const list = document.getElementById('schedulePreview');
+    const { kind, expression } = getScheduleTiming();
+    
+    if (!expression) {
+      list.innerHTML = '<li class="settings-hint">Enter a time to preview</li>';
+      return;
+    }
+    
+    try {
+      const { runs } = await api.schedules.preview(kind, expression);
+      list.innerHTML = runs.length === 0
+        ? '<li class="settings-hint">Never runs - the time is in the past</li>'
+        : runs.map(run => `<li>${new Date(run).toLocaleString()}</li>`).join('');
+    } catch (error) {
+      list.innerHTML = `<li class="audit-error">${escapeHtml(error.message)}</li>`;
+    }
+  }, 300);
+}
+
+async function handleScheduleSubmit(e) {
+  e.preventDefault();
+  
+  const action = document.getElementById('scheduleAction').value;
+  const params = {};
+  const paramNames = scheduleActions.find(a => a.id === action)?.params || [];
+  
+  if (paramNames.includes('bot')) params.bot = document.getElementById('scheduleBot').value;
+  if (paramNames.includes('slot')) params.slot = document.getElementById('scheduleSlot').value || undefined;
+  if (paramNames.includes('restartBots')) params.restartBots = document.getElementById('scheduleRestartBots').checked;
+  if (paramNames.includes('size')) {
+    params.size = document.getElementById('scheduleVacuumSize').value.trim() || undefined;
+    params.time = document.getElementById('scheduleVacuumTime').value.trim() || undefined;
+  }
+  
+  const body = {
+    name: document.getElementById('scheduleName').value.trim(),
+    action,
+    params,
+    ...getScheduleTiming(),
+    enabled: document.getElementById('scheduleEnabled').checked,
+  };
+  
+  try {
+    const { schedule } = editingScheduleId
+      ? await api.schedules.update(editingScheduleId, body)
+      : await api.schedules.create(body);
+    
+    closeScheduleModal();
+    showToast(`Schedule '${schedule.name}' saved`, 'success');
+    await loadSchedules();
+  } catch (error) {
+    showToast(error.message || 'Failed to save schedule', 'error');
+  }
+}
+
+async function toggleSchedule(scheduleId, enabled) {
+  try {
+    const { schedule } = await api.schedules.update(scheduleId, { enabled });
+    showToast(`Schedule '${schedule.name}' ${enabled ? 'enabled' : 'disabled'}`, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to update schedule', 'error');
+  }
+  await loadSchedules();
+}
+
+async function runScheduleNow(scheduleId) {
+  const schedule = currentSchedules.find(s => s.id === scheduleId);
+  if (!confirm(`Run '${schedule?.name}' now?\n\n${schedule?.actionLabel}`)) {
+    return;
+  }
+  
+  try {
+    await api.schedules.run(scheduleId);
+    showToast(`'${schedule?.name}' started - see its history for the outcome`, 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to run schedule', 'error');
+  }
+  await loadSchedules();
+}
+
+async function deleteSchedule(scheduleId) {
+  const schedule = currentSchedules.find(s => s.id === scheduleId);
+  if (!confirm(`Delete schedule '${schedule?.name}'?\n\nIts run history is deleted too.`)) {
+    return;
+  }
+  
+  try {
+    await api.schedules.delete(scheduleId);
+    showToast('Schedule deleted', 'success');
+  } catch (error) {
+    showToast(error.message || 'Failed to delete schedule', 'error');
+  }
+  await loadSchedules();
+}
+
+async function viewScheduleRuns(scheduleId) {
+  const list = document.getElementById('scheduleRunsList');
+  list.innerHTML = '<p class="settings-hint">Loading...</p>';
+  document.getElementById('scheduleRunsModal').classList.add('active');
+  
+  try {
+    const { schedule, runs } = await api.schedules.runs(scheduleId);
+    document.getElementById('scheduleRunsModalTitle').textContent = `Run History: ${schedule.name}`;
+    
+    list.innerHTML = runs.length === 0
+      ? '<p class="settings-hint">This schedule hasn\'t run yet</p>'
+      : runs.map(renderScheduleRun).join('');
+  } catch (error) {
+    list.innerHTML = `<p class="settings-hint">Error: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Render one run of a schedule
+ * @param {Object} run - { status, triggeredBy, username, startedAt, finishedAt, result, error }
+ * @returns {string} HTML
+ */
+function renderScheduleRun(run) {
+  const by = run.triggeredBy === 'manual' ? `run by ${run.username || 'unknown'}` : 'on schedule';
+  const duration = run.finishedAt && run.status !== 'skipped'
+    ? ` · ${Math.max(Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000), 0)}s`
+    : '';
+  
+  return `
+    <div class="schedule-run ${run.status}">
+      <div class="schedule-run-header">
+        ${renderScheduleStatus(run.status)}
+        <span>${new Date(run.startedAt).toLocaleString()}</span>
+        <span class="settings-hint">${escapeHtml(by)}${duration}</span>
+      </div>
+      ${run.error ? `<div class="audit-error">${escapeHtml(run.error)}</div>` : ''}
+      ${run.result ? `
+        <details>
+          <summary>Result</summary>
+          <pre class="logs-output schedule-run-result">${escapeHtml(JSON.stringify(run.result, null, 2))}</pre>
+        </details>
+      ` : ''}
+    </div>
+  `;
+}
+
+function closeScheduleModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('scheduleModal').classList.remove('active');
+  clearTimeout(schedulePreviewTimer);
+}
+
+function closeScheduleRunsModal(event) {
+  if (event && event.target !== event.currentTarget) return;
+  document.getElementById('scheduleRunsModal').classList.remove('active');
+}
+
+// Make schedule functions global
+window.loadSchedules = loadSchedules;
+window.openScheduleModal = openScheduleModal;
+window.updateScheduleParams = updateScheduleParams;
+window.updateScheduleKind = updateScheduleKind;
+window.previewSchedule = previewSchedule;
+window.toggleSchedule = toggleSchedule;
+window.runScheduleNow = runScheduleNow;
+window.deleteSchedule = deleteSchedule;
+window.viewScheduleRuns = viewScheduleRuns;
+window.closeScheduleModal = closeScheduleModal;
+window.closeScheduleRunsModal = closeScheduleRunsModal;
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const AUDIT_PAGE_SIZE = 50;
+let auditPage = 1;
+
+async function loadAudit() {
+  await loadAuditFilterOptions();
+  await loadAuditEvents();
+}
+
+/**
+ * Populate the user/action dropdowns, keeping the current selection
+ */
+async function loadAuditFilterOptions() {
+  try {
+    const { usernames, actions } = await api.audit.filters();
+    
+    // Offer each action domain (e.g. "slots") as well as the exact actions
+    const domains = [...new Set(actions.map(action => action.split('.')[0]))];
+    
+    fillAuditSelect('auditFilterUser', 'All users', usernames.map(name => ({ value: name, label: name })));
+    fillAuditSelect('auditFilterAction', 'All actions', [
+      ...domains.map(domain => ({ value: domain, label: `${domain}.*` })),
+      ...actions.map(action => ({ value: action, label: action })),
+    ]);
+  } catch (error) {
+    console.error('Error loading audit filters:', error);
+  }
+}
+
+function fillAuditSelect(id, placeholder, options) {
+  const select = document.getElementById(id);
+  const current = select.value;
+  
+  select.innerHTML = `<option value="">${placeholder}</option>` + options.map(option => `
+    <option value="${escapeHtml(option.value)}" ${option.value === current ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+  `).join('');
+}
+
+/**
+ * Read the filter form into API query params
+ * @returns {Object} Filters for api.audit.list()
+ */
+function getAuditFilters() {
+  const since = document.getElementById('auditFilterSince').value;
+  const until = document.getElementById('auditFilterUntil').value;
+  
+  return {
+    user: document.getElementById('auditFilterUser').value,
+    action: document.getElementById('auditFilterAction').value,
+    outcome: document.getElementById('auditFilterOutcome').value,
+    since: since ? new Date(since).toISOString() : '',
+    until: until ? new Date(until).toISOString() : '',
+    q: document.getElementById('auditFilterSearch').value.trim(),
+  };
+}
+
+async function loadAuditEvents() {
+  const tbody = document.getElementById('auditTableBody');
+  
+  try {
+    const result = await api.audit.list({
+      ...getAuditFilters(),
+      limit: AUDIT_PAGE_SIZE,
+      offset: (auditPage - 1) * AUDIT_PAGE_SIZE,
+    });
+    
+    if (result.events.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="6" class="audit-empty">No matching events</td></tr>`;
+    } else {
+      tbody.innerHTML = result.events.map(renderAuditRow).join('');
+    }
+    
+    // Update pagination
+    const start = (auditPage - 1) * AUDIT_PAGE_SIZE + 1;
+    document.getElementById('auditPaginationStart').textContent = start;
+    document.getElementById('auditPaginationEnd').textContent = start + result.events.length - 1;
+    document.getElementById('auditPaginationTotal').textContent = result.total;
+    document.getElementById('auditPrevBtn').disabled = auditPage <= 1;
+    document.getElementById('auditNextBtn').disabled = start + result.events.length - 1 >= result.total;
+    document.getElementById('auditPagination').style.display = result.total > AUDIT_PAGE_SIZE ? 'flex' : 'none';
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    tbody.innerHTML = `<tr><td colspan="6" class="audit-empty">Failed to load audit log</td></tr>`;
+    showToast('Failed to load audit log', 'error');
+  }
+}
+
+function loadAuditPage(page) {
+  auditPage = Math.max(page, 1);
+  loadAuditEvents();
+}
+
+/**
+ * Render key/value pairs as compact chips
+ * @param {Object} values - Params or details object
+ * @returns {string} HTML
+ */
+function renderAuditValues(values) {
+  if (!values) return '';
+  
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return `<span class="audit-value"><span class="audit-value-key">${escapeHtml(key)}</span>=${escapeHtml(text)}</span>`;
+    })
+    .join('');
+}
+
+function renderAuditRow(event) {
+  const time = new Date(event.timestamp);
+  
+  return `
+    <tr>
+      <td>
+        <div class="audit-time">${time.toLocaleString()}</div>
+        <div class="audit-meta">${formatRelativeTime(event.timestamp)}</div>
+      </td>
+      <td>
+        <div>${escapeHtml(event.username || '—')}</div>
+        <div class="audit-meta">${escapeHtml(event.ip || '')}${event.authMethod === 'token' ? ' · API token' : ''}</div>
+      </td>
+      <td><code class="audit-action">${escapeHtml(event.action)}</code></td>
+      <td>${escapeHtml(event.target || '—')}</td>
+      <td class="audit-details">
+        ${renderAuditValues(event.params)}
+        ${renderAuditValues(event.details)}
+      </td>
+      <td>
+        <span class="audit-outcome ${event.success ? 'success' : 'failure'}">
+          ${event.success ? 'OK' : 'Failed'}
+        </span>
+        ${event.error ? `<div class="audit-error">${escapeHtml(event.error)}</div>` : ''}
+        ${event.durationMs != null ? `<div class="audit-meta">${event.durationMs} ms</div>` : ''}
+      </td>
+    </tr>
+  `;
+}
+
+function handleAuditFilter(e) {
+  e.preventDefault();
+  auditPage = 1;
+  loadAuditEvents();
+}
+
+function resetAuditFilters() {
+  document.getElementById('auditFilterForm').reset();
+  auditPage = 1;
+  loadAuditEvents();
+}
+
+// Make audit functions global
+window.loadAudit = loadAudit;
+window.loadAuditPage = loadAuditPage;
+window.resetAuditFilters = resetAuditFilters;
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+// Recovery codes currently on screen (only held until dismissed)
+let shownRecoveryCodes = [];
+// Whether the current user has a password to confirm two-factor changes with
+let totpPasswordSet = true;
+
+async function loadSettings() {
+  await loadTotpStatus();
+  await loadSsoLink();
+  await loadPasskeys();
+  await loadSessions();
+  await loadLoginHistory();
+  await loadApiTokens();
+  
+  if (can('users:manage')) {
+    await loadUsers();
+  }
+  
+  if (can('secrets:manage')) {
+    await loadSecrets();
+  }
+  
+  if (can('network:manage')) {
+    await loadIpPolicy();
+  }
+}
+
+/**
+ * Load and render the current user's passkeys
+ */
+async function loadPasskeys() {
+  const supported = webauthn.isSupported();
+  document.getElementById('passkeysUnsupported').style.display = supported ? 'none' : 'block';
+  document.getElementById('addPasskeyForm').style.display = supported ? '' : 'none';
+  
+  try {
+    const passkeys = await api.auth.listPasskeys();
+    renderPasskeys(passkeys);
+  } catch (error) {
+    console.error('Error loading passkeys:', error);
+    showToast('Failed to load passkeys', 'error');
+  }
+}
+
+function renderPasskeys(passkeys) {
+  const tbody = document.getElementById('passkeysTableBody');
+  
+  if (!passkeys || passkeys.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="settings-table-empty">No passkeys</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = passkeys.map(passkey => `
+    <tr>
+      <td>${escapeHtml(passkey.name)}</td>
+      <td>${passkey.deviceType === 'multiDevice' ? 'Synced' : 'This device only'}</td>
+      <td>${passkey.lastUsedAt ? (formatRelativeTime(passkey.lastUsedAt) || formatDate(passkey.lastUsedAt)) : 'Never'}</td>
+      <td>${formatDate(passkey.createdAt)}</td>
+      <td><button class="btn-link btn-xs" onclick="deletePasskey('${escapeHtml(passkey.id)}', '${escapeHtml(passkey.name)}')">Remove</button></td>
+    </tr>
+  `).join('');
+}
+
+async function handleAddPasskey(e) {
+  e.preventDefault();
+  
+  const nameInput = document.getElementById('passkeyName');
+  const passwordInput = document.getElementById('passkeyPassword');
+  
+  try {
+    const result = await api.auth.addPasskey(nameInput.value.trim(), passwordInput.value);
+    nameInput.value = '';
+    passwordInput.value = '';
+    showToast(`Passkey '${result.passkey.name}' added`, 'success');
+    await loadPasskeys();
+  } catch (error) {
+    passwordInput.value = '';
+    
+    // User dismissed the browser prompt
+    if (error.name === 'NotAllowedError' || error.name === 'AbortError') return;
+    
+    // Authenticator already holds a passkey for this account
+    if (error.name === 'InvalidStateError') {
+      showToast('This device already has a passkey for your account', 'warning');
+      return;
+    }
+    
+    showToast(error.message || 'Failed to add passkey', 'error');
+  }
+}
+
+async function deletePasskey(id, name) {
+  if (!confirm(`Remove passkey '${name}'? You won't be able to sign in with it any more.`)) return;
+  
+  try {
+    await api.auth.deletePasskey(id);
+    showToast(`Passkey '${name}' removed`, 'success');
+    await loadPasskeys();
+  } catch (error) {
+    showToast(error.message || 'Failed to remove passkey', 'error');
+  }
+}
+
+/**
+ * Load and render the current user's active sessions
+ */
+async function loadSessions() {
+  try {
+    const sessions = await api.auth.listSessions();
+    renderSessions(sessions);
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    showToast('Failed to load sessions', 'error');
+  }
+}
+
+/**
+ * Summarise a User-Agent string as "Browser on OS"
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {string} Short description
+ */
+function describeUserAgent(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    /curl\//.test(userAgent) ? 'curl' :
+    null;
+  
+  const os =
+    /Windows/.test(userAgent) ? 'Windows' :
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    null;
+  
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 40);
+}
+
+function renderSessions(sessions) {
+  const tbody = document.getElementById('sessionsTableBody');
+  const others = (sessions || []).filter(session => !session.current).length;
+  
+  document.getElementById('revokeOtherSessionsBtn').disabled = others === 0;
+  
+  if (!sessions || sessions.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="settings-table-empty">No active sessions</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = sessions.map(session => `
+    <tr>
+      <td title="${escapeHtml(session.userAgent || '')}">
+        ${escapeHtml(describeUserAgent(session.userAgent))}
+        ${session.current ? '<span class="settings-badge enabled">This session</span>' : ''}
+      </td>
+      <td><code>${escapeHtml(session.ip || '—')}</code></td>
+      <td>${formatRelativeTime(session.lastSeenAt) || formatDate(session.lastSeenAt)}</td>
+      <td>${formatDate(session.createdAt)}</td>
+      <td>
+        ${session.current
+          ? ''
+          : `<button class="btn-link btn-xs" onclick="revokeSession('${escapeHtml(session.id)}')">Revoke</button>`}
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function revokeSession(id) {
+  if (!confirm('Sign out this session?')) return;
+  
+  try {
+    await api.auth.revokeSession(id);
+    showToast('Session revoked', 'success');
+    await loadSessions();
+  } catch (error) {
+    showToast(error.message || 'Failed to revoke session', 'error');
+  }
+}
+
+async function revokeOtherSessions() {
+  if (!confirm('Sign out all other sessions? Only this browser will stay signed in.')) return;
+  
+  try {
+    const result = await api.auth.revokeOtherSessions();
+    showToast(`Signed out ${result.revoked} other session${result.revoked === 1 ? '' : 's'}`, 'success');
+    await loadSessions();
+  } catch (error) {
+    showToast(error.message || 'Failed to revoke sessions', 'error');
+  }
+}
+
+/**
+ * Load recent sign-in attempts (the current user's, or everyone's)
+ */
+async function loadLoginHistory() {
+  const all = can('users:manage') && document.getElementById('loginHistoryAll').checked;
+  
+  try {
+    const attempts = await api.auth.loginHistory(all);
+    renderLoginHistory(attempts);
+  } catch (error) {
+    console.error('Error loading login history:', error);
+    showToast('Failed to load login history', 'error');
+  }
+}
+
+function renderLoginHistory(attempts) {
+  const tbody = document.getElementById('loginHistoryTableBody');
+  
+  if (!attempts || attempts.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="settings-table-empty">No sign-in attempts recorded</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = attempts.map(attempt => `
+    <tr>
+      <td title="${formatDate(attempt.timestamp)}">${formatRelativeTime(attempt.timestamp) || formatDate(attempt.timestamp)}</td>
+      <td>${escapeHtml(attempt.username || '—')}</td>
+      <td>
+        <code>${escapeHtml(attempt.ip || '—')}</code>
+        ${attempt.newIp ? '<span class="settings-badge disabled">New IP</span>' : ''}
+      </td>
+      <td title="${escapeHtml(attempt.userAgent || '')}">${escapeHtml(describeUserAgent(attempt.userAgent))}</td>
+      <td>
+        ${attempt.success
+          ? `<span class="settings-badge enabled">${escapeHtml(attempt.method)}</span>`
+          : `<span class="login-history-failure">${escapeHtml(attempt.reason || 'Failed')}</span>`}
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Raw token currently on screen (only held until dismissed)
+let newApiToken = null;
+
+/**
+ * Load the current user's API tokens and the scopes they may grant
+ */
+async function loadApiTokens() {
+  try {
+    const [tokens, scopes] = await Promise.all([
+      api.auth.listTokens(),
+      api.auth.tokenScopes(),
+    ]);
+    renderApiTokens(tokens);
+    renderApiTokenScopes(scopes);
+  } catch (error) {
+    console.error('Error loading API tokens:', error);
+    showToast('Failed to load API tokens', 'error');
+  }
+}
+
+function renderApiTokens(tokens) {
+  const tbody = document.getElementById('apiTokensTableBody');
+  
+  if (!tokens || tokens.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="settings-table-empty">No API tokens</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = tokens.map(token => {
+    const expired = token.expiresAt && new Date(token.expiresAt) < new Date();
+    const expires = token.expiresAt 
+      ? `<span class="${expired ? 'token-expired' : ''}">${expired ? 'Expired' : new Date(token.expiresAt).toLocaleDateString()}</span>`
+      : 'Never';
+    
+    return `
+      <tr>
+        <td>
+          ${escapeHtml(token.name)}
+          <div class="settings-hint">${escapeHtml(token.prefix)}…</div>
+        </td>
+        <td>
+          <div class="token-scope-list">
+            ${token.scopes.map(scope => `<span class="token-scope-tag">${escapeHtml(scope)}</span>`).join('')}
+          </div>
+        </td>
+        <td>${token.lastUsedAt ? (formatRelativeTime(token.lastUsedAt) || formatDate(token.lastUsedAt)) : 'Never'}</td>
+        <td>${expires}</td>
+        <td><button class="btn-link btn-xs" onclick="revokeApiToken('${escapeHtml(token.id)}', '${escapeHtml(token.name)}')">Revoke</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderApiTokenScopes(scopes) {
+  const container = document.getElementById('apiTokenScopes');
+  
+  // Keep existing selections when re-rendering
+  const checked = new Set(
+    Array.from(container.querySelectorAll('input:checked')).map(input => input.value)
+  );
+  
+  container.innerHTML = scopes.map(scope => `
+    <label class="token-scope-option" title="${escapeHtml(scope.description || '')}">
+      <input type="checkbox" value="${escapeHtml(scope.name)}" ${checked.has(scope.name) ? 'checked' : ''}>
+      ${escapeHtml(scope.name)}
+    </label>
+  `).join('');
+}
+
+async function handleCreateApiToken(e) {
+  e.preventDefault();
+  
+  const name = document.getElementById('apiTokenName').value.trim();
+  const expiry = document.getElementById('apiTokenExpiry').value;
+  const scopes = Array.from(document.querySelectorAll('#apiTokenScopes input:checked')).map(input => input.value);
+  
+  if (scopes.length === 0) {
+    showToast('Select at least one scope', 'warning');
+    return;
+  }
+  
+  try {
+    const result = await api.auth.createToken(name, scopes, expiry ? parseInt(expiry, 10) : null);
+    
+    newApiToken = result.token;
+    document.getElementById('newApiTokenValue').textContent = result.token;
+    document.getElementById('newApiTokenSection').style.display = 'block';
+    
+    document.getElementById('apiTokenName').value = '';
+    document.querySelectorAll('#apiTokenScopes input:checked').forEach(input => { input.checked = false; });
+    
+    showToast(`Token '${name}' created`, 'success');
+    await loadApiTokens();
+  } catch (error) {
+    showToast(error.message || 'Failed to create token', 'error');
+  }
+}
+
+async function revokeApiToken(id, name) {
+  if (!confirm(`Revoke token '${name}'? Anything using it will stop working immediately.`)) return;
+  
+  try {
+    await api.auth.revokeToken(id);
+    showToast(`Token '${name}' revoked`, 'success');
+    await loadApiTokens();
+  } catch (error) {
+    showToast(error.message || 'Failed to revoke token', 'error');
+  }
+}
+
+async function copyNewApiToken() {
+  if (!newApiToken) return;
+  
+  try {
+    await navigator.clipboard.writeText(newApiToken);
+    showToast('Token copied', 'success');
+  } catch (error) {
+    showToast('Copy failed - select and copy manually', 'warning');
+  }
+}
+
+function dismissNewApiToken() {
+  newApiToken = null;
+  document.getElementById('newApiTokenValue').textContent = '';
+  document.getElementById('newApiTokenSection').style.display = 'none';
+}
+
+// Roles offered in the user management table
+const USER_ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Load and render the users table (admin only)
+ */
+async function loadUsers() {
+  try {
+    const users = await api.auth.listUsers();
+    renderUsersTable(users);
+  } catch (error) {
+    console.error('Error loading users:', error);
+    showToast('Failed to load users', 'error');
+  }
+}
+
+function renderUsersTable(users) {
+  const tbody = document.getElementById('usersTableBody');
+  
+  if (!users || users.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="5" class="settings-table-empty">No users</td></tr>`;
+    return;
+  }
+  
+  tbody.innerHTML = users.map(user => {
+    const isSelf = user.username === state.username;
+    const roleOptions = USER_ROLES.map(role => 
+      `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`
+    ).join('');
+    
+    return `
+      <tr>
+        <td>
+          ${escapeHtml(user.username)}${isSelf ? ' <span class="settings-hint">(you)</span>' : ''}
+          ${user.sso ? '<span class="settings-badge" title="Signs in through single sign-on">SSO</span>' : ''}
+        </td>
+        <td>
+          <select onchange="changeUserRole('${escapeHtml(user.username)}', this.value, this)" data-previous="${user.role}">
+            ${roleOptions}
+          </select>
+        </td>
+        <td>${user.totpEnabled ? '✓' : '—'}</td>
+        <td>${user.createdAt ? new Date(user.createdAt).toLocaleDateString() : '—'}</td>
+        <td>
+          ${isSelf ? '' : `<button class="btn-link btn-xs" onclick="deleteUserAccount('${escapeHtml(user.username)}')">Delete</button>`}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function handleCreateUser(e) {
+  e.preventDefault();
+  
+  const username = document.getElementById('newUserName').value.trim();
+  const password = document.getElementById('newUserPassword').value;
+  const role = document.getElementById('newUserRole').value;
+  
+  try {
+    await api.auth.createUser(username, password, role);
+    document.getElementById('newUserName').value = '';
+    document.getElementById('newUserPassword').value = '';
+    showToast(`User '${username}' created as ${role}`, 'success');
+    await loadUsers();
+  } catch (error) {
+    showToast(error.message || 'Failed to create user', 'error');
+  }
+}
+
+async function changeUserRole(username, role, selectEl) {
+  if (username === state.username && role !== 'admin') {
+    if (!confirm(`Change your own role to ${role}? You will lose access to user management.`)) {
+      selectEl.value = selectEl.dataset.previous;
+      return;
+    }
+  }
+  
+  try {
+    await api.auth.setUserRole(username, role);
+    showToast(`${username} is now ${role}`, 'success');
+    
+    if (username === state.username) {
+      // Refresh our own permissions
+      await checkAuth();
+      navigateTo('settings');
+      return;
+    }
+    
+    selectEl.dataset.previous = role;
+  } catch (error) {
+    selectEl.value = selectEl.dataset.previous;
+    showToast(error.message || 'Failed to change role', 'error');
+  }
+}
+
+async function deleteUserAccount(username) {
+  if (!confirm(`Delete user '${username}'? Their sessions will be signed out.`)) return;
+  
+  try {
+    await api.auth.deleteUser(username);
+    showToast(`User '${username}' deleted`, 'success');
+    await loadUsers();
+  } catch (error) {
+    showToast(error.message || 'Failed to delete user', 'error');
+  }
+}
+
+// Labels for where a secret's current value comes from
+const SECRET_SOURCES = {
+  vault: 'Vault',
+  env: '.env',
+  default: 'Default',
+};
+
+/**
+ * Load and render the secrets vault status (admin only)
+ */
+async function loadSecrets() {
+  try {
+    const result = await api.secrets.list();
+    renderSecrets(result);
+  } catch (error) {
+    console.error('Error loading secrets:', error);
+    showToast('Failed to load secrets', 'error');
+  }
+}
+
+function renderSecrets({ vaultEnabled, secrets }) {
+  const tbody = document.getElementById('secretsTableBody');
+  const select = document.getElementById('secretName');
+  
+  document.getElementById('secretsVaultDisabled').style.display = vaultEnabled ? 'none' : 'block';
+  document.getElementById('setSecretForm').style.display = vaultEnabled ? '' : 'none';
+  
+  // Keep the current selection when re-rendering
+  const selected = select.value;
+  select.innerHTML = secrets.map(secret => 
+    `<option value="${escapeHtml(secret.name)}" ${secret.name === selected ? 'selected' : ''}>${escapeHtml(secret.label)}</option>`
+  ).join('');
+  
+  tbody.innerHTML = secrets.map(secret => `
+    <tr>
+      <td title="${escapeHtml(secret.description || '')}">
+        ${escapeHtml(secret.label)}
+        <div class="settings-hint"><code>${escapeHtml(secret.name)}</code></div>
+      </td>
+      <td>
+        ${secret.isSet
+          ? `<span class="settings-badge ${secret.source === 'vault' ? 'enabled' : ''}">${SECRET_SOURCES[secret.source]}</span>`
+          : '<span class="settings-badge disabled">Not set</span>'}
+        ${secret.error ? `<div class="token-expired">${escapeHtml(secret.error)}</div>` : ''}
+      </td>
+      <td>
+        ${secret.updatedAt
+          ? `${formatRelativeTime(secret.updatedAt) || formatDate(secret.updatedAt)}${secret.updatedBy ? ` by ${escapeHtml(secret.updatedBy)}` : ''}`
+          : '—'}
+      </td>
+      <td>
+        ${secret.updatedAt
+          ? `<button class="btn-link btn-xs" onclick="clearSecret('${escapeHtml(secret.name)}')">Clear</button>`
+          : ''}
+      </td>
+    </tr>
+  `).join('');
+}
+
+async function handleSetSecret(e) {
+  e.preventDefault();
+  
+  const name = document.getElementById('secretName').value;
+  const valueInput = document.getElementById('secretValue');
+  
+  try {
+    await api.secrets.set(name, valueInput.value);
+    valueInput.value = '';
+    showToast(`${name} saved`, 'success');
+    await loadSecrets();
+  } catch (error) {
+    showToast(error.message || 'Failed to save secret', 'error');
+  }
+}
+
+async function clearSecret(name) {
+  if (!confirm(`Remove ${name} from the vault? The value from .env (if any) will be used instead.`)) return;
+  
+  try {
+    await api.secrets.clear(name);
+    showToast(`${name} cleared`, 'success');
+    await loadSecrets();
+  } catch (error) {
+    showToast(error.message || 'Failed to clear secret', 'error');
+  }
+}
+
+/**
+ * Load and render the network access policy (admin only)
+ */
+async function loadIpPolicy() {
+  try {
+    const result = await api.ipPolicy.get();
+    renderIpPolicy(result);
+  } catch (error) {
+    console.error('Error loading IP policy:', error);
+    showToast('Failed to load network access policy', 'error');
+  }
+}
+
+function renderIpPolicy({ policy, clientIp, disabledByEnv, suggestedGroups }) {
+  document.getElementById('ipPolicyDisabledByEnv').style.display = disabledByEnv ? 'block' : 'none';
+  document.getElementById('ipPolicyClientIp').textContent = clientIp || '—';
+  document.getElementById('ipPolicyEnabled').checked = policy.enabled;
+  document.getElementById('ipPolicyGlobalAllow').value = policy.global.allow.join('\n');
+  document.getElementById('ipPolicyGlobalDeny').value = policy.global.deny.join('\n');
+  
+  document.getElementById('ipPolicyGroupSuggestions').innerHTML = suggestedGroups.map(prefix => 
+    `<option value="${escapeHtml(prefix)}"></option>`
+  ).join('');
+  
+  document.getElementById('ipPolicyGroups').innerHTML = '';
+  policy.groups.forEach(group => addIpPolicyGroup(group));
+}
+
+/**
+ * Add a route group row to the policy editor
+ * @param {Object} [group] - Existing group { prefix, allow, deny }
+ */
+function addIpPolicyGroup(group = { prefix: '', allow: [], deny: [] }) {
+  const row = document.createElement('div');
+  row.className = 'ip-policy-group';
+  row.innerHTML = `
+    <div class="ip-policy-group-header">
+      <input type="text" class="form-input ip-policy-prefix" list="ipPolicyGroupSuggestions" 
+             placeholder="/api/slots" value="${escapeHtml(group.prefix)}">
+      <button type="button" class="btn-link btn-xs" onclick="removeIpPolicyGroup(this)">Remove</button>
+    </div>
+    <div class="ip-policy-lists">
+      <textarea class="form-input ip-policy-allow" placeholder="Allow (empty = any address)">${escapeHtml(group.allow.join('\n'))}</textarea>
+      <textarea class="form-input ip-policy-deny" placeholder="Deny">${escapeHtml(group.deny.join('\n'))}</textarea>
+    </div>
+  `;
+  document.getElementById('ipPolicyGroups').appendChild(row);
+}
+
+function removeIpPolicyGroup(button) {
+  button.closest('.ip-policy-group').remove();
+}
+
+/**
+ * Split a textarea into rules (one per line, blank lines ignored)
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {Array<string>}
+ */
+function parseIpPolicyRules(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+async function handleSaveIpPolicy(e) {
+  e.preventDefault();
+  
+  const policy = {
+    enabled: document.getElementById('ipPolicyEnabled').checked,
+    global: {
+      allow: parseIpPolicyRules(document.getElementById('ipPolicyGlobalAllow')),
+      deny: parseIpPolicyRules(document.getElementById('ipPolicyGlobalDeny')),
+    },
+    groups: [...document.querySelectorAll('#ipPolicyGroups .ip-policy-group')].map(row => ({
+      prefix: row.querySelector('.ip-policy-prefix').value.trim(),
+      allow: parseIpPolicyRules(row.querySelector('.ip-policy-allow')),
+      deny: parseIpPolicyRules(row.querySelector('.ip-policy-deny')),
+    })),
+  };
+  
+  try {
+    await api.ipPolicy.save(policy);
+    showToast('Network access policy saved', 'success');
+    await loadIpPolicy();
+  } catch (error) {
+    showToast(error.message || 'Failed to save network access policy', 'error');
+  }
+}
+
+/**
+ * Load two-factor status and show the matching section
+ */
+async function loadTotpStatus() {
+  try {
+    const status = await api.auth.totpStatus();
+    renderTotpStatus(status);
+  } catch (error) {
+    console.error('Error loading two-factor status:', error);
+    showToast('Failed to load two-factor status', 'error');
+  }
+}
+
+function renderTotpStatus(status) {
+  const badge = document.getElementById('totpStatusBadge');
+  badge.textContent = status.enabled ? 'Enabled' : 'Disabled';
+  badge.className = `settings-badge ${status.enabled ? 'enabled' : 'disabled'}`;
+  
+  // SSO-only users have no password - the server asks them to re-authenticate instead
+  const passwordSet = status.passwordSet !== false;
+  const setupPassword = document.getElementById('totpSetupPassword');
+  setupPassword.required = passwordSet;
+  setupPassword.closest('.form-group').style.display = passwordSet ? 'block' : 'none';
+  document.getElementById('totpManagePassword').closest('.form-group').style.display = passwordSet ? 'block' : 'none';
+  totpPasswordSet = passwordSet;
+  
+  // Don't hide recovery codes the user hasn't dismissed yet
+  if (shownRecoveryCodes.length > 0) return;
+  
+  document.getElementById('totpDisabledSection').style.display = status.enabled ? 'none' : 'block';
+  document.getElementById('totpEnrollSection').style.display = 'none';
+  document.getElementById('totpRecoverySection').style.display = 'none';
+  document.getElementById('totpEnabledSection').style.display = status.enabled ? 'block' : 'none';
+  
+  if (status.enabled) {
+    document.getElementById('totpEnabledAt').textContent = status.enabledAt ? 
+      new Date(status.enabledAt).toLocaleDateString() : '—';
+    document.getElementById('totpRecoveryRemaining').textContent = status.recoveryCodesRemaining;
+  }
+}
+
+async function handleTotpSetup(e) {
+  e.preventDefault();
+  
+  const passwordInput = document.getElementById('totpSetupPassword');
+  
+  try {
+    const setup = await api.auth.totpSetup(passwordInput.value);
+    passwordInput.value = '';
+    
+    document.getElementById('totpOtpauthLink').href = setup.otpauthUri;
+    document.getElementById('totpSecretKey').textContent = setup.secret.match(/.{1,4}/g).join(' ');
+    
+    document.getElementById('totpDisabledSection').style.display = 'none';
+    document.getElementById('totpEnrollSection').style.display = 'block';
+    document.getElementById('totpEnableCode').focus();
+  } catch (error) {
+    showToast(error.message || 'Failed to start two-factor setup', 'error');
+  }
+}
+
+async function handleTotpEnable(e) {
+  e.preventDefault();
+  
+  const codeInput = document.getElementById('totpEnableCode');
+  
+  try {
+    const result = await api.auth.totpEnable(codeInput.value.trim());
+    codeInput.value = '';
+    document.getElementById('totpSecretKey').textContent = '';
+    
+    showToast('Two-factor authentication enabled', 'success');
+    showRecoveryCodes(result.recoveryCodes);
+    await loadTotpStatus();
+  } catch (error) {
+    showToast(error.message || 'Failed to enable two-factor', 'error');
+  }
+}
+
+async function disableTotp() {
+  const code = document.getElementById('totpManageCode').value.trim();
+  const password = document.getElementById('totpManagePassword').value;
+  
+  if (!code || (totpPasswordSet && !password)) {
+    showToast(totpPasswordSet ? 'Enter your password and an authentication code' : 'Enter an authentication code', 'warning');
+    return;
+  }
+  
+  if (!confirm('Disable two-factor authentication? Logging in will only require your password.')) return;
+  
+  try {
+    await api.auth.totpDisable(password, code);
+    document.getElementById('totpManageCode').value = '';
+    document.getElementById('totpManagePassword').value = '';
+    showToast('Two-factor authentication disabled', 'success');
+    await loadTotpStatus();
+  } catch (error) {
+    showToast(error.message || 'Failed to disable two-factor', 'error');
+  }
+}
+
+async function regenerateRecoveryCodes() {
+  const code = document.getElementById('totpManageCode').value.trim();
+  
+  if (!code) {
+    showToast('Enter a code from your authenticator app', 'warning');
+    return;
+  }
+  
+  if (!confirm('Generate new recovery codes? Your existing codes will stop working.')) return;
+  
+  try {
+    const result = await api.auth.regenerateRecoveryCodes(code);
+    document.getElementById('totpManageCode').value = '';
+    showRecoveryCodes(result.recoveryCodes);
+  } catch (error) {
+    showToast(error.message || 'Failed to regenerate recovery codes', 'error');
+  }
+}
+
+function showRecoveryCodes(codes) {
+  shownRecoveryCodes = codes || [];
+  document.getElementById('totpRecoveryCodes').textContent = shownRecoveryCodes.join('\n');
+  
+  document.getElementById('totpDisabledSection').style.display = 'none';
+  document.getElementById('totpEnrollSection').style.display = 'none';
+  document.getElementById('totpEnabledSection').style.display = 'none';
+  document.getElementById('totpRecoverySection').style.display = 'block';
+}
+
+async function dismissRecoveryCodes() {
+  shownRecoveryCodes = [];
+  document.getElementById('totpRecoveryCodes').textContent = '';
+  await loadTotpStatus();
+}
+
+async function copyRecoveryCodes() {
+  try {
+    await navigator.clipboard.writeText(shownRecoveryCodes.join('\n'));
+    showToast('Recovery codes copied', 'success');
+  } catch (error) {
+    showToast('Copy failed - select and copy manually', 'warning');
+  }
+}
+
+async function copyTotpSecret() {
+  const secret = document.getElementById('totpSecretKey').textContent.replace(/\s/g, '');
+  try {
+    await navigator.clipboard.writeText(secret);
+    showToast('Secret key copied', 'success');
+  } catch (error) {
+    showToast('Copy failed - select and copy manually', 'warning');
+  }
+}
+
+// Make settings functions global
+window.loadSettings = loadSettings;
+window.deletePasskey = deletePasskey;
+window.revokeSession = revokeSession;
+window.revokeOtherSessions = revokeOtherSessions;
+window.loadLoginHistory = loadLoginHistory;
+window.revokeApiToken = revokeApiToken;
+window.copyNewApiToken = copyNewApiToken;
+window.dismissNewApiToken = dismissNewApiToken;
+window.changeUserRole = changeUserRole;
+window.deleteUserAccount = deleteUserAccount;
+window.clearSecret = clearSecret;
+window.addIpPolicyGroup = addIpPolicyGroup;
+window.removeIpPolicyGroup = removeIpPolicyGroup;
+window.disableTotp = disableTotp;
+window.regenerateRecoveryCodes = regenerateRecoveryCodes;
+window.dismissRecoveryCodes = dismissRecoveryCodes;
+window.copyRecoveryCodes = copyRecoveryCodes;
+window.copyTotpSecret = copyTotpSecret;
 
 // ============================================================================
 // UTILITIES
@@ -3578,6 +6452,12 @@ function showToast(message, type = 'info') {
 // Make functions globally available
 window.togglePassword = togglePassword;
 window.logout = logout;
+window.cancelTotpLogin = cancelTotpLogin;
+window.closeReauthModal = closeReauthModal;
+window.handlePasskeyLogin = handlePasskeyLogin;
+window.handleSsoLogin = handleSsoLogin;
+window.handleSsoReauth = handleSsoReauth;
+window.linkSsoAccount = linkSsoAccount;
 window.showToast = showToast;
 window.loadDashboard = loadDashboard;
 window.forceRefreshDashboard = forceRefreshDashboard;
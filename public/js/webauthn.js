@@ -0,0 +1,126 @@
+// webauthn.js - Browser side of passkey (WebAuthn) ceremonies
+// Converts between the server's JSON options/responses and the binary
+// structures navigator.credentials expects
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+/**
+ * Decode a base64url string to an ArrayBuffer
+ * @param {string} value - base64url string
+ * @returns {ArrayBuffer}
+ */
+function base64urlToBuffer(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+  const binary = atob(padded);
+  
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Encode an ArrayBuffer as base64url
+ * @param {ArrayBuffer} buffer - Binary data
+ * @returns {string} base64url string
+ */
+function bufferToBase64url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// ============================================================================
+// CEREMONIES
+// ============================================================================
+
+const webauthn = {
+  /**
+   * Check whether this browser supports passkeys
+   * @returns {boolean}
+   */
+  isSupported() {
+    return !!(window.PublicKeyCredential && navigator.credentials);
+  },
+  
+  /**
+   * Create a passkey from the server's registration options
+   * @param {Object} options - PublicKeyCredentialCreationOptions (JSON)
+   * @returns {Promise<Object>} RegistrationResponseJSON to send back
+   */
+  async register(options) {
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBuffer(options.challenge),
+        user: {
+          ...options.user,
+          id: base64urlToBuffer(options.user.id),
+        },
+        excludeCredentials: (options.excludeCredentials || []).map(cred => ({
+          ...cred,
+          id: base64urlToBuffer(cred.id),
+        })),
+      },
+    });
+    
+    const response = credential.response;
+    
+    return {
+      id: credential.id,
+      rawId: bufferToBase64url(credential.rawId),
+      type: credential.type,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      response: {
+        clientDataJSON: bufferToBase64url(response.clientDataJSON),
+        attestationObject: bufferToBase64url(response.attestationObject),
+        transports: response.getTransports ? response.getTransports() : [],
+      },
+    };
+  },
+  
+  /**
+   * Sign in with a passkey using the server's authentication options
+   * @param {Object} options - PublicKeyCredentialRequestOptions (JSON)
+   * @returns {Promise<Object>} AuthenticationResponseJSON to send back
+   */
+  async authenticate(options) {
+    const credential = await navigator.credentials.get({
+      publicKey: {
+        ...options,
+        challenge: base64urlToBuffer(options.challenge),
+        allowCredentials: (options.allowCredentials || []).map(cred => ({
+          ...cred,
+          id: base64urlToBuffer(cred.id),
+        })),
+      },
+    });
+    
+    const response = credential.response;
+    
+    return {
+      id: credential.id,
+      rawId: bufferToBase64url(credential.rawId),
+      type: credential.type,
+      clientExtensionResults: credential.getClientExtensionResults(),
+      authenticatorAttachment: credential.authenticatorAttachment || undefined,
+      response: {
+        clientDataJSON: bufferToBase64url(response.clientDataJSON),
+        authenticatorData: bufferToBase64url(response.authenticatorData),
+        signature: bufferToBase64url(response.signature),
+        userHandle: response.userHandle ? bufferToBase64url(response.userHandle) : undefined,
+      },
+    };
+  },
+};
+
+// Export for use in other scripts
+window.webauthn = webauthn;
@@ -0,0 +1,65 @@
+// routes/audit.js - Audit log API routes
+// Query the record of mutating admin actions
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requirePermission } = require('../middleware/require-auth');
+const audit = require('../lib/security/audit');
+
+// All routes require authentication and audit access
+router.use(requireAuth);
+router.use(requirePermission('audit:read'));
+
+// ============================================================================
+// QUERY OPERATIONS
+// ============================================================================
+
+/**
+ * GET /api/audit
+ * Query audit events (newest first)
+ * Query params: user, action (exact or domain prefix), target,
+ * outcome (success|failure), since, until (ISO timestamps), q, limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { user, action, target, outcome, since, until, q, limit, offset } = req.query;
+    
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value && isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `Invalid '${name}' timestamp` });
+      }
+    }
+    
+    const result = audit.queryEvents({
+      username: user,
+      action,
+      target,
+      success: outcome === 'success' ? true : outcome === 'failure' ? false : undefined,
+      since: since ? new Date(since).toISOString() : undefined,
+      until: until ? new Date(until).toISOString() : undefined,
+      search: q,
+      limit,
+      offset,
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error querying audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/audit/filters
+ * Get distinct users and actions for filter dropdowns
+ */
+router.get('/filters', async (req, res) => {
+  try {
+    res.json(audit.getFilterOptions());
+  } catch (error) {
+    console.error('Error getting audit filters:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,123 @@
 const express = require('express');
 const router = express.Router();
 const config = require('../config');
-const { createSession, deleteSession } = require('../lib/auth/sessions');
-const { verifyUser, changePassword, getUserInfo, userExists, createUser, listUsers } = require('../lib/auth/users');
-const { requireAuth } = require('../middleware/require-auth');
-const { loginLimiter, actionLimiter } = require('../lib/security/rate-limit');
+const {
+  createSession, deleteSession, createLoginChallenge, useLoginChallenge, deleteLoginChallenge,
+  listSessionsForUser, deleteSessionById, deleteOtherSessions, getCsrfToken, elevateSession, getSession,
+} = require('../lib/auth/sessions');
+const {
+  verifyUser, changePassword, getUserInfo, userExists, createUser, listUsers, deleteUser, getUserRole, setUserRole,
+  isTotpEnabled, getTotpStatus, beginTotpSetup, enableTotp, verifySecondFactor, disableTotp, regenerateRecoveryCodes,
+  getPasskeyRegistrationInfo, listPasskeys, addPasskey, findPasskey, recordPasskeyUse, deletePasskey,
+  findUserByOidcSubject, isOidcLinked, linkOidcUser, signInOidcUser, hasPassword,
+} = require('../lib/auth/users');
+const webauthn = require('../lib/auth/webauthn');
+const oidc = require('../lib/auth/oidc');
+const { requireAuth, requireSession, requireRecentAuth, requirePermission, hasRequestPermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
+const { PERMISSIONS, SUDO_SCOPE_DESCRIPTION, getPermissionsForRole, getTokenScopesForRole, listRoles } = require('../lib/auth/roles');
+const { createApiToken, listApiTokens, revokeApiToken } = require('../lib/auth/api-tokens');
+const {
+  loginLimiter, actionLimiter, getAccountLockout, recordFailedLogin, clearFailedLogins,
+} = require('../lib/security/rate-limit');
+const loginHistory = require('../lib/security/login-history');
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Create a session for a user and set the session cookie
+ * @param {Object} req - Express request (for client IP / user agent)
+ * @param {Object} res - Express response
+ * @param {string} username - Username to create the session for
+ * @returns {string} CSRF token for the new session
+ */
+function issueSessionCookie(req, res, username) {
+  const token = createSession(username, {
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+  });
+  
+  res.cookie(config.SESSION_COOKIE_NAME, token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: config.SESSION_MAX_AGE,
+  });
+  
+  return getCsrfToken(token);
+}
+
+/**
+ * Record a sign-in attempt in the login history (raises suspicious-login alerts)
+ * @param {Object} req - Express request (for client IP / user agent)
+ * @param {string|null} username - Username tried, if known
+ * @param {string} method - 'password', 'totp', 'passkey' or 'oidc'
+ * @param {string|null} [failure] - Why it failed, or null on success
+ */
+function recordAttempt(req, username, method, failure = null) {
+  loginHistory.recordLoginAttempt({
+    username,
+    ip: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    method,
+    success: !failure,
+    reason: failure,
+  });
+}
+
+/**
+ * Reject a request for an account that is locked out
+ * @param {Object} res - Express response
+ * @param {Object} lockout - Result of getAccountLockout()
+ */
+function sendAccountLocked(res, lockout) {
+  res.set('Retry-After', lockout.retryAfter);
+  res.status(429).json({
+    error: 'Too many failed sign-in attempts for this account. Please try again later.',
+    retryAfter: lockout.retryAfter,
+    accountLocked: true,
+  });
+}
+
+// Binds a single sign-on attempt to the browser that started it
+const OIDC_STATE_COOKIE = 'aethera_oidc_state';
+
+/**
+ * Remember the sign-in state in the browser that started it
+ * @param {Object} res - Express response
+ * @param {string} state - State from oidc.beginLogin()
+ */
+function setOidcStateCookie(res, state) {
+  res.cookie(OIDC_STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax so the cookie comes back on the provider's top-level redirect
+    sameSite: 'lax',
+    maxAge: config.LOGIN_CHALLENGE_TTL,
+    path: '/api/auth/oidc',
+  });
+}
+
+/**
+ * Send the browser to the identity provider, remembering the sign-in state
+ * @param {Object} res - Express response
+ * @param {Object} login - Result of oidc.beginLogin()
+ */
+function redirectToIdp(res, { url, state }) {
+  setOidcStateCookie(res, state);
+  res.redirect(url);
+}
+
+/**
+ * Return from single sign-on to the panel with an error for the login screen
+ * @param {Object} res - Express response
+ * @param {string} message - Error message
+ */
+function redirectWithSsoError(res, message) {
+  res.redirect(`/?sso_error=${encodeURIComponent(message)}`);
+}
 
 // ============================================================================
 // ROUTES
@@ -15,44 +128,174 @@ const { loginLimiter, actionLimiter } = require('../lib/security/rate-limit');
 /**
  * POST /api/auth/login
  * Login with username and password
- * Rate limited: 5 attempts per 15 minutes per IP
+ * If the user has two-factor enabled, no session is created yet - instead a
+ * short-lived challenge is returned to be completed via /login/totp
+ * Rate limited: 5 attempts per 15 minutes per IP, and the account locks
+ * after ACCOUNT_LOCKOUT_ATTEMPTS failures from any IP
  */
 router.post('/login', loginLimiter.middleware(), async (req, res) => {
   try {
-    const ip = req.ip || req.connection.remoteAddress;
     const { username, password } = req.body;
     
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password required' });
     }
     
+    const lockout = getAccountLockout(username);
+    if (lockout.locked) {
+      recordAttempt(req, username, 'password', 'Account locked');
+      return sendAccountLocked(res, lockout);
+    }
+    
     const user = await verifyUser(username, password);
     
     if (!user) {
+      recordFailedLogin(username);
+      recordAttempt(req, username, 'password', 'Invalid credentials');
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Successful login - reset rate limit for this IP
-    loginLimiter.reset(ip);
+    // Password is correct but a second factor is required - don't mint a
+    // session or reset the rate limit until the code has been verified
+    if (isTotpEnabled(user.username)) {
+      const challenge = createLoginChallenge(user.username);
+      return res.json({ requiresTotp: true, challenge });
+    }
     
-    // Create session
-    const token = createSession(user.username);
+    // Successful login - reset rate limits for this IP and account
+    loginLimiter.resetRequest(req);
+    clearFailedLogins(user.username);
+    recordAttempt(req, user.username, 'password');
     
-    // Set cookie
-    res.cookie(config.SESSION_COOKIE_NAME, token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: config.SESSION_MAX_AGE,
-    });
+    const csrfToken = issueSessionCookie(req, res, user.username);
     
-    res.json({ success: true, username: user.username });
+    const role = getUserRole(user.username);
+    res.json({ success: true, username: user.username, role, permissions: getPermissionsForRole(role), csrfToken });
   } catch (e) {
     console.error('Login error:', e);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
+/**
+ * POST /api/auth/login/totp
+ * Complete a two-factor login with a TOTP or recovery code
+ * Body: { challenge, code }
+ * Rate limited: shares the login limiter and account lockout
+ */
+router.post('/login/totp', loginLimiter.middleware(), (req, res) => {
+  try {
+    const { challenge, code } = req.body;
+    
+    if (!challenge || !code) {
+      return res.status(400).json({ error: 'Challenge and code required' });
+    }
+    
+    const pending = useLoginChallenge(challenge);
+    
+    if (!pending) {
+      return res.status(401).json({ error: 'Login expired, please sign in again', challengeExpired: true });
+    }
+    
+    const lockout = getAccountLockout(pending.username);
+    if (lockout.locked) {
+      deleteLoginChallenge(challenge);
+      recordAttempt(req, pending.username, 'totp', 'Account locked');
+      return sendAccountLocked(res, lockout);
+    }
+    
+    const result = verifySecondFactor(pending.username, code);
+    
+    if (!result) {
+      recordFailedLogin(pending.username);
+      recordAttempt(req, pending.username, 'totp', 'Invalid authentication code');
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    deleteLoginChallenge(challenge);
+    loginLimiter.resetRequest(req);
+    clearFailedLogins(pending.username);
+    recordAttempt(req, pending.username, 'totp');
+    
+    const csrfToken = issueSessionCookie(req, res, pending.username);
+    
+    const role = getUserRole(pending.username);
+    res.json({
+      success: true,
+      username: pending.username,
+      role,
+      permissions: getPermissionsForRole(role),
+      csrfToken,
+      method: result.method,
+      recoveryCodesRemaining: result.recoveryCodesRemaining,
+    });
+  } catch (e) {
+    console.error('Two-factor login error:', e);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+/**
+ * POST /api/auth/login/passkey/options
+ * Start a passkey sign-in - returns WebAuthn request options
+ * Rate limited: only by the general API limit (the verification counts as the login attempt)
+ */
+router.post('/login/passkey/options', async (req, res) => {
+  try {
+    const { challengeId, options } = await webauthn.beginAuthentication(req);
+    res.json({ challengeId, options });
+  } catch (e) {
+    console.error('Passkey options error:', e);
+    res.status(500).json({ error: 'Passkey sign-in unavailable' });
+  }
+});
+
+/**
+ * POST /api/auth/login/passkey
+ * Complete a passkey sign-in
+ * Body: { challengeId, response } - response from navigator.credentials.get()
+ * Passkeys require user verification (PIN/biometric), so no TOTP step follows
+ * Rate limited: shares the login limiter. Account lockout doesn't apply -
+ * it guards against password guessing, and a passkey also clears it.
+ */
+router.post('/login/passkey', loginLimiter.middleware(), async (req, res) => {
+  try {
+    const { challengeId, response } = req.body;
+    
+    if (!challengeId || !response?.id) {
+      return res.status(400).json({ error: 'Challenge and passkey response required' });
+    }
+    
+    const found = findPasskey(response.id);
+    
+    if (!found) {
+      recordAttempt(req, null, 'passkey', 'Unknown passkey');
+      return res.status(401).json({ error: 'This passkey is not registered' });
+    }
+    
+    let counter;
+    try {
+      counter = await webauthn.finishAuthentication(req, challengeId, response, found.passkey);
+    } catch (e) {
+      recordAttempt(req, found.username, 'passkey', e.message);
+      return res.status(401).json({ error: e.message });
+    }
+    
+    recordPasskeyUse(found.username, found.passkey.id, counter);
+    loginLimiter.resetRequest(req);
+    clearFailedLogins(found.username);
+    recordAttempt(req, found.username, 'passkey');
+    
+    const csrfToken = issueSessionCookie(req, res, found.username);
+    
+    const role = getUserRole(found.username);
+    res.json({ success: true, username: found.username, role, permissions: getPermissionsForRole(role), csrfToken });
+  } catch (e) {
+    console.error('Passkey login error:', e);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
 /**
  * POST /api/auth/logout
  * Logout and clear session
@@ -79,7 +322,6 @@ router.get('/check', (req, res) => {
     return res.json({ authenticated: false });
   }
   
-  const { getSession } = require('../lib/auth/sessions');
   const session = getSession(token);
   
   if (!session) {
@@ -87,9 +329,15 @@ router.get('/check', (req, res) => {
     return res.json({ authenticated: false });
   }
   
+  const role = getUserRole(session.username);
+  
   res.json({ 
     authenticated: true, 
     username: session.username,
+    ssoLinked: isOidcLinked(session.username),
+    role,
+    permissions: getPermissionsForRole(role),
+    csrfToken: getCsrfToken(token),
   });
 });
 
@@ -108,7 +356,7 @@ router.get('/status', (req, res) => {
  * Change password (requires auth)
  * Rate limited: 10 attempts per 5 minutes
  */
-router.post('/change-password', requireAuth, actionLimiter.middleware(), async (req, res) => {
+router.post('/change-password', requireAuth, requireSession, actionLimiter.middleware(), audit('auth.change-password'), async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
     
@@ -127,6 +375,54 @@ router.post('/change-password', requireAuth, actionLimiter.middleware(), async (
   }
 });
 
+/**
+ * POST /api/auth/reauth
+ * Confirm the password (and TOTP code, if enabled) to enter "sudo mode"
+ * for REAUTH_WINDOW - required before destructive actions
+ * Body: { password, code }
+ * Rate limited: shares the login limiter and account lockout
+ */
+router.post('/reauth', requireAuth, requireSession, loginLimiter.middleware(), audit('auth.reauth', { params: () => null }), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+    
+    const lockout = getAccountLockout(req.username);
+    if (lockout.locked) {
+      return sendAccountLocked(res, lockout);
+    }
+    
+    const user = await verifyUser(req.username, password);
+    if (!user) {
+      recordFailedLogin(req.username);
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+    
+    if (isTotpEnabled(req.username)) {
+      if (!code) {
+        return res.status(400).json({ error: 'Authentication code required', totpRequired: true });
+      }
+      if (!verifySecondFactor(req.username, code)) {
+        recordFailedLogin(req.username);
+        return res.status(401).json({ error: 'Invalid authentication code' });
+      }
+    }
+    
+    clearFailedLogins(req.username);
+    loginLimiter.resetRequest(req);
+    const reauthUntil = elevateSession(req.cookies[config.SESSION_COOKIE_NAME]);
+    console.log(`'${req.username}' re-authenticated for destructive actions`);
+    
+    res.json({ success: true, reauthUntil });
+  } catch (e) {
+    console.error('Re-authentication error:', e);
+    res.status(500).json({ error: 'Re-authentication failed' });
+  }
+});
+
 /**
  * GET /api/auth/user
  * Get current user info
@@ -136,33 +432,599 @@ router.get('/user', requireAuth, (req, res) => {
   res.json(info);
 });
 
+/**
+ * GET /api/auth/roles
+ * List available roles and their permissions
+ */
+router.get('/roles', requireAuth, (req, res) => {
+  res.json(listRoles());
+});
+
 /**
  * GET /api/auth/users
- * List all users (requires auth)
+ * List all users (requires users:manage)
  */
-router.get('/users', requireAuth, (req, res) => {
+router.get('/users', requireAuth, requirePermission('users:manage'), (req, res) => {
   res.json(listUsers());
 });
 
 /**
  * POST /api/auth/users
- * Create a new user (requires auth)
- * Only existing users can create new users
+ * Create a new user (requires users:manage)
+ * Body: { username, password, role } - role defaults to viewer
+ * Requires recent re-authentication
  */
-router.post('/users', requireAuth, actionLimiter.middleware(), async (req, res) => {
+router.post('/users', requireAuth, requirePermission('users:manage'), requireRecentAuth, actionLimiter.middleware(), audit('users.create', { target: (req) => req.body.username }), async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, role } = req.body;
     
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password required' });
     }
     
-    const user = await createUser(username, password);
+    const user = await createUser(username, password, role || 'viewer');
+    console.log(`User '${user.username}' created with role '${user.role}' by '${req.username}'`);
+    
     res.json({ success: true, user });
   } catch (e) {
     res.status(400).json({ error: e.message });
   }
 });
 
+/**
+ * PUT /api/auth/users/:username/role
+ * Change a user's role (requires users:manage)
+ * Body: { role }
+ */
+router.put('/users/:username/role', requireAuth, requirePermission('users:manage'), requireRecentAuth, actionLimiter.middleware(), audit('users.set-role'), (req, res) => {
+  try {
+    const { username } = req.params;
+    const { role } = req.body;
+    
+    if (!role) {
+      return res.status(400).json({ error: 'Role required' });
+    }
+    
+    const result = setUserRole(username, role);
+    console.log(`User '${username}' role set to '${role}' by '${req.username}'`);
+    
+    res.json({ success: true, ...result });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:username
+ * Delete a user and their sessions (requires users:manage)
+ */
+router.delete('/users/:username', requireAuth, requirePermission('users:manage'), requireRecentAuth, actionLimiter.middleware(), audit('users.delete'), (req, res) => {
+  try {
+    const { username } = req.params;
+    
+    if (username === req.username) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    
+    const deleted = deleteUser(username);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    console.log(`User '${username}' deleted by '${req.username}'`);
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// ============================================================================
+// TWO-FACTOR MANAGEMENT
+// ============================================================================
+
+/**
+ * Middleware - confirm the user before changing two-factor settings
+ * Users with a password confirm it in the body; SSO-only users have none,
+ * so they need a recently re-authenticated session instead.
+ */
+function requirePasswordOrRecentAuth(req, res, next) {
+  if (!hasPassword(req.username)) {
+    return requireRecentAuth(req, res, next);
+  }
+  
+  if (!req.body.password) {
+    return res.status(400).json({ error: 'Password required' });
+  }
+  next();
+}
+
+/**
+ * GET /api/auth/totp
+ * Get two-factor status for the current user
+ */
+router.get('/totp', requireAuth, requireSession, (req, res) => {
+  try {
+    res.json(getTotpStatus(req.username));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/totp/setup
+ * Begin two-factor enrollment - returns secret and otpauth URI
+ * Body: { password } - SSO-only users re-authenticate instead
+ */
+router.post('/totp/setup', requireAuth, requireSession, actionLimiter.middleware(), requirePasswordOrRecentAuth, audit('auth.totp-setup'), async (req, res) => {
+  try {
+    const { password } = req.body;
+    const setup = await beginTotpSetup(req.username, password);
+    res.json({ success: true, ...setup });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/totp/enable
+ * Confirm enrollment with a code from the authenticator app
+ * Body: { code }
+ * Returns recovery codes - these are only shown once
+ */
+router.post('/totp/enable', requireAuth, requireSession, actionLimiter.middleware(), audit('auth.totp-enable'), (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+    
+    const recoveryCodes = enableTotp(req.username, code);
+    console.log(`Two-factor enabled for '${req.username}'`);
+    
+    res.json({ success: true, recoveryCodes });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/totp/disable
+ * Disable two-factor authentication
+ * Body: { password, code } - code may be a TOTP or recovery code
+ * SSO-only users re-authenticate instead of sending a password
+ */
+router.post('/totp/disable', requireAuth, requireSession, actionLimiter.middleware(), requirePasswordOrRecentAuth, audit('auth.totp-disable'), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+    
+    await disableTotp(req.username, password, code);
+    console.log(`Two-factor disabled for '${req.username}'`);
+    
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/totp/recovery-codes
+ * Regenerate recovery codes (invalidates the old set)
+ * Body: { code }
+ */
+router.post('/totp/recovery-codes', requireAuth, requireSession, actionLimiter.middleware(), audit('auth.recovery-codes'), (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code required' });
+    }
+    
+    const recoveryCodes = regenerateRecoveryCodes(req.username, code);
+    res.json({ success: true, recoveryCodes });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// ============================================================================
+// PASSKEYS
+// ============================================================================
+
+/**
+ * GET /api/auth/passkeys
+ * List the current user's passkeys
+ */
+router.get('/passkeys', requireAuth, requireSession, (req, res) => {
+  try {
+    res.json(listPasskeys(req.username));
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys/options
+ * Start registering a passkey - returns WebAuthn creation options
+ * Body: { password }
+ */
+router.post('/passkeys/options', requireAuth, requireSession, actionLimiter.middleware(), async (req, res) => {
+  try {
+    const { password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({ error: 'Password required' });
+    }
+    
+    if (!await verifyUser(req.username, password)) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+    
+    const options = await webauthn.beginRegistration(req, getPasskeyRegistrationInfo(req.username));
+    res.json(options);
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/passkeys
+ * Finish registering a passkey
+ * Body: { name, response } - response from navigator.credentials.create()
+ */
+router.post('/passkeys', requireAuth, requireSession, actionLimiter.middleware(), audit('auth.passkey-add', {
+  params: (req) => ({ name: req.body.name }),
+  details: (body) => ({ id: body.passkey?.id, deviceType: body.passkey?.deviceType }),
+}), async (req, res) => {
+  try {
+    const { name, response } = req.body;
+    
+    if (!response) {
+      return res.status(400).json({ error: 'Passkey response required' });
+    }
+    
+    const record = await webauthn.finishRegistration(req, req.username, response);
+    const passkey = addPasskey(req.username, record, name);
+    console.log(`Passkey '${passkey.name}' added for '${req.username}'`);
+    
+    res.json({ success: true, passkey });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/passkeys/:id
+ * Remove a passkey
+ */
+router.delete('/passkeys/:id', requireAuth, requireSession, audit('auth.passkey-remove'), (req, res) => {
+  try {
+    const removed = deletePasskey(req.username, req.params.id);
+    
+    if (!removed) {
+      return res.status(404).json({ error: 'Passkey not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+// ============================================================================
+// SINGLE SIGN-ON (OIDC)
+// ============================================================================
+// Browser redirects rather than JSON - the login screen links to
+// /oidc/login and the provider sends the browser back to /oidc/callback
+
+/**
+ * GET /api/auth/oidc/config
+ * Whether single sign-on is available (for the login screen)
+ */
+router.get('/oidc/config', (req, res) => {
+  res.json(oidc.getPublicConfig());
+});
+
+/**
+ * GET /api/auth/oidc/login
+ * Start a single sign-on (redirects to the identity provider)
+ */
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  
+  try {
+    redirectToIdp(res, await oidc.beginLogin(req));
+  } catch (e) {
+    console.error('SSO login error:', e.message);
+    redirectWithSsoError(res, e.message);
+  }
+});
+
+/**
+ * GET /api/auth/oidc/reauth
+ * Confirm identity with the identity provider to enter sudo mode
+ * For users without a local password; forces a fresh login at the IdP.
+ */
+router.get('/oidc/reauth', requireAuth, requireSession, async (req, res) => {
+  if (!oidc.isEnabled() || !isOidcLinked(req.username)) {
+    return res.status(400).json({ error: 'Your account does not use single sign-on' });
+  }
+  
+  try {
+    redirectToIdp(res, await oidc.beginLogin(req, { intent: 'reauth' }));
+  } catch (e) {
+    console.error('SSO re-authentication error:', e.message);
+    redirectWithSsoError(res, e.message);
+  }
+});
+
+/**
+ * POST /api/auth/oidc/link
+ * Start linking the signed-in account to an identity at the IdP
+ * Returns the IdP URL for the browser to open; the link is made in the callback.
+ * Requires re-authentication - a linked identity can sign in as this user.
+ */
+router.post('/oidc/link', requireAuth, requireSession, requireRecentAuth, audit('auth.sso-link'), async (req, res) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
+  if (isOidcLinked(req.username)) {
+    return res.status(400).json({ error: 'Your account is already linked to single sign-on' });
+  }
+  
+  try {
+    const { url, state } = await oidc.beginLogin(req, { intent: 'link', username: req.username });
+    setOidcStateCookie(res, state);
+    res.json({ url });
+  } catch (e) {
+    console.error('SSO link error:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/auth/oidc/callback
+ * Provider redirect target - verifies the sign-in, maps groups to a role,
+ * finds or creates the local user and issues a session (or finishes a
+ * re-authentication or account link started by a signed-in user)
+ * Rate limited: shares the login limiter
+ */
+router.get('/oidc/callback', loginLimiter.middleware(), async (req, res) => {
+  const state = req.cookies[OIDC_STATE_COOKIE];
+  res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/auth/oidc' });
+  
+  let identity = null;
+  
+  try {
+    identity = await oidc.finishLogin(req, state);
+    
+    if (identity.intent === 'reauth') {
+      const token = req.cookies[config.SESSION_COOKIE_NAME];
+      const session = getSession(token);
+      const linked = findUserByOidcSubject(identity.issuer, identity.subject);
+      
+      if (!session || !linked || linked.username !== session.username) {
+        throw new Error('Confirmed as a different user than the one signed in');
+      }
+      
+      elevateSession(token);
+      console.log(`'${session.username}' re-authenticated via single sign-on`);
+      return res.redirect('/?reauth=sso');
+    }
+    
+    if (identity.intent === 'link') {
+      const session = getSession(req.cookies[config.SESSION_COOKIE_NAME]);
+      if (!session || session.username !== identity.startedBy) {
+        throw new Error('Sign in as the user who started linking single sign-on');
+      }
+      
+      linkOidcUser(session.username, identity);
+      console.log(`'${session.username}' linked to single sign-on identity ${identity.subject}`);
+      return res.redirect('/?sso_linked=1');
+    }
+    
+    const user = signInOidcUser(identity);
+    
+    if (user.created) {
+      console.log(`Created user '${user.username}' (${user.role}) from single sign-on`);
+    }
+    
+    loginLimiter.resetRequest(req);
+    clearFailedLogins(user.username);
+    recordAttempt(req, user.username, 'oidc');
+    issueSessionCookie(req, res, user.username);
+    
+    res.redirect('/');
+  } catch (e) {
+    console.error('SSO callback error:', e.message);
+    if (!['reauth', 'link'].includes(identity?.intent)) {
+      recordAttempt(req, identity?.username || null, 'oidc', e.message);
+    }
+    redirectWithSsoError(res, e.message);
+  }
+});
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions
+ */
+router.get('/sessions', requireAuth, requireSession, (req, res) => {
+  const sessions = listSessionsForUser(req.username).map(session => ({
+    ...session,
+    current: session.id === req.sessionId,
+  }));
+  
+  res.json(sessions);
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere else - revoke all sessions except the current one
+ */
+router.delete('/sessions', requireAuth, requireSession, audit('auth.revoke-other-sessions'), (req, res) => {
+  const token = req.cookies[config.SESSION_COOKIE_NAME];
+  const revoked = deleteOtherSessions(req.username, token);
+  
+  console.log(`Revoked ${revoked} other session(s) for '${req.username}'`);
+  res.json({ success: true, revoked });
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke a specific session
+ */
+router.delete('/sessions/:id', requireAuth, requireSession, audit('auth.revoke-session'), (req, res) => {
+  const { id } = req.params;
+  
+  if (id === req.sessionId) {
+    return res.status(400).json({ error: 'Use logout to end the current session' });
+  }
+  
+  const revoked = deleteSessionById(req.username, id);
+  
+  if (!revoked) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  
+  res.json({ success: true });
+});
+
+// ============================================================================
+// LOGIN HISTORY
+// ============================================================================
+// Users see their own sign-ins and alerts; users:manage sees everyone's,
+// including failures against unknown usernames
+
+/**
+ * GET /api/auth/login-history
+ * List recent sign-in attempts, newest first
+ * Query: all=1 for every user (requires users:manage), limit
+ */
+router.get('/login-history', requireAuth, requireSession, (req, res) => {
+  try {
+    const all = req.query.all === '1';
+    
+    if (all && !hasRequestPermission(req, 'users:manage')) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: 'users:manage' });
+    }
+    
+    res.json(loginHistory.listLoginAttempts({
+      username: all ? undefined : req.username,
+      limit: req.query.limit,
+    }));
+  } catch (e) {
+    console.error('Login history error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * GET /api/auth/alerts
+ * List open suspicious-login alerts (new IPs, bursts of failures)
+ */
+router.get('/alerts', requireAuth, requireSession, (req, res) => {
+  try {
+    const all = hasRequestPermission(req, 'users:manage');
+    res.json(loginHistory.listOpenAlerts({ username: all ? undefined : req.username }));
+  } catch (e) {
+    console.error('Login alerts error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/**
+ * POST /api/auth/alerts/dismiss
+ * Dismiss one alert, or every open alert you can see
+ * Body: { id } - omit to dismiss all
+ */
+router.post('/alerts/dismiss', requireAuth, requireSession, audit('auth.alerts-dismiss', {
+  target: (req) => req.body.id != null ? String(req.body.id) : 'all',
+}), (req, res) => {
+  try {
+    const all = hasRequestPermission(req, 'users:manage');
+    const dismissed = loginHistory.dismissAlerts({
+      id: req.body.id,
+      username: all ? undefined : req.username,
+      dismissedBy: req.username,
+    });
+    
+    res.json({ success: true, dismissed });
+  } catch (e) {
+    console.error('Dismiss alerts error:', e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// ============================================================================
+// API TOKENS
+// ============================================================================
+// Tokens can only be managed from an interactive session, never by another token
+
+/**
+ * GET /api/auth/tokens
+ * List the current user's API tokens (never includes the token itself)
+ */
+router.get('/tokens', requireAuth, requireSession, (req, res) => {
+  res.json(listApiTokens(req.username));
+});
+
+/**
+ * GET /api/auth/tokens/scopes
+ * List scopes the current user may grant to a token
+ */
+router.get('/tokens/scopes', requireAuth, requireSession, (req, res) => {
+  res.json(getTokenScopesForRole(req.role).map(name => ({
+    name,
+    description: PERMISSIONS[name] || SUDO_SCOPE_DESCRIPTION,
+  })));
+});
+
+/**
+ * POST /api/auth/tokens
+ * Create an API token
+ * Body: { name, scopes: [...], expiresInDays? }
+ * The raw token is only returned in this response
+ */
+router.post('/tokens', requireAuth, requireSession, actionLimiter.middleware(), audit('auth.token-create', {
+  details: (body) => ({ id: body.info?.id, name: body.info?.name, scopes: body.info?.scopes }),
+}), (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    const { token, info } = createApiToken(req.username, req.role, { name, scopes, expiresInDays });
+    console.log(`API token '${info.name}' (${info.id}) created by '${req.username}' with scopes: ${info.scopes.join(', ')}`);
+    
+    res.json({ success: true, token, info });
+  } catch (e) {
+    res.status(400).json({ error: e.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke an API token
+ */
+router.delete('/tokens/:id', requireAuth, requireSession, audit('auth.token-revoke'), (req, res) => {
+  const revoked = revokeApiToken(req.username, req.params.id);
+  
+  if (!revoked) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  
+  console.log(`API token ${req.params.id} revoked by '${req.username}'`);
+  res.json({ success: true });
+});
+
 module.exports = router;
 
@@ -3,11 +3,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requireRecentAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const blog = require('../lib/content/blog');
 
-// All blog routes require authentication
+// All blog routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('blog:read'));
 
 // ============================================================================
 // POSTS
@@ -59,7 +61,9 @@ router.get('/posts/:id', async (req, res) => {
  * POST /api/blog/posts
  * Create a new post
  */
-router.post('/posts', async (req, res) => {
+router.post('/posts', requirePermission('blog:write'), audit('blog.create', {
+  details: (body) => ({ id: body.post?.id, title: body.post?.title }),
+}), async (req, res) => {
   try {
     const {
       title,
@@ -102,7 +106,9 @@ router.post('/posts', async (req, res) => {
  * PUT /api/blog/posts/:id
  * Update an existing post
  */
-router.put('/posts/:id', async (req, res) => {
+router.put('/posts/:id', requirePermission('blog:write'), audit('blog.update', {
+  details: (body) => ({ title: body.post?.title }),
+}), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     if (isNaN(id)) {
@@ -144,8 +150,9 @@ router.put('/posts/:id', async (req, res) => {
 /**
  * DELETE /api/blog/posts/:id
  * Delete a post
+ * Requires recent re-authentication
  */
-router.delete('/posts/:id', async (req, res) => {
+router.delete('/posts/:id', requirePermission('blog:delete'), requireRecentAuth, audit('blog.delete'), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     if (isNaN(id)) {
@@ -172,7 +179,9 @@ router.delete('/posts/:id', async (req, res) => {
  * POST /api/blog/posts/:id/publish
  * Publish a post
  */
-router.post('/posts/:id/publish', async (req, res) => {
+router.post('/posts/:id/publish', requirePermission('blog:write'), audit('blog.publish', {
+  details: (body) => ({ title: body.post?.title }),
+}), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     if (isNaN(id)) {
@@ -194,7 +203,9 @@ router.post('/posts/:id/publish', async (req, res) => {
  * POST /api/blog/posts/:id/unpublish
  * Unpublish a post (revert to draft)
  */
-router.post('/posts/:id/unpublish', async (req, res) => {
+router.post('/posts/:id/unpublish', requirePermission('blog:write'), audit('blog.unpublish', {
+  details: (body) => ({ title: body.post?.title }),
+}), async (req, res) => {
   try {
     const id = parseInt(req.params.id);
     if (isNaN(id)) {
@@ -220,7 +231,7 @@ router.post('/posts/:id/unpublish', async (req, res) => {
  * POST /api/blog/preview
  * Preview markdown content as HTML (without saving)
  */
-router.post('/preview', async (req, res) => {
+router.post('/preview', requirePermission('blog:write'), async (req, res) => {
   try {
     const { content } = req.body;
     
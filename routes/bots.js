@@ -2,11 +2,17 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requireRecentAuth, requirePermission, hasRequestPermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const chapterx = require('../lib/services/chapterx');
+const botTemplates = require('../lib/services/bot-templates');
+const configHistory = require('../lib/services/config-history');
+const botSecrets = require('../lib/services/bot-secrets');
+const botMonitor = require('../lib/services/bot-monitor');
 
-// All routes require authentication
+// All routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('bots:read'));
 
 // ============================================================================
 // BOT LISTING
@@ -43,7 +49,7 @@ router.get('/', async (req, res) => {
  * POST /api/bots/rescan
  * Force rescan of bots directory
  */
-router.post('/rescan', async (req, res) => {
+router.post('/rescan', requirePermission('bots:control'), async (req, res) => {
   try {
     const bots = await chapterx.listBots();
     res.json({ 
@@ -57,6 +63,213 @@ router.post('/rescan', async (req, res) => {
   }
 });
 
+// ============================================================================
+// BOT CREATION
+// ============================================================================
+
+/**
+ * GET /api/bots/templates
+ * List templates for new bots
+ */
+router.get('/templates', async (req, res) => {
+  try {
+    res.json(botTemplates.listTemplates());
+  } catch (error) {
+    console.error('Error listing bot templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/bots
+ * Create a bot from a template or by cloning another bot's config (credentials blanked)
+ * Body: { name, template } or { name, cloneFrom }, plus optional slot to start it on
+ */
+router.post('/', requirePermission('bots:admin'), audit('bots.create', {
+  target: (req) => req.body.name,
+  details: (body) => ({ strippedKeys: body.bot?.strippedKeys }),
+}), async (req, res) => {
+  try {
+    const { name, template, cloneFrom, slot } = req.body;
+    
+    const bot = await chapterx.createBot(name, { template, cloneFrom, slot });
+    console.log(`Created bot '${bot.name}' from ${cloneFrom ? `'${cloneFrom}'` : `template '${template}'`}`);
+    
+    res.status(201).json({ 
+      success: true,
+      bot,
+    });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error creating bot:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// BOT GROUPS & BULK OPERATIONS
+// ============================================================================
+
+// Permission each bulk action needs - the same as its single-bot route
+// (switch-slot restarts running bots, which also needs bots:restart)
+const BULK_PERMISSIONS = {
+  'start': 'bots:control',
+  'stop': 'bots:control',
+  'restart': 'bots:restart',
+  'switch-slot': 'bots:control',
+};
+
+/**
+ * GET /api/bots/groups
+ * List bot groups with their bots
+ */
+router.get('/groups', (req, res) => {
+  try {
+    res.json({ groups: chapterx.listGroups() });
+  } catch (error) {
+    console.error('Error listing bot groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/bots/:name/groups
+ * Replace the groups a bot is tagged with
+ * Body: { groups: ['prod', 'discord'] }
+ */
+router.put('/:name/groups', requirePermission('bots:configure'), audit('bots.groups', {
+  details: (body) => ({ groups: body.groups }),
+}), async (req, res) => {
+  try {
+    const groups = await chapterx.setBotGroups(req.params.name, req.body.groups);
+    
+    res.json({
+      success: true,
+      name: req.params.name,
+      groups,
+    });
+  } catch (error) {
+    console.error('Error setting bot groups:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/bots/bulk
+ * Start, stop, restart or switch the slot of several bots
+ * Body: { action, bots: ['a', 'b'], group, slot } - bots and group are combined
+ * Returns per-bot results; one bot failing doesn't stop the others.
+ */
+router.post('/bulk', audit('bots.bulk', {
+  target: (req) => req.body.group ? `group:${req.body.group}` : (req.body.bots || []).join(', '),
+  details: (body) => ({
+    bots: body.results?.map(r => r.name),
+    succeeded: body.succeeded,
+    skipped: body.skipped,
+  }),
+}), async (req, res) => {
+  try {
+    const { action, bots, group, slot } = req.body;
+    
+    const permission = BULK_PERMISSIONS[action];
+    if (!permission) {
+      return res.status(400).json({ error: `Action must be one of: ${Object.keys(BULK_PERMISSIONS).join(', ')}` });
+    }
+    if (!hasRequestPermission(req, permission)) {
+      return res.status(403).json({ error: `Bulk ${action} requires the '${permission}' permission` });
+    }
+    
+    const botNames = await chapterx.resolveBulkTargets({ bots, group });
+    
+    console.log(`Bulk ${action} of ${botNames.join(', ')}${slot ? ` (slot '${slot}')` : ''} by ${req.username}`);
+    const result = await chapterx.runBulkAction(action, botNames, {
+      slot,
+      canRestart: hasRequestPermission(req, 'bots:restart'),
+    });
+    
+    res.json({
+      success: result.failed === 0,
+      ...result,
+      error: result.failed > 0 ? `${result.failed} of ${botNames.length} bots failed` : undefined,
+    });
+  } catch (error) {
+    console.error('Error running bulk bot action:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// BOT ARCHIVE
+// ============================================================================
+
+/**
+ * GET /api/bots/archive
+ * List archived bots
+ */
+router.get('/archive', async (req, res) => {
+  try {
+    res.json(await chapterx.listArchivedBots());
+  } catch (error) {
+    console.error('Error listing archived bots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/bots/:name/archive
+ * Stop a bot, remove its service files and move it to the archive
+ */
+router.post('/:name/archive', requirePermission('bots:admin'), audit('bots.archive', {
+  details: (body) => ({ archiveId: body.id, cleaned: body.cleaned?.length }),
+}), async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    const result = await chapterx.archiveBot(name, { archivedBy: req.username });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error archiving bot:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/bots/archive/:id/restore
+ * Restore an archived bot
+ * Body: { name } (optional - restore under a different name)
+ */
+router.post('/archive/:id/restore', requirePermission('bots:admin'), audit('bots.restore', {
+  details: (body) => ({ name: body.bot?.name }),
+}), async (req, res) => {
+  try {
+    const bot = await chapterx.restoreBot(req.params.id, { name: req.body.name || undefined });
+    
+    res.json({ success: true, bot });
+  } catch (error) {
+    console.error('Error restoring bot:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/bots/archive/:id
+ * Permanently delete an archived bot
+ * Requires recent re-authentication
+ */
+router.delete('/archive/:id', requirePermission('bots:admin'), requireRecentAuth, audit('bots.delete'), async (req, res) => {
+  try {
+    const result = await chapterx.deleteArchivedBot(req.params.id);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error deleting archived bot:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // SINGLE BOT OPERATIONS
 // ============================================================================
@@ -80,7 +293,7 @@ router.get('/:name', async (req, res) => {
  * POST /api/bots/:name/start
  * Start a bot
  */
-router.post('/:name/start', async (req, res) => {
+router.post('/:name/start', requirePermission('bots:control'), audit('bots.start'), async (req, res) => {
   try {
     const { name } = req.params;
     const { slot = 'main' } = req.body;
@@ -99,7 +312,7 @@ router.post('/:name/start', async (req, res) => {
  * POST /api/bots/:name/stop
  * Stop a bot
  */
-router.post('/:name/stop', async (req, res) => {
+router.post('/:name/stop', requirePermission('bots:control'), audit('bots.stop'), async (req, res) => {
   try {
     const { name } = req.params;
     const { force = false } = req.body;
@@ -118,7 +331,7 @@ router.post('/:name/stop', async (req, res) => {
  * POST /api/bots/:name/restart
  * Restart a bot
  */
-router.post('/:name/restart', async (req, res) => {
+router.post('/:name/restart', requirePermission('bots:restart'), audit('bots.restart'), async (req, res) => {
   try {
     const { name } = req.params;
     const { slot } = req.body; // Optional: change slot on restart
@@ -161,11 +374,51 @@ router.get('/:name/logs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/bots/:name/restarts?limit=50
+ * Restart history (automatic restarts, crash loops, auto-stops) and crash-loop status
+ */
+router.get('/:name/restarts', async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    res.json({ 
+      name,
+      crashLoop: botMonitor.getCrashLoopStatus(name),
+      events: botMonitor.listEvents(name, req.query.limit),
+    });
+  } catch (error) {
+    console.error('Error getting restart history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /api/bots/:name/config
- * Get bot configuration
+ * Get bot configuration with secrets replaced by a placeholder
+ * redacted lists the key paths hidden; saving the placeholder back keeps the stored value.
  */
 router.get('/:name/config', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { content, redacted } = botSecrets.redactSecrets(await chapterx.getBotConfig(name));
+    
+    res.json({ 
+      name,
+      config: content,
+      redacted,
+    });
+  } catch (error) {
+    console.error('Error getting bot config:', error);
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/bots/:name/config/reveal
+ * Get bot configuration with secrets (requires recent re-authentication)
+ */
+router.get('/:name/config/reveal', requirePermission('bots:configure'), requireRecentAuth, audit('bots.config-reveal'), async (req, res) => {
   try {
     const { name } = req.params;
     const config = await chapterx.getBotConfig(name);
@@ -175,7 +428,7 @@ router.get('/:name/config', async (req, res) => {
       config,
     });
   } catch (error) {
-    console.error('Error getting bot config:', error);
+    console.error('Error revealing bot config:', error);
     res.status(404).json({ error: error.message });
   }
 });
@@ -183,29 +436,122 @@ router.get('/:name/config', async (req, res) => {
 /**
  * POST /api/bots/:name/config
  * Save bot configuration
+ * Body: { config, message } - message is optional and shown in the history
+ * Invalid YAML or schema errors are rejected with validationErrors: [{ line, column, key, message }]
+ * Saved configs may come back with warnings in the same shape (e.g. a model with no known pricing)
  */
-router.post('/:name/config', async (req, res) => {
+router.post('/:name/config', requirePermission('bots:configure'), audit('bots.config', {
+  params: (req) => ({ bytes: typeof req.body.config === 'string' ? Buffer.byteLength(req.body.config) : 0 }),
+}), async (req, res) => {
   try {
     const { name } = req.params;
-    const { config } = req.body;
+    const { config, message } = req.body;
     
     if (!config || typeof config !== 'string') {
       return res.status(400).json({ error: 'Config content required' });
     }
     
-    await chapterx.setBotConfig(name, config);
+    const { revision, warnings } = await chapterx.setBotConfig(name, config, { username: req.username, message });
     console.log(`Updated config for bot '${name}'`);
     
     res.json({ 
       success: true,
       name,
+      revision,
+      warnings,
     });
   } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
     console.error('Error saving bot config:', error);
     res.status(400).json({ error: error.message });
   }
 });
 
+// ============================================================================
+// CONFIG HISTORY
+// ============================================================================
+
+/**
+ * GET /api/bots/:name/config/history
+ * List config revisions, newest first
+ */
+router.get('/:name/config/history', async (req, res) => {
+  try {
+    res.json(configHistory.listRevisions(req.params.name));
+  } catch (error) {
+    console.error('Error listing config history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/bots/:name/config/history/:id
+ * Get one config revision with its content (secrets redacted)
+ */
+router.get('/:name/config/history/:id', async (req, res) => {
+  try {
+    const revision = configHistory.getRevision(req.params.name, parseInt(req.params.id, 10));
+    const { content, redacted } = botSecrets.redactSecrets(revision.content);
+    
+    res.json({ ...revision, content, redacted });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/bots/:name/config/diff?from=<id>&to=<id>
+ * Unified diff between two config revisions
+ */
+router.get('/:name/config/diff', async (req, res) => {
+  try {
+    const from = parseInt(req.query.from, 10);
+    const to = parseInt(req.query.to, 10);
+    
+    res.json({ 
+      from,
+      to,
+      diff: configHistory.diffRevisions(req.params.name, from, to),
+    });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/bots/:name/config/rollback
+ * Restore an earlier config revision
+ * Body: { revisionId, restart } - restart needs bots:restart and only applies to a running bot
+ */
+router.post('/:name/config/rollback', requirePermission('bots:configure'), audit('bots.config-rollback', {
+  details: (body) => ({ revision: body.revision?.id, restarted: body.restarted }),
+}), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { revisionId, restart } = req.body;
+    
+    if (restart && !hasRequestPermission(req, 'bots:restart')) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: 'bots:restart' });
+    }
+    
+    const result = await chapterx.rollbackBotConfig(name, parseInt(revisionId, 10), {
+      username: req.username,
+      restart: !!restart,
+    });
+    console.log(`Rolled back config for bot '${name}' to revision ${revisionId}`);
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.validationErrors) {
+      return res.status(400).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    console.error('Error rolling back bot config:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // ============================================================================
 // DEPLOY SLOTS
 // ============================================================================
@@ -228,7 +574,7 @@ router.get('/slots/info', async (req, res) => {
  * POST /api/bots/:name/slot
  * Set preferred slot for a bot (persists selection before starting)
  */
-router.post('/:name/slot', async (req, res) => {
+router.post('/:name/slot', requirePermission('bots:control'), audit('bots.slot'), async (req, res) => {
   try {
     const { name } = req.params;
     const { slot } = req.body;
@@ -259,7 +605,7 @@ router.post('/:name/slot', async (req, res) => {
  * POST /api/bots/:name/cleanup
  * Clean up orphaned service files for a specific bot
  */
-router.post('/:name/cleanup', async (req, res) => {
+router.post('/:name/cleanup', requirePermission('bots:admin'), audit('bots.cleanup'), async (req, res) => {
   try {
     const { name } = req.params;
     
@@ -276,8 +622,9 @@ router.post('/:name/cleanup', async (req, res) => {
 /**
  * POST /api/bots/cleanup/all
  * Clean up all orphaned service files across all bots
+ * Requires recent re-authentication
  */
-router.post('/cleanup/all', async (req, res) => {
+router.post('/cleanup/all', requirePermission('bots:admin'), requireRecentAuth, audit('bots.cleanup-all'), async (req, res) => {
   try {
     console.log('Cleaning up all orphaned service files...');
     const result = await chapterx.cleanupAllOrphanedServices();
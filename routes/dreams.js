@@ -3,7 +3,56 @@
 
 const express = require('express');
 const router = express.Router();
+const { requireAuth, requireRecentAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const dreams = require('../lib/services/dreams');
+const bootstrapTokens = require('../lib/auth/bootstrap-tokens');
+
+// ============================================================================
+// SECRETS ENDPOINT (for pods to retrieve credentials)
+// ============================================================================
+// Registered before the session/API-token auth below - pods authenticate
+// with their own per-pod bootstrap token instead.
+
+/**
+ * GET /api/dreams/secrets/:podType
+ * Get secrets for a pod type (used by pods during startup)
+ * 
+ * Query params:
+ *   - token: Bootstrap token for authentication
+ * 
+ * NOTE: This endpoint is protected by a per-pod bootstrap token.
+ * Each pod gets its own token when it is created, passed via the
+ * POD_BOOTSTRAP_TOKEN env var. It expires POD_BOOTSTRAP_TOKEN_TTL after the
+ * panel last started the pod, and dies when the pod is terminated. The old
+ * shared env token is still accepted until POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL.
+ */
+router.get('/secrets/:podType', async (req, res) => {
+  try {
+    const { podType } = req.params;
+    const token = req.query.token || req.headers['x-bootstrap-token'];
+    
+    if (!['comfyui', 'dreamgen'].includes(podType)) {
+      return res.status(400).json({ error: 'Invalid pod type' });
+    }
+    
+    const secrets = dreams.getPodSecrets(podType, token);
+    
+    if (secrets === null) {
+      // Invalid or missing token
+      return res.status(401).json({ error: 'Unauthorized - invalid or missing bootstrap token' });
+    }
+    
+    res.json(secrets);
+  } catch (error) {
+    console.error('Get secrets error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// All other routes require authentication and read access; writes declare their own permission
+router.use(requireAuth);
+router.use(requirePermission('dreams:read'));
 
 // ============================================================================
 // STATUS ENDPOINTS
@@ -87,7 +136,7 @@ router.get('/jobs/:jobId', async (req, res) => {
  * Force start the GPU (admin override)
  * Submits a job to RunPod, bypassing presence detection
  */
-router.post('/start', async (req, res) => {
+router.post('/start', requirePermission('dreams:control'), audit('dreams.start'), async (req, res) => {
   try {
     // First check if already running
     const status = await dreams.getStatus();
@@ -131,7 +180,7 @@ router.post('/start', async (req, res) => {
  * Optional body:
  * - jobId: Specific job ID to cancel (if not provided, cancels all known jobs)
  */
-router.post('/stop', async (req, res) => {
+router.post('/stop', requirePermission('dreams:control'), audit('dreams.stop'), async (req, res) => {
   try {
     // req.body might be undefined if no JSON body sent
     const jobId = req.body?.jobId || null;
@@ -153,7 +202,7 @@ router.post('/stop', async (req, res) => {
  * POST /api/dreams/restart
  * Restart the GPU (stop then start)
  */
-router.post('/restart', async (req, res) => {
+router.post('/restart', requirePermission('dreams:control'), audit('dreams.restart'), async (req, res) => {
   try {
     // Stop any running jobs
     try {
@@ -187,7 +236,7 @@ router.post('/restart', async (req, res) => {
  * POST /api/dreams/cancel/:jobId
  * Cancel a specific job by ID
  */
-router.post('/cancel/:jobId', async (req, res) => {
+router.post('/cancel/:jobId', requirePermission('dreams:control'), audit('dreams.cancel-job'), async (req, res) => {
   try {
     const result = await dreams.cancelJob(req.params.jobId);
     res.json(result);
@@ -240,7 +289,7 @@ router.get('/pods/status', async (req, res) => {
  * POST /api/dreams/pods/start
  * Start both pods in sequence (ComfyUI first, wait for registration, then DreamGen)
  */
-router.post('/pods/start', async (req, res) => {
+router.post('/pods/start', requirePermission('dreams:control'), audit('dreams.pods-start'), async (req, res) => {
   try {
     // Check current state
     const currentStatus = await dreams.getDreamsStatus();
@@ -268,7 +317,7 @@ router.post('/pods/start', async (req, res) => {
  * POST /api/dreams/pods/stop
  * Stop both pods (DreamGen first, unregister, then ComfyUI)
  */
-router.post('/pods/stop', async (req, res) => {
+router.post('/pods/stop', requirePermission('dreams:control'), audit('dreams.pods-stop'), async (req, res) => {
   try {
     const result = await dreams.stopDreams();
     res.json(result);
@@ -353,7 +402,7 @@ router.get('/pods/dreamgen', async (req, res) => {
  * POST /api/dreams/pods/comfyui/start
  * Start ComfyUI pod only (for manual control)
  */
-router.post('/pods/comfyui/start', async (req, res) => {
+router.post('/pods/comfyui/start', requirePermission('dreams:control'), audit('dreams.pod-start', { target: () => 'comfyui' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('comfyui');
     if (!podId) {
@@ -371,7 +420,7 @@ router.post('/pods/comfyui/start', async (req, res) => {
  * POST /api/dreams/pods/comfyui/stop
  * Stop ComfyUI pod only (for manual control)
  */
-router.post('/pods/comfyui/stop', async (req, res) => {
+router.post('/pods/comfyui/stop', requirePermission('dreams:control'), audit('dreams.pod-stop', { target: () => 'comfyui' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('comfyui');
     if (!podId) {
@@ -392,7 +441,7 @@ router.post('/pods/comfyui/stop', async (req, res) => {
  * POST /api/dreams/pods/dreamgen/start
  * Start DreamGen pod only (for manual control)
  */
-router.post('/pods/dreamgen/start', async (req, res) => {
+router.post('/pods/dreamgen/start', requirePermission('dreams:control'), audit('dreams.pod-start', { target: () => 'dreamgen' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('dreamgen');
     if (!podId) {
@@ -410,7 +459,7 @@ router.post('/pods/dreamgen/start', async (req, res) => {
  * POST /api/dreams/pods/dreamgen/stop
  * Stop DreamGen pod only (for manual control)
  */
-router.post('/pods/dreamgen/stop', async (req, res) => {
+router.post('/pods/dreamgen/stop', requirePermission('dreams:control'), audit('dreams.pod-stop', { target: () => 'dreamgen' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('dreamgen');
     if (!podId) {
@@ -434,7 +483,7 @@ router.post('/pods/dreamgen/stop', async (req, res) => {
  * Update both pods (triggers reset and pulls latest images)
  * Stops pods first, then updates sequentially
  */
-router.post('/pods/update', async (req, res) => {
+router.post('/pods/update', requirePermission('dreams:control'), audit('dreams.pods-update'), async (req, res) => {
   try {
     const results = {
       success: true,
@@ -495,7 +544,7 @@ router.post('/pods/update', async (req, res) => {
  * POST /api/dreams/pods/comfyui/update
  * Update ComfyUI pod only (triggers reset and pulls latest image)
  */
-router.post('/pods/comfyui/update', async (req, res) => {
+router.post('/pods/comfyui/update', requirePermission('dreams:control'), audit('dreams.pod-update', { target: () => 'comfyui' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('comfyui');
     if (!podId) {
@@ -524,7 +573,7 @@ router.post('/pods/comfyui/update', async (req, res) => {
  * POST /api/dreams/pods/dreamgen/update
  * Update DreamGen pod only (triggers reset and pulls latest image)
  */
-router.post('/pods/dreamgen/update', async (req, res) => {
+router.post('/pods/dreamgen/update', requirePermission('dreams:control'), audit('dreams.pod-update', { target: () => 'dreamgen' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('dreamgen');
     if (!podId) {
@@ -556,8 +605,9 @@ router.post('/pods/dreamgen/update', async (req, res) => {
  * DELETE /api/dreams/pods/comfyui
  * Terminate (delete) the ComfyUI pod entirely
  * WARNING: This deletes the pod - you'll need to recreate it!
+ * Requires recent re-authentication
  */
-router.delete('/pods/comfyui', async (req, res) => {
+router.delete('/pods/comfyui', requirePermission('dreams:admin'), requireRecentAuth, audit('dreams.pod-terminate', { target: () => 'comfyui' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('comfyui');
     if (!podId) {
@@ -583,7 +633,7 @@ router.delete('/pods/comfyui', async (req, res) => {
  * Terminate (delete) the DreamGen pod entirely
  * WARNING: This deletes the pod - you'll need to recreate it!
  */
-router.delete('/pods/dreamgen', async (req, res) => {
+router.delete('/pods/dreamgen', requirePermission('dreams:admin'), requireRecentAuth, audit('dreams.pod-terminate', { target: () => 'dreamgen' }), async (req, res) => {
   try {
     const podId = await getPodIdByType('dreamgen');
     if (!podId) {
@@ -618,7 +668,7 @@ router.get('/errors', async (req, res) => {
  * DELETE /api/dreams/errors/:pod
  * Clear error for a specific pod
  */
-router.delete('/errors/:pod', async (req, res) => {
+router.delete('/errors/:pod', requirePermission('dreams:control'), audit('dreams.clear-error'), async (req, res) => {
   try {
     const { pod } = req.params;
     if (!['comfyui', 'dreamgen', 'general'].includes(pod)) {
@@ -635,7 +685,7 @@ router.delete('/errors/:pod', async (req, res) => {
  * DELETE /api/dreams/errors
  * Clear all errors
  */
-router.delete('/errors', async (req, res) => {
+router.delete('/errors', requirePermission('dreams:control'), audit('dreams.clear-error', { target: () => 'all' }), async (req, res) => {
   try {
     dreams.clearError('comfyui');
     dreams.clearError('dreamgen');
@@ -680,7 +730,7 @@ router.get('/state', async (req, res) => {
  * DELETE /api/dreams/state
  * Clear saved generation state (fresh start)
  */
-router.delete('/state', async (req, res) => {
+router.delete('/state', requirePermission('dreams:admin'), requireRecentAuth, audit('dreams.reset-state'), async (req, res) => {
   try {
     const result = await dreams.clearState();
     res.json(result);
@@ -811,7 +861,7 @@ router.get('/lifecycle/templates', async (req, res) => {
  * 2. Starts if exists, creates if not
  * 3. Handles GPU unavailability by recreating
  */
-router.post('/lifecycle/ensure/:podType', async (req, res) => {
+router.post('/lifecycle/ensure/:podType', requirePermission('dreams:control'), audit('dreams.pod-ensure'), async (req, res) => {
   try {
     const { podType } = req.params;
     
@@ -841,7 +891,7 @@ router.post('/lifecycle/ensure/:podType', async (req, res) => {
  * POST /api/dreams/lifecycle/create/:podType
  * Create a new pod from template (force creation, no discovery)
  */
-router.post('/lifecycle/create/:podType', async (req, res) => {
+router.post('/lifecycle/create/:podType', requirePermission('dreams:control'), audit('dreams.pod-create'), async (req, res) => {
   try {
     const { podType } = req.params;
     
@@ -858,55 +908,76 @@ router.post('/lifecycle/create/:podType', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/dreams/secrets/status
+ * Get secret configuration status (no actual secrets)
+ * Useful for checking if secrets are properly configured
+ */
+router.get('/secrets-status', async (req, res) => {
+  try {
+    const status = dreams.getSecretConfigStatus();
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ============================================================================
-// SECRETS ENDPOINT (for pods to retrieve credentials)
+// BOOTSTRAP TOKENS
 // ============================================================================
 
 /**
- * GET /api/dreams/secrets/:podType
- * Get secrets for a pod type (used by pods during startup)
- * 
- * Query params:
- *   - token: Bootstrap token for authentication
- * 
- * NOTE: This endpoint is protected by a bootstrap token.
- * The token should be passed to pods via a minimal env var,
- * and they use it to retrieve full secrets from the admin server.
+ * GET /api/dreams/bootstrap-tokens
+ * Get bootstrap token status per pod (no token values)
  */
-router.get('/secrets/:podType', async (req, res) => {
+router.get('/bootstrap-tokens', async (req, res) => {
   try {
-    const { podType } = req.params;
-    const token = req.query.token || req.headers['x-bootstrap-token'];
+    res.json(bootstrapTokens.getBootstrapTokenStatus());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/dreams/bootstrap-tokens/:podId/rotate
+ * Issue a new bootstrap token for a pod, invalidating its old one
+ * The token is returned once so it can be set on the pod's env manually.
+ */
+router.post('/bootstrap-tokens/:podId/rotate', requirePermission('dreams:admin'), audit('dreams.bootstrap-rotate'), async (req, res) => {
+  try {
+    const { podId } = req.params;
+    const podType = bootstrapTokens.getTokenPodType(podId);
     
-    if (!['comfyui', 'dreamgen'].includes(podType)) {
-      return res.status(400).json({ error: 'Invalid pod type' });
+    if (!podType) {
+      return res.status(404).json({ error: 'No bootstrap token issued for this pod' });
     }
     
-    const secrets = dreams.getPodSecrets(podType, token);
+    const result = bootstrapTokens.issueBootstrapToken(podType, { podId, issuedBy: req.username });
     
-    if (secrets === null) {
-      // Invalid or missing token
-      return res.status(401).json({ error: 'Unauthorized - invalid or missing bootstrap token' });
-    }
-    
-    res.json(secrets);
+    console.log(`Bootstrap token for pod '${podId}' rotated by '${req.username}'`);
+    res.json({ success: true, token: result.token, info: result.info });
   } catch (error) {
-    console.error('Get secrets error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
 /**
- * GET /api/dreams/secrets/status
- * Get secret configuration status (no actual secrets)
- * Useful for checking if secrets are properly configured
+ * DELETE /api/dreams/bootstrap-tokens/:podId
+ * Revoke a pod's bootstrap token
  */
-router.get('/secrets-status', async (req, res) => {
+router.delete('/bootstrap-tokens/:podId', requirePermission('dreams:admin'), audit('dreams.bootstrap-revoke'), async (req, res) => {
   try {
-    const status = dreams.getSecretConfigStatus();
-    res.json(status);
+    const { podId } = req.params;
+    const revoked = bootstrapTokens.revokeBootstrapToken(podId);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'No bootstrap token issued for this pod' });
+    }
+    
+    console.log(`Bootstrap token for pod '${podId}' revoked by '${req.username}'`);
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
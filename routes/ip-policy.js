@@ -0,0 +1,66 @@
+// routes/ip-policy.js - Network access policy API routes
+// View and edit the IP allow/deny policy
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
+const ipPolicy = require('../lib/security/ip-policy');
+
+// All routes require authentication and network policy access
+router.use(requireAuth);
+router.use(requirePermission('network:manage'));
+
+// ============================================================================
+// POLICY OPERATIONS
+// ============================================================================
+
+/**
+ * GET /api/ip-policy
+ * Get the current policy, the caller's IP and suggested route groups
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      policy: ipPolicy.getPolicy(),
+      clientIp: ipPolicy.normalizeIp(req.ip),
+      disabledByEnv: ipPolicy.isDisabledByEnv(),
+      suggestedGroups: ipPolicy.SUGGESTED_GROUPS,
+    });
+  } catch (error) {
+    console.error('Get IP policy error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/ip-policy
+ * Replace the policy
+ * Body: { enabled, global: { allow, deny }, groups: [{ prefix, allow, deny }] }
+ * Rejected with 409 if it would block the caller's current IP
+ */
+router.put('/', audit('network.policy-update', {
+  target: () => 'ip-policy',
+  details: (body) => ({
+    enabled: body.policy?.enabled,
+    groups: body.policy?.groups.map(group => group.prefix),
+  }),
+}), async (req, res) => {
+  try {
+    const policy = ipPolicy.savePolicy(req.body, { ip: req.ip, updatedBy: req.username });
+    console.log(`IP policy updated by '${req.username}' (${policy.enabled ? 'enabled' : 'disabled'})`);
+    
+    res.json({ success: true, policy });
+  } catch (error) {
+    if (error.lockout) {
+      return res.status(409).json({ error: error.message, lockout: true });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = router;
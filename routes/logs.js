@@ -0,0 +1,141 @@
+// routes/logs.js - Log explorer API routes
+// Search bot, aethera and admin panel logs in one place
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, hasRequestPermission } = require('../middleware/require-auth');
+const logs = require('../lib/services/logs');
+
+// All routes require authentication; each source is checked against its own permission
+router.use(requireAuth);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * List the sources the requester may read
+ * @param {Object} req - Express request
+ * @returns {Promise<Array<Object>>} Sources
+ */
+async function getReadableSources(req) {
+  const sources = await logs.listSources();
+  return sources.filter(source => hasRequestPermission(req, source.permission));
+}
+
+/**
+ * Build an invalid-query error
+ * @param {number} status - HTTP status to answer with
+ * @param {string} message - Error message
+ * @returns {Error} Error with status set
+ */
+function queryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Turn query params into a log query
+ * Query params: sources (comma-separated IDs, default all readable), since,
+ * until (ISO timestamps), priority (0-7), q, limit
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { sources, options }
+ * @throws {Error} With status 400 or 403 set if the query is invalid
+ */
+async function parseLogQuery(req) {
+  const { sources, since, until, priority, q, limit } = req.query;
+  const readable = await getReadableSources(req);
+  
+  if (readable.length === 0) {
+    throw queryError(403, 'Insufficient permissions');
+  }
+  
+  let selected = readable;
+  if (sources) {
+    const ids = String(sources).split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !readable.some(source => source.id === id));
+    if (unknown.length > 0) {
+      throw queryError(400, `Unknown log source: ${unknown.join(', ')}`);
+    }
+    selected = readable.filter(source => ids.includes(source.id));
+  }
+  
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && isNaN(Date.parse(value))) {
+      throw queryError(400, `Invalid '${name}' timestamp`);
+    }
+  }
+  
+  const level = priority !== undefined && priority !== '' ? parseInt(priority, 10) : 7;
+  if (isNaN(level) || level < 0 || level > 7) {
+    throw queryError(400, 'Priority must be between 0 (emerg) and 7 (debug)');
+  }
+  
+  return {
+    sources: selected,
+    options: {
+      since: since ? Date.parse(since) : undefined,
+      until: until ? Date.parse(until) : undefined,
+      priority: level,
+      search: q ? String(q) : '',
+      limit,
+    },
+  };
+}
+
+// ============================================================================
+// QUERY OPERATIONS
+// ============================================================================
+
+/**
+ * GET /api/logs/sources
+ * List the log sources the requester may read
+ */
+router.get('/sources', async (req, res) => {
+  try {
+    res.json({
+      sources: await getReadableSources(req),
+      priorities: logs.PRIORITIES,
+    });
+  } catch (error) {
+    console.error('Error listing log sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/logs
+ * Query logs across sources (oldest first, newest entries kept when over the limit)
+ * Query params: sources, since, until, priority, q, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { sources, options } = await parseLogQuery(req);
+    res.json(await logs.queryLogs(sources, options));
+  } catch (error) {
+    if (!error.status) console.error('Error querying logs:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/logs/download
+ * Same query as GET /api/logs, returned as a plain text file
+ */
+router.get('/download', async (req, res) => {
+  try {
+    const { sources, options } = await parseLogQuery(req);
+    const result = await logs.queryLogs(sources, options);
+    const filename = `logs-${result.until.replace(/[:.]/g, '-')}.log`;
+    
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(logs.formatLogText(result.entries));
+  } catch (error) {
+    if (!error.status) console.error('Error downloading logs:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+// routes/schedules.js - Scheduled actions API routes
+// Create, edit, enable and run schedules, and view their run history
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireRecentAuth, requirePermission, hasRequestPermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
+const scheduler = require('../lib/services/scheduler');
+
+// All routes require authentication and read access; writes declare their own permission
+router.use(requireAuth);
+router.use(requirePermission('schedules:read'));
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Check the requester may run the given actions
+ * Scheduling an action needs the same permission as running it by hand.
+ * @param {Object} req - Express request
+ * @param {...string} actions - Action IDs (unknown ones are left for validation)
+ * @throws {Error} With status 403 set if a permission is missing
+ */
+function checkActionPermission(req, ...actions) {
+  for (const action of actions) {
+    const permission = scheduler.getActionPermission(action);
+    if (permission && !hasRequestPermission(req, permission)) {
+      const error = new Error(`Scheduling this action requires the '${permission}' permission`);
+      error.status = 403;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Middleware factory that requires recent auth when the action does
+ * Scheduling or running an action whose manual route is guarded by
+ * requireRecentAuth (e.g. journal vacuum) is guarded the same way.
+ * @param {Function} getAction - (req) => action ID
+ * @returns {Function} Express middleware
+ */
+function requireRecentAuthFor(getAction) {
+  return (req, res, next) => {
+    let action;
+    try {
+      action = getAction(req);
+    } catch (e) {
+      // Unknown schedule - the handler answers 404
+      return next();
+    }
+    
+    if (!scheduler.actionRequiresRecentAuth(action)) {
+      return next();
+    }
+    requireRecentAuth(req, res, next);
+  };
+}
+
+/**
+ * Audit target for routes with a schedule ID
+ * @param {Object} req - Express request
+ * @returns {string} Schedule name, or the ID if it doesn't exist
+ */
+function scheduleTarget(req) {
+  try {
+    return scheduler.getSchedule(req.params.id).name;
+  } catch (e) {
+    return req.params.id;
+  }
+}
+
+// ============================================================================
+// ACTIONS & PREVIEW
+// ============================================================================
+
+/**
+ * GET /api/schedules/actions
+ * List the actions a schedule can run, and whether the requester may schedule each
+ */
+router.get('/actions', (req, res) => {
+  res.json({
+    actions: scheduler.listActions().map(action => ({
+      ...action,
+      allowed: hasRequestPermission(req, action.permission),
+    })),
+  });
+});
+
+/**
+ * GET /api/schedules/preview
+ * Preview the next run times of a timing
+ * Query params: kind (cron, interval, once), expression, count
+ */
+router.get('/preview', (req, res) => {
+  try {
+    const { kind, expression, count } = req.query;
+    res.json({ runs: scheduler.previewRuns(kind, expression, count) });
+  } catch (error) {
+    if (!error.status) console.error('Error previewing schedule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * GET /api/schedules
+ * List all schedules with their next and last run
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({ schedules: scheduler.listSchedules() });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule
+ * Body: { name, action, params, kind, expression, enabled }
+ */
+router.post('/', requirePermission('schedules:manage'), requireRecentAuthFor(req => req.body.action), audit('schedules.create', {
+  target: (req) => req.body.name,
+  details: (body) => ({ id: body.schedule?.id, nextRunAt: body.schedule?.nextRunAt }),
+}), async (req, res) => {
+  try {
+    checkActionPermission(req, req.body.action);
+    
+    const schedule = await scheduler.createSchedule(req.body, req.username);
+    console.log(`Schedule '${schedule.name}' created by ${req.username}`);
+    
+    res.json({ success: true, schedule });
+  } catch (error) {
+    if (!error.status) console.error('Error creating schedule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Update a schedule - only the given fields change (e.g. { enabled: false })
+ */
+router.put('/:id', requirePermission('schedules:manage'), requireRecentAuthFor(req => req.body.action), audit('schedules.update', {
+  target: scheduleTarget,
+  details: (body) => ({ enabled: body.schedule?.enabled, nextRunAt: body.schedule?.nextRunAt }),
+}), async (req, res) => {
+  try {
+    const existing = scheduler.getSchedule(req.params.id);
+    checkActionPermission(req, existing.action, req.body.action);
+    
+    const schedule = await scheduler.updateSchedule(existing.id, req.body);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    if (!error.status) console.error('Error updating schedule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule and its run history
+ */
+router.delete('/:id', requirePermission('schedules:manage'), audit('schedules.delete', {
+  target: scheduleTarget,
+}), (req, res) => {
+  try {
+    const existing = scheduler.getSchedule(req.params.id);
+    checkActionPermission(req, existing.action);
+    
+    const schedule = scheduler.deleteSchedule(existing.id);
+    console.log(`Schedule '${schedule.name}' deleted by ${req.username}`);
+    
+    res.json({ success: true });
+  } catch (error) {
+    if (!error.status) console.error('Error deleting schedule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+/**
+ * POST /api/schedules/:id/run
+ * Run a schedule now - returns once the run has started
+ */
+router.post('/:id/run', requirePermission('schedules:manage'), requireRecentAuthFor(req => scheduler.getSchedule(req.params.id).action), audit('schedules.run-now', {
+  target: scheduleTarget,
+  details: (body) => ({ runId: body.runId }),
+}), (req, res) => {
+  try {
+    const existing = scheduler.getSchedule(req.params.id);
+    checkActionPermission(req, existing.action);
+    
+    const { schedule, runId } = scheduler.runNow(existing.id, req.username);
+    res.json({ success: true, schedule, runId });
+  } catch (error) {
+    if (!error.status) console.error('Error running schedule:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/schedules/:id/runs
+ * Run history of a schedule, newest first
+ * Query params: limit (default 50)
+ */
+router.get('/:id/runs', (req, res) => {
+  try {
+    const schedule = scheduler.getSchedule(req.params.id);
+    const runs = scheduler.listRuns(schedule.id, req.query.limit);
+    
+    res.json({ schedule, runs });
+  } catch (error) {
+    if (!error.status) console.error('Error listing schedule runs:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// routes/secrets.js - Secrets vault API routes
+// Set, rotate and clear secrets without editing .env or restarting
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
+const secrets = require('../lib/security/secrets');
+
+// All routes require authentication and secret management access
+router.use(requireAuth);
+router.use(requirePermission('secrets:manage'));
+
+// Secret values must never reach the audit log
+const auditSecret = (action) => audit(action, { params: () => null });
+
+// ============================================================================
+// SECRET OPERATIONS
+// ============================================================================
+
+/**
+ * GET /api/secrets
+ * Get the status of every managed secret (never the values)
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      vaultEnabled: secrets.isVaultEnabled(),
+      secrets: secrets.getSecretsStatus(),
+    });
+  } catch (error) {
+    console.error('Get secrets status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/secrets/:name
+ * Set or rotate a secret
+ * Body: { value }
+ */
+router.put('/:name', auditSecret('secrets.set'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { value } = req.body;
+    
+    if (!Object.hasOwn(secrets.SECRET_DEFINITIONS, name)) {
+      return res.status(404).json({ error: `Unknown secret: ${name}` });
+    }
+    
+    if (!secrets.isVaultEnabled()) {
+      return res.status(400).json({ error: 'SECRETS_MASTER_KEY not configured - secrets can only be set in .env' });
+    }
+    
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      return res.status(400).json({ error: 'Value is required' });
+    }
+    
+    secrets.setSecret(name, value.trim(), { updatedBy: req.username });
+    console.log(`Secret ${name} set by '${req.username}'`);
+    
+    res.json({ success: true, secret: secrets.getSecretsStatus().find(s => s.name === name) });
+  } catch (error) {
+    console.error('Set secret error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/secrets/:name
+ * Remove a secret from the vault so it falls back to .env
+ */
+router.delete('/:name', auditSecret('secrets.delete'), async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!Object.hasOwn(secrets.SECRET_DEFINITIONS, name)) {
+      return res.status(404).json({ error: `Unknown secret: ${name}` });
+    }
+    
+    if (!secrets.deleteSecret(name)) {
+      return res.status(404).json({ error: 'Secret is not set in the vault' });
+    }
+    
+    console.log(`Secret ${name} cleared by '${req.username}'`);
+    res.json({ success: true, secret: secrets.getSecretsStatus().find(s => s.name === name) });
+  } catch (error) {
+    console.error('Delete secret error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = router;
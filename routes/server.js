@@ -3,15 +3,18 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requireRecentAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const server = require('../lib/services/server');
 const aethera = require('../lib/services/aethera');
 const chapterx = require('../lib/services/chapterx');
 const systemd = require('../lib/systemd');
 const { getZombieCount, cleanupZombies, getActiveProcessCount } = require('../lib/utils');
+const rateLimit = require('../lib/security/rate-limit');
 
-// All routes require authentication
+// All routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('server:read'));
 
 // ============================================================================
 // SYSTEM METRICS
@@ -118,7 +121,7 @@ router.get('/network', async (req, res) => {
  * POST /api/server/ping
  * Ping a specific host
  */
-router.post('/ping', async (req, res) => {
+router.post('/ping', requirePermission('server:maintain'), async (req, res) => {
   try {
     const { host = '8.8.8.8' } = req.body;
     
@@ -164,7 +167,7 @@ router.get('/logs/sizes', async (req, res) => {
  * POST /api/server/logs/trim/journal
  * Vacuum journalctl logs
  */
-router.post('/logs/trim/journal', async (req, res) => {
+router.post('/logs/trim/journal', requirePermission('server:maintain'), requireRecentAuth, audit('server.journal-vacuum'), async (req, res) => {
   try {
     const { size = '500M', time } = req.body;
     
@@ -191,8 +194,9 @@ router.post('/logs/trim/journal', async (req, res) => {
 /**
  * POST /api/server/logs/trim/docker
  * Prune Docker system
+ * Requires recent re-authentication
  */
-router.post('/logs/trim/docker', async (req, res) => {
+router.post('/logs/trim/docker', requirePermission('server:maintain'), requireRecentAuth, audit('server.docker-prune'), async (req, res) => {
   try {
     console.log('Pruning Docker system...');
     const result = await server.pruneDocker();
@@ -297,7 +301,7 @@ router.get('/processes', async (req, res) => {
  * POST /api/server/processes/cleanup
  * Force cleanup of zombie processes
  */
-router.post('/processes/cleanup', async (req, res) => {
+router.post('/processes/cleanup', requirePermission('server:maintain'), audit('server.zombie-cleanup'), async (req, res) => {
   try {
     console.log('[Server] Manual zombie cleanup requested');
     const result = await cleanupZombies();
@@ -314,5 +318,46 @@ router.post('/processes/cleanup', async (req, res) => {
   }
 });
 
+// ============================================================================
+// RATE LIMITS
+// ============================================================================
+
+/**
+ * GET /api/server/rate-limits
+ * Get every limiter's budget and the keys (users, IPs, accounts) currently throttled
+ */
+router.get('/rate-limits', requirePermission('server:maintain'), (req, res) => {
+  try {
+    res.json({
+      limiters: rateLimit.listLimiters(),
+      throttled: rateLimit.listThrottled(),
+    });
+  } catch (error) {
+    console.error('Error getting rate limits:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/server/rate-limits/:limiter/:key
+ * Clear a throttled key (e.g. unlock an account locked by failed sign-ins)
+ */
+router.delete('/rate-limits/:limiter/:key', requirePermission('server:maintain'), audit('server.rate-limit-clear', {
+  target: (req) => `${req.params.limiter}/${req.params.key}`,
+}), (req, res) => {
+  try {
+    const { limiter, key } = req.params;
+    
+    if (!rateLimit.clearKey(limiter, key)) {
+      return res.status(404).json({ error: 'Key is not being rate limited' });
+    }
+    
+    console.log(`[Server] Rate limit '${limiter}' cleared for ${key} by '${req.username}'`);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 module.exports = router;
 
@@ -3,11 +3,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const aethera = require('../lib/services/aethera');
 
-// All routes require authentication
+// All routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('services:read'));
 
 // ============================================================================
 // AETHERA (DOCKER) ROUTES
@@ -59,7 +61,7 @@ router.get('/aethera/logs', async (req, res) => {
  * POST /api/services/aethera/restart
  * Restart aethera container
  */
-router.post('/aethera/restart', async (req, res) => {
+router.post('/aethera/restart', requirePermission('services:control'), audit('services.restart', { target: () => 'aethera' }), async (req, res) => {
   try {
     console.log('Restarting aethera container...');
     const result = await aethera.restart();
@@ -76,7 +78,7 @@ router.post('/aethera/restart', async (req, res) => {
  * POST /api/services/aethera/start
  * Start aethera container
  */
-router.post('/aethera/start', async (req, res) => {
+router.post('/aethera/start', requirePermission('services:control'), audit('services.start', { target: () => 'aethera' }), async (req, res) => {
   try {
     console.log('Starting aethera container...');
     const result = await aethera.start();
@@ -92,7 +94,7 @@ router.post('/aethera/start', async (req, res) => {
  * POST /api/services/aethera/stop
  * Stop aethera container
  */
-router.post('/aethera/stop', async (req, res) => {
+router.post('/aethera/stop', requirePermission('services:control'), audit('services.stop', { target: () => 'aethera' }), async (req, res) => {
   try {
     console.log('Stopping aethera container...');
     const result = await aethera.stop();
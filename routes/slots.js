@@ -3,11 +3,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requireRecentAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const chapterx = require('../lib/services/chapterx');
 
-// All routes require authentication
+// All routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('slots:read'));
 
 // ============================================================================
 // SLOT LISTING & STATUS
@@ -58,7 +60,7 @@ router.get('/:slot/status', async (req, res) => {
  * POST /api/slots/:slot/fetch
  * Git fetch origin for a slot
  */
-router.post('/:slot/fetch', async (req, res) => {
+router.post('/:slot/fetch', requirePermission('slots:deploy'), audit('slots.fetch'), async (req, res) => {
   try {
     const { slot } = req.params;
     
@@ -82,7 +84,9 @@ router.post('/:slot/fetch', async (req, res) => {
  * POST /api/slots/:slot/pull
  * Git pull for a slot
  */
-router.post('/:slot/pull', async (req, res) => {
+router.post('/:slot/pull', requirePermission('slots:deploy'), audit('slots.pull', {
+  details: (body) => ({ branch: body.status?.branch, commit: body.status?.commit, codeChanged: body.codeChanged }),
+}), async (req, res) => {
   try {
     const { slot } = req.params;
     const { autoRestart = false } = req.body;
@@ -115,7 +119,9 @@ router.post('/:slot/pull', async (req, res) => {
  * POST /api/slots/:slot/checkout
  * Git checkout branch for a slot
  */
-router.post('/:slot/checkout', async (req, res) => {
+router.post('/:slot/checkout', requirePermission('slots:deploy'), audit('slots.checkout', {
+  details: (body) => ({ branch: body.status?.branch, commit: body.status?.commit, codeChanged: body.codeChanged }),
+}), async (req, res) => {
   try {
     const { slot } = req.params;
     const { branch, autoRestart = false } = req.body;
@@ -152,7 +158,7 @@ router.post('/:slot/checkout', async (req, res) => {
  * POST /api/slots/:slot/restart-bots
  * Restart all bots running on a slot
  */
-router.post('/:slot/restart-bots', async (req, res) => {
+router.post('/:slot/restart-bots', requirePermission('slots:deploy'), audit('slots.restart-bots'), async (req, res) => {
   try {
     const { slot } = req.params;
     
@@ -198,7 +204,7 @@ router.get('/:slot/bots', async (req, res) => {
  * POST /api/slots/:slot/npm-install
  * Run npm install for a slot (also builds TypeScript by default)
  */
-router.post('/:slot/npm-install', async (req, res) => {
+router.post('/:slot/npm-install', requirePermission('slots:deploy'), audit('slots.npm-install'), async (req, res) => {
   try {
     const { slot } = req.params;
     const { autoBuild = true } = req.body;
@@ -221,7 +227,7 @@ router.post('/:slot/npm-install', async (req, res) => {
  * Build TypeScript for a slot (compiles to dist/)
  * Using compiled JS reduces memory from ~160MB to ~40MB per bot
  */
-router.post('/:slot/build', async (req, res) => {
+router.post('/:slot/build', requirePermission('slots:deploy'), audit('slots.build'), async (req, res) => {
   try {
     const { slot } = req.params;
     const { autoRestart = false } = req.body;
@@ -266,8 +272,9 @@ router.get('/:slot/diff', async (req, res) => {
 /**
  * POST /api/slots/:slot/discard
  * Discard all local changes in a slot
+ * Requires recent re-authentication
  */
-router.post('/:slot/discard', async (req, res) => {
+router.post('/:slot/discard', requirePermission('slots:discard'), requireRecentAuth, audit('slots.discard'), async (req, res) => {
   try {
     const { slot } = req.params;
     
@@ -312,7 +319,7 @@ router.get('/:slot/deps', async (req, res) => {
  * POST /api/slots/:slot/update-deps
  * Update git dependencies to latest commits
  */
-router.post('/:slot/update-deps', async (req, res) => {
+router.post('/:slot/update-deps', requirePermission('slots:deploy'), audit('slots.update-deps'), async (req, res) => {
   try {
     const { slot } = req.params;
     const { package: packageName = 'all', autoRestart = false } = req.body;
@@ -3,8 +3,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, hasRequestPermission } = require('../middleware/require-auth');
 const aggregators = require('../lib/stream/aggregators');
+const chapterx = require('../lib/services/chapterx');
 
 // ============================================================================
 // DOMAIN CONFIGURATION
@@ -14,20 +15,25 @@ const aggregators = require('../lib/stream/aggregators');
  * Configuration for each streamable domain
  * - interval: How often to push updates (ms)
  * - aggregator: Function name in aggregators module
+ * - permission: Permission required to subscribe (null = any authenticated user)
  */
 const DOMAIN_CONFIG = {
-  dashboard: { interval: 5000, aggregator: 'getDashboardData' },
-  bots:      { interval: 5000, aggregator: 'getBotsData' },
-  services:  { interval: 5000, aggregator: 'getServicesData' },
-  dreams:    { interval: 5000, aggregator: 'getDreamsData' },
-  server:    { interval: 3000, aggregator: 'getServerData' },
-  blog:      { interval: 30000, aggregator: 'getBlogData' },
-  usage:     { interval: 10000, aggregator: 'getUsageData' },  // Sync + update every 10s
+  dashboard: { interval: 5000, aggregator: 'getDashboardData', permission: null },
+  bots:      { interval: 5000, aggregator: 'getBotsData', permission: 'bots:read' },
+  services:  { interval: 5000, aggregator: 'getServicesData', permission: 'services:read' },
+  dreams:    { interval: 5000, aggregator: 'getDreamsData', permission: 'dreams:read' },
+  server:    { interval: 3000, aggregator: 'getServerData', permission: 'server:read' },
+  blog:      { interval: 30000, aggregator: 'getBlogData', permission: 'blog:read' },
+  usage:     { interval: 10000, aggregator: 'getUsageData', permission: 'usage:read' },  // Sync + update every 10s
 };
 
 // Track active connections for debugging/monitoring
 const activeConnections = new Map();
 
+// Log tails: lines are batched so bursts don't become one event per line
+const LOG_FLUSH_INTERVAL = 250;
+const LOG_MAX_INITIAL_LINES = 1000;
+
 // ============================================================================
 // MANAGEMENT ENDPOINTS (defined first to avoid being caught by /:domain)
 // ============================================================================
@@ -71,6 +77,156 @@ router.get('/connections', requireAuth, (req, res) => {
   });
 });
 
+// ============================================================================
+// SSE HELPERS
+// ============================================================================
+
+/**
+ * Start an SSE response
+ * @param {Object} res - Express response
+ */
+function writeStreamHeaders(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable Nginx/Caddy buffering
+    'Access-Control-Allow-Origin': '*', // Allow cross-origin if needed
+  });
+}
+
+// ============================================================================
+// LOG TAIL ENDPOINT
+// ============================================================================
+
+/**
+ * GET /api/stream/bots/:name/logs?lines=200
+ * Server-Sent Events tail of a bot's journal (journalctl --follow)
+ * 
+ * Messages (JSON):
+ *   { type: 'start', slot, serviceName } - sent on every (re)connect; clear the view
+ *   { type: 'lines', lines: [...] }      - new log lines, batched
+ *   { type: 'end', error }               - journalctl exited; the stream is closed
+ */
+router.get('/bots/:name/logs', requireAuth, async (req, res) => {
+  if (!hasRequestPermission(req, 'bots:read')) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions',
+      required: 'bots:read',
+    });
+  }
+  
+  const { name } = req.params;
+  const lines = Math.min(Math.max(parseInt(req.query.lines, 10) || 200, 0), LOG_MAX_INITIAL_LINES);
+  const connectionId = `logs-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  
+  let pending = [];
+  let started = false;
+  let closed = false;
+  let endError;
+  
+  /**
+   * Send a message to the client
+   * @param {Object} data - Data to send
+   */
+  const sendData = (data) => {
+    try {
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    } catch (e) {
+      console.error(`[Stream] Write error on ${connectionId}:`, e.message);
+    }
+  };
+  
+  /**
+   * Send the lines collected since the last flush
+   */
+  const flush = () => {
+    if (pending.length === 0) return;
+    sendData({ type: 'lines', lines: pending });
+    pending = [];
+  };
+  
+  /**
+   * Tell the client journalctl exited and close the stream
+   */
+  const finish = () => {
+    if (closed) return;
+    flush();
+    sendData({ type: 'end', error: endError ? endError.message : null });
+    res.end();
+  };
+  
+  let tail;
+  let flushInterval;
+  let keepalive;
+  
+  /**
+   * Stop following and forget the connection
+   */
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(flushInterval);
+    clearInterval(keepalive);
+    // Not set yet if the client left while journalctl was starting
+    if (tail) tail.stop();
+    activeConnections.delete(connectionId);
+    console.log(`[Stream] Disconnected: ${connectionId}`);
+  };
+  
+  // Listen before starting journalctl, so a disconnect during startup isn't missed
+  req.on('close', cleanup);
+  req.on('error', (err) => {
+    console.error(`[Stream] Request error on ${connectionId}:`, err.message);
+    cleanup();
+  });
+  
+  try {
+    tail = await chapterx.followBotLogs(name, {
+      lines,
+      onLine: (line) => pending.push(line),
+      onEnd: (error) => {
+        // journalctl can fail before the stream has started
+        endError = error;
+        if (started) finish();
+      },
+    });
+  } catch (error) {
+    return res.status(404).json({ error: error.message });
+  }
+  
+  if (closed) {
+    tail.stop();
+    return;
+  }
+  
+  writeStreamHeaders(res);
+  
+  activeConnections.set(connectionId, {
+    domain: `logs:${name}`,
+    user: req.username,
+    startedAt: new Date(),
+  });
+  
+  console.log(`[Stream] Connected: ${connectionId} (${req.username}, ${tail.serviceName})`);
+  
+  sendData({ type: 'start', slot: tail.slot, serviceName: tail.serviceName });
+  started = true;
+  
+  flushInterval = setInterval(flush, LOG_FLUSH_INTERVAL);
+  
+  // Send keepalive comments every 30 seconds to prevent connection timeout
+  keepalive = setInterval(() => {
+    try {
+      res.write(': keepalive\n\n');
+    } catch (e) {
+      // Connection probably closed
+    }
+  }, 30000);
+  
+  if (endError !== undefined) finish();
+});
+
 // ============================================================================
 // SSE ENDPOINT
 // ============================================================================
@@ -95,17 +251,18 @@ router.get('/:domain', requireAuth, async (req, res) => {
     });
   }
   
+  if (config.permission && !hasRequestPermission(req, config.permission)) {
+    return res.status(403).json({ 
+      error: 'Insufficient permissions',
+      required: config.permission,
+    });
+  }
+  
   // Generate connection ID for tracking
   const connectionId = `${domain}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
   
   // Set SSE headers
-  res.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'X-Accel-Buffering': 'no', // Disable Nginx/Caddy buffering
-    'Access-Control-Allow-Origin': '*', // Allow cross-origin if needed
-  });
+  writeStreamHeaders(res);
   
   // Track this connection
   activeConnections.set(connectionId, {
@@ -2,11 +2,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth } = require('../middleware/require-auth');
+const { requireAuth, requirePermission } = require('../middleware/require-auth');
+const { audit } = require('../middleware/audit');
 const usage = require('../lib/services/usage');
 
-// All routes require authentication
+// All routes require authentication and read access; writes declare their own permission
 router.use(requireAuth);
+router.use(requirePermission('usage:read'));
 
 // ============================================================================
 // SYNC OPERATIONS
@@ -16,7 +18,7 @@ router.use(requireAuth);
  * POST /api/usage/sync
  * Sync usage from all slots
  */
-router.post('/sync', async (req, res) => {
+router.post('/sync', requirePermission('usage:sync'), audit('usage.sync'), async (req, res) => {
   try {
     const results = usage.syncAll();
     
@@ -46,7 +48,7 @@ router.post('/sync', async (req, res) => {
  * POST /api/usage/sync/:slot
  * Sync usage from a specific slot
  */
-router.post('/sync/:slot', async (req, res) => {
+router.post('/sync/:slot', requirePermission('usage:sync'), audit('usage.sync'), async (req, res) => {
   try {
     const { slot } = req.params;
     const result = usage.syncFromSlot(slot);
@@ -62,7 +64,7 @@ router.post('/sync/:slot', async (req, res) => {
  * POST /api/usage/backfill/:slot
  * Full backfill from a slot (reprocess all traces)
  */
-router.post('/backfill/:slot', async (req, res) => {
+router.post('/backfill/:slot', requirePermission('usage:sync'), audit('usage.backfill'), async (req, res) => {
   try {
     const { slot } = req.params;
     const result = usage.backfillFromSlot(slot);
@@ -78,7 +80,7 @@ router.post('/backfill/:slot', async (req, res) => {
  * POST /api/usage/backfill-all
  * Full backfill from all slots (reprocess everything with fresh cost calculations)
  */
-router.post('/backfill-all', async (req, res) => {
+router.post('/backfill-all', requirePermission('usage:sync'), audit('usage.backfill-all'), async (req, res) => {
   try {
     // Clear all existing records to recalculate costs
     usage.clearAllRecords();
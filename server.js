@@ -8,9 +8,19 @@ const path = require('path');
 const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const config = require('./config');
-const { loadSessions } = require('./lib/auth/sessions');
+const sessions = require('./lib/auth/sessions');
 const { userExists, createUser } = require('./lib/auth/users');
+const { requireCsrf } = require('./middleware/csrf');
+const { enforceIpPolicy } = require('./middleware/ip-policy');
 const usage = require('./lib/services/usage');
+const configHistory = require('./lib/services/config-history');
+const botMonitor = require('./lib/services/bot-monitor');
+const scheduler = require('./lib/services/scheduler');
+const audit = require('./lib/security/audit');
+const secrets = require('./lib/security/secrets');
+const ipPolicy = require('./lib/security/ip-policy');
+const rateLimit = require('./lib/security/rate-limit');
+const loginHistory = require('./lib/security/login-history');
 
 // Route modules
 const authRoutes = require('./routes/auth');
@@ -22,6 +32,11 @@ const blogRoutes = require('./routes/blog');
 const serverRoutes = require('./routes/server');
 const streamRoutes = require('./routes/stream');
 const usageRoutes = require('./routes/usage');
+const auditRoutes = require('./routes/audit');
+const logsRoutes = require('./routes/logs');
+const schedulesRoutes = require('./routes/schedules');
+const secretsRoutes = require('./routes/secrets');
+const ipPolicyRoutes = require('./routes/ip-policy');
 
 const app = express();
 
@@ -35,6 +50,9 @@ app.use(cookieParser());
 // Trust proxy for correct IP detection behind reverse proxy
 app.set('trust proxy', 1);
 
+// Network access policy runs first so blocked IPs never reach the app
+app.use(enforceIpPolicy);
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -42,15 +60,45 @@ app.use(express.static(path.join(__dirname, 'public')));
 // API ROUTES
 // ============================================================================
 
-app.use('/api/auth', authRoutes);
-app.use('/api/bots', botsRoutes);
-app.use('/api/services', servicesRoutes);
-app.use('/api/slots', slotsRoutes);
-app.use('/api/dreams', dreamsRoutes);
-app.use('/api/blog', blogRoutes);
-app.use('/api/server', serverRoutes);
-app.use('/api/stream', streamRoutes);
-app.use('/api/usage', usageRoutes);
+/**
+ * Request budget for a route group - a sliding window per user (per IP
+ * before sign-in), on top of the general API limit
+ * @param {string} name - Limiter name (shown on the Server page)
+ * @param {number} maxAttempts - Requests allowed per window
+ * @param {number} [windowMs] - Window length (default 1 minute)
+ * @returns {Function} Express middleware
+ */
+function budget(name, maxAttempts, windowMs = 60 * 1000) {
+  return new rateLimit.RateLimiter({
+    name,
+    maxAttempts,
+    windowMs,
+    description: `Requests to /api/${name}`,
+  }).middleware();
+}
+
+// General limit across the whole API
+app.use('/api', rateLimit.apiLimiter.middleware());
+
+// Cookie-authenticated writes must carry the session's CSRF token
+app.use('/api', requireCsrf);
+
+app.use('/api/auth', budget('auth', 60), authRoutes);
+app.use('/api/bots', budget('bots', 60), botsRoutes);
+app.use('/api/services', budget('services', 60), servicesRoutes);
+app.use('/api/slots', budget('slots', 20), slotsRoutes);
+// Pod lifecycle creates billable GPU pods - tighter budget than the rest of /api/dreams
+app.use('/api/dreams/lifecycle', budget('dreams/lifecycle', 20));
+app.use('/api/dreams', budget('dreams', 60), dreamsRoutes);
+app.use('/api/blog', budget('blog', 60), blogRoutes);
+app.use('/api/server', budget('server', 60), serverRoutes);
+app.use('/api/stream', budget('stream', 20), streamRoutes);
+app.use('/api/usage', budget('usage', 30), usageRoutes);
+app.use('/api/audit', budget('audit', 30), auditRoutes);
+app.use('/api/logs', budget('logs', 30), logsRoutes);
+app.use('/api/schedules', budget('schedules', 30), schedulesRoutes);
+app.use('/api/secrets', budget('secrets', 20), secretsRoutes);
+app.use('/api/ip-policy', budget('ip-policy', 20), ipPolicyRoutes);
 
 // Placeholder routes - will be implemented in later phases
 // app.use('/api/irc', require('./routes/irc'));
@@ -88,14 +136,51 @@ async function startup() {
   console.log('  æthera admin panel');
   console.log('='.repeat(60));
   
-  // Load sessions from file
-  loadSessions();
+  // Initialize session store
+  sessions.initDB();
   console.log('  ✓ Sessions loaded');
   
   // Initialize usage database
   usage.initDB();
   console.log('  ✓ Usage database initialized');
   
+  // Initialize audit log database
+  audit.initDB();
+  console.log('  ✓ Audit log initialized');
+  
+  // Initialize login history database
+  loginHistory.initDB();
+  console.log('  ✓ Login history initialized');
+  
+  // Initialize bot config history database
+  configHistory.initDB();
+  console.log('  ✓ Config history initialized');
+  
+  // Watch bot services for restarts and crash loops
+  botMonitor.startMonitor();
+  console.log(`  ✓ Crash-loop monitor started${config.CRASH_LOOP_AUTO_STOP ? ' (auto-stop enabled)' : ''}`);
+  
+  // Run scheduled actions as they come due
+  scheduler.startScheduler();
+  console.log('  ✓ Scheduler started');
+  
+  // Rate limit counters persist across restarts
+  rateLimit.initDB();
+  console.log('  ✓ Rate limits loaded');
+  
+  // Secrets vault needs a master key, otherwise secrets only come from .env
+  if (secrets.isVaultEnabled()) {
+    console.log('  ✓ Secrets vault enabled');
+  } else {
+    console.log('  ⚠ SECRETS_MASTER_KEY not set - secrets vault disabled (using .env only)');
+  }
+  
+  if (ipPolicy.isDisabledByEnv()) {
+    console.log('  ⚠ IP_POLICY_DISABLED=1 - network access policy is not enforced');
+  } else if (ipPolicy.getPolicy().enabled) {
+    console.log('  ✓ Network access policy enforced');
+  }
+  
   // Check if user exists, if not create default admin
   if (!userExists()) {
     console.log('');
@@ -105,7 +190,7 @@ async function startup() {
     const initialPassword = crypto.randomBytes(12).toString('base64').slice(0, 16);
     
     try {
-      await createUser('admin', initialPassword);
+      await createUser('admin', initialPassword, 'admin');
       console.log('');
       console.log('  ┌─────────────────────────────────────────────┐');
       console.log('  │  Default admin account created:             │');
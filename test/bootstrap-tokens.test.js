@@ -0,0 +1,97 @@
+// test/bootstrap-tokens.test.js - Per-pod bootstrap tokens
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tokens are stored under DATA_DIR - point it somewhere disposable before loading config
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-bootstrap-'));
+process.env.POD_BOOTSTRAP_TOKEN = 'shared-pod-token';
+process.env.POD_BOOTSTRAP_TOKEN_LEGACY_UNTIL = '2999-01-01T00:00:00Z';
+
+const config = require('../config');
+const {
+  TOKEN_PREFIX, issueBootstrapToken, bindBootstrapToken, renewBootstrapToken, verifyBootstrapToken,
+  getTokenPodType, revokeBootstrapToken, getBootstrapTokenStatus,
+} = require('../lib/auth/bootstrap-tokens');
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Rewrite one stored token record
+ * @param {string} key - Pod ID or pending key
+ * @param {Object} changes - Fields to overwrite
+ */
+function patchStoredToken(key, changes) {
+  const tokens = JSON.parse(fs.readFileSync(config.BOOTSTRAP_TOKENS_FILE, 'utf8'));
+  tokens[key] = { ...tokens[key], ...changes };
+  fs.writeFileSync(config.BOOTSTRAP_TOKENS_FILE, JSON.stringify(tokens));
+}
+
+test('a token only works for the pod type it was issued to', () => {
+  const { token, info } = issueBootstrapToken('comfyui', { podId: 'pod-a' });
+  
+  assert.ok(token.startsWith(TOKEN_PREFIX));
+  assert.strictEqual(info.podId, 'pod-a');
+  assert.strictEqual(verifyBootstrapToken('comfyui', token), true);
+  assert.strictEqual(verifyBootstrapToken('dreamgen', token), false);
+  assert.strictEqual(verifyBootstrapToken('comfyui', `${TOKEN_PREFIX}${'0'.repeat(64)}`), false);
+  assert.strictEqual(verifyBootstrapToken('unknown', token), false);
+  assert.throws(() => issueBootstrapToken('unknown'), /Invalid pod type/);
+});
+
+test('only the hash is stored and status never exposes it', () => {
+  const { token } = issueBootstrapToken('dreamgen', { podId: 'pod-b' });
+  
+  assert.ok(!fs.readFileSync(config.BOOTSTRAP_TOKENS_FILE, 'utf8').includes(token));
+  const status = getBootstrapTokenStatus().tokens.find(entry => entry.id === 'pod-b');
+  assert.strictEqual(status.hash, undefined);
+  assert.ok(token.startsWith(status.prefix));
+});
+
+test('reissuing a pod\'s token revokes the old one', () => {
+  const first = issueBootstrapToken('comfyui', { podId: 'pod-c' });
+  const second = issueBootstrapToken('comfyui', { podId: 'pod-c' });
+  
+  assert.strictEqual(verifyBootstrapToken('comfyui', first.token), false);
+  assert.strictEqual(verifyBootstrapToken('comfyui', second.token), true);
+  
+  assert.strictEqual(revokeBootstrapToken('pod-c'), true);
+  assert.strictEqual(verifyBootstrapToken('comfyui', second.token), false);
+  assert.strictEqual(revokeBootstrapToken('pod-c'), false);
+});
+
+test('expired tokens are refused until the pod is started again', () => {
+  const { token } = issueBootstrapToken('comfyui', { podId: 'pod-d' });
+  patchStoredToken('pod-d', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  
+  assert.strictEqual(verifyBootstrapToken('comfyui', token), false);
+  assert.strictEqual(renewBootstrapToken('pod-d'), true);
+  assert.strictEqual(verifyBootstrapToken('comfyui', token), true);
+  assert.strictEqual(renewBootstrapToken('no-such-pod'), false);
+});
+
+test('a token issued during creation is bound to the new pod', () => {
+  const { token, key } = issueBootstrapToken('dreamgen');
+  
+  assert.ok(!getBootstrapTokenStatus().tokens.some(entry => entry.id === key), 'pending tokens are hidden');
+  bindBootstrapToken(key, 'pod-e');
+  assert.strictEqual(getTokenPodType('pod-e'), 'dreamgen');
+  assert.strictEqual(getTokenPodType(key), null);
+  assert.strictEqual(verifyBootstrapToken('dreamgen', token), true);
+});
+
+test('lookups ignore inherited object keys', () => {
+  assert.strictEqual(getTokenPodType('constructor'), null);
+  assert.strictEqual(revokeBootstrapToken('__proto__'), false);
+});
+
+test('the shared legacy token is accepted for any pod type until its cutoff', () => {
+  assert.strictEqual(verifyBootstrapToken('comfyui', 'shared-pod-token'), true);
+  assert.strictEqual(verifyBootstrapToken('dreamgen', 'shared-pod-token'), true);
+  assert.strictEqual(verifyBootstrapToken('comfyui', 'shared-pod-tokex'), false);
+  assert.strictEqual(getBootstrapTokenStatus().shared.accepted, true);
+});
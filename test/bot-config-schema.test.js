@@ -0,0 +1,35 @@
+// test/bot-config-schema.test.js - Bot config validation
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateBotConfig } = require('../lib/services/bot-config-schema');
+
+test('accepts a config without a model or discord token', () => {
+  const result = validateBotConfig('name: alpha\n');
+  
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.errors, []);
+});
+
+test('warns about a model with no known pricing without rejecting it', () => {
+  const result = validateBotConfig('name: alpha\nmodel: brand-new-model\n');
+  
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.warnings.length, 1);
+  assert.strictEqual(result.warnings[0].key, 'model');
+  assert.strictEqual(result.warnings[0].line, 2);
+});
+
+test('does not warn about a model matched by family prefix', () => {
+  const result = validateBotConfig('model: claude-sonnet-9-20300101\n');
+  
+  assert.deepStrictEqual(result.warnings, []);
+});
+
+test('rejects values of the wrong type or out of range', () => {
+  const result = validateBotConfig('temperature: 5\nmax_tokens: lots\n');
+  
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors.map(error => error.key), ['temperature', 'max_tokens']);
+});
@@ -0,0 +1,77 @@
+// test/bot-secrets.test.js - Secrets in bot configs
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactSecrets, mergeSecrets, REDACTED_PLACEHOLDER } = require('../lib/services/bot-secrets');
+
+const PROVIDERS_CONFIG = `providers:
+  - name: anthropic
+    api_key: sk-ant-one
+  - name: openai
+    api_key: sk-openai-two
+`;
+
+const KEYS_CONFIG = `model: claude-sonnet-4
+fallback_keys: [sk-first, sk-second]
+backup_keys:
+  - sk-third
+`;
+
+test('redacts each provider in a list of providers', () => {
+  const { content, redacted } = redactSecrets(PROVIDERS_CONFIG);
+  
+  assert.deepStrictEqual(redacted, ['providers[0].api_key', 'providers[1].api_key']);
+  assert.ok(!content.includes('sk-ant-one'));
+  assert.ok(!content.includes('sk-openai-two'));
+});
+
+test('merges each provider\'s key back into its own list item', () => {
+  const { content } = redactSecrets(PROVIDERS_CONFIG);
+  const merged = mergeSecrets(content.replace('name: openai', 'name: openai-eu'), PROVIDERS_CONFIG);
+  
+  assert.strictEqual(merged, PROVIDERS_CONFIG.replace('name: openai', 'name: openai-eu'));
+});
+
+test('redacts and merges back a list of keys', () => {
+  const { content, redacted } = redactSecrets(KEYS_CONFIG);
+  
+  assert.deepStrictEqual(redacted, ['fallback_keys[0]', 'fallback_keys[1]', 'backup_keys[0]']);
+  assert.ok(!/sk-(first|second|third)/.test(content));
+  assert.ok(content.includes(REDACTED_PLACEHOLDER));
+  
+  assert.strictEqual(mergeSecrets(content, KEYS_CONFIG), KEYS_CONFIG);
+});
+
+test('refuses a placeholder whose list item has no stored value', () => {
+  const { content } = redactSecrets(KEYS_CONFIG);
+  const added = content.replace(`- ${REDACTED_PLACEHOLDER}`, `- ${REDACTED_PLACEHOLDER}\n  - ${REDACTED_PLACEHOLDER}`);
+  
+  assert.throws(() => mergeSecrets(added, KEYS_CONFIG), /backup_keys\[1\]/);
+});
+
+test('leaves settings whose key merely contains "token" alone', () => {
+  const config = 'discord_token: abc123\nmax_tokens: 1024\nmax_output_tokens: 512\n';
+  const { content, redacted } = redactSecrets(config);
+  
+  assert.deepStrictEqual(redacted, ['discord_token']);
+  assert.match(content, /^max_tokens: 1024$/m);
+  assert.strictEqual(mergeSecrets(content, config), config);
+});
+
+test('round-trips long lines, quoting and comments byte for byte', () => {
+  const config = `# Support bot
+system_prompt: "${'You are a patient assistant who explains things step by step. '.repeat(3).trim()}"
+api_key: 'sk-ant-long'  # rotate monthly
+private_key: |
+  -----BEGIN KEY-----
+  abc
+temperature: 0.7
+`;
+  const { content } = redactSecrets(config);
+  
+  assert.strictEqual(content.split('\n')[1], config.split('\n')[1]);
+  assert.ok(!content.includes('sk-ant-long') && !content.includes('BEGIN KEY'));
+  assert.match(content, /^temperature: 0.7$/m);
+  assert.strictEqual(mergeSecrets(content, config), config);
+});
@@ -0,0 +1,33 @@
+// test/bot-templates.test.js - Bot templates and cloned configs
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { cloneConfig, renderTemplate } = require('../lib/services/bot-templates');
+const { validateBotConfig } = require('../lib/services/bot-config-schema');
+
+const SOURCE_CONFIG = `name: alpha
+discord_token: abc123
+model: claude-sonnet-4-5-20250929
+max_tokens: 1024
+system_prompt: "${'You are a patient assistant who explains things step by step. '.repeat(3).trim()}"
+`;
+
+test('a cloned config keeps max_tokens and still validates', () => {
+  const { content, stripped } = cloneConfig(SOURCE_CONFIG, 'beta');
+  
+  assert.deepStrictEqual(stripped, ['discord_token']);
+  assert.match(content, /^max_tokens: 1024$/m);
+  assert.match(content, /^name: beta$/m);
+  assert.strictEqual(validateBotConfig(content).valid, true);
+});
+
+test('a cloned config keeps long strings on one line', () => {
+  const { content } = cloneConfig(SOURCE_CONFIG, 'beta');
+  
+  assert.strictEqual(content.split('\n')[4], SOURCE_CONFIG.split('\n')[4]);
+});
+
+test('the blank template validates', () => {
+  assert.strictEqual(validateBotConfig(renderTemplate('blank', 'gamma')).valid, true);
+});
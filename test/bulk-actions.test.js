@@ -0,0 +1,63 @@
+// test/bulk-actions.test.js - Bot groups and bulk operation targeting
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bots, slots and bot state all live in a disposable tree - set it up before loading config
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-bulk-'));
+process.env.DATA_DIR = path.join(root, 'data');
+process.env.BASE_PATH = path.join(root, 'base');
+delete process.env.BOTS_PATH;
+delete process.env.CHAPTERX_PATH;
+
+for (const name of ['alpha', 'beta', 'gamma']) {
+  fs.mkdirSync(path.join(process.env.BASE_PATH, 'bots', name), { recursive: true });
+  fs.writeFileSync(path.join(process.env.BASE_PATH, 'bots', name, 'config.yaml'), `name: ${name}\n`);
+}
+fs.mkdirSync(path.join(process.env.BASE_PATH, 'chapterx', 'main', '.git'), { recursive: true });
+fs.mkdirSync(process.env.DATA_DIR, { recursive: true });
+
+const { setBotGroups, listGroups, resolveBulkTargets, runBulkAction } = require('../lib/services/chapterx');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('group names are normalized, de-duplicated and validated', async () => {
+  assert.deepStrictEqual(await setBotGroups('alpha', ['Prod', ' discord ', 'prod', '']), ['discord', 'prod']);
+  await setBotGroups('beta', ['prod']);
+  
+  await assert.rejects(setBotGroups('alpha', ['bad name!']), /Invalid group name/);
+  await assert.rejects(setBotGroups('ghost', ['prod']), /not found/);
+  await assert.rejects(setBotGroups('alpha', 'prod'), /must be a list/);
+  
+  assert.deepStrictEqual(listGroups().find(group => group.name === 'prod').bots.sort(), ['alpha', 'beta']);
+});
+
+test('targets the union of named bots and a group, sorted and without duplicates', async () => {
+  assert.deepStrictEqual(await resolveBulkTargets({ group: 'prod' }), ['alpha', 'beta']);
+  assert.deepStrictEqual(await resolveBulkTargets({ bots: ['gamma', 'alpha'], group: 'prod' }), ['alpha', 'beta', 'gamma']);
+  assert.deepStrictEqual(await resolveBulkTargets({ bots: ['beta'] }), ['beta']);
+});
+
+test('skips group members that no longer exist', async () => {
+  await setBotGroups('gamma', ['canary']);
+  fs.rmSync(path.join(process.env.BASE_PATH, 'bots', 'gamma'), { recursive: true });
+  
+  await assert.rejects(resolveBulkTargets({ group: 'canary' }), /at least one bot/);
+  await assert.rejects(resolveBulkTargets({ bots: ['gamma'] }), /Bot not found: gamma/);
+});
+
+test('rejects an empty selection or an unknown group', async () => {
+  await assert.rejects(resolveBulkTargets({}), /at least one bot/);
+  await assert.rejects(resolveBulkTargets({ group: 'nogroup' }), /Group 'nogroup' not found/);
+  await assert.rejects(resolveBulkTargets({ bots: 'alpha' }), /must be a list/);
+});
+
+test('validates the action and slot before touching any bot', async () => {
+  await assert.rejects(runBulkAction('explode', ['alpha']), /Action must be one of/);
+  await assert.rejects(runBulkAction('switch-slot', ['alpha']), /Slot is required/);
+  await assert.rejects(runBulkAction('start', ['alpha'], { slot: 'nope' }), /Invalid slot: nope/);
+});
@@ -0,0 +1,83 @@
+// test/csrf.test.js - CSRF token checks on cookie-authenticated writes
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sessions live in DATA_DIR - point it somewhere disposable before loading config
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-csrf-'));
+
+const config = require('../config');
+const { createSession, getCsrfToken } = require('../lib/auth/sessions');
+const { requireCsrf, CSRF_HEADER } = require('../middleware/csrf');
+
+/**
+ * Run a fake request through the middleware
+ * @param {Object} options - { method, path, cookie, csrf, authorization }
+ * @returns {Object} { passed, status, body }
+ */
+function runCsrf({ method = 'POST', path: reqPath = '/bots/alpha/start', cookie, csrf, authorization } = {}) {
+  const headers = {};
+  if (authorization) headers.authorization = authorization;
+  if (csrf !== undefined) headers[CSRF_HEADER.toLowerCase()] = csrf;
+  
+  const req = {
+    method,
+    path: reqPath,
+    headers,
+    cookies: cookie ? { [config.SESSION_COOKIE_NAME]: cookie } : {},
+    get: (name) => headers[name.toLowerCase()],
+  };
+  const outcome = { passed: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+    },
+  };
+  
+  requireCsrf(req, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+const session = createSession('alice');
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+test('accepts a write with the session\'s token', () => {
+  assert.strictEqual(runCsrf({ cookie: session, csrf: getCsrfToken(session) }).passed, true);
+});
+
+test('rejects a write with a missing or wrong token', () => {
+  const missing = runCsrf({ cookie: session });
+  assert.strictEqual(missing.passed, false);
+  assert.strictEqual(missing.status, 403);
+  assert.strictEqual(missing.body.csrf, true);
+  
+  assert.strictEqual(runCsrf({ cookie: session, csrf: 'x'.repeat(64) }).passed, false);
+  assert.strictEqual(runCsrf({ cookie: session, csrf: 'short' }).passed, false);
+});
+
+test('rejects another session\'s token', () => {
+  const other = createSession('bob');
+  
+  assert.strictEqual(runCsrf({ cookie: session, csrf: getCsrfToken(other) }).passed, false);
+});
+
+test('skips safe methods and pre-session routes', () => {
+  assert.strictEqual(runCsrf({ method: 'GET', cookie: session }).passed, true);
+  assert.strictEqual(runCsrf({ method: 'HEAD', cookie: session }).passed, true);
+  assert.strictEqual(runCsrf({ path: '/auth/login', cookie: session }).passed, true);
+});
+
+test('skips API token requests and requests without a session', () => {
+  assert.strictEqual(runCsrf({ cookie: session, authorization: 'Bearer abc123' }).passed, true);
+  assert.strictEqual(runCsrf({}).passed, true);
+  assert.strictEqual(runCsrf({ cookie: 'not-a-session' }).passed, true);
+});
@@ -0,0 +1,86 @@
+// test/ip-policy.test.js - IP allow/deny rules and lockout protection
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The policy is saved under DATA_DIR - point it somewhere disposable before loading config
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-ip-policy-'));
+delete process.env.IP_POLICY_DISABLED;
+
+const config = require('../config');
+const { parseRule, normalizeIp, validatePolicy, savePolicy, checkRequest } = require('../lib/security/ip-policy');
+
+const ADMIN_IP = '192.0.2.10';
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+test('parses addresses and CIDR ranges into canonical rules', () => {
+  assert.deepStrictEqual(parseRule(' 10.0.0.0/8 '), { address: '10.0.0.0', prefix: 8, type: 'ipv4', rule: '10.0.0.0/8' });
+  assert.strictEqual(parseRule('203.0.113.7/32').rule, '203.0.113.7');
+  assert.strictEqual(parseRule('2001:db8::/32').type, 'ipv6');
+});
+
+test('rejects invalid addresses and prefixes', () => {
+  for (const rule of ['10.0.0', 'example.com', '10.0.0.0/33', '10.0.0.0/', '10.0.0.0/8x', '2001:db8::/129']) {
+    assert.throws(() => parseRule(rule), /Invalid/, rule);
+  }
+});
+
+test('strips the IPv4-mapped IPv6 prefix', () => {
+  assert.strictEqual(normalizeIp('::ffff:192.0.2.10'), '192.0.2.10');
+  assert.strictEqual(normalizeIp('::ffff:zz'), '::ffff:zz');
+});
+
+test('validation de-duplicates rules and rejects bad groups', () => {
+  const policy = validatePolicy({ global: { deny: ['10.0.0.1', '10.0.0.1/32'] }, groups: [{ prefix: '/api/slots/', allow: [] }] });
+  
+  assert.deepStrictEqual(policy.global.deny, ['10.0.0.1']);
+  assert.strictEqual(policy.groups[0].prefix, '/api/slots');
+  assert.throws(() => validatePolicy({ groups: [{ prefix: '/admin' }] }), /Invalid route group/);
+  assert.throws(() => validatePolicy({ groups: [{ prefix: '/api/a' }, { prefix: '/API/a' }] }), /listed twice/);
+});
+
+test('deny wins and a non-empty allow list admits only listed addresses', () => {
+  savePolicy({
+    enabled: true,
+    global: { allow: ['192.0.2.0/24', '198.51.100.0/24'], deny: ['198.51.100.66'] },
+  }, { ip: ADMIN_IP });
+  
+  assert.deepStrictEqual(checkRequest('198.51.100.66', '/api/bots'), { allowed: false, scope: 'global', list: 'deny' });
+  assert.deepStrictEqual(checkRequest('203.0.113.5', '/api/bots'), { allowed: false, scope: 'global', list: 'allow' });
+  assert.strictEqual(checkRequest('::ffff:198.51.100.7', '/api/bots').allowed, true);
+});
+
+test('the most specific route group applies, matched case-insensitively on whole segments', () => {
+  savePolicy({
+    enabled: true,
+    groups: [
+      { prefix: '/api/slots', allow: ['192.0.2.0/24'] },
+      { prefix: '/api/slots/main', allow: [ADMIN_IP] },
+    ],
+  }, { ip: ADMIN_IP });
+  
+  assert.strictEqual(checkRequest('192.0.2.20', '/api/slots/dev/pull').allowed, true);
+  assert.deepStrictEqual(checkRequest('192.0.2.20', '/API/Slots/Main/pull'), { allowed: false, scope: '/api/slots/main', list: 'allow' });
+  assert.strictEqual(checkRequest('203.0.113.5', '/api/slotsx').allowed, true);
+  assert.strictEqual(checkRequest('203.0.113.5', '/api/slots').allowed, false);
+});
+
+test('refuses a policy that would lock out the IP saving it', () => {
+  assert.throws(
+    () => savePolicy({ enabled: true, groups: [{ prefix: '/api/auth', deny: ['192.0.2.0/24'] }] }, { ip: `::ffff:${ADMIN_IP}` }),
+    (error) => error.lockout === true && /from: \/api\/auth/.test(error.message)
+  );
+  assert.throws(
+    () => savePolicy({ enabled: true, global: { allow: ['198.51.100.0/24'] } }, { ip: ADMIN_IP }),
+    /from: everywhere/
+  );
+  
+  // A disabled policy can't lock anyone out
+  assert.strictEqual(savePolicy({ enabled: false, global: { deny: [ADMIN_IP] } }, { ip: ADMIN_IP }).enabled, false);
+  assert.strictEqual(checkRequest(ADMIN_IP, '/api/bots').allowed, true);
+});
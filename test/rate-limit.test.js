@@ -0,0 +1,108 @@
+// test/rate-limit.test.js - Sliding-window limiters and account lockout
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Counters are stored under DATA_DIR - point it somewhere disposable before loading config
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-rate-limit-'));
+
+const config = require('../config');
+const {
+  RateLimiter, getAccountLockout, recordFailedLogin, clearFailedLogins, listThrottled, clearKey,
+} = require('../lib/security/rate-limit');
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Run a fake request through a limiter's middleware
+ * @param {RateLimiter} limiter - Limiter
+ * @param {string} ip - Client IP
+ * @returns {Object} { passed, status, headers, body }
+ */
+function runLimiter(limiter, ip) {
+  const outcome = { passed: false, status: null, headers: {}, body: null };
+  const res = {
+    set(name, value) {
+      outcome.headers[name] = value;
+    },
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+    },
+  };
+  
+  limiter.middleware()({ ip, cookies: {} }, res, () => { outcome.passed = true; });
+  return outcome;
+}
+
+test('allows maxAttempts requests per key, then refuses', () => {
+  const limiter = new RateLimiter({ name: 'test-basic', windowMs: 60 * 1000, maxAttempts: 2 });
+  
+  assert.deepStrictEqual([limiter.check('a').allowed, limiter.check('a').allowed, limiter.check('a').allowed], [true, true, false]);
+  assert.strictEqual(limiter.status('a').hits, 2, 'refused requests are not counted');
+  assert.strictEqual(limiter.check('b').allowed, true, 'keys are counted separately');
+  
+  assert.strictEqual(limiter.reset('a'), true);
+  assert.strictEqual(limiter.check('a').remaining, 1);
+  limiter.destroy();
+});
+
+test('hits slide out of the window', async () => {
+  const limiter = new RateLimiter({ name: 'test-window', windowMs: 50, maxAttempts: 1 });
+  
+  assert.strictEqual(limiter.check('a').allowed, true);
+  assert.strictEqual(limiter.check('a').allowed, false);
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.strictEqual(limiter.check('a').allowed, true);
+  limiter.destroy();
+});
+
+test('middleware answers 429 with Retry-After once limited', () => {
+  const limiter = new RateLimiter({ name: 'test-middleware', windowMs: 60 * 1000, maxAttempts: 1, keyGenerator: (req) => `ip:${req.ip}` });
+  
+  const first = runLimiter(limiter, '192.0.2.1');
+  assert.strictEqual(first.passed, true);
+  assert.strictEqual(first.headers['X-RateLimit-Remaining'], 0);
+  
+  const second = runLimiter(limiter, '192.0.2.1');
+  assert.strictEqual(second.passed, false);
+  assert.strictEqual(second.status, 429);
+  assert.ok(second.headers['Retry-After'] > 0);
+  assert.ok(listThrottled().some(entry => entry.limiter === 'test-middleware' && entry.key === 'ip:192.0.2.1'));
+  
+  assert.strictEqual(clearKey('test-middleware', 'ip:192.0.2.1'), true);
+  assert.strictEqual(runLimiter(limiter, '192.0.2.1').passed, true);
+  limiter.destroy();
+});
+
+test('limiter names must be unique and known', () => {
+  const limiter = new RateLimiter({ name: 'test-unique' });
+  
+  assert.throws(() => new RateLimiter({ name: 'test-unique' }), /already exists/);
+  assert.throws(() => new RateLimiter({}), /name is required/);
+  assert.throws(() => clearKey('no-such-limiter', 'x'), /Unknown rate limiter/);
+  limiter.destroy();
+});
+
+test('an account locks after repeated failures until cleared', () => {
+  for (let i = 0; i < config.ACCOUNT_LOCKOUT_ATTEMPTS - 1; i++) {
+    recordFailedLogin('alice');
+  }
+  assert.strictEqual(getAccountLockout('alice').locked, false);
+  
+  recordFailedLogin('alice');
+  const lockout = getAccountLockout('alice');
+  assert.strictEqual(lockout.locked, true);
+  assert.ok(lockout.retryAfter > 0);
+  assert.strictEqual(getAccountLockout('bob').locked, false);
+  
+  clearFailedLogins('alice');
+  assert.strictEqual(getAccountLockout('alice').locked, false);
+});
@@ -0,0 +1,47 @@
+// test/roles.test.js - API token scope checks
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { scopeAllows, getTokenScopesForRole, SESSION_ONLY_PERMISSIONS, SUDO_SCOPE } = require('../lib/auth/roles');
+
+test('allows a permission only when it is in the scopes', () => {
+  assert.strictEqual(scopeAllows(['bots:restart'], 'bots:restart'), true);
+  assert.strictEqual(scopeAllows(['bots:restart'], 'bots:control'), false);
+  assert.strictEqual(scopeAllows([], 'bots:read'), false);
+});
+
+test('a write scope implies read access to the same domain only', () => {
+  assert.strictEqual(scopeAllows(['bots:restart'], 'bots:read'), true);
+  assert.strictEqual(scopeAllows(['bots:restart'], 'slots:read'), false);
+  // Only a whole domain counts - 'bot:' isn't a prefix match for 'bots:'
+  assert.strictEqual(scopeAllows(['bot:x'], 'bots:read'), false);
+});
+
+test('the sudo scope grants no permission by itself', () => {
+  assert.strictEqual(scopeAllows([SUDO_SCOPE], 'bots:read'), false);
+  assert.strictEqual(scopeAllows([SUDO_SCOPE], 'users:manage'), false);
+});
+
+test('rejects missing or malformed scopes', () => {
+  assert.strictEqual(scopeAllows(undefined, 'bots:read'), false);
+  assert.strictEqual(scopeAllows('bots:read', 'bots:read'), false);
+});
+
+test('token scopes never include session-only permissions', () => {
+  const scopes = getTokenScopesForRole('admin');
+  
+  for (const permission of SESSION_ONLY_PERMISSIONS) {
+    assert.ok(!scopes.includes(permission), `${permission} should not be grantable`);
+  }
+  assert.ok(scopes.includes(SUDO_SCOPE));
+  assert.ok(scopes.includes('bots:admin'));
+});
+
+test('token scopes are limited to the role and empty for unknown roles', () => {
+  const scopes = getTokenScopesForRole('viewer');
+  
+  assert.ok(scopes.includes('bots:read'));
+  assert.ok(!scopes.includes('bots:control'));
+  assert.deepStrictEqual(getTokenScopesForRole('nobody'), []);
+});
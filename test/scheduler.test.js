@@ -0,0 +1,87 @@
+// test/scheduler.test.js - Cron parsing and next-run calculation
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Cron times are server local time - pin it, and keep databases out of the real DATA_DIR
+process.env.TZ = 'UTC';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-scheduler-'));
+
+const config = require('../config');
+const { parseCron, nextCronRun, previewRuns } = require('../lib/services/scheduler');
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Next run of an expression after a UTC time, as an ISO string
+ * @param {string} expression - Cron expression
+ * @param {string} after - ISO timestamp
+ * @returns {string|null} ISO timestamp, or null if it never matches
+ */
+function next(expression, after) {
+  const run = nextCronRun(parseCron(expression), Date.parse(after));
+  return run === null ? null : new Date(run).toISOString();
+}
+
+test('parses values, ranges, steps, lists and names', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 jan-mar mon-fri');
+  
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+  assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+  assert.deepStrictEqual([...cron.month], [1, 2, 3]);
+  assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.strictEqual(cron.dayOfMonthRestricted, true);
+  assert.strictEqual(cron.dayOfWeekRestricted, true);
+});
+
+test('treats 7 as Sunday and a single start with a step as running to the end', () => {
+  assert.deepStrictEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+});
+
+test('expands aliases', () => {
+  assert.deepStrictEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.deepStrictEqual(parseCron(' @Hourly '), parseCron('0 * * * *'));
+});
+
+test('rejects malformed expressions with a 400', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *', '@often']) {
+    assert.throws(() => parseCron(expression), (error) => error.status === 400, expression);
+  }
+});
+
+test('finds the next matching minute strictly after the given time', () => {
+  assert.strictEqual(next('*/15 * * * *', '2026-03-10T10:07:30Z'), '2026-03-10T10:15:00.000Z');
+  assert.strictEqual(next('*/15 * * * *', '2026-03-10T10:15:00Z'), '2026-03-10T10:30:00.000Z');
+  assert.strictEqual(next('30 2 * * *', '2026-03-10T10:07:00Z'), '2026-03-11T02:30:00.000Z');
+});
+
+test('rolls over months and years', () => {
+  assert.strictEqual(next('0 0 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+  assert.strictEqual(next('0 12 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T12:00:00.000Z');
+});
+
+test('a restricted day of month and day of week match either', () => {
+  // 2026-03-10 is a Tuesday; the next Friday (13th) comes before the 15th
+  assert.strictEqual(next('0 9 15 * fri', '2026-03-10T12:00:00Z'), '2026-03-13T09:00:00.000Z');
+  // With only the day of week restricted, the day of month doesn't widen it
+  assert.strictEqual(next('0 9 * * fri', '2026-03-13T10:00:00Z'), '2026-03-20T09:00:00.000Z');
+});
+
+test('returns null for an expression that never matches', () => {
+  assert.strictEqual(next('0 0 31 2 *', '2026-01-01T00:00:00Z'), null);
+  assert.throws(() => previewRuns('cron', '0 0 31 2 *'), /never matches/);
+});
+
+test('previews consecutive runs', () => {
+  const runs = previewRuns('cron', '@hourly', 3);
+  
+  assert.strictEqual(runs.length, 3);
+  assert.strictEqual(Date.parse(runs[1]) - Date.parse(runs[0]), 60 * 60 * 1000);
+  assert.ok(runs.every(run => run.endsWith(':00:00.000Z')));
+});
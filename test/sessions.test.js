@@ -0,0 +1,87 @@
+// test/sessions.test.js - Session storage, hashing and expiry
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sessions live under DATA_DIR - point it somewhere disposable, with short
+// timeouts, before loading config
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aethera-sessions-'));
+process.env.SESSION_IDLE_TIMEOUT = '300';
+process.env.SESSION_MAX_AGE = '800';
+
+const Database = require('better-sqlite3');
+const config = require('../config');
+
+// A session left in the old sessions.json, imported on first use
+const LEGACY_TOKEN = 'legacy-session-token';
+fs.writeFileSync(config.SESSIONS_FILE, JSON.stringify({
+  [LEGACY_TOKEN]: { username: 'carol', createdAt: Date.now(), expiresAt: Date.now() + 60 * 1000 },
+}));
+
+const {
+  createSession, getSession, touchSession, deleteSession, listSessionsForUser, deleteOtherSessions, getSessionId,
+} = require('../lib/auth/sessions');
+
+test.after(() => fs.rmSync(config.DATA_DIR, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('imports sessions.json and deletes the file', () => {
+  assert.strictEqual(getSession(LEGACY_TOKEN).username, 'carol');
+  assert.strictEqual(fs.existsSync(config.SESSIONS_FILE), false);
+});
+
+test('stores only a hash of the token', () => {
+  const token = createSession('alice', { ip: '192.0.2.1', userAgent: 'test' });
+  const db = new Database(path.join(config.DATA_DIR, 'sessions.sqlite'), { readonly: true });
+  const hashes = db.prepare('SELECT token_hash FROM sessions').all().map(row => row.token_hash);
+  db.close();
+  
+  assert.ok(!hashes.includes(token));
+  assert.ok(hashes.includes(crypto.createHash('sha256').update(token).digest('hex')));
+  assert.strictEqual(getSession(token).username, 'alice');
+  assert.strictEqual(getSession(token).id, getSessionId(token));
+  assert.strictEqual(getSession('not-a-token'), null);
+});
+
+test('expires after the idle timeout without use', async () => {
+  const token = createSession('alice');
+  
+  await sleep(400);
+  assert.strictEqual(getSession(token), null);
+});
+
+test('use slides the idle expiry but never past the absolute expiry', async () => {
+  const token = createSession('bob');
+  
+  // A new IP forces the write that LAST_SEEN_WRITE_INTERVAL would otherwise throttle
+  for (let i = 0; i < 3; i++) {
+    await sleep(200);
+    touchSession(token, `192.0.2.${i + 10}`);
+    assert.ok(getSession(token), `still valid after ${(i + 1) * 200}ms of use`);
+  }
+  assert.strictEqual(getSession(token).ip, '192.0.2.12');
+  
+  // The last touch would allow use until ~900ms, but SESSION_MAX_AGE ends it at 800ms
+  await sleep(250);
+  assert.strictEqual(getSession(token), null);
+});
+
+test('revokes one session, or every other session of a user', () => {
+  const kept = createSession('dave');
+  const other = createSession('dave');
+  const third = createSession('dave');
+  
+  deleteSession(third);
+  assert.strictEqual(getSession(third), null);
+  assert.strictEqual(listSessionsForUser('dave').length, 2);
+  
+  assert.strictEqual(deleteOtherSessions('dave', kept), 1);
+  assert.strictEqual(getSession(other), null);
+  assert.deepStrictEqual(listSessionsForUser('dave').map(session => session.id), [getSessionId(kept)]);
+});